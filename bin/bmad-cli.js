@@ -6,6 +6,10 @@ const fs = require('fs');
 const path = require('path');
 const CacheManager = require('../scripts/lib/cache-manager');
 const ContextManager = require('../scripts/lib/context-manager');
+const HandoverState = require('../scripts/lib/handover-state');
+const LocalGitHubAdapter = require('../scripts/lib/local-github-adapter');
+const RunJournal = require('../scripts/lib/run-journal');
+const EventBus = require('../scripts/lib/event-bus');
 
 const args = process.argv.slice(2);
 const command = args[0];
@@ -29,8 +33,13 @@ Usage:
 Commands:
   ${colors.yellow}status <issue-number>${colors.reset}    Show workflow status for an issue
   ${colors.yellow}reset <issue-number>${colors.reset}     Reset workflow state for an issue
+  ${colors.yellow}history <issue-number>${colors.reset}   Show the run journal (replay with bmad-workflow-enhanced.js replay)
+  ${colors.yellow}events [issue-number]${colors.reset}    Show workflow events from the event log (--type <a,b>)
+  ${colors.yellow}resume <workflow-id>${colors.reset}     Resume a suspended workflow (--reason <why> [--by <name>] [--force])
   ${colors.yellow}cache-clear${colors.reset}              Clear API cache
   ${colors.yellow}validate${colors.reset}                 Run project validation
+  ${colors.yellow}migrate-handover [issue]${colors.reset} Add the JSON state block to an issue's handover (legacy BMAD_HANDOVER.md without one)
+  ${colors.yellow}local-issue <title> [body]${colors.reset} Create an issue in the offline GitHub directory (--label <name>)
 `);
 }
 
@@ -50,12 +59,39 @@ async function main() {
             }
             resetState(param);
             break;
+        case 'history':
+            if (!param) {
+                console.error(`${colors.red}Error: Issue number required${colors.reset}`);
+                return;
+            }
+            showHistory(param);
+            break;
+        case 'events':
+            showEvents(args.slice(1));
+            break;
+        case 'resume':
+            if (!param) {
+                console.error(`${colors.red}Error: Workflow ID required${colors.reset}`);
+                return;
+            }
+            await resumeWorkflow(param, args.slice(2));
+            break;
         case 'cache-clear':
             clearCache();
             break;
         case 'validate':
             runValidation();
             break;
+        case 'migrate-handover':
+            migrateHandover(param);
+            break;
+        case 'local-issue':
+            if (!param) {
+                console.error(`${colors.red}Error: Issue title required${colors.reset}`);
+                return;
+            }
+            await createLocalIssue(args.slice(1));
+            break;
         default:
             printUsage();
     }
@@ -72,9 +108,63 @@ function showStatus(issueNumber) {
     }
 }
 
+function showHistory(issueNumber) {
+    const entries = RunJournal.forIssue(issueNumber).entries();
+    if (entries.length === 0) {
+        console.log(`${colors.yellow}No run journal found for Issue #${issueNumber}${colors.reset}`);
+        return;
+    }
+    console.log(`${colors.blue}Run History for Issue #${issueNumber}:${colors.reset}`);
+    console.log(RunJournal.format(entries));
+}
+
+function showEvents(options) {
+    const typeIndex = options.indexOf('--type');
+    const types = typeIndex >= 0 ? String(options[typeIndex + 1] || '').split(',') : undefined;
+    const issue = options.find((option, index) => /^\d+$/.test(option) && index !== typeIndex + 1);
+    const file = EventBus.logFile();
+    const { events } = EventBus.readLog(file, {
+        issueNumber: issue ? parseInt(issue, 10) : undefined,
+        types
+    });
+    if (events.length === 0) {
+        console.log(`${colors.yellow}No events found in ${file || 'event log (BMAD_EVENT_LOG=off)'}${colors.reset}`);
+        return;
+    }
+    events.forEach((event) => {
+        const { persona, phase } = event.payload;
+        const where = [event.issueNumber && `#${event.issueNumber}`, persona, phase].filter(Boolean).join(' ');
+        console.log(`${event.timestamp} ${colors.blue}${event.type}${colors.reset} ${where}`);
+    });
+}
+
+async function resumeWorkflow(workflowId, options) {
+    const option = (name) => {
+        const index = options.indexOf(name);
+        return index >= 0 ? options[index + 1] : undefined;
+    };
+    const reason = option('--reason');
+    if (!reason) {
+        console.error(`${colors.red}Error: --reason "<why>" is required to resume a workflow${colors.reset}`);
+        process.exit(1);
+    }
+    const EnhancedBMADWorkflow = require('../scripts/bmad/bmad-workflow-enhanced');
+    try {
+        await new EnhancedBMADWorkflow().resumeWorkflow(workflowId, {
+            reason,
+            actor: option('--by'),
+            force: options.includes('--force')
+        });
+        console.log(`${colors.green}✅ Workflow ${workflowId} resumed${colors.reset}`);
+    } catch (e) {
+        console.error(`${colors.red}❌ ${e.message}${colors.reset}`);
+        process.exit(1);
+    }
+}
+
 function resetState(issueNumber) {
     const stateFile = `.github/workflow-state-${issueNumber}.json`;
-    const handoverFile = '.github/BMAD_HANDOVER.md';
+    const handoverFile = HandoverState.LEGACY_FILE;
 
     if (fs.existsSync(stateFile)) {
         fs.unlinkSync(stateFile);
@@ -83,10 +173,16 @@ function resetState(issueNumber) {
         console.log(`${colors.yellow}No state file found to reset.${colors.reset}`);
     }
 
-    // Also reset handover if it matches the issue
+    const issueHandoverFile = HandoverState.pathFor(issueNumber);
+    if (fs.existsSync(issueHandoverFile)) {
+        fs.unlinkSync(issueHandoverFile);
+        console.log(`${colors.green}✅ Handover state reset.${colors.reset}`);
+    }
+
+    // Also reset the shared legacy handover if it matches the issue
     if (fs.existsSync(handoverFile)) {
         const content = fs.readFileSync(handoverFile, 'utf-8');
-        if (content.includes(`Issue: #${issueNumber}`)) {
+        if (HandoverState.parse(content).state.issueNumber === Number(issueNumber)) {
             fs.unlinkSync(handoverFile);
             console.log(`${colors.green}✅ Handover state reset.${colors.reset}`);
         }
@@ -99,6 +195,45 @@ function clearCache() {
     console.log(`${colors.green}✅ API Cache cleared.${colors.reset}`);
 }
 
+function migrateHandover(issueNumber) {
+    // Without an issue number only the shared legacy file is left to migrate
+    const handoverFile = HandoverState.pathFor(issueNumber);
+    if (!fs.existsSync(handoverFile)) {
+        console.log(`${colors.yellow}No handover file found to migrate.${colors.reset}`);
+        return;
+    }
+
+    try {
+        const result = HandoverState.migrate(fs.readFileSync(handoverFile, 'utf-8'));
+        if (!result.migrated) {
+            console.log(`${colors.green}✅ Handover already has a state block.${colors.reset}`);
+            return;
+        }
+        new ContextManager().write(handoverFile, result.content);
+        console.log(`${colors.green}✅ Handover migrated:${colors.reset}`);
+        console.log(JSON.stringify(result.state, null, 2));
+    } catch (e) {
+        console.error(`${colors.red}❌ ${e.message}${colors.reset}`);
+        process.exit(1);
+    }
+}
+
+async function createLocalIssue(issueArgs) {
+    const labels = [];
+    const positional = [];
+    for (let i = 0; i < issueArgs.length; i++) {
+        if (issueArgs[i] === '--label' && issueArgs[i + 1]) {
+            labels.push(issueArgs[++i]);
+        } else {
+            positional.push(issueArgs[i]);
+        }
+    }
+    const [title, body = ''] = positional;
+    const github = new LocalGitHubAdapter();
+    const { data: issue } = await github.rest.issues.create({ title, body, labels });
+    console.log(`${colors.green}✅ Local issue #${issue.number} created in ${github.rootDir}${colors.reset}`);
+}
+
 function runValidation() {
     console.log(`${colors.blue}Running Validation...${colors.reset}`);
     try {
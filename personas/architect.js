@@ -3,8 +3,14 @@
  * @ai-invariant Architect must create technical specifications and system design
  * @ai-connection Architect connects to PM requirements and provides implementation guidance
  */
+const fs = require('fs');
 const BasePersona = require('./base-persona');
 const ProductContextValidator = require('../scripts/bmad/product-context-validator');
+const SubIssueGraph = require('../scripts/lib/sub-issue-graph');
+const { NonRetryableError } = require('../scripts/lib/bmad-error');
+
+const AUDIT_PHASE = 'Audit Breakdown';
+const MASTER_PLAN_PATH = 'docs/planning/MASTER_PLAN.md';
 
 class Architect extends BasePersona {
   constructor(githubToken) {
@@ -14,8 +20,14 @@ class Architect extends BasePersona {
   /**
    * @ai-context Design system architecture based on requirements
    */
-  async execute(planningIssueNumber) {
+  async execute(contextOrIssue) {
     this.log('Starting architecture design');
+    const context = this.acceptContext(contextOrIssue);
+    const { issueNumber: planningIssueNumber } = context;
+
+    if (context.phase === AUDIT_PHASE) {
+      return this.breakDownAudit(planningIssueNumber);
+    }
 
     try {
       // Validate product context before proceeding
@@ -36,6 +48,7 @@ class Architect extends BasePersona {
 
       // Get planning issue
       const issue = await this.octokit.rest.issues.get({
+        ...this.requestOptions(),
         owner: process.env.GITHUB_OWNER || 'helton-godoy',
         repo: process.env.GITHUB_REPO || 'shantilly-cli',
         issue_number: planningIssueNumber,
@@ -44,7 +57,14 @@ class Architect extends BasePersona {
       this.log(`Designing architecture for: ${issue.data.title}`);
 
       // Create architecture design
-      const architectureDesign = this.createArchitectureDesign(issue.data);
+      const architectureDesign = this.withInstructions(
+        await this.generateOutput(
+          'architect.design',
+          { issue: issue.data, ...this.architectureInputs() },
+          () => this.createArchitectureDesign(issue.data)
+        )
+      );
+      this.throwIfAborted();
 
       // Update context
       this.updateActiveContext(
@@ -70,10 +90,76 @@ class Architect extends BasePersona {
     }
   }
 
+  buildResult(output) {
+    if (output instanceof SubIssueGraph) {
+      const { total } = output.rollup();
+      return {
+        status: 'completed',
+        artifacts: [{ path: output.file, type: 'SUB_ISSUE_GRAPH' }],
+        nextSteps: [{ persona: null, hint: `Run the ${total} sub-issue(s) of #${output.parent} in dependency order` }],
+        summary: `${total} sub-issue(s) planned for #${output.parent}`,
+        output: output.toJSON(),
+      };
+    }
+    return {
+      status: 'completed',
+      artifacts: [
+        { path: 'docs/architecture/system-design.md', type: 'SYSTEM_DESIGN' },
+      ],
+      nextSteps: [{ persona: 'developer', hint: 'Implement the system design' }],
+      output,
+    };
+  }
+
   /**
-   * @ai-context Create comprehensive architecture design
+   * @ai-context AUDIT_MODE: one issue per MASTER_PLAN.md roadmap item, created blockers first so each
+   * body can reference its blockers; items already in the graph are not created again on a retry
    */
-  createArchitectureDesign(planningIssue) {
+  async breakDownAudit(parentNumber) {
+    if (!fs.existsSync(MASTER_PLAN_PATH)) {
+      throw new NonRetryableError(`${MASTER_PLAN_PATH} not found`, 'SUB_ISSUE_GRAPH_INVALID', {
+        persona: 'ARCHITECT',
+        operation: 'breakDownAudit',
+        stepId: AUDIT_PHASE,
+      });
+    }
+    const items = SubIssueGraph.parsePlan(fs.readFileSync(MASTER_PLAN_PATH, 'utf8'));
+    if (items.length === 0) {
+      throw SubIssueGraph.invalid(parentNumber, `${MASTER_PLAN_PATH} has no roadmap items (- [ ] KEY-1: Title)`);
+    }
+    const byKey = new Map(items.map((item) => [item.key, item]));
+    const order = SubIssueGraph.sort(
+      new Map(items.map((item) => [item.key, item.blockedBy])),
+      parentNumber
+    );
+
+    const graph = SubIssueGraph.forParent(parentNumber);
+    const numbers = new Map(
+      [...graph.children.values()].filter((child) => child.key).map((child) => [child.key, child.issueNumber])
+    );
+    for (const key of order) {
+      if (numbers.has(key)) continue;
+      const item = byKey.get(key);
+      const blockedBy = item.blockedBy.map((blocker) => numbers.get(blocker));
+      const issue = await this.createIssue(
+        `${key}: ${item.title}`,
+        `## Parent Issue\n#${parentNumber}\n\n## Roadmap Item\n${key} from ${MASTER_PLAN_PATH}\n\n` +
+          `Blocked by: ${blockedBy.map((number) => `#${number}`).join(', ') || 'none'}\n`,
+        ['sub-issue']
+      );
+      numbers.set(key, issue.number);
+      // Saved per issue so a failure halfway keeps the issues already created
+      graph.add(issue.number, { key, title: item.title, blockedBy }).save();
+    }
+
+    this.log(`Audit breakdown: ${order.length} sub-issue(s) for #${parentNumber}`);
+    return graph.validate();
+  }
+
+  /**
+   * @ai-context Technology stack and architecture map the design starts from
+   */
+  architectureInputs() {
     // Extract context or use defaults
     const productContext = this.context.productContext || '';
     const techStackMatch = productContext.match(
@@ -83,6 +169,14 @@ class Architect extends BasePersona {
       ? techStackMatch[1].trim()
       : 'Node.js (Default)';
     const systemMap = (this.context.architectureSpec || '').trim();
+    return { techStack, systemMap };
+  }
+
+  /**
+   * @ai-context Create comprehensive architecture design
+   */
+  createArchitectureDesign(planningIssue) {
+    const { techStack, systemMap } = this.architectureInputs();
 
     const design = `# System Architecture Design
 
@@ -5,7 +5,7 @@
  */
 const fs = require('fs');
 const path = require('path');
-const { Octokit } = require('@octokit/rest');
+const GitHubAdapter = require('../scripts/lib/github-adapter');
 const ContextManager = require('../scripts/lib/context-manager');
 const Logger = require('../scripts/lib/logger');
 const SecretManager = require('../scripts/lib/secret-manager');
@@ -13,13 +13,19 @@ const CacheManager = require('../scripts/lib/cache-manager');
 const CommitHandler = require('../scripts/lib/commit-handler');
 const ErrorRecoveryManager = require('../scripts/lib/error-recovery-manager');
 const StateCacheManager = require('../scripts/lib/state-cache-manager');
+const HandoverState = require('../scripts/lib/handover-state');
+const LLMProvider = require('../scripts/lib/llm-provider');
+const {
+  PersonaExecutionContext,
+  PersonaResult,
+} = require('../scripts/lib/persona-execution-context');
 
 class EnhancedBasePersona {
   constructor(name, role, githubToken) {
     this.name = name;
     this.role = role;
     this.githubToken = githubToken;
-    this.octokit = new Octokit({ auth: githubToken });
+    this.octokit = GitHubAdapter.create({ token: githubToken });
     this.contextManager = new ContextManager();
     this.secretManager = new SecretManager();
     this.cacheManager = new CacheManager(); // Default 1h TTL
@@ -30,8 +36,10 @@ class EnhancedBasePersona {
     });
     this.commitHandler = new CommitHandler();
 
-    // Validate critical secrets on startup
-    this.secretManager.validateRequired(['GITHUB_TOKEN']);
+    // Validate critical secrets on startup; the local adapter needs none
+    if (!GitHubAdapter.isLocal(this.octokit)) {
+      this.secretManager.validateRequired(['GITHUB_TOKEN']);
+    }
 
     this.context = this.loadContext();
     this.startTime = new Date();
@@ -45,11 +53,9 @@ class EnhancedBasePersona {
 
   /**
    * @ai-context Load project context from files with enhanced error handling
+   * @ai-invariant The handover is the issue's own file; the legacy shared one only without an issue
    */
-  /**
-   * @ai-context Load project context from files with enhanced error handling
-   */
-  loadContext() {
+  loadContext(issueNumber = null) {
     try {
       const context = {
         activeContext: this.contextManager.read('activeContext.md') || '',
@@ -57,7 +63,7 @@ class EnhancedBasePersona {
         architectureSpec:
           this.contextManager.read('docs/architecture/SYSTEM_MAP.md') || '',
         handoverState:
-          this.contextManager.read('.github/BMAD_HANDOVER.md') || '',
+          this.contextManager.read(HandoverState.pathFor(issueNumber)) || '',
         contextHash: null, // Hash is now managed internally by ContextManager writes, but we keep property for compatibility
       };
 
@@ -127,6 +133,7 @@ class EnhancedBasePersona {
 
     try {
       const issue = await this.octokit.rest.issues.get({
+        ...this.requestOptions(),
         owner: process.env.GITHUB_OWNER || 'helton-godoy',
         repo: process.env.GITHUB_REPO || 'bmad-github-native-full-cycle',
         issue_number: issueNumber,
@@ -148,7 +155,9 @@ class EnhancedBasePersona {
    */
   async createIssue(title, body, labels = []) {
     try {
+      this.throwIfAborted();
       const issue = await this.octokit.rest.issues.create({
+        ...this.requestOptions(),
         owner: process.env.GITHUB_OWNER || 'helton-godoy',
         repo: process.env.GITHUB_REPO || 'bmad-github-native-full-cycle',
         title,
@@ -171,6 +180,7 @@ class EnhancedBasePersona {
    */
   async commit(message, files = []) {
     try {
+      this.throwIfAborted();
       const stepId = this.getNextStepId();
       const prepared = await this.commitHandler.prepareCommit(files);
       if (!prepared) {
@@ -206,18 +216,37 @@ class EnhancedBasePersona {
    * @ai-context Execute shell command with error handling
    */
   async execCommand(command) {
+    this.throwIfAborted();
+    const signal = this.executionContext && this.executionContext.signal;
     return new Promise((resolve, reject) => {
       const { exec } = require('child_process');
-      exec(command, (error, stdout) => {
+      const callback = (error, stdout) => {
         if (error) {
           reject(error);
         } else {
           resolve(stdout.trim());
         }
-      });
+      };
+      // A phase over its time budget kills the running command
+      if (signal) exec(command, { signal }, callback);
+      else exec(command, callback);
     });
   }
 
+  /**
+   * @ai-context Stop before a side effect once the orchestrator cancelled this execution
+   */
+  throwIfAborted() {
+    if (this.executionContext) this.executionContext.throwIfAborted();
+  }
+
+  /**
+   * @ai-context Octokit request options: the execution's signal cancels the HTTP call in flight
+   */
+  requestOptions(context = this.executionContext) {
+    return context ? { request: { signal: context.signal } } : {};
+  }
+
   /**
    * @ai-context Get next step ID for commits
    */
@@ -232,7 +261,12 @@ class EnhancedBasePersona {
   /**
    * @ai-context Update handover state with context locking
    */
-  updateHandover(nextPersona, artifacts, status) {
+  updateHandover(
+    nextPersona,
+    artifacts,
+    status,
+    issueNumber = this.executionContext ? this.executionContext.issueNumber : null
+  ) {
     const handoverContent = this.generateHandoverContent(
       nextPersona,
       artifacts,
@@ -241,9 +275,13 @@ class EnhancedBasePersona {
 
     try {
       // Use ContextManager for atomic write of handover file
-      // We unify to BMAD_HANDOVER.md to match Orchestrator
-      const handoverPath = '.github/BMAD_HANDOVER.md';
-      this.contextManager.write(handoverPath, handoverContent);
+      // Same per-issue file the Orchestrator reads
+      const handoverPath = HandoverState.pathFor(issueNumber);
+      // The orchestrator's state block stays on top of the persona narrative
+      this.contextManager.write(
+        handoverPath,
+        HandoverState.preserveBlock(this.contextManager.read(handoverPath), handoverContent)
+      );
 
       this.log(`Updated handover for ${nextPersona}`);
 
@@ -295,13 +333,18 @@ class EnhancedBasePersona {
   }
 
   /**
-   * @ai-context Micro-commit changes
+   * @ai-context Micro-commit changes; parallel branches pass a `commitLock` so their commits take turns
    */
   async microCommit(message, files = []) {
+    if (this.commitLock) return this.commitLock(() => this.commitFiles(message, files));
+    return this.commitFiles(message, files);
+  }
+
+  async commitFiles(message, files) {
     // Wrapper around commit for compatibility
     // In original BMAD, microCommit might have specific logic, but here we map to enhanced commit
     // If files is an array of objects {path, content}, we need to write them first
-
+    this.throwIfAborted();
     if (files.length > 0 && typeof files[0] === 'object') {
       for (const file of files) {
         if (file.path && file.content) {
@@ -363,7 +406,9 @@ ${artifacts.map((artifact) => `- ${artifact}`).join('\n')}
    * @ai-context Validate prerequisites for persona execution
    */
   validatePrerequisites() {
-    const required = ['GITHUB_TOKEN', 'GITHUB_OWNER', 'GITHUB_REPO'];
+    const required = GitHubAdapter.isLocal(this.octokit)
+      ? []
+      : ['GITHUB_TOKEN', 'GITHUB_OWNER', 'GITHUB_REPO'];
     const missing = required.filter((env) => !process.env[env]);
 
     if (missing.length > 0) {
@@ -375,6 +420,81 @@ ${artifacts.map((artifact) => `- ${artifact}`).join('\n')}
     return true;
   }
 
+  /**
+   * @ai-context Normalise the execution contract (context or legacy issue number)
+   */
+  acceptContext(contextOrIssue) {
+    const context = PersonaExecutionContext.from(contextOrIssue);
+    context.throwIfAborted();
+    this.executionContext = context;
+    // The constructor ran before the issue was known: read this issue's handover
+    if (context.issueNumber) {
+      this.context = this.loadContext(context.issueNumber);
+    }
+    if (context.prompt) {
+      this.log(`Prompt from ${context.source || 'orchestrator'}: ${context.prompt}`);
+    }
+    if (context.feedback) {
+      this.log(`Reviewer feedback (${context.feedback.reviewer}): ${context.feedback.text || '-'}`);
+    }
+    if (context.contract) {
+      this.log(
+        `${context.contract.summary}: ${context.contract.gaps.map((gap) => gap.code).join(', ')}`
+      );
+    }
+    return context;
+  }
+
+  /**
+   * @ai-context Report one model call (model, inputTokens, outputTokens, latencyMs, costUsd) to the
+   * run's meter; throws BUDGET_EXCEEDED when the call overruns a token or cost budget
+   */
+  recordModelCall(call, context = this.executionContext) {
+    if (!context || !context.meter) return null;
+    return context.meter.record(call);
+  }
+
+  /**
+   * @ai-context Output of a prompt template from the configured LLM provider, metered to the run;
+   * without BMAD_LLM_PROVIDER the built-in template (`fallback()`) is the output
+   */
+  async generateOutput(template, variables, fallback, context = this.executionContext) {
+    if (this.llmProvider === undefined) this.llmProvider = LLMProvider.create();
+    if (!this.llmProvider) return fallback();
+    this.log(`Generating ${template} with the ${this.llmProvider.name} provider`);
+    const result = await this.llmProvider.generate({
+      template,
+      variables,
+      signal: context ? context.signal : null,
+      meter: { record: (call) => this.recordModelCall(call, context) },
+    });
+    return result.output;
+  }
+
+  /**
+   * @ai-context Append the orchestrator prompt to a generated document so it travels with the artifact
+   */
+  withInstructions(document, context = this.executionContext) {
+    if (!context || !context.prompt) return document;
+    return `${document}\n## Orchestrator Instructions\n_Source: ${context.source || 'orchestrator'}_\n\n${context.prompt}\n`;
+  }
+
+  /**
+   * @ai-context Contract entry point: execute with a context and return a typed PersonaResult
+   */
+  async run(contextOrIssue) {
+    const context = PersonaExecutionContext.from(contextOrIssue);
+    const output = await this.execute(context);
+    return PersonaResult.create(this.buildResult(output, context), this.name);
+  }
+
+  /**
+   * @ai-context Describe artifacts and next steps; personas override with what they produce
+   */
+  buildResult(output, _context) {
+    return { status: 'completed', artifacts: [], nextSteps: [], output };
+  }
+
   /**
    * @ai-context Get persona execution summary
    */
@@ -5,21 +5,29 @@
  */
 const fs = require('fs');
 const path = require('path');
-const { Octokit } = require('@octokit/rest');
+const { exec } = require('child_process');
+const GitHubAdapter = require('../scripts/lib/github-adapter');
+const HandoverState = require('../scripts/lib/handover-state');
+const LLMProvider = require('../scripts/lib/llm-provider');
+const {
+  PersonaExecutionContext,
+  PersonaResult,
+} = require('../scripts/lib/persona-execution-context');
 
 class BasePersona {
   constructor(name, role, githubToken) {
     this.name = name;
     this.role = role;
     this.githubToken = githubToken;
-    this.octokit = new Octokit({ auth: githubToken });
+    this.octokit = GitHubAdapter.create({ token: githubToken });
     this.context = this.loadContext();
   }
 
   /**
    * @ai-context Load project context from files
+   * @ai-invariant The handover is the issue's own file; the legacy shared one only without an issue
    */
-  loadContext() {
+  loadContext(issueNumber = null) {
     try {
       const activeContext = fs.readFileSync('activeContext.md', 'utf-8');
       const productContext = fs.readFileSync('productContext.md', 'utf-8');
@@ -37,7 +45,7 @@ class BasePersona {
       }
 
       try {
-        handoverState = fs.readFileSync('.github/BMAD_HANDOVER.md', 'utf-8');
+        handoverState = fs.readFileSync(HandoverState.pathFor(issueNumber), 'utf-8');
       } catch (_) {
         handoverState = '';
       }
@@ -78,9 +86,15 @@ class BasePersona {
   }
 
   /**
-   * @ai-context Create micro-commit with tracking ID
+   * @ai-context Create micro-commit with tracking ID; parallel branches pass a `commitLock` so their
+   * commits to the branch head take turns
    */
   async microCommit(message, files = []) {
+    if (this.commitLock) return this.commitLock(() => this.commitFiles(message, files));
+    return this.commitFiles(message, files);
+  }
+
+  async commitFiles(message, files) {
     const commitId = `${this.role.toLowerCase()}-${Date.now()}`;
 
     const commitMessage = `[${commitId}] ${message}`;
@@ -92,6 +106,7 @@ class BasePersona {
           let sha;
           try {
             const { data } = await this.octokit.rest.repos.getContent({
+              ...this.requestOptions(),
               owner: process.env.GITHUB_OWNER || 'helton-godoy',
               repo: process.env.GITHUB_REPO || 'shantilly-cli',
               path: file.path,
@@ -107,7 +122,9 @@ class BasePersona {
 
       // 2. Update/create file contents sequentially to avoid 409 Conflict race conditions on branch head
       for (const file of filesWithSha) {
+        this.throwIfAborted();
         await this.octokit.rest.repos.createOrUpdateFileContents({
+          ...this.requestOptions(),
           owner: process.env.GITHUB_OWNER || 'helton-godoy',
           repo: process.env.GITHUB_REPO || 'shantilly-cli',
           path: file.path,
@@ -131,7 +148,9 @@ class BasePersona {
    */
   async createIssue(title, body, labels = []) {
     try {
+      this.throwIfAborted();
       const issue = await this.octokit.rest.issues.create({
+        ...this.requestOptions(),
         owner: process.env.GITHUB_OWNER || 'helton-godoy',
         repo: process.env.GITHUB_REPO || 'shantilly-cli',
         title: `[${this.role}] ${title}`,
@@ -150,10 +169,112 @@ class BasePersona {
   /**
    * @ai-context Abstract method for persona execution
    */
-  async execute() {
+  async execute(_contextOrIssue) {
     throw new Error('Execute method must be implemented by persona');
   }
 
+  /**
+   * @ai-context Normalise the execution contract (context or legacy issue number)
+   */
+  acceptContext(contextOrIssue) {
+    const context = PersonaExecutionContext.from(contextOrIssue);
+    context.throwIfAborted();
+    this.executionContext = context;
+    // The constructor ran before the issue was known: read this issue's handover
+    if (context.issueNumber) {
+      this.context = this.loadContext(context.issueNumber);
+    }
+    if (context.prompt) {
+      this.log(`Prompt from ${context.source || 'orchestrator'}: ${context.prompt}`);
+    }
+    if (context.feedback) {
+      this.log(`Reviewer feedback (${context.feedback.reviewer}): ${context.feedback.text || '-'}`);
+    }
+    if (context.contract) {
+      this.log(
+        `${context.contract.summary}: ${context.contract.gaps.map((gap) => gap.code).join(', ')}`
+      );
+    }
+    return context;
+  }
+
+  /**
+   * @ai-context Stop between steps once the orchestrator cancelled this execution (time budget, abort)
+   */
+  throwIfAborted() {
+    if (this.executionContext) this.executionContext.throwIfAborted();
+  }
+
+  /**
+   * @ai-context Octokit request options: the execution's signal cancels the HTTP call in flight
+   */
+  requestOptions(context = this.executionContext) {
+    return context ? { request: { signal: context.signal } } : {};
+  }
+
+  /**
+   * @ai-context Run a shell command that is killed with the execution
+   */
+  async execCommand(command) {
+    this.throwIfAborted();
+    const signal = this.executionContext && this.executionContext.signal;
+    return new Promise((resolve, reject) => {
+      const callback = (error, stdout) => (error ? reject(error) : resolve(stdout.trim()));
+      if (signal) exec(command, { signal }, callback);
+      else exec(command, callback);
+    });
+  }
+
+  /**
+   * @ai-context Report one model call (model, inputTokens, outputTokens, latencyMs, costUsd) to the
+   * run's meter; throws BUDGET_EXCEEDED when the call overruns a token or cost budget
+   */
+  recordModelCall(call, context = this.executionContext) {
+    if (!context || !context.meter) return null;
+    return context.meter.record(call);
+  }
+
+  /**
+   * @ai-context Output of a prompt template from the configured LLM provider, metered to the run;
+   * without BMAD_LLM_PROVIDER the built-in template (`fallback()`) is the output
+   */
+  async generateOutput(template, variables, fallback, context = this.executionContext) {
+    if (this.llmProvider === undefined) this.llmProvider = LLMProvider.create();
+    if (!this.llmProvider) return fallback();
+    this.log(`Generating ${template} with the ${this.llmProvider.name} provider`);
+    const result = await this.llmProvider.generate({
+      template,
+      variables,
+      signal: context ? context.signal : null,
+      meter: { record: (call) => this.recordModelCall(call, context) },
+    });
+    return result.output;
+  }
+
+  /**
+   * @ai-context Append the orchestrator prompt to a generated document so it travels with the artifact
+   */
+  withInstructions(document, context = this.executionContext) {
+    if (!context || !context.prompt) return document;
+    return `${document}\n## Orchestrator Instructions\n_Source: ${context.source || 'orchestrator'}_\n\n${context.prompt}\n`;
+  }
+
+  /**
+   * @ai-context Contract entry point: execute with a context and return a typed PersonaResult
+   */
+  async run(contextOrIssue) {
+    const context = PersonaExecutionContext.from(contextOrIssue);
+    const output = await this.execute(context);
+    return PersonaResult.create(this.buildResult(output, context), this.name);
+  }
+
+  /**
+   * @ai-context Describe artifacts and next steps; personas override with what they produce
+   */
+  buildResult(output, _context) {
+    return { status: 'completed', artifacts: [], nextSteps: [], output };
+  }
+
   /**
    * @ai-context Log persona activity
    */
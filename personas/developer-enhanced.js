@@ -66,8 +66,9 @@ class EnhancedDeveloper extends EnhancedBasePersona {
   /**
    * @ai-context Enhanced implementation with code quality checks
    */
-  async execute(implementationIssueNumber) {
+  async execute(contextOrIssue) {
     this.log('Starting enhanced implementation');
+    const { issueNumber: implementationIssueNumber } = this.acceptContext(contextOrIssue);
     this.validatePrerequisites();
 
     try {
@@ -110,8 +111,10 @@ class EnhancedDeveloper extends EnhancedBasePersona {
         ['implementation-complete', 'ready-for-testing']
       );
 
+      this.producedArtifacts = artifacts;
+
       // Update handover
-      this.updateHandover('QA', artifacts, 'Implementation completed');
+      this.updateHandover('QA', artifacts, 'Implementation completed', implementationIssueNumber);
 
       this.log('Enhanced implementation completed successfully');
       return this.getSummary();
@@ -121,6 +124,18 @@ class EnhancedDeveloper extends EnhancedBasePersona {
     }
   }
 
+  buildResult(output) {
+    return {
+      status: 'completed',
+      artifacts: (this.producedArtifacts || []).map((artifact) => ({
+        path: String(artifact),
+        type: 'SOURCE',
+      })),
+      nextSteps: [{ persona: 'qa', hint: 'Validate the implementation' }],
+      output,
+    };
+  }
+
   /**
    * @ai-context Parse implementation requirements from issue body
    */
@@ -422,7 +437,16 @@ require (
     const featureName = task.feature.toLowerCase().replace(/\s+/g, '-');
     const fileName = `src/${featureName}.js`;
 
-    const content = this.generateFeatureCode(task.feature);
+    const content = await this.generateOutput(
+      'developer.feature',
+      {
+        feature: task.feature,
+        file: fileName,
+        className: `${task.feature.replace(/\s+/g, '')}Feature`,
+        techStack: this.techStack,
+      },
+      () => this.generateFeatureCode(task.feature)
+    );
     fs.writeFileSync(fileName, content, 'utf-8');
 
     this.log(`Implemented feature: ${task.feature}`);
@@ -15,8 +15,9 @@ class Developer extends BasePersona {
   /**
    * @ai-context Implement features based on architecture design
    */
-  async execute(implementationIssueNumber) {
+  async execute(contextOrIssue) {
     this.log('Starting implementation');
+    const { issueNumber: implementationIssueNumber } = this.acceptContext(contextOrIssue);
 
     try {
       // Get implementation issue
@@ -49,7 +50,11 @@ class Developer extends BasePersona {
       await this.microCommit('Developer: Core implementation completed', [
         {
           path: 'src/app.js',
-          content: this.getAppJS(),
+          content: await this.generateOutput(
+            'developer.app-js',
+            { issue: issue.data },
+            () => this.getAppJS()
+          ),
         },
         {
           path: 'src/config/index.js',
@@ -88,6 +93,15 @@ class Developer extends BasePersona {
     }
   }
 
+  buildResult(output) {
+    return {
+      status: output.status === 'completed' ? 'completed' : 'failed',
+      artifacts: output.files.map((file) => ({ path: file, type: 'SOURCE' })),
+      nextSteps: [{ persona: 'qa', hint: 'Validate the implementation' }],
+      output,
+    };
+  }
+
   /**
    * @ai-context Implement core application structure
    */
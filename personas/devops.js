@@ -10,11 +10,13 @@ class DevOps extends BasePersona {
     super('DevOps Agent', 'DevOps', githubToken);
   }
 
-  async execute(deploymentIssueNumber) {
+  async execute(contextOrIssue) {
     this.log('Starting deployment preparation');
+    const { issueNumber: deploymentIssueNumber } = this.acceptContext(contextOrIssue);
 
     try {
       const issue = await this.octokit.rest.issues.get({
+        ...this.requestOptions(),
         owner: process.env.GITHUB_OWNER || 'helton-godoy',
         repo: process.env.GITHUB_REPO || 'shantilly-cli',
         issue_number: deploymentIssueNumber,
@@ -32,6 +34,7 @@ class DevOps extends BasePersona {
 
       // Monitoring setup
       const monitoringConfig = await this.setupMonitoring();
+      this.throwIfAborted();
 
       const deploymentReport = this.generateDeploymentReport(
         infrastructureSetup,
@@ -60,6 +63,18 @@ class DevOps extends BasePersona {
     }
   }
 
+  buildResult(output) {
+    return {
+      status: 'completed',
+      artifacts: [
+        { path: '.github/workflows/ci-cd.yml', type: 'PIPELINE' },
+        { path: 'docs/deployment/deployment-guide.md', type: 'DEPLOYMENT_GUIDE' },
+      ],
+      nextSteps: [{ persona: 'releasemanager', hint: 'Cut the release from the deployment guide' }],
+      output,
+    };
+  }
+
   async setupInfrastructure() {
     return {
       environment: 'Production ready',
@@ -13,8 +13,9 @@ class ProjectManager extends BasePersona {
   /**
    * @ai-context Analyze GitHub issue and create work plan
    */
-  async execute(issueNumber) {
+  async execute(contextOrIssue) {
     this.log('Starting issue analysis');
+    const { issueNumber } = this.acceptContext(contextOrIssue);
 
     try {
       const issueData = await this.getIssue(issueNumber);
@@ -26,7 +27,12 @@ class ProjectManager extends BasePersona {
       this.log(`Analyzing issue: ${issueData.title}`);
 
       // Create work plan
-      const workPlan = this.createWorkPlan(issueData);
+      const workPlan = this.withInstructions(
+        await this.generateOutput('pm.work-plan', { issue: issueData }, () =>
+          this.createWorkPlan(issueData)
+        )
+      );
+      this.throwIfAborted();
 
       // Update context
       this.updateActiveContext(
@@ -52,6 +58,15 @@ class ProjectManager extends BasePersona {
     }
   }
 
+  buildResult(output) {
+    return {
+      status: 'completed',
+      artifacts: [{ path: 'docs/planning/work-plan.md', type: 'WORK_PLAN' }],
+      nextSteps: [{ persona: 'architect', hint: 'Design the architecture from the work plan' }],
+      output,
+    };
+  }
+
   /**
    * @ai-context Create structured work plan from issue
    */
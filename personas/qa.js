@@ -3,30 +3,42 @@
  * @ai-invariant QA must validate all implementations before release
  * @ai-connection QA connects to developer implementation and provides quality validation
  */
+const fs = require('fs');
 const BasePersona = require('./base-persona');
-const { execSync } = require('child_process');
+const TraceabilityMatrix = require('../scripts/lib/traceability-matrix');
+const CoverageReport = require('../scripts/lib/coverage-report');
+const HookOrchestrator = require('../scripts/hooks/hook-orchestrator');
+const IssueClassifier = require('../scripts/lib/issue-classifier');
+const ArtifactContracts = require('../scripts/lib/artifact-contracts');
+
+const TEST_FILE_PATTERN = /[\w./-]+\.(?:test|spec)\.[cm]?[jt]sx?/g;
 
 class QA extends BasePersona {
   constructor(githubToken) {
     super('QA Agent', 'QA', githubToken);
   }
 
-  async execute(reviewIssueNumber) {
+  async execute(contextOrIssue) {
     this.log('Starting QA review');
+    const { issueNumber: reviewIssueNumber, phase } = this.acceptContext(contextOrIssue);
 
     try {
       const issue = await this.octokit.rest.issues.get({
+        ...this.requestOptions(),
         owner: process.env.GITHUB_OWNER || 'helton-godoy',
         repo: process.env.GITHUB_REPO || 'shantilly-cli',
         issue_number: reviewIssueNumber,
       });
 
+      if (phase === 'Reproduction') return await this.reproduce(issue.data);
+
       this.updateActiveContext(
         `Realizando QA review da issue #${reviewIssueNumber}`
       );
 
       // Run tests
       const testResults = await this.runTests();
+      this.throwIfAborted();
 
       // Security validation
       const securityResults = await this.securityValidation();
@@ -34,10 +46,15 @@ class QA extends BasePersona {
       // Performance validation
       const performanceResults = await this.performanceValidation();
 
+      // Requirements traceability (PRD -> SPEC -> code -> tests); a bug has no PRD to trace
+      const traceability = this.isBug(issue.data) ? null : this.traceabilityValidation(reviewIssueNumber);
+      this.throwIfAborted();
+
       const qaReport = this.generateQAReport(
         testResults,
         securityResults,
-        performanceResults
+        performanceResults,
+        traceability
       );
 
       await this.microCommit('QA: Review completed', [
@@ -45,8 +62,15 @@ class QA extends BasePersona {
           path: 'docs/testing/qa-report.md',
           content: qaReport,
         },
+        ...CoverageReport.files(testResults),
+        ...(traceability ? traceability.files : []),
       ]);
 
+      const blockers = this.gateFailures();
+      if (blockers.length > 0) {
+        this.log(`QA gate failed: ${blockers.join('; ')}`);
+        return qaReport;
+      }
       await this.createSecurityReviewIssue(issue.data, qaReport);
 
       this.log('QA review completed');
@@ -57,61 +81,237 @@ class QA extends BasePersona {
     }
   }
 
-  async runTests() {
-    this.log('Running test suite');
-    try {
-      execSync('npm test', { stdio: 'pipe' });
-      return { status: 'passed', coverage: '85%' };
-    } catch (error) {
-      return { status: 'failed', error: error.message };
+  buildResult(output) {
+    if (this.reproduction && this.reproduction.placeholder) {
+      const { testFile } = this.reproduction;
+      return {
+        status: 'blocked',
+        artifacts: [
+          { path: this.reproduction.path, type: 'REPRO' },
+          { path: testFile, type: 'TEST' },
+        ],
+        nextSteps: [{ persona: 'qa', hint: `Encode the bug report in ${testFile} and remove its placeholder tag` }],
+        summary: `${testFile} is a placeholder that does not reproduce the bug`,
+        error: `${testFile} is a placeholder: write the failing assertion from the bug report and remove ${ArtifactContracts.REPRO_PLACEHOLDER}`,
+        output,
+      };
     }
+    if (this.reproduction) {
+      return {
+        status: 'completed',
+        artifacts: [
+          { path: this.reproduction.path, type: 'REPRO' },
+          ...(this.reproduction.scaffolded ? [{ path: this.reproduction.testFile, type: 'TEST' }] : []),
+        ],
+        nextSteps: [{ persona: 'developer', hint: `Fix the bug so that ${this.reproduction.testFile} passes` }],
+        output,
+      };
+    }
+    const gate = this.traceability ? this.traceability.gate : null;
+    const testsFailed = Boolean(this.testResults && this.testResults.status !== 'passed');
+    const blockers = this.gateFailures();
+    const failed = blockers.length > 0;
+    const verdict = failed ? 'FAIL' : gate ? gate.verdict : null;
+    const summaries = [
+      this.testResults && CoverageReport.summarize(this.testResults),
+      gate && gate.summary,
+    ].filter(Boolean);
+    return {
+      status: failed ? 'blocked' : 'completed',
+      artifacts: [
+        { path: 'docs/testing/qa-report.md', type: 'QA_REPORT' },
+        ...(this.testResults
+          ? CoverageReport.files(this.testResults).map((file) => ({ path: file.path, type: 'COVERAGE' }))
+          : []),
+        ...(this.traceability
+          ? this.traceability.files.map((file) => ({ path: file.path, type: 'TRACEABILITY' }))
+          : []),
+      ],
+      nextSteps: failed
+        ? [
+            {
+              persona: 'developer',
+              hint: testsFailed
+                ? 'Fix the failing tests and raise coverage to the thresholds in the QA report'
+                : 'Cover the requirements listed in TRACEABILITY.md',
+            },
+          ]
+        : [{ persona: 'security', hint: 'Review the QA report for security risks' }],
+      ...(verdict && { verdict, summary: summaries.join('; ') }),
+      ...(failed && { error: blockers.join('; ') }),
+      output,
+    };
   }
 
-  async securityValidation() {
-    this.log('Running security validation');
-    return {
-      status: 'passed',
-      vulnerabilities: 0,
-      recommendations: ['Add rate limiting', 'Implement input sanitization'],
+  /**
+   * @ai-context Summaries of the checks that block the phase: failing tests or coverage below the
+   * thresholds, and uncovered requirements when the traceability gate fails
+   */
+  gateFailures() {
+    const failures = [];
+    if (this.testResults && this.testResults.status !== 'passed') {
+      failures.push(CoverageReport.summarize(this.testResults));
+    }
+    if (this.traceability && this.traceability.gate.verdict === 'FAIL') {
+      failures.push(this.traceability.gate.summary);
+    }
+    return failures;
+  }
+
+  isBug(issue) {
+    return new IssueClassifier().classify(issue).type === 'BUG';
+  }
+
+  /**
+   * @ai-context Document the failing test that reproduces a bug in docs/testing/REPRO-<issue>.md:
+   * an existing test the report names, or a reproduction test scaffolded under tests/repro
+   * @ai-invariant The orchestrator runs the test named under "## Failing Test" and only hands over
+   * to the Developer while it fails; a scaffold still tagged as placeholder blocks the phase
+   */
+  async reproduce(issue) {
+    this.log(`Reproducing bug #${issue.number}`);
+    this.updateActiveContext(`Reproduzindo o bug da issue #${issue.number}`);
+    const named = (issue.body || '').match(TEST_FILE_PATTERN) || [];
+    const existing = named.find((file) => fs.existsSync(file));
+    const testFile = existing || `tests/repro/issue-${issue.number}.test.js`;
+    const reproPath = ArtifactContracts.pathFor('REPRO', issue.number);
+    const files = [{ path: reproPath, content: this.generateReproduction(issue, testFile) }];
+    if (!existing) {
+      files.push({
+        path: testFile,
+        content: await this.generateOutput('qa.reproduction-test', { issue }, () =>
+          this.getReproductionTest(issue)
+        ),
+      });
+    }
+    this.reproduction = {
+      path: reproPath,
+      testFile,
+      scaffolded: !existing,
+      placeholder: !existing && files[1].content.includes(ArtifactContracts.REPRO_PLACEHOLDER),
     };
+
+    await this.microCommit(`QA: Bug #${issue.number} reproduced`, files);
+    this.log(
+      this.reproduction.placeholder
+        ? `Reproduction scaffolded in ${testFile}: it is a placeholder until the bug report is encoded in it`
+        : `Reproduction documented in ${reproPath} (failing test: ${testFile})`
+    );
+    return files[0].content;
+  }
+
+  generateReproduction(issue, testFile) {
+    return `# Reproduction — Issue #${issue.number}
+
+## Bug Report
+**${issue.title}**
+
+${issue.body || '_No description provided._'}
+
+## Failing Test
+\`${testFile}\`
+
+The test fails on the current code and must pass once the bug is fixed.
+
+## Developer Prompt
+Fix the bug reported in #${issue.number} (${issue.title}) so that \`${testFile}\` passes, without breaking other tests.
+
+---
+*Generated by QA Agent on ${new Date().toISOString()}*
+`;
+  }
+
+  /**
+   * @ai-context Built-in reproduction test: it fails until someone encodes the reported behaviour,
+   * so the bug can never be marked fixed by an empty test. Its placeholder tag keeps the Reproduction
+   * phase blocked, since failing by design proves nothing about the bug
+   */
+  getReproductionTest(issue) {
+    const name = JSON.stringify(`reproduces #${issue.number}: ${issue.title}`);
+    return `/**
+ * @ai-context Reproduction of issue #${issue.number}; replace the body with the steps of the bug report
+ * ${ArtifactContracts.REPRO_PLACEHOLDER} remove this tag once the test asserts the reported behaviour
+ */
+test(${name}, () => {
+  throw new Error(${JSON.stringify(`Bug #${issue.number} is not reproduced yet: ${issue.title}`)});
+});
+`;
+  }
+
+  /**
+   * @ai-context Trace the issue's PRD requirements and judge the gaps with BMAD_TRACEABILITY_GATE
+   */
+  traceabilityValidation(issueNumber) {
+    this.log('Building requirements traceability matrix');
+    const matrix = new TraceabilityMatrix({ issueNumber });
+    const report = matrix.collect();
+    const gate = TraceabilityMatrix.evaluate(report);
+    this.traceability = { report, gate, files: matrix.files(report) };
+    this.log(gate.summary);
+    return this.traceability;
+  }
+
+  /**
+   * @ai-context Run the project's test command with coverage and check it against the thresholds
+   * the pre-push hook uses (HookOrchestrator.getCoverageThreshold)
+   */
+  async runTests() {
+    this.log('Running test suite with coverage');
+    const coverage = new CoverageReport({ threshold: HookOrchestrator.readCoverageThreshold() });
+    const context = this.executionContext;
+    this.testResults = await coverage.run({ signal: context ? context.signal : null });
+    this.log(CoverageReport.summarize(this.testResults));
+    return this.testResults;
   }
 
+  /**
+   * @ai-context QA runs no security scan of its own: the Security persona owns that review
+   */
+  async securityValidation() {
+    return { status: 'skipped', note: 'Deferred to the Security review' };
+  }
+
+  /**
+   * @ai-context No benchmark is configured, so nothing is measured (rather than reporting made-up numbers)
+   */
   async performanceValidation() {
-    this.log('Running performance validation');
-    return {
-      status: 'passed',
-      responseTime: '120ms',
-      throughput: '1000 req/sec',
-    };
+    return { status: 'skipped', note: 'No performance benchmark configured' };
   }
 
-  generateQAReport(testResults, securityResults, performanceResults) {
+  generateQAReport(testResults, securityResults, performanceResults, traceability = null) {
     const hasSystemMap =
       this.context &&
       this.context.architectureSpec &&
       this.context.architectureSpec.trim().length > 0;
-    return `# QA Report
+    const traceabilitySection = traceability
+      ? `## Requirements Traceability
+- **Gate**: ${traceability.gate.verdict} (mode: ${traceability.gate.mode})
+- ${traceability.gate.summary}
+- See \`docs/testing/TRACEABILITY.md\`
 
-## Test Results
-- **Status**: ${testResults.status}
-- **Coverage**: ${testResults.coverage}
+`
+      : '';
+    const blockers = [
+      ...(testResults.status !== 'passed' ? ['❌ Blocked: failing tests or coverage below threshold'] : []),
+      ...(traceability && traceability.gate.verdict === 'FAIL'
+        ? ['❌ Blocked: requirements without coverage']
+        : []),
+    ];
+    return `# QA Report
 
+${CoverageReport.format(testResults)}
 ## Security Validation
-- **Status**: ${securityResults.status}
-- **Vulnerabilities**: ${securityResults.vulnerabilities}
-- **Recommendations**: ${securityResults.recommendations.join(', ')}
+- **Status**: ${securityResults.status}${securityResults.note ? ` (${securityResults.note})` : ''}
 
 ## Performance Validation
-- **Status**: ${performanceResults.status}
-- **Response Time**: ${performanceResults.responseTime}
-- **Throughput**: ${performanceResults.throughput}
+- **Status**: ${performanceResults.status}${performanceResults.note ? ` (${performanceResults.note})` : ''}
 
 ## Architecture Coverage
 - **System Map Available**: ${hasSystemMap ? 'Yes' : 'No'}
 ${hasSystemMap ? '- Referenced SYSTEM_MAP.md for understanding existing components and flows.' : '- No SYSTEM_MAP.md found; QA based only on tests and issue context.'}
 
-## Overall Assessment
-✅ Ready for security review
+${traceabilitySection}## Overall Assessment
+${blockers.length > 0 ? blockers.join('\n') : '✅ Ready for security review'}
 
 ---
 *Generated by QA Agent on ${new Date().toISOString()}*`;
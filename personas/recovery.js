@@ -1,9 +1,11 @@
 /**
  * @ai-context Recovery Persona - Self-healing and rollback automation
  * @ai-invariant Recovery must detect failures and execute safe rollbacks
- * @ai-connection Monitors CI/CD failures and reverts problematic commits
+ * @ai-connection Monitors CI/CD failures and rolls back through RollbackStrategies (simulated on a
+ * temporary worktree first), recording the decision in the recovery issue
  */
 const BasePersona = require('./base-persona-enhanced');
+const RollbackStrategies = require('../scripts/lib/rollback-strategies');
 
 class RecoveryPersona extends BasePersona {
   constructor(githubToken) {
@@ -13,8 +15,9 @@ class RecoveryPersona extends BasePersona {
   /**
    * @ai-context Execute recovery workflow
    */
-  async execute(issueNumber, errorContext = null) {
+  async execute(contextOrIssue, errorContext = null) {
     this.log('Starting recovery analysis');
+    const { issueNumber } = this.acceptContext(contextOrIssue);
     if (errorContext) {
       this.log(
         JSON.stringify({
@@ -31,64 +34,77 @@ class RecoveryPersona extends BasePersona {
     try {
       // 1. Check CI/CD status
       const ciStatus = await this.checkCIStatus();
-
       if (ciStatus.failed) {
         this.log(`CI Failed on commit: ${ciStatus.failedCommit}`);
+      }
 
-        // 2. Execute rollback
-        await this.rollbackFailedCommit(ciStatus.failedCommit);
-
-        // 3. Create recovery issue
-        await this.createRecoveryIssue(issueNumber, ciStatus);
-
-        // 4. Update context
-        this.updateActiveContext(
-          `Recovery executed for issue #${issueNumber}: Reverted ${ciStatus.failedCommit}`
-        );
-      } else {
+      // 2. Decide, simulate on a worktree and apply a rollback strategy
+      const recovery = await this.rollback(issueNumber, ciStatus, errorContext);
+      if (!recovery) {
         this.log('No failures detected, recovery not needed');
+        return { status: 'completed', ciStatus };
       }
 
-      return { status: 'completed', ciStatus };
+      // 3. Record the decision and outcome in the recovery issue
+      await this.createRecoveryIssue(issueNumber, ciStatus, recovery);
+
+      // 4. Update context
+      this.updateActiveContext(
+        `Recovery executed for issue #${issueNumber}: ${recovery.decision.strategy} → ${recovery.outcome.status}`
+      );
+
+      return { status: 'completed', ciStatus, recovery };
     } catch (error) {
       this.log(`Error in Recovery execution: ${error.message}`, 'ERROR');
       throw error;
     }
   }
 
+  buildResult(output) {
+    return { status: output.status, artifacts: [], nextSteps: [], output };
+  }
+
   /**
-   * @ai-context Check CI/CD status via GitHub API
+   * @ai-context Check CI/CD status via GitHub API: the run of failing commits from the latest one
+   * back to the last commit whose status is not a failure
    */
   async checkCIStatus() {
     try {
-      // Get latest commit
       const { data: commits } = await this.octokit.rest.repos.listCommits({
         owner: process.env.GITHUB_OWNER || 'helton-godoy',
         repo: process.env.GITHUB_REPO || 'bmad-github-native-full-cycle',
-        per_page: 5,
+        per_page: 10,
       });
 
       if (commits.length === 0) {
         return { failed: false };
       }
 
-      const latestCommit = commits[0];
-
-      // Check status of latest commit
-      const { data: statuses } =
-        await this.octokit.rest.repos.getCombinedStatusForRef({
+      const failedCommits = [];
+      let latestStatuses = null;
+      let lastGoodCommit = null;
+      for (const commit of commits) {
+        const { data: statuses } = await this.octokit.rest.repos.getCombinedStatusForRef({
           owner: process.env.GITHUB_OWNER || 'helton-godoy',
           repo: process.env.GITHUB_REPO || 'bmad-github-native-full-cycle',
-          ref: latestCommit.sha,
+          ref: commit.sha,
         });
+        if (latestStatuses === null) latestStatuses = statuses;
+        if (statuses.state !== 'failure' && statuses.state !== 'error') {
+          lastGoodCommit = statuses.state === 'success' ? commit.sha : null;
+          break;
+        }
+        failedCommits.push(commit.sha);
+      }
 
-      const failed = statuses.state === 'failure' || statuses.state === 'error';
-
+      const failed = failedCommits.length > 0;
       return {
         failed,
-        failedCommit: failed ? latestCommit.sha : null,
-        commitMessage: failed ? latestCommit.commit.message : null,
-        statuses: statuses.statuses,
+        failedCommit: failed ? failedCommits[0] : null,
+        failedCommits,
+        lastGoodCommit,
+        commitMessage: failed ? commits[0].commit.message : null,
+        statuses: latestStatuses.statuses,
       };
     } catch (error) {
       this.log(`Failed to check CI status: ${error.message}`, 'ERROR');
@@ -97,57 +113,77 @@ class RecoveryPersona extends BasePersona {
   }
 
   /**
-   * @ai-context Rollback failed commit
+   * @ai-context Pick and run a rollback strategy (BMAD_RECOVERY_STRATEGY forces one); null when
+   * neither CI nor the workflow failed
    */
-  async rollbackFailedCommit(commitSha) {
-    this.log(`Rolling back commit: ${commitSha.substring(0, 7)}`);
-
-    try {
-      // Create revert commit
-      await this.execCommand(`git revert ${commitSha} --no-edit`);
-
-      this.log(`✅ Rollback executed: reverted ${commitSha.substring(0, 7)}`);
-
-      // Commit the revert
-      await this.commit(
-        `Automatic rollback of failed commit ${commitSha.substring(0, 7)}`
-      );
-    } catch (error) {
-      this.log(`Failed to rollback commit: ${error.message}`, 'ERROR');
-      throw error;
-    }
+  async rollback(issueNumber, ciStatus, errorContext = null) {
+    this.throwIfAborted();
+    this.rollbackStrategies = this.rollbackStrategies || new RollbackStrategies();
+    const decision = this.rollbackStrategies.decide({ issueNumber, ci: ciStatus, errorContext });
+    if (!decision) return null;
+    this.log(`Recovery strategy: ${decision.strategy} (${decision.reason})`);
+
+    // Revert commits carry the persona's step id like every other persona commit
+    const message =
+      decision.commits.length > 0
+        ? this.commitHandler.formatCommitMessage(
+            this.role,
+            this.getNextStepId(),
+            RollbackStrategies.message(decision)
+          )
+        : undefined;
+    const record = await this.rollbackStrategies.recover(
+      { issueNumber, ci: ciStatus, errorContext },
+      { message, decision }
+    );
+    this.log(
+      `Recovery outcome: ${record.outcome.status}${record.fallback ? ` → ${record.fallback.strategy}` : ''}`,
+      record.outcome.status === 'applied' || record.outcome.status === 'fix-forward' ? 'INFO' : 'WARNING'
+    );
+    return record;
   }
 
   /**
-   * @ai-context Create recovery issue for manual review
+   * @ai-context Create recovery issue for manual review; its body is the recovery report with the
+   * decision, the worktree simulation and the outcome
    */
-  async createRecoveryIssue(originalIssue, ciStatus) {
-    const title = `[Recovery] CI Failure - Issue #${originalIssue}`;
-    const body = `## Recovery Action Executed
-
-**Original Issue**: #${originalIssue}
-**Failed Commit**: \`${ciStatus.failedCommit.substring(0, 7)}\`
+  async createRecoveryIssue(originalIssue, ciStatus, recovery) {
+    const { decision, outcome, fallback } = recovery;
+    const fixForward = decision.strategy === 'fix-forward' || Boolean(fallback);
+    const title = `[Recovery] ${ciStatus.failed ? 'CI Failure' : 'Workflow Failure'} - Issue #${originalIssue}`;
+    const failure = ciStatus.failed
+      ? `**Failed Commit**: \`${ciStatus.failedCommit.substring(0, 7)}\`
 **Commit Message**: ${ciStatus.commitMessage}
 
 ## CI Failure Details
 
-${ciStatus.statuses.map((s) => `- **${s.context}**: ${s.state} - ${s.description || 'No description'}`).join('\n')}
-
-## Actions Taken
+${ciStatus.statuses.map((s) => `- **${s.context}**: ${s.state} - ${s.description || 'No description'}`).join('\n')}`
+      : '**CI**: no failing commit';
+    const nextSteps = fixForward
+      ? `1. Review the failing changes listed above
+2. Fix forward on a new commit; nothing was rolled back automatically
+3. Re-open original issue #${originalIssue} once CI is green`
+      : `1. Review the ${decision.strategy === 'restore-handover' ? 'restored handover' : 'revert commit'}
+2. Identify the root cause of the failure
+3. Fix the issue and re-open original issue #${originalIssue}`;
+    const body = `## Recovery Action Executed
 
-✅ Automatic rollback executed via \`git revert\`
-✅ Recovery issue created for manual review
+**Original Issue**: #${originalIssue}
+${failure}
 
+${RollbackStrategies.format(recovery)}
 ## Next Steps
 
-1. Review the failed commit changes
-2. Identify the root cause of CI failure
-3. Fix the issue and re-open original issue #${originalIssue}
+${nextSteps}
 
 ---
 *Created by Recovery Persona*`;
 
-    await this.createIssue(title, body, ['recovery', 'bug', 'ci-failure']);
+    const labels = ['recovery', 'bug', ...(ciStatus.failed ? ['ci-failure'] : [])];
+    await this.createIssue(title, body, fixForward ? [...labels, 'fix-forward'] : labels);
+    if (outcome.status === 'failed' || outcome.status === 'simulation-failed') {
+      this.log(`Rollback not applied (${outcome.error}); fix-forward issue opened`, 'WARNING');
+    }
   }
 }
 
@@ -4,17 +4,21 @@
  * @ai-connection Release Manager connects to DevOps preparation and manages final release
  */
 const BasePersona = require('./base-persona');
+const ReleaseNotes = require('../scripts/lib/release-notes');
+const ReleaseVersioning = require('../scripts/lib/release-versioning');
 
 class ReleaseManager extends BasePersona {
   constructor(githubToken) {
     super('Release Manager Agent', 'Release Manager', githubToken);
   }
 
-  async execute(releaseIssueNumber) {
+  async execute(contextOrIssue) {
     this.log('Starting release management');
+    const { issueNumber: releaseIssueNumber } = this.acceptContext(contextOrIssue);
 
     try {
       const issue = await this.octokit.rest.issues.get({
+        ...this.requestOptions(),
         owner: process.env.GITHUB_OWNER || 'helton-godoy',
         repo: process.env.GITHUB_REPO || 'bmad-github-native-full-cycle',
         issue_number: releaseIssueNumber,
@@ -29,16 +33,23 @@ class ReleaseManager extends BasePersona {
 
       // Generate local changelog preview
       const changelogPreview = await this.generateChangelogPreview(versionInfo);
+      this.throwIfAborted();
 
       // Trigger Release via Tag (GitHub Actions will handle the rest)
-      await this.pushReleaseTag(versionInfo);
-
-      const releaseReport = this.generateReleaseReport(
-        versionInfo,
-        changelogPreview
-      );
-
-      await this.microCommit('Release Manager: Release tag pushed', [
+      this.releaseNotes = null;
+      if (versionInfo.new) {
+        this.releaseNotes = await this.generateReleaseNotes(versionInfo, [issue.data.number]);
+        this.throwIfAborted();
+        await this.pushReleaseTag(versionInfo, this.releaseNotes);
+        await this.publishRelease(versionInfo, this.releaseNotes);
+      } else {
+        this.log('No commits since the last tag; nothing to release');
+      }
+
+      const release = this.releaseInfo(versionInfo);
+      const releaseReport = this.generateReleaseReport(versionInfo, release, changelogPreview);
+
+      await this.microCommit(`Release Manager: ${versionInfo.new ? 'Release tag pushed' : 'No release'}`, [
         {
           path: 'docs/release/release-report.md',
           content: releaseReport,
@@ -46,7 +57,7 @@ class ReleaseManager extends BasePersona {
       ]);
 
       // Close the workflow
-      await this.closeWorkflow(issue.data, versionInfo);
+      await this.closeWorkflow(issue.data, release);
 
       this.log('Release management completed');
       return releaseReport;
@@ -56,68 +67,145 @@ class ReleaseManager extends BasePersona {
     }
   }
 
+  buildResult(output) {
+    return {
+      status: 'completed',
+      artifacts: [
+        { path: 'docs/release/release-report.md', type: 'RELEASE_REPORT' },
+        ...(this.releaseNotes
+          ? [
+              { path: 'docs/release/release-notes.md', type: 'RELEASE_NOTES' },
+              { path: 'docs/release/release-notes.json', type: 'RELEASE_NOTES' },
+            ]
+          : []),
+      ],
+      nextSteps: [],
+      output,
+    };
+  }
+
+  /**
+   * @ai-context Next version from the commits since the last tag (BMAD_RELEASE_CHANNEL for prereleases)
+   */
   async manageVersion() {
-    const packageJson = require('../package.json');
-    const currentVersion = packageJson.version;
-    const newVersion = this.incrementVersion(currentVersion);
+    this.versioning = this.versioning || new ReleaseVersioning();
+    const plan = this.versioning.plan();
+    this.log(
+      `Version ${plan.current} → ${plan.next || 'unchanged'} (${plan.bump || 'no commits'} since ${plan.lastTag || 'first commit'})`
+    );
 
     return {
-      current: currentVersion,
-      new: newVersion,
-      type: 'patch',
+      current: plan.current,
+      new: plan.next,
+      type: plan.bump,
+      channel: plan.channel,
+      lastTag: plan.lastTag,
+      tag: plan.tag,
+      commits: plan.changes.length,
+      plan,
     };
   }
 
-  incrementVersion(version) {
-    const parts = version.split('.');
-    parts[2] = (parseInt(parts[2]) + 1).toString();
-    return parts.join('.');
+  incrementVersion(version, bump = 'patch', channel = null) {
+    return ReleaseVersioning.increment(version, bump, channel);
   }
 
   /**
-   * @ai-context Generate changelog preview using git log
+   * @ai-context CHANGELOG.md section for the commits since the last tag, grouped by change type
    */
   async generateChangelogPreview(versionInfo) {
-    try {
-      // Get commits since last tag or last 10 commits if no tag
-      const commits = await this.execCommand(
-        'git log -n 10 --pretty=format:"- %s"'
-      );
-      return `# Changelog Preview (v${versionInfo.new})\n\n${commits}`;
-    } catch (error) {
-      return `# Changelog Preview\n\nCould not generate preview: ${error.message}`;
-    }
+    if (!versionInfo.new) return `_No commits since ${versionInfo.lastTag || 'the first commit'}._\n`;
+    return ReleaseVersioning.changelogSection(versionInfo.plan);
+  }
+
+  /**
+   * @ai-context Issues, personas, per-issue reports and contributors of the release
+   */
+  async generateReleaseNotes(versionInfo, closing = []) {
+    this.notesBuilder = this.notesBuilder || new ReleaseNotes({ octokit: this.octokit });
+    const notes = await this.notesBuilder.build(versionInfo.plan, { closing });
+    this.log(
+      `Release notes: ${notes.stats.issues} issue(s), ${notes.stats.personas} persona(s), ${notes.stats.contributors} contributor(s)`
+    );
+    return notes;
   }
 
   /**
-   * @ai-context Push git tag to trigger release workflow
+   * @ai-context GitHub release with the notes as body (the local adapter stores it offline). The tag
+   * is already pushed and release.yml publishes the same notes, so a failure here only warns.
    */
-  async pushReleaseTag(versionInfo) {
-    const tagName = `v${versionInfo.new}`;
+  async publishRelease(versionInfo, notes) {
     try {
-      await this.execCommand(`git tag ${tagName}`);
-      await this.execCommand(`git push origin ${tagName}`);
-      this.log(`Pushed tag ${tagName} to trigger release workflow`);
-      return tagName;
+      await this.octokit.rest.repos.createRelease({
+        ...this.requestOptions(),
+        owner: process.env.GITHUB_OWNER || 'helton-godoy',
+        repo: process.env.GITHUB_REPO || 'bmad-github-native-full-cycle',
+        tag_name: versionInfo.tag,
+        name: versionInfo.tag,
+        body: ReleaseNotes.format(notes),
+        prerelease: notes.prerelease,
+      });
+      this.log(`Published release ${versionInfo.tag}`);
     } catch (error) {
-      console.error('Error pushing tag:', error.message);
-      throw error;
+      this.log(
+        error.status === 422
+          ? `Release ${versionInfo.tag} already exists; keeping it`
+          : `Could not publish release ${versionInfo.tag}: ${error.message}`
+      );
     }
   }
 
-  generateReleaseReport(versionInfo, release) {
+  /**
+   * @ai-context Write CHANGELOG.md, package.json and the release notes, commit and tag the release,
+   * push to trigger the release workflow
+   */
+  async pushReleaseTag(versionInfo, notes = null) {
+    const files = notes ? this.notesBuilder.files(notes) : [];
+    const release = this.versioning.release(versionInfo.plan, { files });
+    this.log(`Pushed tag ${release.tag} to trigger release workflow`);
+    return release.tag;
+  }
+
+  /**
+   * @ai-context Tag and release page of this run, in the shape of a GitHub release object
+   */
+  releaseInfo(versionInfo) {
+    if (!versionInfo.tag) return { name: 'No release', tag_name: 'none', html_url: 'n/a' };
+    const owner = process.env.GITHUB_OWNER || 'helton-godoy';
+    const repo = process.env.GITHUB_REPO || 'bmad-github-native-full-cycle';
+    return {
+      name: versionInfo.tag,
+      tag_name: versionInfo.tag,
+      html_url: `https://github.com/${owner}/${repo}/releases/tag/${versionInfo.tag}`,
+    };
+  }
+
+  generateReleaseReport(versionInfo, release, changelog = '') {
     return `# Release Report
 
 ## Version Information
 - **Previous**: ${versionInfo.current}
-- **Current**: ${versionInfo.new}
-- **Type**: ${versionInfo.type}
+- **Current**: ${versionInfo.new || versionInfo.current}
+- **Type**: ${versionInfo.type || 'none'}${versionInfo.channel ? ` (${versionInfo.channel})` : ''}
+- **Commits since ${versionInfo.lastTag || 'first commit'}**: ${versionInfo.commits}
 
 ## GitHub Release
 - **Tag**: ${release.tag_name}
 - **Name**: ${release.name}
 - **URL**: ${release.html_url}
 
+## Changelog
+${changelog}${
+      this.releaseNotes
+        ? `
+## Release Notes
+- **Issues closed**: ${this.releaseNotes.stats.issues}
+- **Personas**: ${this.releaseNotes.personas.map((entry) => entry.persona).join(', ') || 'none'}
+- **Contributors**: ${this.releaseNotes.stats.contributors}
+- **Notes**: docs/release/release-notes.md
+`
+        : ''
+    }
 ## Workflow Summary
 ✅ BMAD workflow completed successfully
 ✅ All personas executed
@@ -128,7 +216,6 @@ class ReleaseManager extends BasePersona {
 ## Metrics
 - **Total time**: ~24 hours
 - **Issues processed**: 1
-- **Commits created**: 7
 - **Tests passed**: 100%
 
 ## Next Steps
@@ -169,6 +256,7 @@ The BMAD autonomous workflow has been successfully completed! 🚀
 *Workflow completed by Release Manager Agent*`;
 
     await this.octokit.rest.issues.createComment({
+      ...this.requestOptions(),
       owner: process.env.GITHUB_OWNER || 'helton-godoy',
       repo: process.env.GITHUB_REPO || 'shantilly-cli',
       issue_number: originalIssue.number,
@@ -177,6 +265,7 @@ The BMAD autonomous workflow has been successfully completed! 🚀
 
     // Close the original issue
     await this.octokit.rest.issues.update({
+      ...this.requestOptions(),
       owner: process.env.GITHUB_OWNER || 'helton-godoy',
       repo: process.env.GITHUB_REPO || 'shantilly-cli',
       issue_number: originalIssue.number,
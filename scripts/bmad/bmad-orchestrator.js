@@ -2,27 +2,48 @@
 /**
  * @ai-context BMAD Context-Driven Orchestrator
  * @ai-invariant State determines Action, Content drives Context
- * @ai-connection Reads BMAD_HANDOVER.md and activeContext.md to decide next steps
+ * @ai-connection Reads the BMAD_HANDOVER.md state block and activeContext.md to decide next steps
  */
 require('dotenv').config();
 const fs = require('fs');
-const { Octokit } = require('@octokit/rest');
+const os = require('os');
+const path = require('path');
+const { exec } = require('child_process');
 const ContextManager = require('../lib/context-manager');
 const LoopDetector = require('../lib/loop-detector');
 const StateCacheManager = require('../lib/state-cache-manager');
 const ErrorRecoveryManager = require('../lib/error-recovery-manager');
 const EnhancedGatekeeper = require('../lib/enhanced-gatekeeper');
+const WorkflowDefinitions = require('../lib/workflow-definitions');
+const IssueClassifier = require('../lib/issue-classifier');
+const HandoverState = require('../lib/handover-state');
+const PersonaRegistry = require('../lib/persona-registry');
+const ApprovalGate = require('../lib/approval-gate');
+const GitHubAdapter = require('../lib/github-adapter');
+const RunJournal = require('../lib/run-journal');
+const WorkflowBudget = require('../lib/workflow-budget');
+const EventBus = require('../lib/event-bus');
+const ParallelJoin = require('../lib/parallel-join');
+const ArtifactContracts = require('../lib/artifact-contracts');
+const CostMeter = require('../lib/cost-meter');
+const { NonRetryableError } = require('../lib/bmad-error');
+const { PersonaExecutionContext, PersonaResult } = require('../lib/persona-execution-context');
 
-const HANDOVER_FILE = '.github/BMAD_HANDOVER.md';
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_PLAN_STEPS = 25;
+const { ARTIFACT_PATHS } = ArtifactContracts;
+// The orchestrator itself "executes" join states by merging branch verdicts
+const JOIN_PERSONA = 'orchestrator';
+const TEST_FILE_PATTERN = /[\w./-]+\.(?:test|spec)\.[cm]?[jt]sx?/;
+// Reproduction run of a REPRO guard; `{test}` is replaced by the test file (appended when absent)
+const DEFAULT_REPRO_TEST_COMMAND = 'npx jest --ci --runTestsByPath {test}';
+const REPRO_TEST_TIMEOUT_MS = 5 * 60 * 1000;
 
 class BMADOrchestrator {
   constructor(eventEmitter = null, options = {}) {
     this.githubToken = process.env.GITHUB_TOKEN;
-    if (!this.githubToken) {
-      console.error('❌ GITHUB_TOKEN environment variable required');
-      process.exit(1);
-    }
-    this.octokit = new Octokit({ auth: this.githubToken });
+    // Without a token the run goes through the local filesystem adapter instead of exiting
+    this.octokit = options.github || GitHubAdapter.create({ token: this.githubToken });
     this.eventEmitter = eventEmitter;
     this.contextManager = new ContextManager();
     this.loopDetector = options.loopDetector || new LoopDetector(options.loopOptions);
@@ -32,43 +53,100 @@ class BMADOrchestrator {
       options.errorRecoveryManager ||
       new ErrorRecoveryManager({ stateCache: this.stateCacheManager });
     this.gatekeeper = options.gatekeeper || new EnhancedGatekeeper(options.gatekeeperOptions);
+    // Fail fast: invalid definitions must be rejected before any persona runs.
+    this.workflowDefinitions =
+      options.workflowDefinitions ||
+      WorkflowDefinitions.load({
+        file: options.workflowFile,
+        artifactTypes: Object.keys(ARTIFACT_PATHS),
+      });
+    this.personaRegistry =
+      options.personaRegistry ||
+      PersonaRegistry.load({
+        file: options.personaFile,
+        artifactTypes: Object.keys(ARTIFACT_PATHS),
+      });
+    // Append-only step journal; only per-issue orchestrators keep one
+    this.runJournal = options.runJournal || null;
+    // Model call ledger; created per issue on first use unless a runner passes one
+    this.costMeter = options.costMeter || null;
+    this.issueClassifier =
+      options.issueClassifier || new IssueClassifier({ configFile: options.classifierFile });
+    this.artifactContracts =
+      options.artifactContracts || new ArtifactContracts({ configFile: options.contractsFile });
+    this.approvalGate =
+      options.approvalGate ||
+      new ApprovalGate({ stateCacheManager: this.stateCacheManager, octokit: this.octokit });
+    this.handoverFile = options.handoverFile || null;
   }
 
   /**
-   * @ai-context Main execution entry point
+   * @ai-context Orchestrator whose handover, loop history and workflow state belong to one issue
    */
+  static forIssue(issueNumber, eventEmitter = null, options = {}) {
+    const workflowId = options.workflowId || `issue-${issueNumber}`;
+    const stateDir = options.stateDir || process.env.BMAD_STATE_DIR || '.github';
+    return new BMADOrchestrator(eventEmitter || EventBus.fromEnv({ stateDir, dryRun: options.dryRun }), {
+      ...options,
+      loopDetector:
+        options.loopDetector ||
+        new LoopDetector({
+          ...options.loopOptions,
+          workflowId,
+          historyFile: path.join(stateDir, `transition-history-${issueNumber}.json`),
+        }),
+      stateCacheManager:
+        options.stateCacheManager ||
+        StateCacheManager.forIssue(issueNumber, stateDir, options.stateOptions),
+      runJournal: options.runJournal || RunJournal.forIssue(issueNumber, stateDir),
+      costMeter: options.costMeter || CostMeter.forIssue(issueNumber, { stateDir }),
+    });
+  }
+
   /**
-   * @ai-context Main execution entry point
+   * @ai-context Main execution entry point; `dryRun` returns a plan instead of executing
    */
-  async orchestrate(issueNumber) {
+  async orchestrate(issueNumber, options = {}) {
+    if (options.dryRun) return this.planWorkflow(issueNumber, options);
+
     console.log('🚀 BMAD Orchestrator Starting...');
 
     // 0. Smart State Management
     this.handleStateReset(issueNumber);
 
     // 1. Read State
-    const state = this.loadHandoverState();
+    const state = this.loadHandoverState(issueNumber);
     console.log(
       `📊 Current State: Phase=${state.phase}, Persona=${state.persona}`
     );
 
-    if (this.eventEmitter) {
-      this.eventEmitter.emit('state-loaded', state);
-    }
+    this.emitEvent('state-loaded', { ...state, content: undefined }, issueNumber);
 
     // 1.5 Fetch Issue Details for Smart Context
     const issue = await this.getIssueDetails(issueNumber);
-    const issueType = this.detectIssueType(issue);
-    console.log(`🧠 Tipo de Issue Detectado: ${issueType}`);
+    const classification = this.classifyIssue(issue);
+    const issueType = classification.type;
+    console.log(
+      `🧠 Tipo de Issue Detectado: ${issueType} (${classification.reason}, confiança ${classification.confidence})`
+    );
 
-    // 2. Determine Next Action
-    const action = await this.determineNextAction(state, issue, issueType);
+    this.emitEvent(
+      'issue-classified',
+      {
+        issueNumber,
+        type: issueType,
+        confidence: classification.confidence,
+        reason: classification.reason,
+      },
+      issueNumber
+    );
+
+    // 2. Determine Next Action (a resumed run continues with the suspended action)
+    let action = options.resumeAction || (await this.determineNextAction(state, issue, issueType));
 
     if (!action) {
       console.log('✅ Nenhuma ação pendente detectada.');
-      if (this.eventEmitter) {
-        this.eventEmitter.emit('workflow-idle');
-      }
+      this.emitEvent('workflow-idle', { issueNumber }, issueNumber);
       return false;
     }
 
@@ -76,41 +154,108 @@ class BMADOrchestrator {
       `🎯 Next Action: Execute ${action.persona} with prompt from ${action.source}`
     );
 
-    if (this.eventEmitter) {
-      this.eventEmitter.emit('action-determined', action);
+    this.emitEvent('action-determined', action, issueNumber);
+
+    const step = {
+      input: {
+        phase: state.phase,
+        persona: state.persona,
+        issueType,
+        // Snapshot of the handover block (not the rendered markdown) for replay
+        handover: JSON.parse(JSON.stringify({ ...state, content: undefined })),
+      },
+      gates: {},
+    };
+
+    // 2.5 Human approval checkpoint between phases
+    let approval = null;
+    const checkpoint = this.getApprovalCheckpoint(state, action);
+    if (checkpoint) {
+      const outcome = await this.getApprovalGate().evaluate(checkpoint, {
+        issueNumber,
+        issue,
+        state,
+        action,
+        workflowId: `issue-${issueNumber}`,
+      });
+      approval = outcome.approval;
+      if (outcome.status === 'pending') {
+        console.log(`⏸️ Aguardando aprovação humana (${checkpoint.id})`);
+        this.emitEvent('approval-pending', { issueNumber, checkpoint, approval }, issueNumber);
+        this.journalStep(issueNumber, step, action, 'awaiting-approval');
+        return false;
+      }
+      this.emitEvent(
+        'approval-resolved',
+        { issueNumber, checkpoint, status: outcome.status, decision: approval.decision },
+        issueNumber
+      );
+      if (outcome.status === 'rejected') {
+        action = this.buildRejectionAction(state, action, approval, issueNumber);
+        if (!action) return false;
+        console.log(`↩️ Reprovado em ${checkpoint.id}: retornando para ${action.persona}`);
+      }
+      step.gates.approval = { checkpoint: checkpoint.id, status: outcome.status };
     }
 
-    const transition = await this.validateTransition(state, action, issueNumber);
+    let transition = await this.validateTransition(state, action, issueNumber);
+    // A reproduction test that contradicts its guard goes back through the transition's retry
+    const reproductionRetry =
+      !transition.allowed && transition.run
+        ? this.buildReproductionRetryAction(state, action, transition)
+        : null;
+    if (reproductionRetry) {
+      step.gates.reproduction = transition;
+      action = reproductionRetry;
+      this.emitEvent('action-determined', action, issueNumber);
+      transition = await this.validateTransition(state, action, issueNumber);
+    }
+    step.gates.transition = transition;
+    this.emitGate('transition', transition.allowed, issueNumber, action, {
+      reason: transition.error,
+      category: transition.category,
+    });
     if (!transition.allowed) {
-      await this.errorRecoveryManager.escalateToRecovery(
-        new Error(transition.error),
-        {
-          persona: state.persona,
-          operation: 'persona-transition',
-          stepId: action.nextPhase,
-          workflowId: `issue-${issueNumber}`,
-          context: { state, action, transition },
-          category: transition.category,
-        }
-      );
+      if (transition.category === 'TRANSITION_LOOP') {
+        this.emitEvent(
+          'loop-blocked',
+          { issueNumber, from: state.persona || 'UNKNOWN', to: action.persona, phase: action.nextPhase },
+          issueNumber
+        );
+      }
+      this.journalStep(issueNumber, step, action, 'blocked', { error: transition.error });
+      await this.escalate(issueNumber, new Error(transition.error), {
+        persona: state.persona,
+        operation: 'persona-transition',
+        stepId: action.nextPhase,
+        workflowId: `issue-${issueNumber}`,
+        context: { state, action, transition },
+        category: transition.category,
+      });
       return false;
     }
     const gate = await this.gatekeeper.validatePhaseBoundary(action.nextPhase, {
       issueNumber,
       action,
     });
-    if (gate.gate === 'FAIL' || gate.status === 'FAILED') {
-      await this.errorRecoveryManager.escalateToRecovery(
-        new Error(`Gatekeeper blocked phase ${action.nextPhase}`),
-        {
-          persona: state.persona,
-          operation: 'phase-gate',
-          stepId: action.nextPhase,
-          workflowId: `issue-${issueNumber}`,
-          context: { gate, state, action },
-          category: 'GATEKEEPER_FAILURE',
-        }
-      );
+    step.gates.gatekeeper = gate;
+    const gateFailed = gate.gate === 'FAIL' || gate.status === 'FAILED';
+    this.emitGate('gatekeeper', !gateFailed, issueNumber, action, {
+      reason: `Gatekeeper blocked phase ${action.nextPhase}`,
+      category: 'GATEKEEPER_FAILURE',
+    });
+    if (gateFailed) {
+      this.journalStep(issueNumber, step, action, 'blocked', {
+        error: `Gatekeeper blocked phase ${action.nextPhase}`,
+      });
+      await this.escalate(issueNumber, new Error(`Gatekeeper blocked phase ${action.nextPhase}`), {
+        persona: state.persona,
+        operation: 'phase-gate',
+        stepId: action.nextPhase,
+        workflowId: `issue-${issueNumber}`,
+        context: { gate, state, action },
+        category: 'GATEKEEPER_FAILURE',
+      });
       return false;
     }
 
@@ -118,23 +263,33 @@ class BMADOrchestrator {
     await this.stateCacheManager.persistState(
       action.persona.toUpperCase(),
       action.nextPhase,
-      { issueNumber, source: action.source, previousPersona: state.persona },
+      {
+        issueNumber,
+        source: action.source,
+        previousPersona: state.persona,
+        ...(approval && { approval }),
+        // A fan-out keeps several personas active until its join
+        ...(action.parallel && { activePersonas: action.parallel.map((branch) => branch.persona.toUpperCase()) }),
+      },
       { workflowId: `issue-${issueNumber}`, status: 'running' }
     );
 
+    const budget = options.budget || this.getWorkflowBudget();
+    budget.configure(action.workflow ? this.getWorkflowDefinitions().get(action.workflow) : null);
+
+    let result = null;
     try {
-      const execute = () => this.executePersona(action, issueNumber);
-      try {
-        await execute();
-      } catch (initialError) {
-        const retryable =
-          initialError.retryable === true ||
-          initialError.name === 'RetryableError' ||
-          initialError.isRetryable === true;
-        if (!retryable) throw initialError;
-        await this.errorRecoveryManager.retryOperation(execute, 2);
-      }
-      this.updateHandoverState(action, issueNumber);
+      const runtime = {
+        issue,
+        state,
+        budget,
+        meter: options.meter || this.getCostMeter(issueNumber),
+        signal: options.signal,
+      };
+      result = action.parallel
+        ? await this.runParallel(action, issueNumber, runtime)
+        : await this.runPersona(action, issueNumber, runtime);
+      this.updateHandoverState(action, issueNumber, classification, result);
       this.loopDetector.recordTransition(
         state.persona || 'UNKNOWN',
         action.persona,
@@ -142,268 +297,883 @@ class BMADOrchestrator {
         'executed'
       );
     } catch (error) {
-      await this.errorRecoveryManager.escalateToRecovery(error, {
-        persona: action.persona,
+      this.journalStep(issueNumber, step, action, 'failed', { error: error.message });
+      await this.escalate(issueNumber, error, {
+        persona: (error.branch || action).persona,
         operation: 'executePersona',
         stepId: action.nextPhase,
         workflowId: `issue-${issueNumber}`,
-        context: { issueNumber, action },
+        context: {
+          issueNumber,
+          action,
+          ...(error.budget && { budget: error.budget }),
+          ...(error.failedBranches && { failedBranches: error.failedBranches }),
+          ...(error.join && { join: error.join }),
+        },
         retryCount: 2,
         category: error.category || error.name,
       });
       error.recoveryHandled = true;
       throw error;
     }
+    this.journalStep(issueNumber, step, action, 'completed', result || {});
 
-    if (this.eventEmitter) {
-      this.eventEmitter.emit('phase-completed', {
-        persona: action.persona,
-        nextPhase: action.nextPhase,
-      });
-    }
+    this.emitEvent(
+      'phase-completed',
+      { issueNumber, persona: action.persona, nextPhase: action.nextPhase, result },
+      issueNumber
+    );
 
     return true;
   }
 
   /**
-   * @ai-context Parse BMAD_HANDOVER.md to get current state
+   * @ai-context Run one persona under its phase budget, retrying retryable failures within the phase retry budget
    */
+  async runPersona(action, issueNumber, runtime) {
+    const { issue, state, budget } = runtime;
+    let result = null;
+    const { maxRetries } = budget.beginPhase(action.nextPhase);
+    // Every model call the persona reports is charged to the budget as it happens
+    const meter = runtime.meter.scope({ issueNumber, persona: action.persona, phase: action.nextPhase }, (entry) =>
+      budget.chargeUsage(action.nextPhase, entry)
+    );
+    const attempt = { count: 0, lastError: null };
+    const lifecycle = (extra) => ({ issueNumber, persona: action.persona, phase: action.nextPhase, ...extra });
+    // Each attempt runs under the phase time budget; overrun aborts the persona's signal
+    const execute = async () => {
+      attempt.count += 1;
+      if (attempt.lastError) {
+        this.emitEvent(
+          'persona-retried',
+          lifecycle({ attempt: attempt.count, error: attempt.lastError.message }),
+          issueNumber
+        );
+      }
+      this.emitEvent('persona-started', lifecycle({ attempt: attempt.count }), issueNumber);
+      const startedAt = Date.now();
+      try {
+        result = await budget.run(
+          action.nextPhase,
+          (signal) =>
+            this.executePersona(action, issueNumber, {
+              issue,
+              previousOutput: state.lastResult || null,
+              meter,
+              signal,
+              commitLock: runtime.commitLock,
+            }),
+          runtime.signal
+        );
+      } catch (error) {
+        attempt.lastError = error;
+        this.emitEvent(
+          'persona-finished',
+          lifecycle({ attempt: attempt.count, status: 'failed', durationMs: Date.now() - startedAt, error: error.message }),
+          issueNumber
+        );
+        throw error;
+      }
+      this.emitEvent(
+        'persona-finished',
+        lifecycle({
+          attempt: attempt.count,
+          status: 'completed',
+          durationMs: Date.now() - startedAt,
+          artifacts: (result && result.artifacts) || [],
+        }),
+        issueNumber
+      );
+      return result;
+    };
+    try {
+      await execute();
+    } catch (initialError) {
+      const retryable =
+        initialError.retryable === true ||
+        initialError.name === 'RetryableError' ||
+        initialError.isRetryable === true;
+      if (!retryable) throw initialError;
+      try {
+        if (maxRetries === 0) throw initialError;
+        await this.errorRecoveryManager.retryOperation(execute, maxRetries);
+      } catch (lastError) {
+        if (lastError.category === 'BUDGET_EXCEEDED') throw lastError;
+        throw WorkflowBudget.exceeded(
+          { scope: 'phase', phase: action.nextPhase, kind: 'maxRetries', limit: maxRetries, used: maxRetries },
+          lastError
+        );
+      }
+    }
+    // A persona that swallowed the overrun still does not complete the phase
+    const overrun = budget.checkUsage(action.nextPhase);
+    if (overrun) throw WorkflowBudget.exceeded(overrun);
+    return result;
+  }
+
   /**
-   * @ai-context Parse BMAD_HANDOVER.md to get current state
+   * @ai-context Run the branches of a `parallel` transition at once, then join their verdicts
+   * @ai-invariant Each branch verdict is written to the handover when it finishes; a re-run only runs missing branches
+   * @ai-invariant Branch failures are reported in declaration order, whichever failed first
    */
-  loadHandoverState() {
-    const content = this.contextManager.read(HANDOVER_FILE);
+  async runParallel(action, issueNumber, runtime) {
+    const recorded = runtime.state.branches || {};
+    const pending = action.parallel.filter((branch) => !recorded[branch.nextPhase]);
+    if (pending.length < action.parallel.length) {
+      console.log(
+        `⏭️ Ramos já concluídos: ${action.parallel
+          .filter((branch) => recorded[branch.nextPhase])
+          .map((branch) => branch.nextPhase)
+          .join(', ')}`
+      );
+    }
+    console.log(`🔀 Executando em paralelo: ${pending.map((branch) => branch.persona).join(' + ')}`);
 
-    if (!content) {
-      // Return default initial state instead of throwing
-      return {
-        persona: 'UNKNOWN',
-        phase: 'UNKNOWN',
-        retryCount: 0,
-        content: '',
+    // Branches run at once but commit to the same branch head, so their commits take turns
+    const branchRuntime = { ...runtime, commitLock: ParallelJoin.serial() };
+    const settled = await Promise.allSettled(
+      pending.map(async (branch) => {
+        const result = await this.runPersona(branch, issueNumber, branchRuntime);
+        this.recordBranch(issueNumber, branch, result);
+        this.loopDetector.recordTransition(
+          runtime.state.persona || 'UNKNOWN',
+          branch.persona,
+          new Date().toISOString(),
+          'executed'
+        );
+        return result;
+      })
+    );
+    const failures = pending
+      .map((branch, index) => ({ branch, outcome: settled[index] }))
+      .filter(({ outcome }) => outcome.status === 'rejected');
+    if (failures.length > 0) {
+      const error = failures[0].outcome.reason;
+      error.branch = failures[0].branch;
+      error.failedBranches = failures.map(({ branch, outcome }) => ({
+        phase: branch.nextPhase,
+        persona: branch.persona,
+        error: outcome.reason.message,
+      }));
+      throw error;
+    }
+
+    const branches = this.loadHandoverState(issueNumber).branches || {};
+    const joined = ParallelJoin.merge(
+      action.nextPhase,
+      action.parallel.map((branch) => ({
+        phase: branch.nextPhase,
+        persona: branch.persona,
+        result: branches[branch.nextPhase],
+      }))
+    );
+    console.log(`🔗 ${joined.summary}`);
+    this.emitEvent(
+      'branches-joined',
+      { issueNumber, phase: action.nextPhase, verdict: joined.verdict, verdicts: joined.verdicts },
+      issueNumber
+    );
+    if (joined.verdict === 'FAIL') {
+      // Reviews run again once the findings are addressed
+      this.recordBranch(issueNumber, null);
+      throw ParallelJoin.failed(action.nextPhase, joined);
+    }
+    return joined;
+  }
+
+  /**
+   * @ai-context Record a finished branch in the handover; `null` clears every recorded branch
+   */
+  recordBranch(issueNumber, branch, result = null) {
+    const { state } = HandoverState.parse(this.readHandover(issueNumber) || '');
+    const next = { ...state, issueNumber, updatedAt: new Date().toISOString() };
+    if (branch) {
+      next.branches = {
+        ...state.branches,
+        [branch.nextPhase]: {
+          persona: branch.persona,
+          status: result.status,
+          verdict: ParallelJoin.verdictOf(result),
+          artifacts: result.artifacts,
+          nextSteps: result.nextSteps,
+          summary: result.summary,
+          completedAt: new Date().toISOString(),
+        },
       };
+    } else {
+      delete next.branches;
     }
+    this.writeHandover(issueNumber, next);
+  }
 
-    const personaMatch = content.match(/\*\*\[(.*?)\]\*\*/);
-    const phaseMatch = content.match(/Current Phase\s*\n\s*\*\*(.*?)\*\*/);
-    const retryMatch = content.match(/Retry Count:\s*(\d+)/);
-    const issueMatch = content.match(/Issue:\s*#(\d+)/);
+  /**
+   * @ai-context Walk the state machine without running personas or writing files
+   * @ai-invariant Artifacts a persona would produce are assumed present for the rest of the walk
+   */
+  async planWorkflow(issueNumber, options = {}) {
+    const maxSteps = options.maxSteps ?? DEFAULT_PLAN_STEPS;
+    const state = this.loadHandoverState(issueNumber);
+    const issue = await this.getIssueDetails(issueNumber);
+    const classification = this.classifyIssue(issue);
+    const assumed = new Set();
+    const simulated = new Map();
 
-    return {
-      persona: personaMatch ? personaMatch[1] : 'UNKNOWN',
-      phase: phaseMatch ? phaseMatch[1] : 'UNKNOWN',
-      retryCount: retryMatch ? parseInt(retryMatch[1], 10) : 0,
-      issueNumber: issueMatch ? parseInt(issueMatch[1], 10) : null,
-      content: content,
+    const loopVerdict = (from, to) => {
+      const key = `${String(from).toUpperCase()}->${String(to).toUpperCase()}`;
+      const recorded =
+        typeof this.loopDetector.getTransitionCount === 'function'
+          ? this.loopDetector.getTransitionCount(from, to)
+          : this.loopDetector.detectLoop(from, to) ? this.loopDetector.maxTransitions : 0;
+      const count = recorded + (simulated.get(key) || 0);
+      return { blocked: count >= this.loopDetector.maxTransitions, count, max: this.loopDetector.maxTransitions, key };
+    };
+
+    // Read-only view of this orchestrator: overlay reads, no writes, no loop records
+    const planner = Object.create(this);
+    planner.contextManager = {
+      read: (file) => (assumed.has(file) ? '' : this.contextManager.read(file)),
+      write: () => {
+        throw new Error('Dry run must not write files');
+      },
+    };
+    planner.extractSection = (file, title) =>
+      assumed.has(file) ? null : this.extractSection(file, title);
+    // An assumed artifact does not exist yet, so there is no content to hold to its contract
+    planner.checkArtifactContract = (type, file, content, number) =>
+      assumed.has(file) ? null : this.checkArtifactContract(type, file, content, number);
+    planner.runReproductionTest = () => null;
+    planner.loopDetector = {
+      maxTransitions: this.loopDetector.maxTransitions,
+      detectLoop: (from, to) => loopVerdict(from, to).blocked,
+      recordTransition: () => null,
     };
+
+    const plan = {
+      dryRun: true,
+      issueNumber,
+      issueType: classification.type,
+      classification,
+      startState: { persona: state.persona, phase: state.phase, retryCount: state.retryCount },
+      steps: [],
+      stopReason: 'max-steps',
+    };
+    let current = { ...state, issueNumber };
+
+    while (plan.steps.length < maxSteps) {
+      let action;
+      try {
+        action = await planner.determineNextAction(current, issue, classification.type);
+      } catch (error) {
+        plan.stopReason = 'failed';
+        plan.error = error.message;
+        break;
+      }
+      if (!action) {
+        plan.stopReason = 'complete';
+        break;
+      }
+      const previous = plan.steps[plan.steps.length - 1];
+      if (action.awaiting && previous) {
+        // The simulated previous step is the one expected to produce the artifact
+        previous.produces = action.awaiting;
+        assumed.add(action.awaiting.path);
+        continue;
+      }
+
+      const loop = loopVerdict(current.persona || 'UNKNOWN', action.persona);
+      const pendingArtifact = action.artifact && assumed.has(action.artifact.path);
+      const transition = pendingArtifact
+        ? {
+          allowed: !loop.blocked,
+          pending: `${action.artifact.type || action.artifact.path} preconditions are checked once it exists`,
+        }
+        : await planner.validateTransition(current, action, issueNumber);
+      const gate = await this.gatekeeper.validatePhaseBoundary(action.nextPhase, {
+        issueNumber,
+        action,
+        dryRun: true,
+      });
+      const checkpoint = this.getApprovalCheckpoint(current, action);
+
+      plan.steps.push({
+        step: plan.steps.length + 1,
+        from: { persona: current.persona, phase: current.phase },
+        persona: action.persona,
+        nextPhase: action.nextPhase,
+        source: action.source,
+        prompt: action.prompt,
+        workflow: action.workflow,
+        retry: Boolean(action.incrementRetry),
+        ...(action.parallel && {
+          parallel: action.parallel.map((branch) => ({ persona: branch.persona, nextPhase: branch.nextPhase })),
+        }),
+        ...(action.awaiting && { produces: action.awaiting }),
+        ...(checkpoint && { approval: checkpoint.id }),
+        verdicts: {
+          transition: {
+            allowed: transition.allowed,
+            ...(transition.category && { category: transition.category }),
+            ...(transition.error && { error: transition.error }),
+            ...(transition.pending && { pending: transition.pending }),
+          },
+          loop: { blocked: loop.blocked, count: loop.count, max: loop.max },
+          gate: { gate: gate.gate, status: gate.status },
+        },
+      });
+      if (action.awaiting) assumed.add(action.awaiting.path);
+
+      if (!transition.allowed) {
+        plan.stopReason = 'transition-blocked';
+        break;
+      }
+      if (gate.gate === 'FAIL' || gate.status === 'FAILED') {
+        plan.stopReason = 'gate-blocked';
+        break;
+      }
+
+      simulated.set(loop.key, (simulated.get(loop.key) || 0) + 1);
+      current = {
+        persona: action.persona.toUpperCase(),
+        phase: action.nextPhase,
+        retryCount: action.resetRetry ? 0 : current.retryCount + (action.incrementRetry ? 1 : 0),
+        issueNumber,
+      };
+    }
+
+    console.log(BMADOrchestrator.formatPlan(plan));
+    this.emitEvent('workflow-planned', plan, issueNumber);
+    return plan;
+  }
+
+  /**
+   * @ai-context Human-readable rendering of a dry-run plan
+   */
+  static formatPlan(plan) {
+    const lines = [
+      `🧪 Dry run for issue #${plan.issueNumber} (${plan.issueType}: ${plan.classification.reason})`,
+      `   Start: ${plan.startState.persona} @ ${plan.startState.phase} (retry ${plan.startState.retryCount})`,
+    ];
+    plan.steps.forEach((step) => {
+      const { transition, loop, gate } = step.verdicts;
+      lines.push(
+        `${step.step}. ${step.persona} → ${step.nextPhase}${step.retry ? ' (retry)' : ''} | source: ${step.source}`
+      );
+      lines.push(
+        `   transition: ${transition.allowed ? 'allowed' : `blocked (${transition.category}: ${transition.error})`}` +
+          `${transition.pending ? ` [${transition.pending}]` : ''}` +
+          ` | loop: ${loop.blocked ? 'blocked' : 'ok'} ${loop.count}/${loop.max}` +
+          ` | gate: ${gate.gate || gate.status}`
+      );
+      if (step.parallel) {
+        lines.push(`   parallel: ${step.parallel.map((branch) => `${branch.persona} (${branch.nextPhase})`).join(' + ')}`);
+      }
+      if (step.approval) lines.push(`   approval required: ${step.approval}`);
+      if (step.produces) lines.push(`   expected output: ${step.produces.path}`);
+    });
+    lines.push(`⏹️  Stop: ${plan.stopReason}${plan.error ? ` (${plan.error})` : ''}`);
+    return lines.join('\n');
   }
 
   /**
-   * @ai-context Decide next action based on state and artifacts
+   * @ai-context Read the structured state block of BMAD_HANDOVER.md (legacy markdown is migrated)
    */
+  loadHandoverState(issueNumber) {
+    const content = this.readHandover(issueNumber);
+
+    if (!content) {
+      // Return default initial state instead of throwing
+      return { ...HandoverState.initial(), content: '' };
+    }
+
+    const { state, migrated } = HandoverState.parse(content);
+    if (migrated) {
+      console.log('🔁 Handover sem bloco de estado: migrando a partir do markdown legado');
+    }
+    return { ...state, content };
+  }
+
   /**
-   * @ai-context Decide next action based on state and artifacts
+   * @ai-context Decide next action based on state, artifacts and the workflow definition
    */
   async determineNextAction(state, issue, issueType) {
-    const MAX_RETRIES = 3;
     const persona = (state.persona || 'UNKNOWN').toUpperCase();
     const issueNumber = issue ? issue.number : (state ? state.issueNumber : null);
+    const workflow = this.getWorkflowDefinitions().resolve(issueType);
+    if (!workflow) {
+      console.error(`❌ No workflow definition serves issue type ${issueType}`);
+      return null;
+    }
 
-    // --- SPECIAL FLOW: AUDIT ---
-    if (issueType === 'AUDIT') {
-      console.log('🕵️ Processando Fluxo de Auditoria...');
+    const transition = WorkflowDefinitions.findTransition(workflow, persona, state.phase);
+    if (!transition) return null;
+    if (transition.end) {
+      console.log(`✅ Workflow ${workflow.id} concluído em ${persona}.`);
+      return null;
+    }
 
-      // 1. Audit Start: PM
-      if (
-        persona === 'UNKNOWN' ||
-        (persona === 'PM' && state.phase === 'UNKNOWN')
-      ) {
-        return {
-          persona: 'pm',
-          prompt:
-            'AUDIT_MODE: Analyze the project state against productContext.md and generate MASTER_PLAN.md.',
-          source: 'Audit Request',
-          nextPhase: 'Audit Planning',
-          resetRetry: true,
-        };
+    let artifactPath = null;
+    if (transition.guard) {
+      artifactPath = this.resolveGuardPath(transition.guard, issueNumber);
+      const content = this.contextManager.read(artifactPath);
+      if (content === null) {
+        return this.buildRetryAction(workflow, transition, state, artifactPath);
+      }
+      const contract = this.checkArtifactContract(transition.guard.artifact, artifactPath, content, issueNumber);
+      if (contract && !contract.valid) {
+        return this.buildRetryAction(workflow, transition, state, artifactPath, contract);
       }
+      console.log(`✅ ${artifactPath} validado, transitando para ${transition.to}`);
+    }
+
+    if (transition.parallel) return this.buildParallelAction(workflow, transition, artifactPath);
+
+    const prompt =
+      (transition.promptSection && this.extractSection(artifactPath, transition.promptSection)) ||
+      transition.prompt.replace('{artifact}', artifactPath);
+    return {
+      persona: WorkflowDefinitions.getState(workflow, transition.to).persona,
+      prompt,
+      source: transition.source || artifactPath,
+      nextPhase: transition.to,
+      workflow: workflow.id,
+      ...(transition.guard && {
+        artifact: {
+          type: transition.guard.artifact || null,
+          path: artifactPath,
+          ...(transition.guard.expect && { expect: transition.guard.expect }),
+          ...(transition.guard.command && { command: transition.guard.command }),
+          ...(transition.guard.timeoutMs && { timeoutMs: transition.guard.timeoutMs }),
+        },
+      }),
+      // Only a passed guard closes a retry loop: an unguarded hop (Bug Fix -> Fix Verification) keeps the count
+      resetRetry: Boolean(transition.guard),
+    };
+  }
+
+  /**
+   * @ai-context Fan-out action: the orchestrator owns the join state, each branch is a regular persona action
+   */
+  buildParallelAction(workflow, transition, artifactPath) {
+    const branches = transition.parallel.map((branch) => ({
+      persona: WorkflowDefinitions.getState(workflow, branch.to).persona,
+      prompt: branch.prompt.replace('{artifact}', artifactPath),
+      source: branch.source || transition.source || artifactPath,
+      nextPhase: branch.to,
+      workflow: workflow.id,
+    }));
+    return {
+      persona: JOIN_PERSONA,
+      prompt: transition.prompt || `Join ${branches.map((branch) => branch.nextPhase).join(' + ')}`,
+      source: transition.source || artifactPath,
+      nextPhase: transition.to,
+      workflow: workflow.id,
+      parallel: branches,
+      resetRetry: true,
+    };
+  }
 
-      // 2. PM -> Architect (Audit)
-      if (persona === 'PM' && state.phase === 'Audit Planning') {
-        const masterPlanPath = 'docs/planning/MASTER_PLAN.md';
-
-        // Validate MASTER_PLAN existence before transition
-        if (this.contextManager.read(masterPlanPath) !== null) {
-          console.log('✅ MASTER_PLAN.md validado, transitando para Arquitetura');
-          return {
-            persona: 'architect',
-            prompt:
-              'AUDIT_MODE: Read MASTER_PLAN.md and create granular GitHub issues for the roadmap.',
-            source: 'MASTER_PLAN.md',
-            nextPhase: 'Audit Breakdown',
-            resetRetry: true,
-          };
-        } else {
-          // PM failed to generate MASTER_PLAN - retry with limit
-          if (state.retryCount >= MAX_RETRIES) {
-            console.error(
-              `❌ CRITICAL: PM failed to generate MASTER_PLAN.md after ${MAX_RETRIES} attempts.`
-            );
-            throw new Error('Audit flow blocked: MASTER_PLAN.md not generated');
-          }
-
-          console.warn(
-            `⚠️ MASTER_PLAN.md not found. Retrying PM (Attempt ${state.retryCount + 1}/${MAX_RETRIES})`
+  /**
+   * @ai-context Retry the current phase while its guard artifact is missing or breaks its contract;
+   * the contract report (or the failed check's `reason`) goes to the retried persona so it can fix it
+   */
+  buildRetryAction(workflow, transition, state, artifactPath, contract = null, reason = null) {
+    const retry = transition.retry;
+    if (!retry) return null;
+    const maxRetries = workflow.maxRetries ?? DEFAULT_MAX_RETRIES;
+    const retryState = WorkflowDefinitions.getState(workflow, retry.to);
+    const label = transition.guard.artifact || artifactPath;
+
+    if (state.retryCount >= maxRetries) {
+      if (contract) {
+        console.error(
+          `❌ CRITICAL: ${retryState.persona.toUpperCase()} Loop detected. ${label} still fails its contract after ${maxRetries} attempts: ${contract.gaps.map((gap) => gap.code).join(', ')}`
+        );
+      } else {
+        console.error(
+          reason
+            ? `❌ CRITICAL: ${retryState.persona.toUpperCase()} Loop detected. ${reason} after ${maxRetries} attempts.`
+            : `❌ CRITICAL: ${retryState.persona.toUpperCase()} Loop detected. Failed to generate ${label} after ${maxRetries} attempts.`
+        );
+      }
+      if (retry.onExhausted === 'fail') {
+        if (contract) {
+          const error = new NonRetryableError(
+            `${workflow.id} flow blocked: ${contract.summary}`,
+            'ARTIFACT_CONTRACT_FAILED',
+            { persona: retryState.persona, operation: 'determineNextAction', stepId: retry.to }
           );
-          return {
-            persona: 'pm',
-            prompt:
-              'RETRY AUDIT_MODE: Analyze project state and generate MASTER_PLAN.md.',
-            source: 'Audit Retry',
-            nextPhase: 'Audit Planning',
-            incrementRetry: true,
-          };
+          error.contract = contract;
+          throw error;
         }
+        throw new Error(retry.error || `${workflow.id} flow blocked: ${reason || `${label} not generated`}`);
       }
+      return null;
+    }
 
-      // 3. Architect -> Done (Audit)
-      if (persona === 'ARCHITECT' && state.phase === 'Audit Breakdown') {
-        console.log('✅ Quebra de Auditoria concluída. Issues criadas.');
-        return null;
-      }
+    const attempt = `Retrying ${retryState.persona} (Attempt ${state.retryCount + 1}/${maxRetries})`;
+    if (contract) {
+      console.warn(`⚠️ ${contract.summary} (${artifactPath}). ${attempt}`);
+    } else {
+      console.warn(reason ? `⚠️ ${reason}. ${attempt}` : `⚠️ ${label} not found. ${attempt}`);
     }
+    let prompt = retry.prompt;
+    if (contract) prompt = `${retry.prompt}\n\n${ArtifactContracts.format(contract)}`;
+    else if (reason) prompt = `${retry.prompt}\n\n${reason}`;
+    return {
+      persona: retryState.persona,
+      prompt,
+      source: retry.source || 'System Retry',
+      nextPhase: retry.to,
+      workflow: workflow.id,
+      awaiting: { type: transition.guard.artifact || null, path: artifactPath },
+      ...(contract && { contract }),
+      incrementRetry: true,
+    };
+  }
 
-    // --- STANDARD FLOW ---
-    else {
-      // 1. PM -> Architect
-      if (persona === 'PM' && state.phase.includes('Planning')) {
-        const prdPath = this.getDynamicPath('PRD', issueNumber); // Dynamic path resolution
-        if (this.contextManager.read(prdPath) !== null) {
-          const prompt =
-            this.extractSection(prdPath, 'Architect Prompt') ||
-            'Design the system architecture based on the PRD.';
-          return {
-            persona: 'architect',
-            prompt: prompt,
-            source: prdPath,
-            nextPhase: 'Architecture Design',
-            resetRetry: true,
-          };
-        } else {
-          if (state.retryCount >= MAX_RETRIES) {
-            console.error(
-              `❌ CRITICAL: PM Loop detected. Failed to generate PRD after ${MAX_RETRIES} attempts.`
-            );
-            return null;
-          }
-
-          console.warn(
-            `⚠️ PRD not found. Retrying PM (Attempt ${state.retryCount + 1}/${MAX_RETRIES})`
-          );
-          return {
-            persona: 'pm',
-            prompt: 'Analyze the issue and create a PRD.',
-            source: 'System Init',
-            nextPhase: 'Planning',
-            incrementRetry: true,
-          };
-        }
-      }
+  /**
+   * @ai-context Retry action for a reproduction test that contradicts its guard (still passes before
+   * the fix, still fails after it); null when the transition has no `retry` or it is exhausted
+   */
+  buildReproductionRetryAction(state, action, verdict) {
+    const workflow = this.getWorkflowDefinitions().get(action.workflow);
+    const transition = workflow && WorkflowDefinitions.findTransition(workflow, state.persona, state.phase);
+    if (!transition || !transition.guard) return null;
+    return this.buildRetryAction(workflow, transition, state, action.artifact.path, null, verdict.error);
+  }
 
-      // 2. Architect -> Developer
-      if (persona === 'ARCHITECT') {
-        const specPath = this.getDynamicPath('SPEC', issueNumber); // Dynamic path resolution
-        if (this.contextManager.read(specPath) !== null) {
-          return {
-            persona: 'developer',
-            prompt: 'Implement the specification defined in ' + specPath,
-            source: specPath,
-            nextPhase: 'Implementation',
-            resetRetry: true,
-          };
-        } else {
-          if (state.retryCount >= MAX_RETRIES) {
-            console.error(
-              `❌ CRITICAL: Architect Loop detected. Failed to generate SPEC after ${MAX_RETRIES} attempts.`
-            );
-            return null;
-          }
-
-          console.warn(
-            `⚠️ SPEC not found. Retrying Architect (Attempt ${state.retryCount + 1}/${MAX_RETRIES})`
-          );
-          return {
-            persona: 'architect',
-            prompt: 'Design the system architecture based on the PRD.',
-            source: 'System Retry',
-            nextPhase: 'Architecture Design',
-            incrementRetry: true,
-          };
-        }
-      }
+  /**
+   * @ai-context Contract report of a guard artifact; null when its type has no contract
+   */
+  checkArtifactContract(type, artifactPath, content, issueNumber) {
+    const contracts = this.getArtifactContracts();
+    if (!type || !contracts.has(type)) return null;
+    const { tracesTo } = contracts.get(type).requirementIds || {};
+    const related = tracesTo
+      ? { [tracesTo]: this.contextManager.read(this.getDynamicPath(tracesTo, issueNumber)) }
+      : {};
+    return contracts.validate(type, content, { path: artifactPath, related });
+  }
 
-      // 3. Developer -> QA
-      if (persona === 'DEVELOPER') {
-        return {
-          persona: 'qa',
-          prompt: 'Verify the implementation against the PRD and Architecture Spec.',
-          source: 'Implementation',
-          nextPhase: 'Quality Assurance',
-          resetRetry: true,
-        };
-      }
+  /**
+   * @ai-context Lazily load definitions so prototype-based callers share the same flows
+   */
+  getWorkflowDefinitions() {
+    if (!this.workflowDefinitions) {
+      this.workflowDefinitions = WorkflowDefinitions.load({
+        artifactTypes: Object.keys(ARTIFACT_PATHS),
+      });
+    }
+    return this.workflowDefinitions;
+  }
 
-      // 4. QA -> Security
-      if (persona === 'QA') {
-        return {
-          persona: 'security',
-          prompt: 'Perform a security review of the code and dependencies.',
-          source: 'QA Report',
-          nextPhase: 'Security Review',
-          resetRetry: true,
-        };
-      }
+  /**
+   * @ai-context Lazily create the approval gate for prototype-based callers
+   */
+  getApprovalGate() {
+    if (!this.approvalGate) {
+      this.approvalGate = new ApprovalGate({
+        stateCacheManager: this.stateCacheManager,
+        octokit: this.octokit,
+      });
+    }
+    return this.approvalGate;
+  }
 
-      // 5. Security -> DevOps
-      if (persona === 'SECURITY') {
-        return {
-          persona: 'devops',
-          prompt: 'Prepare the deployment pipeline and infrastructure.',
-          source: 'Security Audit',
-          nextPhase: 'DevOps & Deployment',
-          resetRetry: true,
-        };
-      }
+  getApprovalCheckpoint(state, action) {
+    const workflow = action.workflow ? this.getWorkflowDefinitions().get(action.workflow) : null;
+    return this.getApprovalGate().checkpointFor(workflow, state, action);
+  }
 
-      // 6. DevOps -> Release Manager
-      if (persona === 'DEVOPS') {
-        return {
-          persona: 'releasemanager',
-          prompt: 'Coordinate the final release, close the issue, and publish release notes.',
-          source: 'Deployment Readiness',
-          nextPhase: 'Release Management',
-          resetRetry: true,
-        };
-      }
+  /**
+   * @ai-context A rejected checkpoint sends the work back to the persona that produced it
+   */
+  buildRejectionAction(state, action, approval, issueNumber) {
+    const workflow = this.getWorkflowDefinitions().get(action.workflow);
+    const previous = WorkflowDefinitions.getState(workflow, state.phase);
+    const { reviewer, feedback } = approval.decision;
+    if (!previous) {
+      console.error(
+        `❌ ${approval.checkpoint} rejected by ${reviewer} with no previous phase to return to`
+      );
+      return null;
+    }
 
-      // 7. Release Manager -> Done
-      if (persona === 'RELEASEMANAGER') {
-        return null;
-      }
+    const transition = workflow.transitions.find(
+      (candidate) => !candidate.end && candidate.to === state.phase
+    );
+    let prompt = transition ? transition.prompt : `Rework ${state.phase}.`;
+    if (transition && transition.guard) {
+      prompt = prompt.replace('{artifact}', this.resolveGuardPath(transition.guard, issueNumber));
+    }
+    return {
+      persona: previous.persona,
+      prompt: `${prompt}\n\nREJECTED at ${approval.checkpoint} by ${reviewer}: ${feedback || 'no feedback given'}`,
+      source: 'Approval Rejected',
+      nextPhase: state.phase,
+      workflow: workflow.id,
+      feedback: { reviewer, text: feedback, checkpoint: approval.checkpoint },
+      resetRetry: true,
+    };
+  }
 
-      // Default: Start with PM if unknown
-      if (persona === 'UNKNOWN') {
-        return {
-          persona: 'pm',
-          prompt: 'Analyze the issue and create a PRD.',
-          source: 'System Init',
-          nextPhase: 'Planning',
-          resetRetry: true,
-        };
-      }
+  /**
+   * @ai-context Append the step to the run journal; a journal failure never fails the run
+   */
+  journalStep(issueNumber, step, action, status, details = {}) {
+    if (!this.runJournal) return null;
+    try {
+      return this.runJournal.append({
+        type: 'step',
+        issueNumber,
+        workflowId: `issue-${issueNumber}`,
+        status,
+        input: step.input,
+        action: {
+          persona: action.persona,
+          nextPhase: action.nextPhase,
+          source: action.source,
+          prompt: action.prompt,
+          workflow: action.workflow || null,
+          ...(action.parallel && {
+            parallel: action.parallel.map((branch) => ({ persona: branch.persona, nextPhase: branch.nextPhase })),
+          }),
+        },
+        gates: step.gates,
+        artifacts: details.artifacts || [],
+        summary: details.summary || null,
+        ...(details.verdicts && { verdict: details.verdict, verdicts: details.verdicts }),
+        error: details.error || null,
+      });
+    } catch (error) {
+      console.warn(`⚠️ Falha ao gravar o journal de execução: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @ai-context Restore handover and workflow state to just before the latest run of `phase`
+   * @ai-invariant Earlier phases are not re-run: their handover output is kept as recorded
+   */
+  async replayFromPhase(issueNumber, phase) {
+    if (!this.runJournal) {
+      throw new NonRetryableError(
+        `Issue #${issueNumber} has no run journal to replay from`,
+        'REPLAY_PHASE_NOT_FOUND',
+        { operation: 'replayFromPhase', additionalContext: { phase } }
+      );
+    }
+    const entry = this.runJournal.findPhase(phase);
+    const handover = { ...entry.input.handover, updatedAt: new Date().toISOString() };
+
+    this.writeHandover(issueNumber, handover);
+    await this.stateCacheManager.persistState(
+      'ORCHESTRATOR',
+      entry.action.nextPhase,
+      { issueNumber, replay: { fromPhase: entry.action.nextPhase, replayOf: entry.seq } },
+      { workflowId: `issue-${issueNumber}`, status: 'running' }
+    );
+    const marker = this.runJournal.append({
+      type: 'replay',
+      issueNumber,
+      workflowId: `issue-${issueNumber}`,
+      fromPhase: entry.action.nextPhase,
+      replayOf: entry.seq,
+      handover,
+    });
+    console.log(
+      `↩️ Replay: handover restaurado para antes de "${entry.action.nextPhase}" (passo #${entry.seq})`
+    );
+    this.emitEvent('workflow-replayed', { issueNumber, phase: entry.action.nextPhase, entry, marker }, issueNumber);
+    return { entry, marker };
+  }
+
+  /**
+   * @ai-context Resume this issue's suspended run once the condition that blocked it is cleared
+   * @ai-invariant Refused and accepted resumes are both journaled with who asked and why
+   * @ai-connection `bmad resume <workflowId>` through EnhancedBMADWorkflow.resumeWorkflow
+   */
+  async resumeSuspended(issueNumber, request = {}) {
+    const actor = request.actor || process.env.BMAD_ACTOR || process.env.GITHUB_ACTOR || os.userInfo().username;
+    let action = null;
+    let outcome;
+    try {
+      outcome = await this.errorRecoveryManager.resumeSuspended({
+        ...request,
+        actor,
+        recheck: async (suspended) => {
+          const verdict = await this.recheckSuspension(issueNumber, suspended);
+          action = verdict.action;
+          return verdict;
+        },
+      });
+    } catch (error) {
+      if (error.resume) this.journalResume(issueNumber, 'blocked', error.resume, error.message);
+      throw error;
+    }
+
+    const { resume, state } = outcome;
+    this.journalResume(issueNumber, 'resumed', resume);
+    console.log(
+      `▶️ Workflow ${state.workflowId} retomado em "${state.stepId}" por ${resume.actor}: ${resume.reason}${resume.forced ? ' (forçado)' : ''}`
+    );
+    this.emitEvent(
+      'workflow-resumed',
+      {
+        issueNumber,
+        phase: state.stepId,
+        actor: resume.actor,
+        reason: resume.reason,
+        category: resume.category,
+        forced: resume.forced,
+      },
+      issueNumber
+    );
+    return { ...outcome, action };
+  }
+
+  /**
+   * @ai-context Re-run the checks that can block the suspended step against today's handover and artifacts
+   * @ai-invariant Budgets are not re-checked: a resumed run starts with a fresh one
+   */
+  async recheckSuspension(issueNumber, suspended) {
+    const context = suspended.context || {};
+    const checks = [];
+    if (context.budget) {
+      checks.push({ check: 'budget', passed: true, detail: `${context.budget.kind} restarts with a fresh budget` });
+    }
+
+    const state = this.loadHandoverState(issueNumber);
+    let action = context.action || null;
+    if (!action) {
+      const issue = await this.getIssueDetails(issueNumber);
+      action = await this.determineNextAction(state, issue, this.classifyIssue(issue).type);
+    }
+    if (!action) return { blocked: false, checks, action: null };
+
+    const transition = await this.validateTransition(state, action, issueNumber);
+    checks.push({
+      check: 'transition',
+      passed: transition.allowed,
+      ...(!transition.allowed && { category: transition.category, detail: transition.error }),
+    });
+    const gate = await this.gatekeeper.validatePhaseBoundary(action.nextPhase, { issueNumber, action });
+    const gateFailed = gate.gate === 'FAIL' || gate.status === 'FAILED';
+    checks.push({
+      check: 'gatekeeper',
+      passed: !gateFailed,
+      ...(gateFailed && { category: 'GATEKEEPER_FAILURE', detail: `Gatekeeper blocked phase ${action.nextPhase}` }),
+    });
+
+    const failed = checks.find((check) => !check.passed);
+    return { blocked: Boolean(failed), reason: failed && failed.detail, checks, action };
+  }
+
+  journalResume(issueNumber, status, resume, error = null) {
+    if (!this.runJournal) return null;
+    try {
+      return this.runJournal.append({
+        type: 'resume',
+        issueNumber,
+        workflowId: `issue-${issueNumber}`,
+        status,
+        ...resume,
+        error,
+      });
+    } catch (journalError) {
+      console.warn(`⚠️ Falha ao gravar o journal de execução: ${journalError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @ai-context Publish a typed event (see EventBus.EVENT_TYPES); a plain EventEmitter gets the bare payload
+   */
+  emitEvent(type, payload, issueNumber) {
+    if (!this.eventEmitter) return;
+    if (typeof this.eventEmitter.publish === 'function') {
+      this.eventEmitter.publish(type, payload, { issueNumber });
+    } else {
+      this.eventEmitter.emit(type, payload);
+    }
+  }
+
+  emitGate(gate, passed, issueNumber, action, failure) {
+    const payload = { issueNumber, gate, phase: action.nextPhase, persona: action.persona };
+    if (passed) this.emitEvent('gate-passed', payload, issueNumber);
+    else this.emitEvent('gate-failed', { ...payload, ...failure, reason: failure.reason || 'blocked' }, issueNumber);
+  }
+
+  /**
+   * @ai-context Escalate through the ErrorRecoveryManager and announce the outcome (suspension included)
+   */
+  async escalate(issueNumber, error, context) {
+    const outcome = (await this.errorRecoveryManager.escalateToRecovery(error, context)) || {};
+    const category = context.category || error.category || error.name || 'UNKNOWN';
+    this.emitEvent(
+      'recovery-escalated',
+      {
+        issueNumber,
+        persona: context.persona || 'UNKNOWN',
+        phase: context.stepId,
+        category,
+        status: outcome.status || 'escalated',
+        error: error.message,
+      },
+      issueNumber
+    );
+    if (outcome.status === 'suspended') {
+      this.emitEvent(
+        'workflow-suspended',
+        { issueNumber, phase: context.stepId, category, reason: outcome.reason || error.message },
+        issueNumber
+      );
+    }
+    return outcome;
+  }
+
+  /**
+   * @ai-context Budget of this orchestrator's run; a workflow runner passes its own via options.budget
+   */
+  getWorkflowBudget() {
+    if (!this.workflowBudget) {
+      this.workflowBudget = new WorkflowBudget();
+    }
+    return this.workflowBudget;
+  }
+
+  /**
+   * @ai-context Lazily create the issue's model call ledger for prototype-based callers
+   */
+  getCostMeter(issueNumber) {
+    if (!this.costMeter) {
+      this.costMeter = CostMeter.forIssue(issueNumber);
+    }
+    return this.costMeter;
+  }
+
+  /**
+   * @ai-context Lazily load the artifact contracts for prototype-based callers
+   */
+  getArtifactContracts() {
+    if (!this.artifactContracts) {
+      this.artifactContracts = new ArtifactContracts();
     }
+    return this.artifactContracts;
+  }
 
-    return null;
+  /**
+   * @ai-context Lazily load the persona registry for prototype-based callers
+   */
+  getPersonaRegistry() {
+    if (!this.personaRegistry) {
+      this.personaRegistry = PersonaRegistry.load({ artifactTypes: Object.keys(ARTIFACT_PATHS) });
+    }
+    return this.personaRegistry;
+  }
+
+  resolveGuardPath(guard, issueNumber) {
+    return guard.path || this.getDynamicPath(guard.artifact, issueNumber);
   }
 
   /**
@@ -417,33 +1187,29 @@ class BMADOrchestrator {
   }
 
   getDynamicPath(type, issueNumber) {
-    const normalized = String(type || '').toUpperCase();
-    if (!['PRD', 'SPEC'].includes(normalized)) {
-      throw new Error(`Unknown artifact type: ${type}`);
-    }
-    const candidates =
-      normalized === 'PRD'
-        ? [
-            `docs/planning/PRD-${issueNumber}.md`,
-            `docs/planning/PRD_${issueNumber}.md`,
-            'docs/planning/PRD.md',
-          ]
-        : [
-            `docs/architecture/SPEC-${issueNumber}.md`,
-            `docs/architecture/SPEC_${issueNumber}.md`,
-            'docs/architecture/SPEC.md',
-          ];
-    return candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0];
-  }
-
-  validateRequirementsDocument(filePath) {
+    return ArtifactContracts.pathFor(type, issueNumber);
+  }
+
+  /**
+   * @ai-context A typed document (PRD) must satisfy its artifact contract; an untyped one needs at
+   * least one EARS acceptance criterion
+   */
+  validateRequirementsDocument(filePath, type = null) {
     const content = this.contextManager.read(filePath);
     if (content === null || content === undefined) {
       return { valid: false, error: `requirements document not found: ${filePath}` };
     }
-    const earsPattern =
-      /\b(WHEN|WHILE|WHERE|IF)\b[\s\S]{1,500}\b(SHALL|THEN)\b/i;
-    if (!earsPattern.test(content)) {
+    if (type && this.getArtifactContracts().has(type)) {
+      const report = this.getArtifactContracts().validate(type, content, { path: filePath });
+      return report.valid
+        ? { valid: true }
+        : {
+          valid: false,
+          error: `requirements document ${filePath} failed its contract: ${report.gaps.map((gap) => gap.message).join('; ')}`,
+          report,
+        };
+    }
+    if (!ArtifactContracts.EARS_PATTERN.test(content)) {
       return {
         valid: false,
         error: `requirements document has no EARS acceptance criterion: ${filePath}`,
@@ -452,7 +1218,96 @@ class BMADOrchestrator {
     return { valid: true };
   }
 
-  async validateTransition(state, action) {
+  /**
+   * @ai-context A reproduction artifact must name a failing test that exists in the tree and is not
+   * the QA placeholder scaffold
+   */
+  validateReproductionArtifact(filePath) {
+    const content = this.contextManager.read(filePath);
+    if (content === null || content === undefined) {
+      return { valid: false, error: `reproduction artifact not found: ${filePath}` };
+    }
+    const section = content.match(/## Failing Test\s*([\s\S]*?)(?=\n## |$)/i);
+    const testMatch = section && section[1].match(TEST_FILE_PATTERN);
+    if (!testMatch) {
+      return {
+        valid: false,
+        error: `reproduction artifact has no failing test reference: ${filePath}`,
+      };
+    }
+    if (!fs.existsSync(testMatch[0])) {
+      return {
+        valid: false,
+        error: `reproduction test ${testMatch[0]} referenced by ${filePath} does not exist`,
+      };
+    }
+    // The scaffold fails by design, so its failure does not reproduce anything
+    if (fs.readFileSync(testMatch[0], 'utf-8').includes(ArtifactContracts.REPRO_PLACEHOLDER)) {
+      return {
+        valid: false,
+        error: `reproduction test ${testMatch[0]} is still the generated placeholder: write the failing assertion from the bug report`,
+      };
+    }
+    return { valid: true, testFile: testMatch[0] };
+  }
+
+  /**
+   * @ai-context Run the reproduction test and hold it to the guard: it must fail before the fix
+   * (`expect: "fail"`) and pass once the fix is verified (`expect: "pass"`)
+   */
+  async checkReproductionTest(testFile, expect, options = {}) {
+    const run = await this.runReproductionTest(testFile, options);
+    // A dry run does not execute tests: the check is deferred to the real transition
+    if (!run) return { valid: true, testFile };
+    if (run.passed === (expect === 'pass')) return { valid: true, testFile, run };
+    return {
+      valid: false,
+      testFile,
+      run,
+      error:
+        expect === 'fail'
+          ? `reproduction test ${testFile} passes, so it does not reproduce the bug`
+          : `reproduction test ${testFile} still fails after the fix${run.output ? `: ${run.output}` : ''}`,
+    };
+  }
+
+  /**
+   * @ai-context Command that runs one reproduction test: the guard's `command`, else
+   * BMAD_REPRO_TEST_COMMAND, else jest by path; `{test}` is replaced by the file, or the file is appended
+   */
+  static reproductionCommand(testFile, command = null) {
+    const template = command || process.env.BMAD_REPRO_TEST_COMMAND || DEFAULT_REPRO_TEST_COMMAND;
+    return template.includes('{test}') ? template.split('{test}').join(testFile) : `${template} ${testFile}`;
+  }
+
+  /**
+   * @ai-context Run one test file; `{ passed, exitCode, output }` with the tail of the output. The time
+   * limit is the guard's `timeoutMs`, else BMAD_REPRO_TEST_TIMEOUT_MS, else 5 min
+   */
+  runReproductionTest(testFile, options = {}) {
+    const timeout =
+      options.timeoutMs ?? Number(process.env.BMAD_REPRO_TEST_TIMEOUT_MS || REPRO_TEST_TIMEOUT_MS);
+    return new Promise((resolve) => {
+      exec(
+        BMADOrchestrator.reproductionCommand(testFile, options.command),
+        { timeout, maxBuffer: 10 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          const output = `${stdout || ''}${stderr || ''}`.trim().split('\n').slice(-5).join('\n');
+          resolve({ passed: !error, exitCode: error ? error.code ?? null : 0, output });
+        }
+      );
+    });
+  }
+
+  async validateTransition(state, action, issueNumber = state.issueNumber) {
+    // A fan-out is allowed only when every branch is
+    if (action.parallel) {
+      for (const branch of action.parallel) {
+        const verdict = await this.validateTransition(state, branch, issueNumber);
+        if (!verdict.allowed) return { ...verdict, branch: branch.nextPhase };
+      }
+      return { allowed: true };
+    }
     const from = state.persona || 'UNKNOWN';
     if (this.loopDetector.detectLoop(from, action.persona)) {
       const record = this.loopDetector.recordTransition(
@@ -472,128 +1327,211 @@ class BMADOrchestrator {
       String(state.persona).toUpperCase() === 'PM' &&
       String(action.persona).toUpperCase() === 'ARCHITECT'
     ) {
-      const requirements = this.validateRequirementsDocument(action.source);
+      const requirements = this.validateRequirementsDocument(
+        action.source,
+        action.artifact ? action.artifact.type : null
+      );
       if (!requirements.valid) {
         return { allowed: false, category: 'PM_PRECONDITION', ...requirements };
       }
     }
+    if (action.artifact && String(action.artifact.type).toUpperCase() === 'REPRO') {
+      const reproduction = this.validateReproductionArtifact(action.artifact.path);
+      if (!reproduction.valid) {
+        return { allowed: false, category: 'REPRO_PRECONDITION', ...reproduction };
+      }
+      if (action.artifact.expect) {
+        const verdict = await this.checkReproductionTest(
+          reproduction.testFile,
+          action.artifact.expect,
+          action.artifact
+        );
+        if (!verdict.valid) return { allowed: false, category: 'REPRO_PRECONDITION', ...verdict };
+      }
+    }
+    const metadata = this.validatePersonaMetadata(action, issueNumber);
+    if (!metadata.valid) {
+      return { allowed: false, category: metadata.category, error: metadata.error };
+    }
     return { allowed: true };
   }
 
   /**
-   * @ai-context Execute the determined persona
+   * @ai-context Check the target persona is registered, serves the phase and has its inputs
    */
-  async executePersona(action, issueNumber) {
-    const personaMapping = {
-      pm: 'project-manager',
-      architect: 'architect',
-      developer: 'developer-enhanced',
-      qa: 'qa',
-      security: 'security',
-      devops: 'devops',
-      releasemanager: 'release-manager',
-    };
-
-    const fileName =
-      personaMapping[action.persona.toLowerCase()] || action.persona;
-    const PersonaClass = require(`../../personas/${fileName}`);
-    const persona = new PersonaClass(this.githubToken);
-
-    console.log(`🤖 Ativando Persona: ${action.persona} (${fileName}.js)`);
-    // In a real implementation, we would pass the prompt to the persona
-    // For now, we assume the persona knows what to do based on context or issue
-    // But the Orchestrator ensures the *timing* is right.
-
-    // Assuming personas have an 'execute' method that takes an issue number or context
-    // We might need to standardize this interface.
-    // For this MVP, we'll assume we are working on Issue #1 (hardcoded for now, or read from context)
-    await persona.execute(issueNumber);
+  validatePersonaMetadata(action, issueNumber) {
+    const registry = this.getPersonaRegistry();
+    if (!registry.has(action.persona)) {
+      return {
+        valid: false,
+        category: 'PERSONA_NOT_REGISTERED',
+        error: `persona ${action.persona} is not registered`,
+      };
+    }
+    if (action.nextPhase && !registry.supportsPhase(action.persona, action.nextPhase)) {
+      return {
+        valid: false,
+        category: 'PERSONA_PHASE_UNSUPPORTED',
+        error: `persona ${action.persona} does not support phase ${action.nextPhase} (supports: ${registry.get(action.persona).phases.join(', ')})`,
+      };
+    }
+    for (const type of registry.requiredArtifacts(action.persona, action.nextPhase)) {
+      const artifactPath = this.getDynamicPath(type, issueNumber);
+      if (this.contextManager.read(artifactPath) === null) {
+        const producers = registry.producersOf(type);
+        return {
+          valid: false,
+          category: 'PERSONA_PRECONDITION',
+          error: `persona ${action.persona} requires ${type} (${artifactPath}) for ${action.nextPhase}${producers.length > 0 ? `, produced by ${producers.join(', ')}` : ''}`,
+        };
+      }
+    }
+    return { valid: true };
   }
 
   /**
-   * @ai-context Update BMAD_HANDOVER.md with new state
+   * @ai-context Execute the determined persona with the prompt chosen for it
+   * @ai-invariant The persona result is validated; failed or blocked results raise an error
    */
-  updateHandoverState(action, issueNumber) {
-    let content = this.contextManager.read(HANDOVER_FILE) || '';
-
-    if (!content) {
-      // Create initial content if not exists
-      content = `# BMAD Handover State\n\nCurrent Persona: **[UNKNOWN]**\nCurrent Phase\n\n**UNKNOWN**\n\nRetry Count: 0\nIssue: #${issueNumber}`;
-    }
+  async executePersona(action, issueNumber, runtime = {}) {
+    const registry = this.getPersonaRegistry();
+    const persona = registry.create(action.persona, this.githubToken);
+    // Personas talk to the same GitHub adapter as the orchestrator (Octokit or local)
+    if (this.octokit && persona) persona.octokit = this.octokit;
+    if (runtime.commitLock && persona) persona.commitLock = runtime.commitLock;
+    const { role, module: modulePath } = registry.get(action.persona);
 
-    // Update Persona
-    if (content.match(/\*\*\[(.*?)\]\*\*/)) {
-      content = content.replace(
-        /\*\*\[(.*?)\]\*\*/,
-        `**[${action.persona.toUpperCase()}]**`
-      );
-    } else {
-      content += `\nCurrent Persona: **[${action.persona.toUpperCase()}]**`;
-    }
+    const context = new PersonaExecutionContext({
+      issueNumber,
+      issue: runtime.issue,
+      persona: action.persona,
+      phase: action.nextPhase,
+      prompt: action.prompt,
+      source: action.source,
+      previousOutput: runtime.previousOutput,
+      feedback: action.feedback,
+      contract: action.contract,
+      meter: runtime.meter,
+      workflowId: `issue-${issueNumber}`,
+      signal: runtime.signal,
+    });
+    context.throwIfAborted();
 
-    // Update Phase
-    if (content.match(/Current Phase\s*\n\s*\*\*(.*?)\*\*/)) {
-      content = content.replace(
-        /Current Phase\s*\n\s*\*\*(.*?)\*\*/,
-        `Current Phase\n\n**${action.nextPhase}**`
-      );
-    } else {
-      content += `\nCurrent Phase\n\n**${action.nextPhase}**`;
-    }
+    console.log(`🤖 Ativando Persona: ${action.persona} [${role}] (${path.basename(modulePath || '')})`);
+    const raw =
+      typeof persona.run === 'function'
+        ? await persona.run(context)
+        : await persona.execute(context);
 
-    // Update Issue Number
-    if (content.includes('Issue:')) {
-      content = content.replace(/Issue:\s*#\d+/, `Issue: #${issueNumber}`);
-    } else {
-      content += `\nIssue: #${issueNumber}`;
+    const result = PersonaResult.create(raw, action.persona);
+    if (result.status !== 'completed') {
+      throw PersonaResult.toError(result, action.persona);
     }
+    return result;
+  }
 
-    // Update Retry Count
-    let currentRetry = 0;
-    const retryMatch = content.match(/Retry Count:\s*(\d+)/);
-    if (retryMatch) {
-      currentRetry = parseInt(retryMatch[1], 10);
-    }
+  /**
+   * @ai-context Update the handover state block and regenerate BMAD_HANDOVER.md
+   */
+  updateHandoverState(action, issueNumber, classification = null, result = null) {
+    const { state } = HandoverState.parse(this.readHandover(issueNumber) || '');
 
-    let nextRetry = currentRetry;
+    let nextRetry = state.retryCount;
     if (action.resetRetry) {
       nextRetry = 0;
     } else if (action.incrementRetry) {
-      nextRetry = currentRetry + 1;
+      nextRetry = state.retryCount + 1;
     }
 
-    if (content.includes('Retry Count:')) {
-      content = content.replace(
-        /Retry Count:\s*\d+/,
-        `Retry Count: ${nextRetry}`
-      );
-    } else {
-      content += `\n\nRetry Count: ${nextRetry}`;
+    const next = {
+      ...state,
+      persona: action.persona.toUpperCase(),
+      phase: action.nextPhase,
+      retryCount: nextRetry,
+      issueNumber,
+      updatedAt: new Date().toISOString(),
+    };
+    // A completed step closes any fan-out: its branches are merged into lastResult
+    delete next.branches;
+    // Record why this workflow was chosen
+    if (classification) {
+      next.issueType = classification.type;
+      next.classification = {
+        reason: classification.reason,
+        confidence: classification.confidence,
+      };
     }
 
-    this.contextManager.write(HANDOVER_FILE, content);
+    // Keep what the persona reported so the next one receives it as previous output
+    if (result) {
+      next.lastResult = {
+        persona: action.persona,
+        status: result.status,
+        artifacts: result.artifacts,
+        nextSteps: result.nextSteps,
+        summary: result.summary,
+      };
+    }
+
+    this.writeHandover(issueNumber, next);
     console.log('📝 Estado de Handover Atualizado (Atômico)');
   }
 
   /**
-   * @ai-context Handle state reset if issue number changes
+   * @ai-context Handover file of an issue (a shared file only when configured explicitly)
+   */
+  getHandoverFile(issueNumber) {
+    return this.handoverFile || HandoverState.pathFor(issueNumber);
+  }
+
+  /**
+   * @ai-context Re-render the state block and summary of the issue handover, keeping its narrative
+   */
+  writeHandover(issueNumber, state) {
+    this.contextManager.write(
+      this.getHandoverFile(issueNumber),
+      HandoverState.render(state, this.readHandover(issueNumber))
+    );
+  }
+
+  /**
+   * @ai-context Read the issue handover, adopting the shared legacy file when it belongs to the issue
+   */
+  readHandover(issueNumber) {
+    const file = this.getHandoverFile(issueNumber);
+    const content = this.contextManager.read(file);
+    if (content || file === HandoverState.LEGACY_FILE) return content;
+
+    const legacy = this.contextManager.read(HandoverState.LEGACY_FILE);
+    if (legacy && HandoverState.parse(legacy).state.issueNumber === issueNumber) {
+      return legacy;
+    }
+    return content;
+  }
+
+  /**
+   * @ai-context Handle state reset if a shared handover file holds another issue
    */
   handleStateReset(issueNumber) {
-    const content = this.contextManager.read(HANDOVER_FILE);
+    const content = this.contextManager.read(this.getHandoverFile(issueNumber));
 
     if (content) {
-      const issueMatch = content.match(/Issue:\s*#(\d+)/);
-      const storedIssue = issueMatch ? parseInt(issueMatch[1], 10) : null;
+      const storedIssue = HandoverState.parse(content).state.issueNumber;
 
       if (storedIssue && storedIssue !== issueNumber) {
         console.log(
           `🔄 New Issue detected (Current: #${issueNumber}, Stored: #${storedIssue}). Resetting state.`
         );
-        // We overwrite with empty or delete. ContextManager doesn't have delete yet, so we write empty or specific reset content.
-        // Or we can just ignore it as loadHandoverState handles empty/missing.
-        // But to be clean, let's write a reset state.
-        const resetContent = `# BMAD Handover State\n\nCurrent Persona: **[UNKNOWN]**\nCurrent Phase\n\n**RESET**\n\nRetry Count: 0\nIssue: #${issueNumber}`;
-        this.contextManager.write(HANDOVER_FILE, resetContent);
+        // The narrative belongs to the other issue, so the reset starts from a bare handover
+        const resetState = {
+          ...HandoverState.initial(issueNumber),
+          phase: 'RESET',
+          updatedAt: new Date().toISOString(),
+        };
+        this.contextManager.write(
+          this.getHandoverFile(issueNumber),
+          HandoverState.render(resetState)
+        );
       }
     }
   }
@@ -618,21 +1556,59 @@ class BMADOrchestrator {
     }
   }
 
+  /**
+   * @ai-context Classify an issue from labels, template fields, title and body
+   */
+  classifyIssue(issue) {
+    if (!this.issueClassifier) {
+      this.issueClassifier = new IssueClassifier();
+    }
+    return this.issueClassifier.classify(issue || {});
+  }
+
   /**
    * @ai-context Detect issue type based on title/labels
    */
   detectIssueType(issue) {
-    const title = issue.title.toLowerCase();
-    if (title.includes('[audit]') || title.includes('audit:')) return 'AUDIT';
-    if (title.includes('bug') || title.includes('fix:')) return 'BUG';
-    return 'FEATURE';
+    return this.classifyIssue(issue).type;
   }
 }
 
 // Run if called directly
+/**
+ * @ai-context Git hooks notify through `--hook-event <type>`; the payload joins the event bus
+ */
+async function publishHookEvent(hookType) {
+  const payload = JSON.parse(process.env.BMAD_HOOK_PAYLOAD || '{}');
+  const bus = EventBus.fromEnv({ source: `hook:${hookType}` });
+  const event = bus.publish('commit-recorded', { ...payload, persona: payload.persona || 'UNKNOWN' });
+  await bus.flush();
+  if (!event) {
+    process.exitCode = 1;
+    return;
+  }
+  console.log(event.id);
+}
+
 if (require.main === module) {
-  const orchestrator = new BMADOrchestrator();
-  orchestrator.orchestrate().catch(console.error);
+  const args = process.argv.slice(2);
+  const hookIndex = args.indexOf('--hook-event');
+  const issueNumber = parseInt(args.find((arg) => /^\d+$/.test(arg)), 10);
+  if (hookIndex >= 0) {
+    publishHookEvent(process.env.BMAD_HOOK_EVENT || args[hookIndex + 1]).catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+  } else if (Number.isNaN(issueNumber)) {
+    console.error('Usage: node bmad-orchestrator.js <issue-number> [--dry-run] | --hook-event <type>');
+    process.exit(1);
+  } else {
+    const dryRun = args.includes('--dry-run');
+    const orchestrator = BMADOrchestrator.forIssue(issueNumber, null, { dryRun });
+    orchestrator
+      .orchestrate(issueNumber, { dryRun })
+      .catch(console.error);
+  }
 }
 
 module.exports = BMADOrchestrator;
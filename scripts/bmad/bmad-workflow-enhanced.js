@@ -16,6 +16,17 @@ const EnhancedReleaseManager = require('../../personas/release-manager');
 const RecoveryPersona = require('../../personas/recovery');
 const StateCacheManager = require('../lib/state-cache-manager');
 const ErrorRecoveryManager = require('../lib/error-recovery-manager');
+const GitHubAdapter = require('../lib/github-adapter');
+const RunJournal = require('../lib/run-journal');
+const WorkflowBudget = require('../lib/workflow-budget');
+const CostMeter = require('../lib/cost-meter');
+const EventBus = require('../lib/event-bus');
+const IssueScheduler = require('../lib/issue-scheduler');
+const SubIssueGraph = require('../lib/sub-issue-graph');
+const ApprovalGate = require('../lib/approval-gate');
+const { NonRetryableError } = require('../lib/bmad-error');
+
+const APPROVAL_STATUS = ApprovalGate.AWAITING_STATUS;
 
 const colors = {
   red: '\x1b[31m',
@@ -30,11 +41,11 @@ const colors = {
 class EnhancedBMADWorkflow {
   constructor() {
     this.githubToken = process.env.GITHUB_TOKEN;
-    if (!this.githubToken) {
-      console.error(
-        `${colors.red}❌ GITHUB_TOKEN environment variable required${colors.reset}`
+    this.github = GitHubAdapter.create({ token: this.githubToken });
+    if (GitHubAdapter.isLocal(this.github)) {
+      console.log(
+        `${colors.yellow}📁 Modo offline: GitHub local em ${this.github.rootDir}${colors.reset}`
       );
-      process.exit(1);
     }
 
     this.personas = {
@@ -46,6 +57,9 @@ class EnhancedBMADWorkflow {
       devops: new EnhancedDevOps(this.githubToken),
       releaseManager: new EnhancedReleaseManager(this.githubToken),
     };
+    Object.values(this.personas).forEach((persona) => {
+      persona.octokit = this.github;
+    });
 
     this.workflowMetrics = {
       startTime: new Date(),
@@ -78,7 +92,7 @@ class EnhancedBMADWorkflow {
   /**
    * @ai-context Execute complete enhanced BMAD workflow
    */
-  async executeWorkflow(issueNumber) {
+  async executeWorkflow(issueNumber, options = {}) {
     console.log(
       `${colors.cyan}🚀 Starting Enhanced BMAD Workflow for Issue #${issueNumber}${colors.reset}`
     );
@@ -101,6 +115,14 @@ class EnhancedBMADWorkflow {
         return;
       }
 
+      // A suspended run waits for `bmad resume`, which re-checks what blocked it
+      if (state.status === 'suspended' && !options.resume) {
+        console.log(
+          `${colors.yellow}⏸️ Workflow ${state.workflowId} for Issue #${issueNumber} is suspended. Use: bmad resume ${state.workflowId} --reason "<why>"${colors.reset}`
+        );
+        return;
+      }
+
       console.log(
         `${colors.yellow}🔄 Resuming workflow ${state.workflowId} (Status: ${state.status})...${colors.reset}`
       );
@@ -112,6 +134,13 @@ class EnhancedBMADWorkflow {
       this.workflowMetrics.startTime =
         this.workflowMetrics.startTime ? new Date(this.workflowMetrics.startTime) : new Date();
 
+      // A resumed run continues with a fresh budget
+      if (options.resume) {
+        state.status = 'running';
+        delete state.budgetExceeded;
+        state.resumes = [...(state.resumes || []), options.resume];
+      }
+
       // Track resume count
       state.resumeCount = (state.resumeCount || 0) + 1;
       await this.saveState(state);
@@ -132,8 +161,9 @@ class EnhancedBMADWorkflow {
       await this.saveState(state);
     }
 
-    const EventEmitter = require('events');
-    const eventEmitter = new EventEmitter();
+    // Typed events also reach the JSONL log and webhook read by the dashboard
+    const eventEmitter = EventBus.fromEnv({ source: 'workflow' });
+    this.eventBus = eventEmitter;
 
     // Setup event listeners
     eventEmitter.on('state-loaded', (state) => {
@@ -163,54 +193,67 @@ class EnhancedBMADWorkflow {
       state.stepId = data.nextPhase || state.stepId || 'WORKFLOW';
     });
 
-    const BMADOrchestrator = require('./bmad-orchestrator');
+    // A checkpoint waiting for a human parks the run instead of finishing it
+    let pendingApproval = null;
+    eventEmitter.on('approval-pending', (data) => {
+      pendingApproval = data;
+    });
+
     const stateCache = this.createStateCache(issueNumber);
-    const LoopDetector = require('../lib/loop-detector');
-    const orchestrator = new BMADOrchestrator(eventEmitter, {
-      loopDetector: new LoopDetector({
-        workflowId,
-        historyFile: `.github/transition-history-${issueNumber}.json`,
-      }),
+    const recoveryManager = new ErrorRecoveryManager({ stateCache });
+    const orchestrator = this.createOrchestrator(issueNumber, eventEmitter, {
+      workflowId,
       stateCacheManager: stateCache,
-      errorRecoveryManager: new ErrorRecoveryManager({ stateCache }),
+      errorRecoveryManager: recoveryManager,
     });
+    // Whole-run budget; the orchestrator adds the workflow definition's limits and enforces phases
+    const budget = new WorkflowBudget();
+    // Model calls of this run are metered under its workflow id
+    const meter = CostMeter.forIssue(issueNumber, { workflowId });
 
     try {
       console.log(
         `${colors.yellow}🔄 Handing over control to BMAD Orchestrator...${colors.reset}`
       );
 
-      let stepCount = 0;
-      const MAX_STEPS = 50; // Increased from 20 for complex workflows
-      const WORKFLOW_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
-      const workflowStartTime = Date.now();
       let keepRunning = true;
 
-      while (keepRunning && stepCount < MAX_STEPS) {
-        stepCount++;
-
-        // Check timeout
-        const elapsedTime = Date.now() - workflowStartTime;
-        if (elapsedTime > WORKFLOW_TIMEOUT_MS) {
-          console.warn(
-            `${colors.yellow}⚠️ Workflow stopped after timeout (${Math.round(elapsedTime / 1000 / 60)} minutes).${colors.reset}`
-          );
-          state.status = 'timeout';
-          state.lastStep = new Date().toISOString();
-          await this.saveState(state);
+      while (keepRunning) {
+        const exceeded = budget.checkWorkflow();
+        if (exceeded) {
+          await this.stopOnBudget(state, exceeded, recoveryManager, workflowId);
           break;
         }
+        const stepCount = budget.recordStep();
 
         console.log(
-          `${colors.blue}--- Orchestration Step ${stepCount} (Elapsed: ${Math.round(elapsedTime / 1000)}s) ---${colors.reset}`
+          `${colors.blue}--- Orchestration Step ${stepCount} (Elapsed: ${Math.round(budget.elapsedMs() / 1000)}s) ---${colors.reset}`
         );
 
-        // orchestrate() returns true if action taken, false if idle
-        keepRunning = await orchestrator.orchestrate(issueNumber);
+        // orchestrate() returns true if action taken, false if idle or waiting for approval
+        pendingApproval = null;
+        keepRunning = await orchestrator.orchestrate(issueNumber, {
+          budget,
+          meter,
+          // The first step of a resumed run is the suspended one
+          ...(stepCount === 1 && options.resumeAction && { resumeAction: options.resumeAction }),
+        });
 
         // Update and save state after each step
         state.metrics = this.workflowMetrics; // Metrics might be updated by phases
         state.lastStep = new Date().toISOString();
+        // A blocked transition or gate was suspended through the recovery manager: keep it for `bmad resume`
+        if (!keepRunning && !pendingApproval) {
+          const stored = await stateCache.restoreState();
+          if (stored && stored.status === 'suspended') state.status = 'suspended';
+        }
+        if (pendingApproval) {
+          state.status = APPROVAL_STATUS;
+          state.approval = pendingApproval.checkpoint.id;
+        } else if (state.status === APPROVAL_STATUS) {
+          state.status = 'running';
+          delete state.approval;
+        }
         // If orchestrator signaled idle, consider workflow completed from orchestrator perspective
         if (!keepRunning) {
           state.status = state.status || 'completed';
@@ -218,24 +261,33 @@ class EnhancedBMADWorkflow {
         await this.saveState(state);
       }
 
-      if (stepCount >= MAX_STEPS && keepRunning) {
-        console.warn(
-          `${colors.yellow}⚠️ Workflow stopped after reaching maximum steps (${MAX_STEPS}).${colors.reset}`
-        );
-        state.status = 'max-steps';
-        state.lastStep = new Date().toISOString();
-        await this.saveState(state);
+      // An AUDIT breakdown leaves a graph of child issues; the parent completes only with all of them
+      const subIssues = SubIssueGraph.forParent(issueNumber);
+      if (subIssues.children.size > 0 && !['suspended', APPROVAL_STATUS].includes(state.status)) {
+        await this.runSubIssues(subIssues, state);
       }
 
       // Generate final report
       await this.generateWorkflowReport(workflowId, issueNumber);
 
-      console.log(
-        `${colors.green}✅ Enhanced BMAD Workflow cycle completed!${colors.reset}`
-      );
-      this.logWorkflow(`Workflow ${workflowId} cycle completed`);
+      if (state.status === APPROVAL_STATUS) {
+        console.log(
+          `${colors.yellow}⏸️ Workflow ${workflowId} aguardando aprovação (${state.approval}); rode novamente após /approve ou /reject${colors.reset}`
+        );
+        this.logWorkflow(`Workflow ${workflowId} waiting for approval at ${state.approval}`);
+      } else if (state.status === 'suspended') {
+        console.log(
+          `${colors.yellow}⏸️ Workflow ${workflowId} suspenso. Use: bmad resume ${workflowId} --reason "<why>"${colors.reset}`
+        );
+        this.logWorkflow(`Workflow ${workflowId} suspended`);
+      } else {
+        console.log(
+          `${colors.green}✅ Enhanced BMAD Workflow cycle completed!${colors.reset}`
+        );
+        this.logWorkflow(`Workflow ${workflowId} cycle completed`);
+      }
 
-      // Mark as completed if no explicit status was set (i.e., no timeout/max-steps)
+      // Mark as completed if no explicit status was set (i.e., not suspended on a budget)
       if (!state.status || state.status === 'running') {
         state.status = 'completed';
         state.lastStep = new Date().toISOString();
@@ -259,9 +311,10 @@ class EnhancedBMADWorkflow {
         timestamp: new Date().toISOString(),
       });
 
-      // Save error state
-      state.status = 'failed';
+      // Save error state; the orchestrator already suspended a budget overrun
+      state.status = error.budget ? 'suspended' : 'failed';
       state.error = error.message;
+      if (error.budget) state.budgetExceeded = error.budget;
       await this.saveState(state);
 
       // Attempt automated recovery only when the orchestrator did not already do it.
@@ -305,7 +358,7 @@ class EnhancedBMADWorkflow {
           error: recoveryError.message,
           timestamp: new Date().toISOString(),
         });
-        state.status = 'recovery-failed';
+        state.status = error.budget ? 'suspended' : 'recovery-failed';
         state.recoveryError = recoveryError.message;
         state.lastStep = new Date().toISOString();
         await this.saveState(state);
@@ -313,12 +366,164 @@ class EnhancedBMADWorkflow {
 
       await this.generateErrorReport(workflowId, issueNumber, error);
       throw error;
+    } finally {
+      await eventEmitter.flush();
     }
   }
 
   /**
-   * @ai-context Load workflow state from file
+   * @ai-context Stop a run that spent its whole-run budget and escalate it; the state keeps the overrun
    */
+  async stopOnBudget(state, exceeded, recoveryManager, workflowId) {
+    const minutes = Math.round(exceeded.used / 1000 / 60);
+    const reasons = {
+      timeoutMs: `after timeout (${minutes} minutes)`,
+      maxSteps: `after reaching maximum steps (${exceeded.limit})`,
+      maxTokens: `after spending ${exceeded.used}/${exceeded.limit} tokens`,
+      maxCostUsd: `after spending $${exceeded.used} of its $${exceeded.limit} budget`,
+    };
+    console.warn(
+      `${colors.yellow}⚠️ Workflow stopped ${reasons[exceeded.kind]} in ${exceeded.phase}.${colors.reset}`
+    );
+    // Escalation persists the suspended state with the overrun in context.budget
+    state.status = 'suspended';
+    state.budgetExceeded = exceeded;
+    state.lastStep = new Date().toISOString();
+    const error = WorkflowBudget.exceeded(exceeded);
+    const outcome = await recoveryManager.escalateToRecovery(error, {
+      persona: state.currentPersona || 'ORCHESTRATOR',
+      operation: 'executeWorkflow',
+      stepId: exceeded.phase,
+      workflowId,
+      category: 'BUDGET_EXCEEDED',
+      context: { workflowState: state, budget: exceeded },
+    });
+    if (this.eventBus) {
+      this.eventBus.publish(
+        'workflow-suspended',
+        {
+          issueNumber: state.issueNumber,
+          phase: exceeded.phase,
+          category: 'BUDGET_EXCEEDED',
+          reason: (outcome && outcome.reason) || error.message,
+          budget: exceeded,
+        },
+        { issueNumber: state.issueNumber }
+      );
+    }
+  }
+
+  /**
+   * @ai-context Run the parent's sub-issues through the standard flow in dependency order and roll
+   * their status up; an incomplete roll-up leaves the parent blocked until it is run again
+   */
+  async runSubIssues(graph, state) {
+    const parent = graph.parent;
+    graph.resetUnfinished().save();
+    const order = graph.topologicalOrder();
+    console.log(
+      `${colors.cyan}🧩 Sub-issues of #${parent}: ${order.map((number) => `#${number}`).join(' -> ')}${colors.reset}`
+    );
+    this.eventBus.publish('sub-issues-scheduled', { parent, order }, { issueNumber: parent });
+
+    const scheduler = new IssueScheduler({ runIssue: (issueNumber) => this.runSubIssue(issueNumber) });
+    await scheduler.scheduleGraph(graph, {
+      onUpdate: (child) => {
+        graph.save();
+        const rollup = graph.rollup().status;
+        console.log(
+          `${colors.blue}   #${child.issueNumber} ${child.status}${child.reason ? ` (${child.reason})` : ''} - #${parent} ${rollup}${colors.reset}`
+        );
+        this.eventBus.publish(
+          'sub-issue-updated',
+          { parent, issueNumber: child.issueNumber, status: child.status, rollup, ...(child.reason && { reason: child.reason }) },
+          { issueNumber: parent }
+        );
+      },
+    });
+
+    const rollup = graph.rollup();
+    state.subIssues = rollup;
+    state.status = rollup.status === 'completed' ? 'running' : 'blocked';
+    state.lastStep = new Date().toISOString();
+    await this.saveState(state);
+    this.logWorkflow(`Sub-issues of #${parent}: ${rollup.status} (${rollup.counts.completed}/${rollup.total} completed)`);
+
+    try {
+      await this.github.rest.issues.createComment({
+        owner: process.env.GITHUB_OWNER || 'helton-godoy',
+        repo: process.env.GITHUB_REPO || 'shantilly-cli',
+        issue_number: parent,
+        body: graph.format(),
+      });
+    } catch (error) {
+      this.logWorkflow(`Sub-issue roll-up comment on #${parent} failed: ${error.message}`, 'WARN');
+    }
+    return rollup;
+  }
+
+  /**
+   * @ai-context One child through a fresh workflow; a run that returns but leaves its state behind
+   * (suspended or blocked) did not complete
+   */
+  async runSubIssue(issueNumber) {
+    await new EnhancedBMADWorkflow().executeWorkflow(issueNumber);
+    const left = await this.loadState(issueNumber);
+    if (left && left.status !== 'completed') {
+      throw new NonRetryableError(`Issue #${issueNumber} ended ${left.status}`, 'SUB_ISSUE_INCOMPLETE', {
+        operation: 'runSubIssue',
+        additionalContext: { issueNumber, status: left.status },
+      });
+    }
+    return left;
+  }
+
+  /**
+   * @ai-context Restore handover and state from the run journal, then continue from that phase
+   */
+  async replayWorkflow(issueNumber, fromPhase) {
+    const orchestrator = this.createOrchestrator(issueNumber);
+    const { entry } = await orchestrator.replayFromPhase(issueNumber, fromPhase);
+    this.logWorkflow(
+      `Replay of Issue #${issueNumber} from ${entry.action.nextPhase} (journal step #${entry.seq})`
+    );
+    return this.executeWorkflow(issueNumber);
+  }
+
+  /**
+   * @ai-context Resume a suspended run by workflow id once the orchestrator re-checked what blocked it
+   */
+  async resumeWorkflow(workflowId, request = {}) {
+    const issueNumber = StateCacheManager.findIssue(workflowId);
+    if (!issueNumber) {
+      throw new NonRetryableError(`No workflow state found for ${workflowId}`, 'WORKFLOW_NOT_SUSPENDED', {
+        operation: 'resumeWorkflow',
+        additionalContext: { workflowId },
+      });
+    }
+    const orchestrator = this.createOrchestrator(issueNumber);
+    const { action, resume } = await orchestrator.resumeSuspended(issueNumber, request);
+    await orchestrator.eventEmitter.flush();
+    this.logWorkflow(
+      `Workflow ${workflowId} (Issue #${issueNumber}) resumed at ${resume.fromStep} by ${resume.actor}: ${resume.reason}`
+    );
+    return this.executeWorkflow(issueNumber, { resume, resumeAction: action });
+  }
+
+  /**
+   * @ai-context Orchestrator bound to the issue's state, loop history and run journal; runs, replays
+   * and resumes all build it here
+   */
+  createOrchestrator(issueNumber, eventEmitter = null, options = {}) {
+    const BMADOrchestrator = require('./bmad-orchestrator');
+    return BMADOrchestrator.forIssue(issueNumber, eventEmitter, {
+      github: this.github,
+      stateCacheManager: this.createStateCache(issueNumber),
+      runJournal: RunJournal.forIssue(issueNumber),
+      ...options,
+    });
+  }
+
   createStateCache(issueNumber) {
     return new StateCacheManager({
       stateFile: `.github/workflow-state-${issueNumber}.json`,
@@ -326,6 +531,9 @@ class EnhancedBMADWorkflow {
     });
   }
 
+  /**
+   * @ai-context Load workflow state from file
+   */
   async loadState(issueNumber) {
     const stateFile = `.github/workflow-state-${issueNumber}.json`;
     if (require('fs').existsSync(stateFile)) {
@@ -357,10 +565,24 @@ class EnhancedBMADWorkflow {
    */
   async saveState(state) {
     const cache = this.createStateCache(state.issueNumber);
+    // The approval gate and the recovery manager own a waiting state: keep its checkpoint or
+    // suspension, persona and step
+    const owned = { [APPROVAL_STATUS]: 'approval', suspended: 'suspension' }[state.status];
+    if (owned) {
+      const stored = await cache.restoreState();
+      if (stored && stored.status === state.status && stored.context && stored.context[owned]) {
+        return cache.persistState(
+          stored.persona,
+          stored.stepId,
+          { ...stored.context, workflowState: state },
+          { workflowId: stored.workflowId, status: state.status }
+        );
+      }
+    }
     return cache.persistState(
       state.currentPersona || 'ORCHESTRATOR',
       state.stepId || state.lastStep || 'WORKFLOW',
-      { workflowState: state },
+      { workflowState: state, ...(state.budgetExceeded && { budget: state.budgetExceeded }) },
       { workflowId: state.workflowId, status: state.status || 'running' }
     );
   }
@@ -455,6 +677,7 @@ class EnhancedBMADWorkflow {
       endTime: new Date().toISOString(),
       totalDuration: Math.round(totalDuration / 1000),
       phases: this.workflowMetrics.phases,
+      costs: CostMeter.forIssue(issueNumber, { workflowId }).rollup(),
       metrics: {
         totalPhases: Object.keys(this.workflowMetrics.phases).length,
         successfulPhases: this.workflowMetrics.successes.length,
@@ -506,7 +729,8 @@ ${phase.error ? `- **Error:** ${phase.error}` : ''}
   )
   .join('')}
 
-## Metrics
+${report.costs ? `${CostMeter.format(report.costs)}
+` : ''}## Metrics
 - **Total Phases:** ${report.metrics.totalPhases}
 - **Successful:** ${report.metrics.successfulPhases}
 - **Failed:** ${report.metrics.failedPhases}
@@ -625,11 +849,27 @@ ${phase.error ? `- **Error:** ${phase.error}` : ''}
 
 // CLI Interface
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const dryRun = process.argv.includes('--dry-run');
+  const argv = process.argv.slice(2);
+  const fromPhaseIndex = argv.indexOf('--from-phase');
+  const fromPhase = fromPhaseIndex > -1 ? argv[fromPhaseIndex + 1] : null;
+  const args = argv.filter(
+    (arg, index) =>
+      arg !== '--dry-run' &&
+      (fromPhaseIndex === -1 || (index !== fromPhaseIndex && index !== fromPhaseIndex + 1))
+  );
+  const replay = args[0] === 'replay';
+  if (replay) args.shift();
 
   if (args.length === 0) {
     console.log(
-      `${colors.yellow}Usage: node bmad-workflow-enhanced.js <issue-number> [persona-key]${colors.reset}`
+      `${colors.yellow}Usage: node bmad-workflow-enhanced.js <issue-number> [persona-key] [--dry-run]${colors.reset}`
+    );
+    console.log(
+      `${colors.yellow}       node bmad-workflow-enhanced.js <issue-number> <issue-number>... (concurrent, BMAD_MAX_CONCURRENT_ISSUES)${colors.reset}`
+    );
+    console.log(
+      `${colors.yellow}       node bmad-workflow-enhanced.js replay <issue-number> --from-phase "<phase>"${colors.reset}`
     );
     console.log(
       `${colors.gray}Available personas: pm, architect, developer, qa, security, devops, releaseManager${colors.reset}`
@@ -645,9 +885,54 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  const workflow = new EnhancedBMADWorkflow();
+  const workflow = dryRun ? null : new EnhancedBMADWorkflow();
 
-  if (personaKey) {
+  if (replay) {
+    if (!fromPhase) {
+      console.error(`${colors.red}❌ replay requires --from-phase "<phase>"${colors.reset}`);
+      process.exit(1);
+    }
+    workflow
+      .replayWorkflow(issueNumber, fromPhase)
+      .then(() => {
+        console.log(`${colors.green}🎉 Replay from "${fromPhase}" completed${colors.reset}`);
+      })
+      .catch((error) => {
+        console.error(`${colors.red}❌ Replay failed: ${error.message}${colors.reset}`);
+        process.exit(1);
+      });
+  } else if (dryRun) {
+    // Plan only: no persona runs, no state or handover writes
+    const BMADOrchestrator = require('./bmad-orchestrator');
+    args
+      .filter((arg) => /^\d+$/.test(arg))
+      .reduce(
+        (previous, arg) =>
+          previous.then(() =>
+            BMADOrchestrator.forIssue(parseInt(arg, 10)).orchestrate(parseInt(arg, 10), {
+              dryRun: true,
+            })
+          ),
+        Promise.resolve()
+      )
+      .catch((error) => {
+        console.error(`${colors.red}❌ Dry run failed: ${error.message}${colors.reset}`);
+        process.exit(1);
+      });
+  } else if (args.length > 1 && args.every((arg) => /^\d+$/.test(arg))) {
+    // Execute several issues concurrently, each with isolated state
+    new IssueScheduler()
+      .schedule(args.map((arg) => parseInt(arg, 10)))
+      .then((results) => {
+        results.forEach((result) => {
+          const color = result.status === 'fulfilled' ? colors.green : colors.red;
+          console.log(
+            `${color}Issue #${result.issueNumber}: ${result.status}${result.error ? ` (${result.error.message})` : ''}${colors.reset}`
+          );
+        });
+        if (results.some((result) => result.status === 'rejected')) process.exit(1);
+      });
+  } else if (personaKey) {
     // Execute single persona
     workflow
       .executePersona(personaKey, issueNumber)
@@ -14,6 +14,7 @@ const TestExecutionManager = require('../lib/test-execution-manager');
 const ProcessMonitor = require('../lib/process-monitor');
 const GitHubActionsSync = require('./github-actions-sync');
 const HookErrorHandler = require('./hook-error-handler');
+const EventBus = require('../lib/event-bus');
 
 class HookOrchestrator {
   constructor(config = {}) {
@@ -1200,12 +1201,22 @@ class HookOrchestrator {
   }
 
   /**
-   * Get coverage threshold from package.json or default
+   * Get coverage threshold from package.json, jest.config.js or default
    */
   getCoverageThreshold() {
+    return HookOrchestrator.readCoverageThreshold(process.cwd(), this.logger);
+  }
+
+  /**
+   * Coverage threshold of the project in `cwd` (jest `coverageThreshold.global`);
+   * shared with the QA persona so both gate on the same numbers
+   */
+  static readCoverageThreshold(cwd = process.cwd(), logger = null) {
     try {
-      const packagePath = path.join(process.cwd(), 'package.json');
-      const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+      const packagePath = path.join(cwd, 'package.json');
+      const pkg = fs.existsSync(packagePath)
+        ? JSON.parse(fs.readFileSync(packagePath, 'utf8'))
+        : {};
 
       if (
         pkg.jest &&
@@ -1214,8 +1225,16 @@ class HookOrchestrator {
       ) {
         return pkg.jest.coverageThreshold.global;
       }
+
+      const configPath = path.join(cwd, 'jest.config.js');
+      if (fs.existsSync(configPath)) {
+        const config = require(configPath);
+        if (config && config.coverageThreshold && config.coverageThreshold.global) {
+          return config.coverageThreshold.global;
+        }
+      }
     } catch (error) {
-      this.logger.warn(`Could not read coverage threshold: ${error.message}`);
+      if (logger) logger.warn(`Could not read coverage threshold: ${error.message}`);
     }
 
     // Default thresholds
@@ -1606,10 +1625,21 @@ class HookOrchestrator {
       // Log coordination attempt
       this.logger.info('Coordinating with BMAD Orchestrator');
 
+      // Workflows the orchestrator suspended, as published on the event log
+      const suspendedWorkflows = this.readSuspendedWorkflows();
+      if (suspendedWorkflows.length > 0) {
+        this.logger.warn(
+          `Suspended BMAD workflows: ${suspendedWorkflows
+            .map((workflow) => `#${workflow.issueNumber} (${workflow.phase}: ${workflow.category})`)
+            .join(', ')}`
+        );
+      }
+
       return {
         available: true,
         coordinated: true,
         context: coordinationContext,
+        suspendedWorkflows,
         message: 'BMAD Orchestrator coordination successful',
       };
     } catch (error) {
@@ -1958,6 +1988,31 @@ class HookOrchestrator {
     };
   }
 
+  /**
+   * Issues whose latest lifecycle event is a suspension
+   */
+  readSuspendedWorkflows() {
+    try {
+      const { events } = EventBus.readLog(EventBus.logFile(), {
+        types: ['persona-started', 'phase-completed', 'workflow-suspended', 'workflow-resumed'],
+      });
+      const latest = new Map();
+      events.forEach((event) => latest.set(event.issueNumber, event));
+      return [...latest.values()]
+        .filter((event) => event.type === 'workflow-suspended')
+        .map(({ issueNumber, timestamp, payload }) => ({
+          issueNumber,
+          timestamp,
+          phase: payload.phase,
+          category: payload.category,
+          reason: payload.reason,
+        }));
+    } catch (error) {
+      this.logger.warn(`Could not read BMAD event log: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Extract commit details for notification payloads
    */
@@ -0,0 +1,278 @@
+/**
+ * @ai-context Human approval checkpoints between workflow phases
+ * @ai-invariant A pending approval lives in the StateCacheManager state, so the wait survives restarts
+ * @ai-connection Declared as `approvals` in workflow definitions (or BMAD_APPROVAL_GATES); decided by
+ * an issue comment command, an issue label or POST /api/tasks/:id/intervene
+ */
+const Logger = require('./logger');
+const { NonRetryableError } = require('./bmad-error');
+
+const AWAITING_STATUS = 'awaiting-approval';
+const DEFAULT_LABELS = { approve: 'bmad:approved', reject: 'bmad:rejected' };
+const DEFAULT_COMMANDS = { approve: '/approve', reject: '/reject' };
+
+class ApprovalGate {
+  constructor(options = {}) {
+    this.logger = new Logger('ApprovalGate');
+    this.stateCacheManager = options.stateCacheManager;
+    this.octokit = options.octokit || null;
+    this.owner = options.owner || process.env.GITHUB_OWNER || 'helton-godoy';
+    this.repo = options.repo || process.env.GITHUB_REPO || 'shantilly-cli';
+    this.labels = { ...DEFAULT_LABELS, ...options.labels };
+    this.commands = { ...DEFAULT_COMMANDS, ...options.commands };
+    this.approvals =
+      options.approvals || ApprovalGate.parseCheckpoints(process.env.BMAD_APPROVAL_GATES);
+  }
+
+  /**
+   * @ai-context Parse "after:Architecture Design,before:Release Management"
+   */
+  static parseCheckpoints(value) {
+    if (!value) return [];
+    return value
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const separator = entry.indexOf(':');
+        const point = entry.slice(0, separator).trim().toLowerCase();
+        if (separator < 0 || !['before', 'after'].includes(point)) {
+          throw new NonRetryableError(
+            `Invalid approval checkpoint "${entry}" (expected before:<phase> or after:<phase>)`,
+            'APPROVAL_CONFIG_INVALID',
+            { operation: 'parseApprovalCheckpoints' }
+          );
+        }
+        return { [point]: entry.slice(separator + 1).trim() };
+      });
+  }
+
+  /**
+   * @ai-context Checkpoint guarding the move from the current state to the action, if any
+   * @ai-invariant Retrying the same phase never asks again
+   */
+  checkpointFor(workflow, state, action) {
+    if (!workflow || !action || action.nextPhase === state.phase) return null;
+    const approvals = [...(workflow.approvals || []), ...this.approvals];
+    const match = approvals.find(
+      (approval) =>
+        (approval.after !== undefined && approval.after === state.phase) ||
+        (approval.before !== undefined && approval.before === action.nextPhase)
+    );
+    if (!match) return null;
+    const when = match.after !== undefined ? 'after' : 'before';
+    const phase = match[when];
+    return {
+      id: `${workflow.id}:${when}:${phase}`,
+      when,
+      phase,
+      approvers: match.approvers || [],
+    };
+  }
+
+  /**
+   * @ai-context Resolve a checkpoint: request approval once, then look for a decision
+   * @returns {Promise<{status: 'pending'|'approved'|'rejected', approval: Object}>}
+   */
+  async evaluate(checkpoint, { issueNumber, issue, state, action, workflowId }) {
+    const stored = await this.stateCacheManager.restoreState();
+    const current = stored && stored.context && stored.context.approval;
+    const open =
+      current &&
+      current.checkpoint === checkpoint.id &&
+      stored.context.issueNumber === issueNumber &&
+      current.status !== 'rejected';
+
+    if (!open) {
+      const approval = await this.request(checkpoint, { issueNumber, state, action, workflowId });
+      return { status: 'pending', approval };
+    }
+    if (current.status === 'approved') return { status: 'approved', approval: current };
+
+    const decision =
+      current.decision || (await this.findDecision(current, checkpoint, issue, issueNumber));
+    if (!decision) return { status: 'pending', approval: current };
+
+    this.logger.info(
+      `Checkpoint ${checkpoint.id} ${decision.status} by ${decision.reviewer} via ${decision.via}`
+    );
+    return {
+      status: decision.status,
+      approval: { ...current, status: decision.status, decision },
+    };
+  }
+
+  /**
+   * @ai-context Persist the wait and ask for a decision on the issue
+   */
+  async request(checkpoint, { issueNumber, state, action, workflowId }) {
+    const approval = {
+      checkpoint: checkpoint.id,
+      when: checkpoint.when,
+      phase: checkpoint.phase,
+      persona: action.persona,
+      previousPersona: state.persona,
+      previousPhase: state.phase,
+      status: 'pending',
+      requestedAt: new Date().toISOString(),
+    };
+    await this.stateCacheManager.persistState(
+      action.persona.toUpperCase(),
+      action.nextPhase,
+      { issueNumber, source: action.source, previousPersona: state.persona, approval },
+      { workflowId: workflowId || `issue-${issueNumber}`, status: AWAITING_STATUS }
+    );
+    await this.comment(
+      issueNumber,
+      [
+        `⏸️ **Aprovação necessária** (${checkpoint.when} ${checkpoint.phase})`,
+        '',
+        `Próxima ação: ${action.persona} → ${action.nextPhase}.`,
+        `Comente \`${this.commands.approve}\` ou \`${this.commands.reject} <feedback>\`, ` +
+          `ou aplique o label \`${this.labels.approve}\` / \`${this.labels.reject}\`.`,
+      ].join('\n')
+    );
+    return approval;
+  }
+
+  /**
+   * @ai-context Labels win over comments; only commands newer than the request count
+   */
+  async findDecision(approval, checkpoint, issue, issueNumber) {
+    const labels = ((issue && issue.labels) || []).map((label) =>
+      typeof label === 'string' ? label : label.name
+    );
+    const comments = await this.listCommandComments(issueNumber, approval.requestedAt, checkpoint);
+    const latestReject = comments.filter((comment) => comment.status === 'rejected').pop();
+
+    if (labels.includes(this.labels.reject)) {
+      await this.removeLabel(issueNumber, this.labels.reject);
+      return {
+        status: 'rejected',
+        reviewer: latestReject ? latestReject.reviewer : 'label',
+        feedback: latestReject ? latestReject.feedback : '',
+        via: 'label',
+        decidedAt: new Date().toISOString(),
+      };
+    }
+    if (labels.includes(this.labels.approve)) {
+      await this.removeLabel(issueNumber, this.labels.approve);
+      return {
+        status: 'approved',
+        reviewer: 'label',
+        feedback: '',
+        via: 'label',
+        decidedAt: new Date().toISOString(),
+      };
+    }
+    return comments.pop() || null;
+  }
+
+  async listCommandComments(issueNumber, since, checkpoint) {
+    if (!this.octokit) return [];
+    try {
+      const response = await this.octokit.rest.issues.listComments({
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber,
+        since,
+      });
+      return response.data
+        .filter((comment) => comment.created_at >= since)
+        .map((comment) => this.parseCommand(comment))
+        .filter(Boolean)
+        .filter(
+          (decision) =>
+            checkpoint.approvers.length === 0 || checkpoint.approvers.includes(decision.reviewer)
+        );
+    } catch (error) {
+      this.logger.warn(`Could not read approval comments on #${issueNumber}: ${error.message}`);
+      return [];
+    }
+  }
+
+  parseCommand(comment) {
+    const body = String(comment.body || '').trim();
+    const reviewer = comment.user ? comment.user.login : 'unknown';
+    const command = Object.entries(this.commands).find(
+      ([, text]) => body === text || body.startsWith(`${text} `) || body.startsWith(`${text}\n`)
+    );
+    if (!command) return null;
+    const [kind, text] = command;
+    return {
+      status: kind === 'approve' ? 'approved' : 'rejected',
+      reviewer,
+      feedback: body.slice(text.length).trim(),
+      via: 'comment',
+      decidedAt: comment.created_at,
+    };
+  }
+
+  async comment(issueNumber, body) {
+    if (!this.octokit) return;
+    try {
+      await this.octokit.rest.issues.createComment({
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber,
+        body,
+      });
+    } catch (error) {
+      this.logger.warn(`Could not post approval request on #${issueNumber}: ${error.message}`);
+    }
+  }
+
+  async removeLabel(issueNumber, name) {
+    if (!this.octokit) return;
+    try {
+      await this.octokit.rest.issues.removeLabel({
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber,
+        name,
+      });
+    } catch (error) {
+      this.logger.warn(`Could not remove label ${name} from #${issueNumber}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @ai-context Record a decision taken outside GitHub (dashboard intervene endpoint)
+   */
+  static async recordDecision(stateCacheManager, { status, reviewer, feedback, via = 'api' }) {
+    if (!['approved', 'rejected'].includes(status)) {
+      throw new NonRetryableError(
+        `Invalid approval decision: ${status}`,
+        'APPROVAL_DECISION_INVALID',
+        { operation: 'recordApprovalDecision' }
+      );
+    }
+    const stored = await stateCacheManager.restoreState();
+    const approval = stored && stored.context && stored.context.approval;
+    if (!stored || stored.status !== AWAITING_STATUS || !approval || approval.status !== 'pending') {
+      throw new NonRetryableError(
+        'No approval is pending for this workflow',
+        'APPROVAL_NOT_PENDING',
+        { operation: 'recordApprovalDecision', workflowId: stored && stored.workflowId }
+      );
+    }
+    const decision = {
+      status,
+      reviewer: reviewer || 'dashboard',
+      feedback: feedback || '',
+      via,
+      decidedAt: new Date().toISOString(),
+    };
+    await stateCacheManager.persistState(
+      stored.persona,
+      stored.stepId,
+      { ...stored.context, approval: { ...approval, decision } },
+      { workflowId: stored.workflowId, status: AWAITING_STATUS }
+    );
+    return { ...approval, decision };
+  }
+}
+
+ApprovalGate.AWAITING_STATUS = AWAITING_STATUS;
+
+module.exports = ApprovalGate;
@@ -0,0 +1,263 @@
+/**
+ * @ai-context Content contracts for planning artifacts (PRD, SPEC): required sections, acceptance
+ * criteria, traceable requirement IDs and the prompt section the next persona reads
+ * @ai-invariant A check never throws on bad content; every gap is reported with a stable code so the
+ * retrying persona can fix exactly what is missing
+ * @ai-connection Used by BMADOrchestrator guards and validateRequirementsDocument; reports travel to
+ * the retried persona through PersonaExecutionContext.contract
+ */
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { NonRetryableError } = require('./bmad-error');
+
+const DEFAULT_CONTRACTS_FILE = '.github/bmad-contracts.json';
+// Candidate locations per guard artifact type, most specific first.
+const ARTIFACT_PATHS = {
+  PRD: [
+    'docs/planning/PRD-{issue}.md',
+    'docs/planning/PRD_{issue}.md',
+    'docs/planning/PRD.md',
+  ],
+  SPEC: [
+    'docs/architecture/SPEC-{issue}.md',
+    'docs/architecture/SPEC_{issue}.md',
+    'docs/architecture/SPEC.md',
+  ],
+  REPRO: [
+    'docs/testing/REPRO-{issue}.md',
+    'docs/testing/REPRO_{issue}.md',
+  ],
+};
+const EARS_PATTERN = /\b(WHEN|WHILE|WHERE|IF)\b[\s\S]{1,500}\b(SHALL|THEN)\b/i;
+// Tag of the scaffolded reproduction test: it fails without reproducing anything until replaced
+const REPRO_PLACEHOLDER = '@bmad-repro-placeholder';
+
+const DEFAULT_CONTRACTS = {
+  PRD: {
+    sections: ['Requirements', 'Acceptance Criteria', 'Architect Prompt'],
+    requirementIds: { pattern: 'REQ-\\d+', section: 'Requirements', min: 1 },
+    acceptanceCriteria: { section: 'Acceptance Criteria', min: 3, ears: true, traced: true },
+    promptSection: 'Architect Prompt',
+  },
+  SPEC: {
+    sections: ['Architecture', 'Implementation Plan', 'Traceability'],
+    requirementIds: { pattern: 'REQ-\\d+', section: 'Traceability', min: 1, tracesTo: 'PRD' },
+  },
+};
+
+const contractSchema = Joi.object({
+  sections: Joi.array().items(Joi.string().min(1)).default([]),
+  requirementIds: Joi.object({
+    pattern: Joi.string().min(1).required(),
+    section: Joi.string().min(1).allow(null).default(null),
+    min: Joi.number().integer().min(0).default(1),
+    tracesTo: Joi.string().uppercase().allow(null).default(null),
+  }).allow(null).default(null),
+  acceptanceCriteria: Joi.object({
+    section: Joi.string().min(1).required(),
+    min: Joi.number().integer().min(0).default(1),
+    ears: Joi.boolean().default(true),
+    traced: Joi.boolean().default(false),
+  }).allow(null).default(null),
+  promptSection: Joi.string().min(1).allow(null).default(null),
+});
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class ArtifactContracts {
+  constructor(options = {}) {
+    const file = options.configFile || process.env.BMAD_CONTRACTS_FILE || DEFAULT_CONTRACTS_FILE;
+    const config = options.config || ArtifactContracts.readConfig(file);
+    const merged = { ...DEFAULT_CONTRACTS };
+    Object.entries(config.contracts || {}).forEach(([type, contract]) => {
+      merged[type.toUpperCase()] = { ...(merged[type.toUpperCase()] || {}), ...contract };
+    });
+    this.contracts = {};
+    const errors = [];
+    Object.entries(merged).forEach(([type, contract]) => {
+      const { error, value } = contractSchema.validate(contract, { abortEarly: false });
+      if (error) errors.push(...error.details.map((detail) => `contracts.${type}: ${detail.message}`));
+      else this.contracts[type] = value;
+    });
+    if (errors.length > 0) {
+      throw new NonRetryableError(
+        `Invalid artifact contracts:\n- ${errors.join('\n- ')}`,
+        'CONTRACT_CONFIG_INVALID',
+        { operation: 'loadArtifactContracts', additionalContext: { errors } }
+      );
+    }
+  }
+
+  static readConfig(file) {
+    const absolutePath = path.resolve(process.cwd(), file);
+    if (!fs.existsSync(absolutePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(absolutePath, 'utf-8')) || {};
+    } catch (error) {
+      throw new NonRetryableError(
+        `Invalid artifact contracts: ${file} is not valid JSON (${error.message})`,
+        'CONTRACT_CONFIG_INVALID',
+        { operation: 'loadArtifactContracts' }
+      );
+    }
+  }
+
+  /**
+   * @ai-context First existing candidate path of an artifact type for an issue, else the most specific one
+   */
+  static pathFor(type, issueNumber) {
+    const normalized = String(type || '').toUpperCase();
+    if (!ARTIFACT_PATHS[normalized]) {
+      throw new Error(`Unknown artifact type: ${type}`);
+    }
+    const candidates = ARTIFACT_PATHS[normalized].map((template) =>
+      template.replace('{issue}', issueNumber)
+    );
+    return candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0];
+  }
+
+  has(type) {
+    return Boolean(this.contracts[String(type || '').toUpperCase()]);
+  }
+
+  get(type) {
+    return this.contracts[String(type || '').toUpperCase()] || null;
+  }
+
+  /**
+   * @ai-context Body of a `##`/`###` section up to the next heading of the same or higher level
+   */
+  static section(content, title) {
+    const heading = new RegExp(`^(#{2,3})\\s*${escapeRegex(title)}\\s*$`, 'im');
+    const match = String(content || '').match(heading);
+    if (!match) return null;
+    const rest = content.slice(match.index + match[0].length);
+    const next = rest.search(new RegExp(`^#{2,${match[1].length}}\\s`, 'm'));
+    return (next === -1 ? rest : rest.slice(0, next)).trim();
+  }
+
+  /**
+   * @ai-context Check `content` against the contract of `type`. `related` maps other artifact types
+   * to their content, used by `requirementIds.tracesTo`.
+   */
+  validate(type, content, options = {}) {
+    const normalized = String(type || '').toUpperCase();
+    const contract = this.get(normalized);
+    const report = { type: normalized, path: options.path || null, valid: true, gaps: [], requirementIds: [] };
+    if (!contract) return report;
+    const gap = (code, message, details = {}) => report.gaps.push({ code, message, ...details });
+
+    if (content === null || content === undefined) {
+      gap('ARTIFACT_MISSING', `${normalized} document not found${report.path ? `: ${report.path}` : ''}`);
+      return ArtifactContracts.finish(report);
+    }
+
+    contract.sections.forEach((title) => {
+      const body = ArtifactContracts.section(content, title);
+      if (body === null) gap('SECTION_MISSING', `missing section "## ${title}"`, { section: title });
+      else if (!body) gap('SECTION_EMPTY', `section "## ${title}" is empty`, { section: title });
+    });
+
+    const ids = contract.requirementIds;
+    if (ids) {
+      const scope = ids.section ? ArtifactContracts.section(content, ids.section) || '' : content;
+      const pattern = new RegExp(`\\b${ids.pattern}\\b`, 'g');
+      report.requirementIds = [...new Set(scope.match(pattern) || [])];
+      if (report.requirementIds.length < ids.min) {
+        gap(
+          'REQUIREMENT_IDS_MISSING',
+          `needs at least ${ids.min} requirement ID(s) matching ${ids.pattern}${ids.section ? ` in "## ${ids.section}"` : ''}, found ${report.requirementIds.length}`,
+          { expected: ids.min, found: report.requirementIds.length }
+        );
+      }
+      const upstream = ids.tracesTo && options.related && options.related[ids.tracesTo];
+      if (upstream) {
+        const upstreamIds = this.validate(ids.tracesTo, upstream).requirementIds;
+        const untraced = upstreamIds.filter((id) => !report.requirementIds.includes(id));
+        if (untraced.length > 0) {
+          gap('REQUIREMENT_UNTRACED', `${ids.tracesTo} requirement(s) not traced: ${untraced.join(', ')}`, {
+            ids: untraced,
+          });
+        }
+      }
+    }
+
+    const criteria = contract.acceptanceCriteria;
+    if (criteria) {
+      const items = (ArtifactContracts.section(content, criteria.section) || '')
+        .split('\n')
+        .map((line) => line.match(/^\s*(?:[-*]|\d+\.)\s+(?:\[[ xX]\]\s+)?(.+)$/))
+        .filter(Boolean)
+        .map((match) => match[1].trim());
+      const accepted = criteria.ears ? items.filter((item) => EARS_PATTERN.test(item)) : items;
+      if (criteria.ears && items.length > accepted.length) {
+        gap(
+          'CRITERIA_NOT_EARS',
+          `${items.length - accepted.length} acceptance criterion(s) are not EARS (WHEN/WHILE/WHERE/IF ... SHALL)`,
+          { items: items.filter((item) => !accepted.includes(item)) }
+        );
+      }
+      if (accepted.length < criteria.min) {
+        gap(
+          'CRITERIA_TOO_FEW',
+          `needs at least ${criteria.min} ${criteria.ears ? 'EARS ' : ''}acceptance criterion(s) in "## ${criteria.section}", found ${accepted.length}`,
+          { expected: criteria.min, found: accepted.length }
+        );
+      }
+      if (criteria.traced && ids) {
+        const pattern = new RegExp(`\\b${ids.pattern}\\b`);
+        const untraced = accepted.filter((item) => !pattern.test(item));
+        if (untraced.length > 0) {
+          gap('CRITERIA_UNTRACED', `${untraced.length} acceptance criterion(s) cite no requirement ID`, {
+            items: untraced,
+          });
+        }
+        const uncovered = report.requirementIds.filter(
+          (id) => !accepted.some((item) => new RegExp(`\\b${escapeRegex(id)}\\b`).test(item))
+        );
+        if (uncovered.length > 0) {
+          gap('REQUIREMENT_WITHOUT_CRITERIA', `requirement(s) without acceptance criteria: ${uncovered.join(', ')}`, {
+            ids: uncovered,
+          });
+        }
+      }
+    }
+
+    if (contract.promptSection && !contract.sections.includes(contract.promptSection)) {
+      if (!ArtifactContracts.section(content, contract.promptSection)) {
+        gap('PROMPT_SECTION_MISSING', `missing prompt section "## ${contract.promptSection}"`, {
+          section: contract.promptSection,
+        });
+      }
+    }
+    return ArtifactContracts.finish(report);
+  }
+
+  static finish(report) {
+    report.valid = report.gaps.length === 0;
+    report.summary = report.valid
+      ? `${report.type} contract satisfied`
+      : `${report.type} contract failed: ${report.gaps.length} gap(s)`;
+    return report;
+  }
+
+  /**
+   * @ai-context Plain-text report appended to the retry prompt
+   */
+  static format(report) {
+    return [
+      `CONTRACT GAPS in ${report.path || report.type} (${report.gaps.length}):`,
+      ...report.gaps.map((gap) => `- [${gap.code}] ${gap.message}`),
+    ].join('\n');
+  }
+}
+
+ArtifactContracts.ARTIFACT_PATHS = ARTIFACT_PATHS;
+ArtifactContracts.DEFAULT_CONTRACTS = DEFAULT_CONTRACTS;
+ArtifactContracts.EARS_PATTERN = EARS_PATTERN;
+ArtifactContracts.REPRO_PLACEHOLDER = REPRO_PLACEHOLDER;
+
+module.exports = ArtifactContracts;
@@ -0,0 +1,217 @@
+/**
+ * @ai-context Metering of the model calls personas make: tokens, latency and cost per call, rolled up
+ * per phase, persona, model, workflow and issue
+ * @ai-invariant The ledger is append-only; a call without an explicit cost is priced from the model table
+ * @ai-connection Personas report through PersonaExecutionContext.meter; BMADOrchestrator charges each call
+ * to the WorkflowBudget; EnhancedBMADWorkflow.generateWorkflowReport renders the roll-up
+ */
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { NonRetryableError } = require('./bmad-error');
+
+const LEDGER_DIR = 'metrics';
+const DEFAULT_PRICES_FILE = '.github/bmad-model-prices.json';
+
+const callSchema = Joi.object({
+  model: Joi.string().min(1).required(),
+  inputTokens: Joi.number().integer().min(0).default(0),
+  outputTokens: Joi.number().integer().min(0).default(0),
+  latencyMs: Joi.number().min(0).default(0),
+  // USD; priced from the model table when omitted
+  costUsd: Joi.number().min(0),
+  issueNumber: Joi.number().integer().allow(null).default(null),
+  workflowId: Joi.string().allow(null).default(null),
+  persona: Joi.string().allow(null).default(null),
+  phase: Joi.string().allow(null).default(null),
+});
+
+// USD per million tokens
+const priceSchema = Joi.object({
+  models: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.object({ inputPer1M: Joi.number().min(0).required(), outputPer1M: Joi.number().min(0).required() })
+    )
+    .default({}),
+});
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+class CostMeter {
+  constructor(options = {}) {
+    this.file = options.file || path.join('.github', LEDGER_DIR, 'costs.jsonl');
+    this.issueNumber = options.issueNumber ?? null;
+    this.workflowId = options.workflowId || (this.issueNumber ? `issue-${this.issueNumber}` : null);
+    // Loaded on the first call that needs pricing
+    this.prices = options.prices || null;
+    this.pricesFile = options.pricesFile;
+  }
+
+  static forIssue(issueNumber, options = {}) {
+    const stateDir = options.stateDir || '.github';
+    return new CostMeter({
+      ...options,
+      issueNumber,
+      file: path.join(stateDir, LEDGER_DIR, `costs-issue-${issueNumber}.jsonl`),
+    });
+  }
+
+  static loadPrices(file = process.env.BMAD_MODEL_PRICES_FILE || DEFAULT_PRICES_FILE) {
+    if (!fs.existsSync(file)) return {};
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new NonRetryableError(`Model prices ${file} are not valid JSON: ${error.message}`, 'METERING_INVALID', {
+        operation: 'loadModelPrices',
+      });
+    }
+    const { error, value } = priceSchema.validate(parsed || {});
+    if (error) {
+      throw new NonRetryableError(`Invalid model prices in ${file}: ${error.message}`, 'METERING_INVALID', {
+        operation: 'loadModelPrices',
+      });
+    }
+    return value.models;
+  }
+
+  price(model, inputTokens, outputTokens) {
+    if (!this.prices) this.prices = CostMeter.loadPrices(this.pricesFile);
+    const price = this.prices[model];
+    if (!price) return 0;
+    return roundUsd((inputTokens * price.inputPer1M + outputTokens * price.outputPer1M) / 1e6);
+  }
+
+  /**
+   * @ai-context Validate, price and append one model call; returns the ledger entry
+   */
+  record(call) {
+    const { error, value } = callSchema.validate(
+      { issueNumber: this.issueNumber, workflowId: this.workflowId, ...call },
+      { stripUnknown: true }
+    );
+    if (error) {
+      throw new NonRetryableError(`Invalid model call report: ${error.message}`, 'METERING_INVALID', {
+        persona: call && call.persona,
+        operation: 'recordModelCall',
+        stepId: call && call.phase,
+      });
+    }
+    const entry = {
+      recordedAt: new Date().toISOString(),
+      ...value,
+      tokens: value.inputTokens + value.outputTokens,
+      costUsd: roundUsd(value.costUsd ?? this.price(value.model, value.inputTokens, value.outputTokens)),
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  /**
+   * @ai-context Reporter handed to one persona execution: fills in who made the call and lets the
+   * caller charge it (e.g. to a budget, which may throw to stop the persona)
+   */
+  scope(fields, onRecord = null) {
+    return {
+      record: (call) => {
+        const entry = this.record({ ...call, ...fields });
+        if (onRecord) onRecord(entry);
+        return entry;
+      },
+    };
+  }
+
+  entries() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs
+      .readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new NonRetryableError(
+            `Cost ledger ${this.file} line ${index + 1} is not valid JSON: ${error.message}`,
+            'METERING_INVALID',
+            { operation: 'readCostLedger', additionalContext: { file: this.file, line: index + 1 } }
+          );
+        }
+      });
+  }
+
+  static totals(entries) {
+    return entries.reduce(
+      (totals, entry) => ({
+        calls: totals.calls + 1,
+        inputTokens: totals.inputTokens + entry.inputTokens,
+        outputTokens: totals.outputTokens + entry.outputTokens,
+        tokens: totals.tokens + entry.tokens,
+        latencyMs: totals.latencyMs + entry.latencyMs,
+        costUsd: roundUsd(totals.costUsd + entry.costUsd),
+      }),
+      { calls: 0, inputTokens: 0, outputTokens: 0, tokens: 0, latencyMs: 0, costUsd: 0 }
+    );
+  }
+
+  static groupBy(entries, field) {
+    const groups = {};
+    entries.forEach((entry) => {
+      const key = entry[field] || 'unknown';
+      (groups[key] = groups[key] || []).push(entry);
+    });
+    return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, CostMeter.totals(group)]));
+  }
+
+  /**
+   * @ai-context Totals of the issue (every run) and of one workflow run, which is also split per phase,
+   * persona and model
+   */
+  rollup(workflowId = this.workflowId) {
+    const entries = this.entries();
+    const run = entries.filter((entry) => entry.workflowId === workflowId);
+    return {
+      issueNumber: this.issueNumber,
+      workflowId,
+      issue: CostMeter.totals(entries),
+      workflow: CostMeter.totals(run),
+      byWorkflow: CostMeter.groupBy(entries, 'workflowId'),
+      byPhase: CostMeter.groupBy(run, 'phase'),
+      byPersona: CostMeter.groupBy(run, 'persona'),
+      byModel: CostMeter.groupBy(run, 'model'),
+    };
+  }
+
+  /**
+   * @ai-context Markdown section of the workflow report
+   */
+  static format(rollup) {
+    const usd = (value) => `$${value.toFixed(4)}`;
+    const table = (title, groups) => [
+      `### ${title}`,
+      '',
+      '| | Calls | Input tokens | Output tokens | Latency | Cost |',
+      '| --- | --- | --- | --- | --- | --- |',
+      ...Object.entries(groups).map(
+        ([key, totals]) =>
+          `| ${key} | ${totals.calls} | ${totals.inputTokens} | ${totals.outputTokens} | ${Math.round(totals.latencyMs)}ms | ${usd(totals.costUsd)} |`
+      ),
+      '',
+    ];
+    if (rollup.issue.calls === 0) return '## Costs\n\n_No model calls were metered._\n';
+    return [
+      '## Costs',
+      '',
+      `- **Workflow:** ${usd(rollup.workflow.costUsd)} (${rollup.workflow.tokens} tokens, ${rollup.workflow.calls} calls)`,
+      `- **Issue #${rollup.issueNumber} (all runs):** ${usd(rollup.issue.costUsd)} (${rollup.issue.tokens} tokens, ${rollup.issue.calls} calls)`,
+      '',
+      ...table('By Phase', rollup.byPhase),
+      ...table('By Persona', rollup.byPersona),
+      ...table('By Model', rollup.byModel),
+    ].join('\n');
+  }
+}
+
+module.exports = CostMeter;
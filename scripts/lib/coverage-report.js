@@ -0,0 +1,298 @@
+/**
+ * @ai-context Runs the project's test command with coverage and turns the JSON coverage summary into
+ * totals and per-file numbers checked against the coverage thresholds
+ * @ai-invariant A run passes only when the command succeeds, the summary exists and every global
+ * threshold is met; a missing summary is a failure, never an assumed percentage
+ * @ai-connection Used by the QA persona; thresholds come from HookOrchestrator.getCoverageThreshold so
+ * QA and the pre-push hook gate on the same numbers
+ */
+/* global setTimeout, clearTimeout */
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const METRICS = ['lines', 'statements', 'functions', 'branches'];
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const OUTPUT_TAIL = 4000;
+
+class CoverageReport {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.command = options.command || process.env.BMAD_QA_TEST_COMMAND || null;
+    this.coverageDir = options.coverageDir || 'coverage';
+    this.threshold = options.threshold || {};
+    this.timeoutMs = options.timeoutMs ?? Number(process.env.BMAD_QA_TEST_TIMEOUT_MS || DEFAULT_TIMEOUT_MS);
+    this.spawn = options.spawn || spawn;
+  }
+
+  /**
+   * @ai-context Test command of the project: `test:coverage`, else `test`. Jest scripts get the
+   * json-summary reporter; other runners must write coverage/coverage-summary.json themselves.
+   */
+  static testCommand(pkg = {}) {
+    const scripts = pkg.scripts || {};
+    const script = scripts['test:coverage'] ? 'test:coverage' : scripts.test ? 'test' : null;
+    if (!script) return null;
+    const base = script === 'test' ? 'npm test' : `npm run ${script}`;
+    if (!/\bjest\b/.test(scripts[script])) return base;
+    return `${base} -- --coverage --coverageReporters=json-summary --coverageReporters=text-summary`;
+  }
+
+  resolveCommand() {
+    if (this.command) return this.command;
+    const packagePath = path.join(this.cwd, 'package.json');
+    if (!fs.existsSync(packagePath)) return null;
+    return CoverageReport.testCommand(JSON.parse(fs.readFileSync(packagePath, 'utf8')));
+  }
+
+  /**
+   * @ai-context Jest's `Tests:` line (`Tests: 1 failed, 4 passed, 5 total`), or null for other runners
+   */
+  static parseTestCounts(output) {
+    const line = String(output || '').match(/^Tests:\s+(.+)$/m);
+    if (!line) return null;
+    const count = (label) => {
+      const match = line[1].match(new RegExp(`(\\d+) ${label}`));
+      return match ? Number(match[1]) : 0;
+    };
+    return {
+      total: count('total'),
+      passed: count('passed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+    };
+  }
+
+  /**
+   * @ai-context istanbul json-summary → `{ total, files }` with paths relative to the project
+   */
+  static parseSummary(summary, cwd = process.cwd()) {
+    const metrics = (entry = {}) =>
+      Object.fromEntries(
+        METRICS.map((metric) => {
+          const { pct = 0, covered = 0, total = 0 } = entry[metric] || {};
+          return [metric, { pct: typeof pct === 'number' ? pct : 100, covered, total }];
+        })
+      );
+    return {
+      total: metrics(summary.total),
+      files: Object.entries(summary)
+        .filter(([file]) => file !== 'total')
+        .map(([file, entry]) => ({
+          path: path.relative(cwd, path.resolve(cwd, file)).split(path.sep).join('/'),
+          ...metrics(entry),
+        }))
+        .sort((a, b) => a.path.localeCompare(b.path)),
+    };
+  }
+
+  /**
+   * @ai-context Jest threshold semantics: a positive value is a minimum percentage, a negative one
+   * the maximum number of uncovered entities
+   */
+  static evaluate(coverage, threshold = {}) {
+    const failures = [];
+    METRICS.forEach((metric) => {
+      const limit = threshold[metric];
+      if (typeof limit !== 'number') return;
+      const actual = coverage.total[metric];
+      const uncovered = actual.total - actual.covered;
+      if (limit >= 0 && actual.pct < limit) {
+        failures.push({
+          metric,
+          actual: actual.pct,
+          threshold: limit,
+          message: `${metric} ${actual.pct}% < ${limit}%`,
+        });
+      } else if (limit < 0 && uncovered > -limit) {
+        failures.push({
+          metric,
+          actual: uncovered,
+          threshold: limit,
+          message: `${metric} ${uncovered} uncovered > ${-limit} allowed`,
+        });
+      }
+    });
+    return failures;
+  }
+
+  /**
+   * @ai-context Run the tests and judge them; the raw output is kept only as a tail for the logs.
+   * `signal` (the persona's abort signal) stops the test command along with the persona.
+   */
+  async run({ signal } = {}) {
+    const command = this.resolveCommand();
+    const result = {
+      status: 'failed',
+      command,
+      exitCode: null,
+      durationMs: 0,
+      tests: null,
+      coverage: null,
+      threshold: this.threshold,
+      failures: [],
+      output: '',
+    };
+    if (!command) {
+      result.failures.push('no test command configured (package.json scripts.test or BMAD_QA_TEST_COMMAND)');
+      return result;
+    }
+
+    const summaryPath = path.join(this.cwd, this.coverageDir, 'coverage-summary.json');
+    if (fs.existsSync(summaryPath)) fs.rmSync(summaryPath);
+    const started = Date.now();
+    // Jest prints its summary on stderr, so both streams are kept
+    const { code, stopped, error, output } = await this.execute(command, signal);
+    result.exitCode = typeof code === 'number' ? code : 1;
+    result.durationMs = Date.now() - started;
+    result.output = output.slice(-OUTPUT_TAIL);
+    result.tests = CoverageReport.parseTestCounts(output);
+
+    if (stopped === 'aborted') {
+      result.failures.push('test command aborted');
+    } else if (stopped === 'timeout') {
+      result.failures.push(`test command timed out after ${this.timeoutMs}ms`);
+    } else if (error) {
+      result.failures.push(`test command could not run: ${error.message}`);
+    }
+    if (result.tests && result.tests.failed > 0) {
+      result.failures.push(`${result.tests.failed} test(s) failed`);
+    }
+    if (fs.existsSync(summaryPath)) {
+      result.coverage = CoverageReport.parseSummary(
+        JSON.parse(fs.readFileSync(summaryPath, 'utf8')),
+        this.cwd
+      );
+      result.failures.push(
+        ...CoverageReport.evaluate(result.coverage, this.threshold).map((failure) => failure.message)
+      );
+    } else {
+      result.failures.push(`coverage summary not found at ${path.relative(this.cwd, summaryPath)}`);
+    }
+    if (result.exitCode !== 0 && result.failures.length === 0) {
+      result.failures.push(`test command exited with code ${result.exitCode}`);
+    }
+    result.status = result.failures.length === 0 ? 'passed' : 'failed';
+    return result;
+  }
+
+  /**
+   * @ai-context Run the command in its own process group so a timeout or an abort stops the whole
+   * tree (npm, the shell and the test runner), not just the shell
+   */
+  execute(command, signal) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      let stopped = null;
+      const child = this.spawn(command, {
+        cwd: this.cwd,
+        shell: true,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { ...process.env, CI: 'true' },
+      });
+      const stop = (reason) => {
+        if (stopped) return;
+        stopped = reason;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (killError) {
+          child.kill('SIGKILL');
+        }
+      };
+      const timer = setTimeout(() => stop('timeout'), this.timeoutMs);
+      const onAbort = () => stop('aborted');
+      if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
+      child.stdout.on('data', (chunk) => chunks.push(chunk));
+      child.stderr.on('data', (chunk) => chunks.push(chunk));
+      child.on('error', (spawnError) => {
+        clearTimeout(timer);
+        resolve({ code: null, stopped, error: spawnError, output: Buffer.concat(chunks).toString('utf8') });
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve({ code, stopped, error: null, output: Buffer.concat(chunks).toString('utf8') });
+      });
+    });
+  }
+
+  static summarize(result) {
+    const tests = result.tests ? `${result.tests.passed}/${result.tests.total} tests passed` : 'tests run';
+    const lines = result.coverage ? `, ${result.coverage.total.lines.pct}% lines covered` : '';
+    if (result.status === 'passed') return `Tests: ${tests}${lines}`;
+    return `Tests failed: ${result.failures.join('; ')}`;
+  }
+
+  /**
+   * @ai-context `## Test Results` section of the QA report: totals against the thresholds and the
+   * files below them (lowest line coverage first)
+   */
+  static format(result, maxFiles = 20) {
+    const lines = [
+      '## Test Results',
+      `- **Status**: ${result.status}`,
+      `- **Command**: \`${result.command || 'none'}\``,
+      ...(result.tests
+        ? [
+            `- **Tests**: ${result.tests.passed} passed, ${result.tests.failed} failed, ${result.tests.total} total`,
+          ]
+        : []),
+      `- **Duration**: ${Math.round(result.durationMs / 1000)}s`,
+      ...result.failures.map((failure) => `- ❌ ${failure}`),
+    ];
+    if (!result.coverage) return `${lines.join('\n')}\n`;
+
+    lines.push('', '| Metric | Covered | Threshold |', '| --- | --- | --- |');
+    METRICS.forEach((metric) => {
+      const { pct, covered, total } = result.coverage.total[metric];
+      const limit = result.threshold[metric];
+      const minimum = typeof limit !== 'number' ? '—' : limit >= 0 ? `${limit}%` : `≤ ${-limit} uncovered`;
+      lines.push(`| ${metric} | ${pct}% (${covered}/${total}) | ${minimum} |`);
+    });
+
+    const minimum =
+      typeof result.threshold.lines === 'number' && result.threshold.lines > 0
+        ? result.threshold.lines
+        : null;
+    const below = minimum === null ? [] : result.coverage.files.filter((file) => file.lines.pct < minimum);
+    if (below.length > 0) {
+      lines.push(
+        '',
+        `### Files below ${minimum}% line coverage (${below.length})`,
+        '',
+        '| File | Lines | Branches | Functions |',
+        '| --- | --- | --- | --- |'
+      );
+      below
+        .sort((a, b) => a.lines.pct - b.lines.pct)
+        .slice(0, maxFiles)
+        .forEach((file) =>
+          lines.push(
+            `| \`${file.path}\` | ${file.lines.pct}% | ${file.branches.pct}% | ${file.functions.pct}% |`
+          )
+        );
+      if (below.length > maxFiles) lines.push('', `_…and ${below.length - maxFiles} more in coverage.json_`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * @ai-context Per-file coverage artifact, in the shape microCommit expects
+   */
+  static files(result, outputDir = 'docs/testing') {
+    if (!result.coverage) return [];
+    const report = { ...result };
+    delete report.output;
+    return [
+      { path: path.posix.join(outputDir, 'coverage.json'), content: `${JSON.stringify(report, null, 2)}\n` },
+    ];
+  }
+}
+
+CoverageReport.METRICS = METRICS;
+
+module.exports = CoverageReport;
@@ -98,6 +98,16 @@ class EnhancedGatekeeper {
         timestamp: new Date().toISOString(),
       };
     }
+    // A dry run only plans: the test suite and git checks run when the phase really executes
+    if (context.dryRun) {
+      return {
+        gate: 'DEFERRED',
+        status: 'PASSED',
+        phase,
+        deferredValidations: context.validations || ['commit_message', 'context_update', 'test_execution'],
+        timestamp: new Date().toISOString(),
+      };
+    }
     if (process.env.NODE_ENV === 'test' || context.useFixtures) {
       const fixture = context.fixture || this.mockData.testResults;
       return this.evaluateResults({ ...fixture, phase, method: 'fixture' });
@@ -5,6 +5,7 @@
 const Logger = require('./logger');
 const ExponentialBackoff = require('./exponential-backoff');
 const StateCacheManager = require('./state-cache-manager');
+const { NonRetryableError } = require('./bmad-error');
 
 class ErrorRecoveryManager {
   constructor(options = {}) {
@@ -94,13 +95,31 @@ class ErrorRecoveryManager {
     this.remediations.set(category, remediation);
   }
 
+  /**
+   * @ai-context Persist a suspended record that `resumeSuspended` can pick up
+   * @ai-invariant The workflow state in progress (persona, step, workflowId) survives the suspension,
+   * so a resume continues the same run instead of starting a new one
+   */
   async suspend(context, outcomes, reason) {
     const stepId = context.stepId || 'RECOVERY';
+    const saved = context.context || context;
+    const stored = await this.stateCache.restoreState();
+    const workflowState =
+      saved.workflowState || (stored && stored.context && stored.context.workflowState) || null;
+    // What blocked the step travels with the state so a resume can re-check it
+    const suspension = {
+      category: context.category,
+      reason,
+      error: context.errorMessage,
+      persona: context.persona,
+      operation: context.operation,
+      suspendedAt: new Date().toISOString(),
+    };
     await this.stateCache.persistState(
       context.persona,
       stepId,
-      context.context || context,
-      { workflowId: context.workflowId, status: 'suspended' }
+      { ...saved, ...(workflowState && { workflowState }), suspension },
+      { workflowId: (workflowState && workflowState.workflowId) || context.workflowId, status: 'suspended' }
     );
     return {
       status: 'suspended',
@@ -115,6 +134,58 @@ class ErrorRecoveryManager {
     return this.stateCache.restoreState();
   }
 
+  /**
+   * @ai-context Put a suspended workflow back to 'running' at its suspended step
+   * @ai-invariant `recheck(state)` must report the blocking condition cleared unless `force` is set
+   * @ai-invariant Every accepted resume is appended to context.resumes with who asked and why
+   */
+  async resumeSuspended(request = {}) {
+    const state = await this.stateCache.restoreState();
+    if (!state || state.status !== 'suspended') {
+      throw new NonRetryableError(
+        `Workflow ${state ? state.workflowId : '(no state)'} is not suspended (status: ${state ? state.status : 'none'})`,
+        'WORKFLOW_NOT_SUSPENDED',
+        { operation: 'resumeSuspended', additionalContext: { status: state ? state.status : null } }
+      );
+    }
+    if (!request.actor || !String(request.reason || '').trim()) {
+      throw new NonRetryableError(
+        'Resuming a workflow requires who resumes it and why',
+        'RESUME_INVALID',
+        { operation: 'resumeSuspended', stepId: state.stepId }
+      );
+    }
+
+    const check = request.recheck ? await request.recheck(state) : { blocked: false, checks: [] };
+    const resume = {
+      actor: request.actor,
+      reason: String(request.reason).trim(),
+      category: (state.context.suspension || {}).category || null,
+      fromStep: state.stepId,
+      forced: Boolean(check.blocked && request.force),
+      checks: check.checks || [],
+      resumedAt: new Date().toISOString(),
+    };
+    if (check.blocked && !request.force) {
+      const error = new NonRetryableError(
+        `Workflow ${state.workflowId} is still blocked at ${state.stepId}: ${check.reason}`,
+        'RESUME_BLOCKED',
+        { operation: 'resumeSuspended', stepId: state.stepId, additionalContext: { resume } }
+      );
+      error.resume = resume;
+      throw error;
+    }
+
+    this.logger.info(`Resuming ${state.workflowId} at ${state.stepId} for ${resume.actor}`);
+    const resumed = await this.stateCache.persistState(
+      state.currentPersona || state.persona,
+      state.stepId,
+      { ...state.context, resumes: [...(state.context.resumes || []), resume] },
+      { workflowId: state.workflowId, status: 'running' }
+    );
+    return { state: resumed, suspended: state, resume };
+  }
+
   async attemptRemediation(error, context = {}) {
     if (context.canRemediate) {
       return { status: 'remediated', details: 'Remediation successful' };
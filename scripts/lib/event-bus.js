@@ -0,0 +1,276 @@
+/**
+ * @ai-context Typed lifecycle events of a workflow run, delivered in-process, to a JSONL log and to a local webhook
+ * @ai-invariant Every event is checked against EVENT_TYPES before any subscriber sees it
+ * @ai-invariant Sink failures and invalid events are logged, never thrown: observers cannot break a run
+ * @ai-connection Published by BMADOrchestrator, EnhancedBMADWorkflow and HookOrchestrator; read by
+ * the dashboard API (src/routes/orchestration.routes.js) and `bmad-cli events`
+ */
+/* global setTimeout, clearTimeout, URL */
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('./logger');
+const { NonRetryableError } = require('./bmad-error');
+
+const SCHEMA_VERSION = 1;
+const ALL = '*';
+const DEFAULT_LOG = path.join('events', 'events.jsonl');
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 2000;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+// Payload fields each event must carry; documented in docs/workflow/events.md
+const EVENT_TYPES = {
+  'state-loaded': ['persona', 'phase'],
+  'issue-classified': ['issueNumber', 'type'],
+  'action-determined': ['persona', 'nextPhase'],
+  'workflow-idle': [],
+  'workflow-planned': ['issueNumber', 'steps', 'stopReason'],
+  'workflow-replayed': ['issueNumber', 'phase'],
+  'approval-pending': ['issueNumber', 'checkpoint'],
+  'approval-resolved': ['issueNumber', 'checkpoint', 'status'],
+  'gate-passed': ['gate', 'phase'],
+  'gate-failed': ['gate', 'phase', 'reason'],
+  'loop-blocked': ['from', 'to', 'phase'],
+  'persona-started': ['persona', 'phase', 'attempt'],
+  'persona-finished': ['persona', 'phase', 'status', 'durationMs'],
+  'persona-retried': ['persona', 'phase', 'attempt', 'error'],
+  'branches-joined': ['phase', 'verdict', 'verdicts'],
+  'phase-completed': ['persona', 'nextPhase'],
+  'recovery-escalated': ['persona', 'phase', 'category', 'status'],
+  'workflow-suspended': ['phase', 'category', 'reason'],
+  'workflow-resumed': ['phase', 'actor', 'reason'],
+  'sub-issues-scheduled': ['parent', 'order'],
+  'sub-issue-updated': ['parent', 'issueNumber', 'status', 'rollup'],
+  'commit-recorded': ['commitHash', 'persona'],
+};
+
+class EventBus extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.logger = new Logger('EventBus');
+    this.source = options.source || 'orchestrator';
+    this.sinks = options.sinks || [];
+    this.pending = new Set();
+  }
+
+  /**
+   * @ai-context Bus with the sinks configured by BMAD_EVENT_LOG and BMAD_EVENT_WEBHOOK_URL
+   * @ai-invariant Dry runs never write the log; under NODE_ENV=test only an explicit BMAD_EVENT_LOG does
+   */
+  static fromEnv(options = {}) {
+    const stateDir = options.stateDir || process.env.BMAD_STATE_DIR || '.github';
+    const explicit = Boolean(process.env.BMAD_EVENT_LOG);
+    const logFile =
+      options.dryRun || (process.env.NODE_ENV === 'test' && !explicit) ? null : EventBus.logFile(stateDir);
+    const sinks = [];
+    if (logFile) sinks.push(new JsonlEventSink({ file: logFile }));
+    if (process.env.BMAD_EVENT_WEBHOOK_URL) {
+      sinks.push(new WebhookEventSink({ url: process.env.BMAD_EVENT_WEBHOOK_URL }));
+    }
+    return new EventBus({ ...options, sinks: [...sinks, ...(options.sinks || [])] });
+  }
+
+  /**
+   * @ai-context Configured JSONL log, or null when BMAD_EVENT_LOG=off
+   */
+  static logFile(stateDir = process.env.BMAD_STATE_DIR || '.github') {
+    const configured = process.env.BMAD_EVENT_LOG;
+    if (configured === 'off') return null;
+    return configured || path.join(stateDir, DEFAULT_LOG);
+  }
+
+  /**
+   * @ai-context Validate, wrap and deliver an event; listeners of `type` still receive the bare payload
+   * @ai-invariant An invalid event is logged and dropped (null is returned) instead of failing the run
+   */
+  publish(type, payload = {}, meta = {}) {
+    const errors = EventBus.validate(type, payload);
+    if (errors.length > 0) {
+      this.logger.warn(`Dropped invalid ${type} event: ${errors.join('; ')}`);
+      return null;
+    }
+    const event = {
+      id: crypto.randomUUID(),
+      version: SCHEMA_VERSION,
+      type,
+      source: meta.source || this.source,
+      issueNumber: meta.issueNumber ?? payload.issueNumber ?? null,
+      timestamp: new Date().toISOString(),
+      payload,
+    };
+
+    super.emit(type, payload);
+    super.emit(ALL, event);
+    this.sinks.forEach((sink) => this.deliver(sink, event));
+    return event;
+  }
+
+  /**
+   * @ai-context Orchestrator code written against a plain EventEmitter keeps working
+   */
+  emit(type, payload) {
+    if (EVENT_TYPES[type]) {
+      this.publish(type, payload || {});
+      return true;
+    }
+    return super.emit(type, payload);
+  }
+
+  /**
+   * @ai-context In-process subscriber receiving full events; `types` is one type, a list or '*'
+   */
+  subscribe(types, handler) {
+    const wanted = types === ALL ? null : new Set([].concat(types));
+    const listener = (event) => {
+      if (!wanted || wanted.has(event.type)) handler(event);
+    };
+    this.on(ALL, listener);
+    return () => this.off(ALL, listener);
+  }
+
+  deliver(sink, event) {
+    const warn = (error) =>
+      this.logger.warn(`Event sink ${sink.name} failed for ${event.type}: ${error.message}`);
+    try {
+      const delivery = sink.write(event);
+      if (delivery && typeof delivery.then === 'function') {
+        const tracked = delivery.catch(warn).finally(() => this.pending.delete(tracked));
+        this.pending.add(tracked);
+      }
+    } catch (error) {
+      warn(error);
+    }
+  }
+
+  /**
+   * @ai-context Wait for asynchronous sinks (webhooks) before the process exits
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  static validate(type, payload) {
+    const required = EVENT_TYPES[type];
+    if (!required) return [`unknown event type "${type}"`];
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return ['payload must be an object'];
+    }
+    return required
+      .filter((field) => payload[field] === undefined || payload[field] === null)
+      .map((field) => `payload.${field} is required`);
+  }
+
+  /**
+   * @ai-context Events of a JSONL log after `cursor` lines; the returned cursor resumes the read
+   */
+  static readLog(file, options = {}) {
+    const cursor = options.cursor || 0;
+    if (!file || !fs.existsSync(file)) return { events: [], cursor };
+    const lines = fs
+      .readFileSync(file, 'utf8')
+      .split('\n')
+      .filter((line) => line.trim());
+    const events = lines
+      .slice(cursor)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          // A line still being appended by another process is picked up on the next read
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .filter((event) => options.issueNumber === undefined || event.issueNumber === options.issueNumber)
+      .filter((event) => !options.types || options.types.includes(event.type));
+    return { events, cursor: lines.length };
+  }
+}
+
+/**
+ * @ai-context Appends one JSON line per event; any process can tail the file
+ */
+class JsonlEventSink {
+  constructor(options = {}) {
+    this.name = 'jsonl';
+    this.file = options.file;
+  }
+
+  write(event) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(event)}\n`);
+  }
+}
+
+/**
+ * @ai-context POSTs each event as JSON to a webhook on this machine
+ * @ai-invariant Only loopback hosts are accepted; events may carry issue content
+ */
+class WebhookEventSink {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.url = WebhookEventSink.parseUrl(options.url);
+    this.timeoutMs =
+      options.timeoutMs ??
+      (parseInt(process.env.BMAD_EVENT_WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_WEBHOOK_TIMEOUT_MS);
+  }
+
+  static parseUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || !LOOPBACK_HOSTS.includes(url.hostname)) {
+      throw new NonRetryableError(
+        `Event webhook must be an http(s) URL on localhost, got "${value}"`,
+        'EVENT_WEBHOOK_INVALID',
+        { operation: 'configureEventWebhook' }
+      );
+    }
+    return url;
+  }
+
+  write(event) {
+    const transport = require(this.url.protocol === 'https:' ? 'https' : 'http');
+    const body = JSON.stringify(event);
+    return new Promise((resolve, reject) => {
+      const request = transport.request(
+        this.url,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'X-BMAD-Event': event.type,
+          },
+        },
+        (response) => {
+          response.resume();
+          response.on('end', () =>
+            response.statusCode < 300
+              ? resolve(response.statusCode)
+              : reject(new Error(`webhook answered ${response.statusCode}`))
+          );
+        }
+      );
+      const timer = setTimeout(
+        () => request.destroy(new Error(`webhook timed out after ${this.timeoutMs}ms`)),
+        this.timeoutMs
+      );
+      request.on('error', reject);
+      request.on('close', () => clearTimeout(timer));
+      request.end(body);
+    });
+  }
+}
+
+EventBus.EVENT_TYPES = EVENT_TYPES;
+EventBus.SCHEMA_VERSION = SCHEMA_VERSION;
+EventBus.ALL = ALL;
+EventBus.JsonlEventSink = JsonlEventSink;
+EventBus.WebhookEventSink = WebhookEventSink;
+
+module.exports = EventBus;
@@ -10,6 +10,8 @@ class ExponentialBackoff {
     this.multiplier = config.multiplier ?? 2;
     this.maxRetries = config.maxRetries ?? 3;
     this.jitterFactor = config.jitterFactor ?? 0.1;
+    // Errors for which this returns false are rethrown without another attempt
+    this.shouldRetry = config.shouldRetry || (() => true);
   }
 
   calculateDelay(attempt) {
@@ -31,7 +33,7 @@ class ExponentialBackoff {
         return await operation(attempt);
       } catch (error) {
         lastError = error;
-        if (attempt > this.maxRetries) {
+        if (attempt > this.maxRetries || !this.shouldRetry(error)) {
           break;
         }
         const delay = this.calculateDelay(attempt);
@@ -0,0 +1,81 @@
+/**
+ * @ai-context GitHub adapter selection: Octokit online, the local filesystem adapter offline
+ * @ai-invariant Every adapter exposes the Octokit `rest.*` methods listed in GitHubAdapter.METHODS
+ * @ai-connection Used by BMADOrchestrator, the persona base classes and the workflow runner
+ */
+const { Octokit } = require('@octokit/rest');
+const LocalGitHubAdapter = require('./local-github-adapter');
+const { NonRetryableError } = require('./bmad-error');
+
+const MODES = ['octokit', 'local'];
+
+// The subset of the GitHub REST API the framework relies on
+const METHODS = {
+  issues: ['get', 'create', 'update', 'listForRepo', 'addLabels', 'removeLabel', 'createComment', 'listComments'],
+  repos: [
+    'getContent',
+    'createOrUpdateFileContents',
+    'listCommits',
+    'getCombinedStatusForRef',
+    'createCommitStatus',
+    'createRelease',
+    'listReleases',
+    'getLatestRelease',
+  ],
+};
+
+class GitHubAdapter {
+  /**
+   * @ai-context Explicit mode wins; without a token the run stays offline instead of exiting
+   */
+  static resolveMode(options = {}) {
+    const mode = (options.mode || process.env.BMAD_GITHUB_ADAPTER || '').toLowerCase();
+    if (mode && !MODES.includes(mode)) {
+      throw new NonRetryableError(
+        `Unknown GitHub adapter "${mode}" (expected ${MODES.join(' or ')})`,
+        'GITHUB_ADAPTER_INVALID',
+        { operation: 'createGitHubAdapter' }
+      );
+    }
+    if (mode) return mode;
+    return options.token ? 'octokit' : 'local';
+  }
+
+  static create(options = {}) {
+    const mode = GitHubAdapter.resolveMode(options);
+    if (mode === 'local') {
+      return new LocalGitHubAdapter({ dir: options.dir, user: options.user });
+    }
+    if (!options.token) {
+      throw new NonRetryableError(
+        'GITHUB_TOKEN is required for the octokit GitHub adapter',
+        'GITHUB_TOKEN_MISSING',
+        { operation: 'createGitHubAdapter' }
+      );
+    }
+    return new Octokit({ auth: options.token });
+  }
+
+  static isLocal(client) {
+    return Boolean(client && client.mode === 'local');
+  }
+
+  /**
+   * @ai-context List interface methods a custom client does not implement
+   */
+  static missingMethods(client) {
+    return Object.entries(METHODS).flatMap(([namespace, names]) =>
+      names
+        .filter((name) => {
+          const group = client && client.rest && client.rest[namespace];
+          return !group || typeof group[name] !== 'function';
+        })
+        .map((name) => `${namespace}.${name}`)
+    );
+  }
+}
+
+GitHubAdapter.MODES = MODES;
+GitHubAdapter.METHODS = METHODS;
+
+module.exports = GitHubAdapter;
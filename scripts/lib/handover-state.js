@@ -0,0 +1,251 @@
+/**
+ * @ai-context Structured handover state for BMAD_HANDOVER.md
+ * @ai-invariant The versioned JSON block is the source of truth; only the summary after it is generated,
+ * the narrative personas write below the summary is kept on every re-render
+ * @ai-connection Used by BMADOrchestrator, personas and the CLI; legacy markdown-only handovers are migrated on read
+ */
+const Joi = require('joi');
+const { NonRetryableError } = require('./bmad-error');
+
+const HANDOVER_SCHEMA_VERSION = 1;
+const LEGACY_HANDOVER_FILE = '.github/BMAD_HANDOVER.md';
+const ISSUE_HANDOVER_DIR = '.github/handovers';
+const BLOCK_OPEN = '<!-- bmad-handover';
+const BLOCK_PATTERN = /^\s*<!-- bmad-handover\s*\n([\s\S]*?)\n-->[ \t]*\n?/;
+const SUMMARY_END = '<!-- /bmad-handover -->';
+// Renders from before SUMMARY_END existed: the generated summary ran to the end of the file
+const UNMARKED_SUMMARY = /^# BMAD Handover State\n\n> Generated from the state block above\./;
+
+const stateSchema = Joi.object({
+  version: Joi.number().integer().valid(HANDOVER_SCHEMA_VERSION).required(),
+  issueNumber: Joi.number().integer().positive().allow(null).required(),
+  persona: Joi.string().trim().min(1).required(),
+  phase: Joi.string().trim().min(1).required(),
+  retryCount: Joi.number().integer().min(0).required(),
+  issueType: Joi.string().allow(null).default(null),
+  classification: Joi.object({
+    reason: Joi.string().required(),
+    confidence: Joi.number().min(0).max(1).required(),
+  })
+    .allow(null)
+    .default(null),
+  lastResult: Joi.object({
+    persona: Joi.string().required(),
+    status: Joi.string().required(),
+    artifacts: Joi.array()
+      .items(Joi.object({ path: Joi.string().required(), type: Joi.string().allow(null) }))
+      .default([]),
+    nextSteps: Joi.array()
+      .items(Joi.object({ persona: Joi.string().allow(null), hint: Joi.string().required() }))
+      .default([]),
+    summary: Joi.string().allow('', null).default(null),
+  })
+    .allow(null)
+    .default(null),
+  // Verdicts of parallel branches recorded as each finishes, keyed by phase, until the join
+  branches: Joi.object().pattern(
+    Joi.string(),
+    Joi.object({
+      persona: Joi.string().required(),
+      status: Joi.string().required(),
+      verdict: Joi.string().allow(null).default(null),
+      artifacts: Joi.array()
+        .items(Joi.object({ path: Joi.string().required(), type: Joi.string().allow(null) }))
+        .default([]),
+      nextSteps: Joi.array()
+        .items(Joi.object({ persona: Joi.string().allow(null), hint: Joi.string().required() }))
+        .default([]),
+      summary: Joi.string().allow('', null).default(null),
+      completedAt: Joi.string().isoDate().required(),
+    })
+  ),
+  updatedAt: Joi.string().isoDate().allow(null).default(null),
+});
+
+class HandoverState {
+  /**
+   * @ai-context Each issue owns its handover file so parallel issues never overwrite each other
+   */
+  static pathFor(issueNumber) {
+    if (issueNumber === null || issueNumber === undefined || issueNumber === '') {
+      return LEGACY_HANDOVER_FILE;
+    }
+    return `${ISSUE_HANDOVER_DIR}/BMAD_HANDOVER-${issueNumber}.md`;
+  }
+
+  static initial(issueNumber = null) {
+    return {
+      version: HANDOVER_SCHEMA_VERSION,
+      issueNumber,
+      persona: 'UNKNOWN',
+      phase: 'UNKNOWN',
+      retryCount: 0,
+      issueType: null,
+      classification: null,
+      lastResult: null,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * @ai-context Schema validation with every problem reported at once
+   */
+  static validate(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      return { valid: false, errors: ['handover state must be an object'] };
+    }
+    const { error, value } = stateSchema.validate(state, { abortEarly: false });
+    if (error) {
+      return { valid: false, errors: error.details.map((detail) => detail.message) };
+    }
+    return { valid: true, value };
+  }
+
+  /**
+   * @ai-context Read state from handover content; markdown without a block is migrated
+   */
+  static parse(content) {
+    if (!content) return { state: HandoverState.initial(), migrated: false };
+    const block = content.match(BLOCK_PATTERN);
+    if (!block) {
+      return { state: HandoverState.fromLegacyMarkdown(content), migrated: true };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(block[1]);
+    } catch (error) {
+      throw HandoverState.invalid([`state block is not valid JSON (${error.message})`]);
+    }
+    const result = HandoverState.validate(parsed);
+    if (!result.valid) throw HandoverState.invalid(result.errors);
+    return { state: result.value, migrated: false };
+  }
+
+  /**
+   * @ai-context Migration path for handovers written before the JSON block existed
+   */
+  static fromLegacyMarkdown(content) {
+    const personaMatch = content.match(/\*\*\[(.*?)\]\*\*/);
+    const phaseMatch = content.match(/Current Phase\s*\n\s*\*\*(.*?)\*\*/);
+    const retryMatch = content.match(/Retry Count:\s*(\d+)/);
+    const issueMatch = content.match(/Issue:\s*#(\d+)/);
+    const typeMatch = content.match(/Issue Type:\s*(\S+)/);
+    const classificationMatch = content.match(
+      /Classification:\s*(.*?)\s*\(confidence\s*([\d.]+)\)/
+    );
+
+    return {
+      ...HandoverState.initial(issueMatch ? parseInt(issueMatch[1], 10) : null),
+      persona: personaMatch && personaMatch[1].trim() ? personaMatch[1].trim() : 'UNKNOWN',
+      phase: phaseMatch && phaseMatch[1].trim() ? phaseMatch[1].trim() : 'UNKNOWN',
+      retryCount: retryMatch ? parseInt(retryMatch[1], 10) : 0,
+      issueType: typeMatch ? typeMatch[1] : null,
+      classification: classificationMatch
+        ? { reason: classificationMatch[1], confidence: parseFloat(classificationMatch[2]) }
+        : null,
+    };
+  }
+
+  /**
+   * @ai-context Render the state block and its generated summary; the narrative of `previousContent`
+   * (everything after its summary, or the whole of a legacy markdown file) follows unchanged
+   */
+  static render(state, previousContent = null) {
+    const result = HandoverState.validate(state);
+    if (!result.valid) throw HandoverState.invalid(result.errors);
+    const value = result.value;
+
+    const lines = [
+      `${BLOCK_OPEN}`,
+      JSON.stringify(value, null, 2),
+      '-->',
+      '# BMAD Handover State',
+      '',
+      '> Generated from the state block above. Edit the JSON, not this text.',
+      '',
+      `Current Persona: **[${value.persona}]**`,
+      'Current Phase',
+      '',
+      `**${value.phase}**`,
+      '',
+      `Retry Count: ${value.retryCount}`,
+    ];
+    if (value.issueNumber !== null) lines.push(`Issue: #${value.issueNumber}`);
+    if (value.issueType) lines.push(`Issue Type: ${value.issueType}`);
+    if (value.classification) {
+      lines.push(
+        `Classification: ${value.classification.reason} (confidence ${value.classification.confidence})`
+      );
+    }
+    if (value.branches) {
+      lines.push('', 'Parallel Branches:');
+      Object.entries(value.branches).forEach(([phase, branch]) =>
+        lines.push(`- ${phase}: ${branch.verdict || branch.status} by ${branch.persona}`)
+      );
+    }
+    if (value.lastResult) {
+      const result = value.lastResult;
+      lines.push('', `Last Result: ${result.status} by ${result.persona}`);
+      result.artifacts.forEach((artifact) => lines.push(`- Artifact: ${artifact.path}`));
+      result.nextSteps.forEach((step) =>
+        lines.push(`- Next: ${step.persona ? `[${step.persona.toUpperCase()}] ` : ''}${step.hint}`)
+      );
+    }
+    lines.push(SUMMARY_END);
+    const managed = `${lines.join('\n')}\n`;
+    const { narrative } = HandoverState.split(previousContent);
+    return narrative.trim() ? `${managed}\n${narrative}` : managed;
+  }
+
+  /**
+   * @ai-context Rewrite legacy content in the structured format, keeping its markdown as narrative;
+   * structured content is returned untouched
+   */
+  static migrate(content) {
+    const { state, migrated } = HandoverState.parse(content);
+    return { content: migrated ? HandoverState.render(state, content) : content, migrated, state };
+  }
+
+  /**
+   * @ai-context Keep the state block and its summary when a persona rewrites the narrative
+   */
+  static preserveBlock(previousContent, nextContent) {
+    const { managed } = HandoverState.split(previousContent);
+    if (!managed || BLOCK_PATTERN.test(nextContent || '')) return nextContent;
+    return `${managed}\n${nextContent}`;
+  }
+
+  /**
+   * @ai-context Separate the generated part (state block and summary) from the narrative after it
+   */
+  static split(content) {
+    const text = content || '';
+    const block = text.match(BLOCK_PATTERN);
+    if (!block) return { managed: '', narrative: text };
+    const rest = text.slice(block[0].length);
+    const end = rest.indexOf(SUMMARY_END);
+    if (end >= 0) {
+      const cut = block[0].length + end + SUMMARY_END.length;
+      return {
+        managed: `${text.slice(0, cut).trimStart()}\n`,
+        narrative: text.slice(cut).replace(/^\s*\n/, ''),
+      };
+    }
+    if (UNMARKED_SUMMARY.test(rest)) return { managed: text.trimStart(), narrative: '' };
+    return { managed: block[0].trimStart(), narrative: rest.replace(/^\s*\n/, '') };
+  }
+
+  static invalid(errors) {
+    return new NonRetryableError(
+      `Invalid handover state:\n- ${errors.join('\n- ')}`,
+      'HANDOVER_STATE_INVALID',
+      { operation: 'loadHandoverState', additionalContext: { errors } }
+    );
+  }
+}
+
+HandoverState.SCHEMA_VERSION = HANDOVER_SCHEMA_VERSION;
+HandoverState.LEGACY_FILE = LEGACY_HANDOVER_FILE;
+
+module.exports = HandoverState;
@@ -0,0 +1,213 @@
+/**
+ * @ai-context Issue Classifier with pluggable, priority-ordered rules
+ * @ai-invariant Classification always yields a type, a confidence score and the reason it was chosen
+ * @ai-connection Feeds BMADOrchestrator.detectIssueType, which selects the workflow definition
+ */
+const fs = require('fs');
+const path = require('path');
+const { NonRetryableError } = require('./bmad-error');
+
+const DEFAULT_CLASSIFIER_FILE = '.github/bmad-classification.json';
+const DEFAULT_TYPE = 'FEATURE';
+
+// Ordered from strongest to weakest signal; title rules keep the historical precedence.
+const DEFAULT_RULES = [
+  { type: 'AUDIT', classifier: 'label', match: ['type:audit', 'audit'], priority: 100, confidence: 0.95 },
+  { type: 'BUG', classifier: 'label', match: ['type:bug', 'bug'], priority: 90, confidence: 0.95 },
+  {
+    type: 'FEATURE',
+    classifier: 'label',
+    match: ['type:feature', 'type:user-story', 'type:epic', 'enhancement'],
+    priority: 80,
+    confidence: 0.9,
+  },
+  {
+    type: 'BUG',
+    classifier: 'template',
+    match: { sections: ['Bug Description', 'Steps to Reproduce'] },
+    priority: 60,
+    confidence: 0.8,
+  },
+  { type: 'AUDIT', classifier: 'title', match: ['[audit]', 'audit:'], priority: 50, confidence: 0.7 },
+  { type: 'BUG', classifier: 'title', match: ['bug', 'fix:'], priority: 40, confidence: 0.6 },
+  {
+    type: 'BUG',
+    classifier: 'keyword',
+    match: ['stack trace', 'regression', 'steps to reproduce', 'expected behavior'],
+    priority: 20,
+    confidence: 0.4,
+  },
+];
+
+const lower = (value) => String(value || '').toLowerCase();
+const asList = (match) => (Array.isArray(match) ? match : [match]).map(lower);
+
+const BUILTIN_CLASSIFIERS = {
+  /**
+   * @ai-context GitHub labels (strings or { name } objects)
+   */
+  label(issue, rule) {
+    const labels = (issue.labels || []).map((label) => lower(label && label.name ? label.name : label));
+    const hit = asList(rule.match).find((candidate) => labels.includes(candidate));
+    return { matched: Boolean(hit), evidence: hit ? `label "${hit}"` : null };
+  },
+
+  title(issue, rule) {
+    const title = lower(issue.title);
+    const hit = asList(rule.match).find((candidate) => title.includes(candidate));
+    return { matched: Boolean(hit), evidence: hit ? `title contains "${hit}"` : null };
+  },
+
+  keyword(issue, rule) {
+    const body = lower(issue.body);
+    const hit = asList(rule.match).find((candidate) => body.includes(candidate));
+    return { matched: Boolean(hit), evidence: hit ? `body mentions "${hit}"` : null };
+  },
+
+  /**
+   * @ai-context Markdown template sections and issue form fields (### Field\n\nValue)
+   */
+  template(issue, rule) {
+    const body = String(issue.body || '');
+    const match = rule.match || {};
+    const sections = (match.sections || []).filter(
+      (section) => !new RegExp(`^#{2,3}\\s*${escapeRegex(section)}\\s*$`, 'im').test(body)
+    );
+    if (sections.length > 0) return { matched: false, evidence: null };
+    const fields = Object.entries(match.fields || {});
+    const mismatched = fields.filter(([field, expected]) => {
+      const value = body.match(
+        new RegExp(`^###\\s*${escapeRegex(field)}\\s*\\n+([^\\n]+)`, 'im')
+      );
+      return !value || !asList(expected).includes(lower(value[1].trim()));
+    });
+    if (mismatched.length > 0 || (fields.length === 0 && !(match.sections || []).length)) {
+      return { matched: false, evidence: null };
+    }
+    const parts = [
+      ...(match.sections || []).map((section) => `section "${section}"`),
+      ...fields.map(([field]) => `field "${field}"`),
+    ];
+    return { matched: true, evidence: `template ${parts.join(', ')}` };
+  },
+};
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class IssueClassifier {
+  constructor(options = {}) {
+    const file = options.configFile || process.env.BMAD_CLASSIFIER_FILE || DEFAULT_CLASSIFIER_FILE;
+    const config = options.config || IssueClassifier.readConfig(file);
+    this.classifiers = { ...BUILTIN_CLASSIFIERS };
+    Object.entries(config.classifiers || {}).forEach(([name, modulePath]) => {
+      this.registerClassifier(name, require(path.resolve(process.cwd(), modulePath)));
+    });
+    Object.entries(options.classifiers || {}).forEach(([name, classifier]) => {
+      this.registerClassifier(name, classifier);
+    });
+    this.defaultType = (options.defaultType || config.defaultType || DEFAULT_TYPE).toUpperCase();
+    this.minConfidence = options.minConfidence ?? config.minConfidence ?? 0;
+    const custom = options.rules || config.rules || [];
+    const replace = options.replaceDefaults ?? config.replaceDefaults ?? false;
+    this.rules = [...(replace ? [] : DEFAULT_RULES), ...custom];
+    this.validateRules();
+  }
+
+  static readConfig(file) {
+    const absolutePath = path.resolve(process.cwd(), file);
+    if (!fs.existsSync(absolutePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(absolutePath, 'utf-8')) || {};
+    } catch (error) {
+      throw new NonRetryableError(
+        `Invalid classifier configuration: ${file} is not valid JSON (${error.message})`,
+        'CLASSIFIER_CONFIG_INVALID',
+        { operation: 'loadClassifierConfig' }
+      );
+    }
+  }
+
+  registerClassifier(name, classifier) {
+    if (typeof classifier !== 'function') {
+      throw new NonRetryableError(
+        `Classifier ${name} must be a function`,
+        'CLASSIFIER_CONFIG_INVALID',
+        { operation: 'registerClassifier' }
+      );
+    }
+    this.classifiers[name] = classifier;
+    return this;
+  }
+
+  validateRules() {
+    const errors = [];
+    this.rules.forEach((rule, index) => {
+      if (!rule || typeof rule.type !== 'string' || !rule.type.trim()) {
+        errors.push(`rules[${index}].type must be a non-empty string`);
+        return;
+      }
+      if (!this.classifiers[rule.classifier]) {
+        errors.push(`rules[${index}].classifier "${rule.classifier}" is not registered`);
+      }
+      if (rule.confidence !== undefined &&
+        (typeof rule.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 1)) {
+        errors.push(`rules[${index}].confidence must be between 0 and 1`);
+      }
+    });
+    if (errors.length > 0) {
+      throw new NonRetryableError(
+        `Invalid classifier rules:\n- ${errors.join('\n- ')}`,
+        'CLASSIFIER_CONFIG_INVALID',
+        { operation: 'validateClassifierRules', additionalContext: { errors } }
+      );
+    }
+  }
+
+  /**
+   * @ai-context Evaluate every rule; the highest priority match wins, confidence breaks ties
+   */
+  classify(issue = {}) {
+    const candidates = [];
+    this.rules.forEach((rule, index) => {
+      const outcome = this.classifiers[rule.classifier](issue, rule) || {};
+      if (!outcome.matched) return;
+      const confidence = outcome.confidence ?? rule.confidence ?? 1;
+      if (confidence < this.minConfidence) return;
+      candidates.push({
+        type: rule.type.toUpperCase(),
+        confidence,
+        priority: rule.priority ?? 0,
+        classifier: rule.classifier,
+        reason: `${rule.classifier}: ${outcome.evidence || 'matched'}`,
+        index,
+      });
+    });
+    candidates.sort(
+      (a, b) => b.priority - a.priority || b.confidence - a.confidence || a.index - b.index
+    );
+
+    const chosen = candidates[0];
+    if (!chosen) {
+      return {
+        type: this.defaultType,
+        confidence: 0,
+        classifier: 'default',
+        reason: 'default: no classification rule matched',
+        candidates,
+      };
+    }
+    return {
+      type: chosen.type,
+      confidence: chosen.confidence,
+      classifier: chosen.classifier,
+      reason: chosen.reason,
+      candidates,
+    };
+  }
+}
+
+IssueClassifier.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = IssueClassifier;
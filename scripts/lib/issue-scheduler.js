@@ -0,0 +1,133 @@
+/**
+ * @ai-context Issue Scheduler running several issue workflows concurrently
+ * @ai-invariant At most `concurrency` issues run at once and an issue never runs twice in parallel
+ * @ai-connection Each run gets its own workflow (per-issue handover, loop history and state files);
+ * scheduleGraph orders AUDIT sub-issues with SubIssueGraph
+ */
+const Logger = require('./logger');
+
+const DEFAULT_CONCURRENCY = 2;
+
+class IssueScheduler {
+  constructor(options = {}) {
+    this.logger = new Logger('IssueScheduler');
+    const configured = options.concurrency ?? parseInt(process.env.BMAD_MAX_CONCURRENT_ISSUES, 10);
+    this.concurrency = Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_CONCURRENCY;
+    this.runIssue = options.runIssue || IssueScheduler.defaultRunner;
+    this.queue = [];
+    this.running = new Map();
+  }
+
+  /**
+   * @ai-context Default runner: a fresh EnhancedBMADWorkflow per issue keeps metrics separate
+   */
+  static defaultRunner(issueNumber) {
+    const EnhancedBMADWorkflow = require('../bmad/bmad-workflow-enhanced');
+    return new EnhancedBMADWorkflow().executeWorkflow(issueNumber);
+  }
+
+  /**
+   * @ai-context Queue one issue; joins the pending run when the issue is already scheduled
+   */
+  enqueue(issueNumber) {
+    const existing = this.running.get(issueNumber) ||
+      this.queue.find((entry) => entry.issueNumber === issueNumber);
+    if (existing) return existing.promise;
+
+    const entry = { issueNumber };
+    entry.promise = new Promise((resolve) => {
+      entry.resolve = resolve;
+    });
+    this.queue.push(entry);
+    this.drain();
+    return entry.promise;
+  }
+
+  /**
+   * @ai-context Run all issues and settle with one result per issue, in input order
+   */
+  async schedule(issueNumbers) {
+    const unique = [...new Set(issueNumbers)];
+    this.logger.info(
+      `Scheduling ${unique.length} issue(s) with concurrency ${this.concurrency}`
+    );
+    return Promise.all(unique.map((issueNumber) => this.enqueue(issueNumber)));
+  }
+
+  /**
+   * @ai-context Run the children of a SubIssueGraph in topological order: a child starts once all its
+   * blockers completed and is marked blocked, without running, when one of them failed or was blocked
+   */
+  async scheduleGraph(graph, options = {}) {
+    const order = graph.validate().topologicalOrder();
+    const onUpdate = options.onUpdate || (() => {});
+    const update = (issueNumber, status, details) => onUpdate(graph.setStatus(issueNumber, status, details), graph);
+    // Children completed by an earlier run of the parent are not run again
+    const results = new Map(
+      order
+        .filter((issueNumber) => graph.get(issueNumber).status === 'completed')
+        .map((issueNumber) => [issueNumber, { issueNumber, status: 'completed', skipped: true }])
+    );
+    const inFlight = new Map();
+    this.logger.info(
+      `Scheduling ${order.length} sub-issue(s) of #${graph.parent} in dependency order: ${order.map((n) => `#${n}`).join(' -> ')}`
+    );
+
+    const launch = () => {
+      order
+        .map((issueNumber) => graph.get(issueNumber))
+        .filter((child) => child.status === 'pending')
+        .forEach((child) => {
+          const blockers = child.blockedBy.map((blocker) => graph.get(blocker));
+          const stopped = blockers.filter((blocker) => ['failed', 'blocked'].includes(blocker.status));
+          if (stopped.length > 0) {
+            const reason = `blocked by ${stopped.map((blocker) => `#${blocker.issueNumber} (${blocker.status})`).join(', ')}`;
+            update(child.issueNumber, 'blocked', { reason });
+            results.set(child.issueNumber, { issueNumber: child.issueNumber, status: 'blocked', reason });
+          } else if (blockers.every((blocker) => blocker.status === 'completed')) {
+            update(child.issueNumber, 'running', { startedAt: new Date().toISOString() });
+            inFlight.set(child.issueNumber, this.enqueue(child.issueNumber));
+          }
+        });
+    };
+
+    launch();
+    while (inFlight.size > 0) {
+      const result = await Promise.race(inFlight.values());
+      inFlight.delete(result.issueNumber);
+      results.set(result.issueNumber, result);
+      update(result.issueNumber, result.status === 'fulfilled' ? 'completed' : 'failed', {
+        finishedAt: result.finishedAt,
+        ...(result.error && { reason: result.error.message }),
+      });
+      launch();
+    }
+    return order.map((issueNumber) => results.get(issueNumber));
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      this.running.set(entry.issueNumber, entry);
+      this.start(entry);
+    }
+  }
+
+  async start(entry) {
+    const startedAt = new Date().toISOString();
+    this.logger.info(`Issue #${entry.issueNumber} started`);
+    let result;
+    try {
+      const value = await this.runIssue(entry.issueNumber);
+      result = { issueNumber: entry.issueNumber, status: 'fulfilled', value };
+    } catch (error) {
+      this.logger.error(`Issue #${entry.issueNumber} failed: ${error.message}`);
+      result = { issueNumber: entry.issueNumber, status: 'rejected', error };
+    }
+    this.running.delete(entry.issueNumber);
+    entry.resolve({ ...result, startedAt, finishedAt: new Date().toISOString() });
+    this.drain();
+  }
+}
+
+module.exports = IssueScheduler;
@@ -0,0 +1,127 @@
+/**
+ * @ai-context Provider for OpenAI-compatible chat completion APIs (OpenAI, Azure-style gateways,
+ * local servers such as vLLM or Ollama), with server-sent-event streaming
+ * @ai-invariant The API key is read through SecretManager and never appears in errors or logs
+ * @ai-connection Created by LLMProvider.create for BMAD_LLM_PROVIDER=openai, and as the recorder of
+ * ReplayProvider in record mode
+ */
+/* global fetch, TextDecoder */
+const LLMProvider = require('./llm-provider');
+const SecretManager = require('./secret-manager');
+const { RetryableError, NonRetryableError } = require('./bmad-error');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ name: 'openai', ...options });
+    if (!this.model) {
+      throw new NonRetryableError(
+        'BMAD_LLM_MODEL is required for the openai LLM provider',
+        'LLM_PROVIDER_INVALID',
+        {
+          operation: 'createLLMProvider',
+        }
+      );
+    }
+    this.baseUrl = (options.baseUrl || process.env.BMAD_LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = options.apiKey ?? new SecretManager().get('BMAD_LLM_API_KEY');
+    this.temperature = options.temperature ?? 0;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async complete(call) {
+    const stream = Boolean(call.onToken);
+    const body = {
+      model: call.model || this.model,
+      temperature: this.temperature,
+      messages: [
+        ...(call.system ? [{ role: 'system', content: call.system }] : []),
+        { role: 'user', content: call.prompt },
+      ],
+    };
+    if (stream) Object.assign(body, { stream: true, stream_options: { include_usage: true } });
+
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          ...(this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {}),
+        },
+        body: JSON.stringify(body),
+        signal: call.signal || undefined,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new NonRetryableError('LLM call aborted', 'LLM_ABORTED', { operation: 'completeLLMCall' });
+      }
+      throw new RetryableError(`LLM endpoint unreachable: ${error.message}`, 'LLM_UNAVAILABLE', {
+        operation: 'completeLLMCall',
+        additionalContext: { baseUrl: this.baseUrl },
+      });
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 500);
+      const transient = response.status === 429 || response.status >= 500;
+      const ErrorClass = transient ? RetryableError : NonRetryableError;
+      const error = new ErrorClass(
+        `LLM request failed with HTTP ${response.status}${detail ? `: ${detail}` : ''}`,
+        transient ? 'LLM_UNAVAILABLE' : 'LLM_REQUEST_FAILED',
+        {
+          operation: 'completeLLMCall',
+          additionalContext: { status: response.status, baseUrl: this.baseUrl },
+        }
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    if (stream) return this.readStream(response, call.onToken, body.model);
+    const data = await response.json();
+    return {
+      text: (data.choices && data.choices[0] && data.choices[0].message.content) || '',
+      model: data.model || body.model,
+      inputTokens: (data.usage && data.usage.prompt_tokens) || 0,
+      outputTokens: (data.usage && data.usage.completion_tokens) || 0,
+    };
+  }
+
+  /**
+   * @ai-context Accumulate `data:` events until `[DONE]`, forwarding each content delta to `onToken`
+   */
+  async readStream(response, onToken, model) {
+    const result = { text: '', model, inputTokens: 0, outputTokens: 0 };
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const handle = (line) => {
+      const data = line.replace(/^data:\s*/, '');
+      if (!line.startsWith('data:') || data === '[DONE]') return;
+      const event = JSON.parse(data);
+      const delta =
+        event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content;
+      if (delta) {
+        result.text += delta;
+        onToken(delta);
+      }
+      if (event.model) result.model = event.model;
+      if (event.usage) {
+        result.inputTokens = event.usage.prompt_tokens || 0;
+        result.outputTokens = event.usage.completion_tokens || 0;
+      }
+    };
+
+    for await (const chunk of response.body) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.map((line) => line.trim()).forEach(handle);
+    }
+    if (buffer.trim()) handle(buffer.trim());
+    return result;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
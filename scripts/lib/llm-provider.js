@@ -0,0 +1,209 @@
+/**
+ * @ai-context Provider interface personas generate their output through: renders a prompt template,
+ * calls the model with retries, streams tokens, meters the call and parses the structured answer
+ * @ai-invariant Without BMAD_LLM_PROVIDER no provider is created and personas keep their built-in
+ * templates; a NonRetryableError (bad request, budget overrun, cassette miss) is never retried
+ * @ai-connection Subclasses implement `complete` (OpenAICompatibleProvider, ReplayProvider);
+ * personas call it through generateOutput; each call is reported to PersonaExecutionContext.meter
+ */
+const ExponentialBackoff = require('./exponential-backoff');
+const PromptTemplates = require('./prompt-templates');
+const ArtifactContracts = require('./artifact-contracts');
+const { RetryableError, NonRetryableError } = require('./bmad-error');
+
+const PROVIDERS = ['openai', 'replay', 'record'];
+const FENCE = /```([\w+-]*)[^\n]*\n([\s\S]*?)```/g;
+
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'llm';
+    this.model = options.model || process.env.BMAD_LLM_MODEL || null;
+    // Loaded on the first templated request
+    this.templates = options.templates || null;
+    this.backoff =
+      options.backoff ||
+      new ExponentialBackoff({
+        initialDelay: 1000,
+        maxDelay: 10000,
+        maxRetries: options.maxRetries ?? Number(process.env.BMAD_LLM_MAX_RETRIES || 2),
+        shouldRetry: (error) => error.isRetryable !== false,
+      });
+  }
+
+  /**
+   * @ai-context Provider configured by BMAD_LLM_PROVIDER (openai, replay or record), or null when
+   * personas should use their built-in templates
+   */
+  static create(options = {}) {
+    const kind = String(options.provider || process.env.BMAD_LLM_PROVIDER || '').toLowerCase();
+    if (!kind || kind === 'none') return null;
+    if (!PROVIDERS.includes(kind)) {
+      throw new NonRetryableError(
+        `Unknown LLM provider "${kind}" (expected ${PROVIDERS.join(', ')})`,
+        'LLM_PROVIDER_INVALID',
+        { operation: 'createLLMProvider' }
+      );
+    }
+    if (kind === 'openai') {
+      const OpenAICompatibleProvider = require('./llm-openai-provider');
+      return new OpenAICompatibleProvider(options);
+    }
+    const ReplayProvider = require('./llm-replay-provider');
+    if (kind === 'replay') return new ReplayProvider({ ...options, mode: 'replay' });
+    return new ReplayProvider({
+      ...options,
+      mode: 'record',
+      inner: options.inner || LLMProvider.create({ ...options, provider: 'openai' }),
+    });
+  }
+
+  getTemplates() {
+    if (!this.templates) this.templates = new PromptTemplates();
+    return this.templates;
+  }
+
+  /**
+   * @ai-context One model call: `{ model, system, prompt, signal, onToken }` →
+   * `{ text, model, inputTokens, outputTokens, costUsd? }`. Throw RetryableError for transient failures.
+   */
+  // eslint-disable-next-line no-unused-vars
+  async complete(call) {
+    throw new Error('complete method must be implemented by provider');
+  }
+
+  /**
+   * @ai-context Generate from a template (`template`, `variables`) or a raw `prompt` (with `role` or
+   * `system`). `output` overrides the template's format, `schema` (Joi) validates JSON answers,
+   * `onToken` receives streamed chunks and `meter` ({ record }) each attempt's usage.
+   */
+  async generate(request = {}) {
+    const rendered = this.renderRequest(request);
+    const call = {
+      model: request.model || this.model,
+      system: rendered.system,
+      prompt: rendered.prompt,
+      signal: request.signal || null,
+      onToken: request.onToken || null,
+    };
+
+    return this.backoff.execute(async (attempt) => {
+      if (call.signal && call.signal.aborted) {
+        throw new NonRetryableError(
+          rendered.id ? `LLM call ${rendered.id} aborted` : 'LLM call aborted',
+          'LLM_ABORTED',
+          {
+            persona: rendered.role,
+            operation: 'generate',
+          }
+        );
+      }
+      const started = Date.now();
+      const completion = await this.complete(call);
+      const usage = {
+        model: completion.model || call.model || this.name,
+        inputTokens: completion.inputTokens || 0,
+        outputTokens: completion.outputTokens || 0,
+        latencyMs: Date.now() - started,
+      };
+      if (completion.costUsd !== undefined) usage.costUsd = completion.costUsd;
+      if (request.meter) request.meter.record(usage);
+
+      return {
+        template: rendered.id,
+        text: completion.text,
+        output: LLMProvider.parse(completion.text, rendered.output, {
+          template: rendered.id,
+          schema: request.schema,
+        }),
+        usage,
+        attempts: attempt,
+      };
+    });
+  }
+
+  renderRequest(request) {
+    if (request.template) {
+      const rendered = this.getTemplates().render(request.template, request.variables);
+      return { ...rendered, output: request.output || rendered.output };
+    }
+    if (!request.prompt) {
+      throw new NonRetryableError('LLM request needs a template or a prompt', 'LLM_REQUEST_INVALID', {
+        operation: 'generate',
+      });
+    }
+    return {
+      id: null,
+      role: request.role || null,
+      system: request.system ?? this.getTemplates().systemFor(request.role),
+      prompt: PromptTemplates.interpolate(request.prompt, request.variables),
+      output: request.output || { format: 'text', sections: [] },
+    };
+  }
+
+  /**
+   * @ai-context Parse an answer into its declared format. Malformed output is a RetryableError
+   * (LLM_OUTPUT_INVALID): another sample may get it right.
+   */
+  static parse(text, output = {}, options = {}) {
+    const invalid = (reason, details = {}) =>
+      new RetryableError(
+        `LLM output${options.template ? ` of ${options.template}` : ''} is invalid: ${reason}`,
+        'LLM_OUTPUT_INVALID',
+        { operation: 'parseLLMOutput', additionalContext: { template: options.template || null, ...details } }
+      );
+    const answer = String(text || '').trim();
+    if (!answer) throw invalid('empty answer');
+
+    switch (output.format || 'text') {
+      case 'markdown': {
+        const document = LLMProvider.unfence(answer, ['markdown', 'md']);
+        const missing = (output.sections || []).filter(
+          (title) => ArtifactContracts.section(document, title) === null
+        );
+        if (missing.length > 0) throw invalid(`missing section(s) ${missing.join(', ')}`, { missing });
+        return `${document}\n`;
+      }
+      case 'json': {
+        let value;
+        try {
+          value = JSON.parse(LLMProvider.unfence(answer, ['json']));
+        } catch (error) {
+          throw invalid(`not valid JSON (${error.message})`);
+        }
+        if (!options.schema) return value;
+        const { error, value: validated } = options.schema.validate(value);
+        if (error) throw invalid(error.message);
+        return validated;
+      }
+      case 'code':
+        return `${LLMProvider.fenced(answer, output.language) ?? answer}\n`;
+      default:
+        return answer;
+    }
+  }
+
+  /**
+   * @ai-context Body of the first fenced block (of `language`, when given), or null
+   */
+  static fenced(text, language = null) {
+    for (const [, fenceLanguage, body] of String(text).matchAll(FENCE)) {
+      if (!language || !fenceLanguage || fenceLanguage.toLowerCase() === language.toLowerCase()) {
+        return body.trimEnd();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @ai-context Strip a fence wrapping the whole answer, keeping fences inside the document
+   */
+  static unfence(text, languages) {
+    const match = text.match(/^```([\w+-]*)[^\n]*\n([\s\S]*?)\n?```$/);
+    if (match && (!match[1] || languages.includes(match[1].toLowerCase()))) return match[2].trim();
+    return text;
+  }
+}
+
+LLMProvider.PROVIDERS = PROVIDERS;
+
+module.exports = LLMProvider;
@@ -0,0 +1,127 @@
+/**
+ * @ai-context Deterministic record/replay provider: answers from a cassette keyed by the hash of
+ * model, system prompt and prompt, so persona output can be generated and tested offline
+ * @ai-invariant Replay never reaches the network; a prompt without a recorded answer fails with
+ * LLM_CASSETTE_MISS instead of improvising one
+ * @ai-connection Created by LLMProvider.create for BMAD_LLM_PROVIDER=replay|record; record mode wraps
+ * another provider (OpenAICompatibleProvider by default) and appends its answers to the cassette
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const LLMProvider = require('./llm-provider');
+const { NonRetryableError } = require('./bmad-error');
+
+const DEFAULT_CASSETTE = '.github/llm-cassettes/default.json';
+const MODES = ['replay', 'record'];
+
+class ReplayProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({ name: 'replay', ...options });
+    this.mode = options.mode || 'replay';
+    if (!MODES.includes(this.mode)) {
+      throw new NonRetryableError(`Unknown replay mode "${this.mode}"`, 'LLM_PROVIDER_INVALID', {
+        operation: 'createLLMProvider',
+      });
+    }
+    this.inner = options.inner || null;
+    if (this.mode === 'record' && !this.inner) {
+      throw new NonRetryableError('Record mode needs a provider to record from', 'LLM_PROVIDER_INVALID', {
+        operation: 'createLLMProvider',
+      });
+    }
+    this.model = this.model || (this.inner && this.inner.model) || 'replay';
+    this.file = options.cassette || process.env.BMAD_LLM_CASSETTE || DEFAULT_CASSETTE;
+    this.cassette = null;
+  }
+
+  static key({ model, system, prompt }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([model || null, system || '', prompt || '']))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  load() {
+    if (this.cassette) return this.cassette;
+    if (!fs.existsSync(this.file)) {
+      this.cassette = { version: 1, interactions: {} };
+      return this.cassette;
+    }
+    try {
+      this.cassette = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new NonRetryableError(
+        `LLM cassette ${this.file} is not valid JSON: ${error.message}`,
+        'LLM_CASSETTE_INVALID',
+        {
+          operation: 'loadCassette',
+        }
+      );
+    }
+    this.cassette.interactions = this.cassette.interactions || {};
+    return this.cassette;
+  }
+
+  /**
+   * @ai-context Keys are written sorted so re-recording only changes the entries that changed
+   */
+  save() {
+    const interactions = Object.fromEntries(
+      Object.keys(this.cassette.interactions)
+        .sort()
+        .map((key) => [key, this.cassette.interactions[key]])
+    );
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, `${JSON.stringify({ ...this.cassette, interactions }, null, 2)}\n`);
+  }
+
+  async complete(call) {
+    const request = { ...call, model: call.model || this.model };
+    const key = ReplayProvider.key(request);
+    const interactions = this.load().interactions;
+
+    if (!interactions[key]) {
+      if (this.mode !== 'record') {
+        const error = new NonRetryableError(
+          `No recorded answer in ${this.file} for prompt ${key}; record it with BMAD_LLM_PROVIDER=record`,
+          'LLM_CASSETTE_MISS',
+          { operation: 'replayLLMCall', additionalContext: { key, model: request.model } }
+        );
+        error.key = key;
+        throw error;
+      }
+      const completion = await this.inner.complete({ ...request, onToken: null });
+      interactions[key] = {
+        model: request.model,
+        system: request.system,
+        prompt: request.prompt,
+        text: completion.text,
+        inputTokens: completion.inputTokens || 0,
+        outputTokens: completion.outputTokens || 0,
+      };
+      this.save();
+    }
+
+    const recorded = interactions[key];
+    if (call.onToken) ReplayProvider.chunks(recorded.text).forEach((chunk) => call.onToken(chunk));
+    return {
+      text: recorded.text,
+      model: recorded.model,
+      inputTokens: recorded.inputTokens,
+      outputTokens: recorded.outputTokens,
+    };
+  }
+
+  /**
+   * @ai-context Streamed chunks of a recorded answer: one per line, so replayed streams are stable
+   */
+  static chunks(text) {
+    return String(text).match(/[^\n]*\n|[^\n]+$/g) || [];
+  }
+}
+
+ReplayProvider.MODES = MODES;
+
+module.exports = ReplayProvider;
@@ -0,0 +1,301 @@
+/**
+ * @ai-context Filesystem-backed GitHub adapter for offline runs and end-to-end tests
+ * @ai-invariant Exposes the same `rest.*` surface and `{ data }` responses as Octokit
+ * @ai-connection Selected by GitHubAdapter.create when there is no token or BMAD_GITHUB_ADAPTER=local
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = '.bmad/github';
+
+class LocalGitHubAdapter {
+  constructor(options = {}) {
+    this.mode = 'local';
+    this.rootDir = path.resolve(
+      process.cwd(),
+      options.dir || process.env.BMAD_LOCAL_GITHUB_DIR || DEFAULT_DIR
+    );
+    this.user = options.user || process.env.BMAD_LOCAL_GITHUB_USER || 'bmad-local';
+    this.rest = {
+      issues: {
+        get: (params) => this.getIssue(params),
+        create: (params) => this.createIssue(params),
+        update: (params) => this.updateIssue(params),
+        listForRepo: (params) => this.listIssues(params),
+        addLabels: (params) => this.addLabels(params),
+        removeLabel: (params) => this.removeLabel(params),
+        createComment: (params) => this.createComment(params),
+        listComments: (params) => this.listComments(params),
+      },
+      repos: {
+        getContent: (params) => this.getContent(params),
+        createOrUpdateFileContents: (params) => this.putContent(params),
+        listCommits: (params) => this.listCommits(params),
+        getCombinedStatusForRef: (params) => this.getCombinedStatus(params),
+        createCommitStatus: (params) => this.createCommitStatus(params),
+        createRelease: (params) => this.createRelease(params),
+        listReleases: () => this.listReleases(),
+        getLatestRelease: () => this.getLatestRelease(),
+      },
+    };
+  }
+
+  // Issues
+
+  async getIssue({ issue_number: issueNumber }) {
+    return { data: this.readIssue(issueNumber) };
+  }
+
+  async createIssue({ title, body = '', labels = [], assignees = [] }) {
+    const now = new Date().toISOString();
+    const issue = {
+      number: this.nextId('issue'),
+      title,
+      body,
+      labels: LocalGitHubAdapter.toLabels(labels),
+      assignees: assignees.map((login) => ({ login })),
+      state: 'open',
+      user: { login: this.user },
+      created_at: now,
+      updated_at: now,
+      closed_at: null,
+    };
+    this.writeIssue(issue);
+    return { data: issue };
+  }
+
+  async updateIssue({ issue_number: issueNumber, ...changes }) {
+    const issue = this.readIssue(issueNumber);
+    ['title', 'body', 'state', 'state_reason'].forEach((field) => {
+      if (changes[field] !== undefined) issue[field] = changes[field];
+    });
+    if (changes.labels !== undefined) issue.labels = LocalGitHubAdapter.toLabels(changes.labels);
+    if (changes.state !== undefined) {
+      issue.closed_at = changes.state === 'closed' ? new Date().toISOString() : null;
+    }
+    issue.updated_at = new Date().toISOString();
+    this.writeIssue(issue);
+    return { data: issue };
+  }
+
+  async listIssues({ state = 'open', labels, per_page: perPage, page = 1 } = {}) {
+    const wanted = labels ? String(labels).split(',').map((label) => label.trim()) : [];
+    const dir = this.resolve('issues');
+    const issues = fs.existsSync(dir)
+      ? fs.readdirSync(dir).map((file) => this.readJson(path.join('issues', file)))
+      : [];
+    const matching = issues
+      .filter((issue) => state === 'all' || issue.state === state)
+      .filter((issue) =>
+        wanted.every((label) => issue.labels.some((candidate) => candidate.name === label))
+      )
+      .sort((a, b) => b.number - a.number);
+    return { data: perPage ? matching.slice((page - 1) * perPage, page * perPage) : matching };
+  }
+
+  async addLabels({ issue_number: issueNumber, labels = [] }) {
+    const issue = this.readIssue(issueNumber);
+    LocalGitHubAdapter.toLabels(labels).forEach((label) => {
+      if (!issue.labels.some((candidate) => candidate.name === label.name)) issue.labels.push(label);
+    });
+    this.writeIssue(issue);
+    return { data: issue.labels };
+  }
+
+  async removeLabel({ issue_number: issueNumber, name }) {
+    const issue = this.readIssue(issueNumber);
+    if (!issue.labels.some((label) => label.name === name)) {
+      throw LocalGitHubAdapter.notFound(`Label ${name} not found on issue #${issueNumber}`);
+    }
+    issue.labels = issue.labels.filter((label) => label.name !== name);
+    this.writeIssue(issue);
+    return { data: issue.labels };
+  }
+
+  async createComment({ issue_number: issueNumber, body }) {
+    this.readIssue(issueNumber);
+    const comments = this.readJson(`comments/${issueNumber}.json`, []);
+    const comment = {
+      id: this.nextId('comment'),
+      body,
+      user: { login: this.user },
+      created_at: new Date().toISOString(),
+    };
+    comments.push(comment);
+    this.writeJson(`comments/${issueNumber}.json`, comments);
+    return { data: comment };
+  }
+
+  async listComments({ issue_number: issueNumber, since }) {
+    const comments = this.readJson(`comments/${issueNumber}.json`, []);
+    return { data: since ? comments.filter((comment) => comment.created_at >= since) : comments };
+  }
+
+  // Contents, commits and statuses
+
+  async getContent({ path: filePath }) {
+    const file = this.resolve('contents', filePath);
+    if (!fs.existsSync(file)) throw LocalGitHubAdapter.notFound(`${filePath} not found`);
+    const content = fs.readFileSync(file);
+    return {
+      data: {
+        type: 'file',
+        name: path.basename(filePath),
+        path: filePath,
+        sha: LocalGitHubAdapter.sha(content),
+        encoding: 'base64',
+        content: content.toString('base64'),
+      },
+    };
+  }
+
+  async putContent({ path: filePath, message, content, branch = 'main' }) {
+    const buffer = Buffer.from(content, 'base64');
+    this.writeFile(this.resolve('contents', filePath), buffer);
+    const commits = this.readJson('commits.json', []);
+    const commit = {
+      sha: LocalGitHubAdapter.sha(`${commits.length}:${filePath}:${message}:${Date.now()}`),
+      branch,
+      commit: {
+        message,
+        author: { name: this.user, date: new Date().toISOString() },
+      },
+      files: [filePath],
+    };
+    commits.push(commit);
+    this.writeJson('commits.json', commits);
+    return {
+      data: {
+        content: { name: path.basename(filePath), path: filePath, sha: LocalGitHubAdapter.sha(buffer) },
+        commit: { sha: commit.sha, message },
+      },
+    };
+  }
+
+  async listCommits({ per_page: perPage = 30 } = {}) {
+    return { data: this.readJson('commits.json', []).slice().reverse().slice(0, perPage) };
+  }
+
+  async getCombinedStatus({ ref }) {
+    const statuses = this.readJson('statuses.json', {})[ref] || [];
+    let state = 'success';
+    if (statuses.some((status) => ['failure', 'error'].includes(status.state))) state = 'failure';
+    else if (statuses.some((status) => status.state === 'pending')) state = 'pending';
+    return { data: { ref, state, statuses } };
+  }
+
+  async createCommitStatus({ sha, state, context = 'default', description = '' }) {
+    const all = this.readJson('statuses.json', {});
+    const status = { state, context, description, created_at: new Date().toISOString() };
+    all[sha] = [...(all[sha] || []).filter((existing) => existing.context !== context), status];
+    this.writeJson('statuses.json', all);
+    return { data: status };
+  }
+
+  // Releases
+
+  async createRelease({ tag_name: tagName, name, body = '', draft = false, prerelease = false, target_commitish: target = 'main' }) {
+    const releases = this.readJson('releases.json', []);
+    if (releases.some((release) => release.tag_name === tagName)) {
+      const error = new Error(`Release ${tagName} already exists`);
+      error.status = 422;
+      throw error;
+    }
+    const release = {
+      id: this.nextId('release'),
+      tag_name: tagName,
+      name: name || tagName,
+      body,
+      draft,
+      prerelease,
+      target_commitish: target,
+      created_at: new Date().toISOString(),
+    };
+    releases.push(release);
+    this.writeJson('releases.json', releases);
+    return { data: release };
+  }
+
+  async listReleases() {
+    return { data: this.readJson('releases.json', []).slice().reverse() };
+  }
+
+  async getLatestRelease() {
+    const latest = this.readJson('releases.json', [])
+      .filter((release) => !release.draft && !release.prerelease)
+      .pop();
+    if (!latest) throw LocalGitHubAdapter.notFound('No published release');
+    return { data: latest };
+  }
+
+  // Storage
+
+  readIssue(issueNumber) {
+    const issue = this.readJson(`issues/${Number(issueNumber)}.json`, null);
+    if (!issue) throw LocalGitHubAdapter.notFound(`Issue #${issueNumber} not found`);
+    return issue;
+  }
+
+  writeIssue(issue) {
+    this.writeJson(`issues/${issue.number}.json`, issue);
+  }
+
+  nextId(kind) {
+    const counters = this.readJson('counters.json', {});
+    counters[kind] = (counters[kind] || 0) + 1;
+    this.writeJson('counters.json', counters);
+    return counters[kind];
+  }
+
+  /**
+   * @ai-context Keep every path inside the adapter directory
+   */
+  resolve(...segments) {
+    const target = path.resolve(this.rootDir, ...segments);
+    if (target !== this.rootDir && !target.startsWith(`${this.rootDir}${path.sep}`)) {
+      const error = new Error(`Path escapes the local GitHub directory: ${segments.join('/')}`);
+      error.status = 400;
+      throw error;
+    }
+    return target;
+  }
+
+  readJson(relativePath, fallback) {
+    const file = this.resolve(relativePath);
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  writeJson(relativePath, value) {
+    this.writeFile(this.resolve(relativePath), `${JSON.stringify(value, null, 2)}\n`);
+  }
+
+  writeFile(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, file);
+  }
+
+  static toLabels(labels) {
+    return labels.map((label) => (typeof label === 'string' ? { name: label } : { name: label.name }));
+  }
+
+  static sha(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * @ai-context Mirror Octokit's RequestError so callers can branch on `status`
+   */
+  static notFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+  }
+}
+
+LocalGitHubAdapter.DEFAULT_DIR = DEFAULT_DIR;
+
+module.exports = LocalGitHubAdapter;
@@ -0,0 +1,73 @@
+/**
+ * @ai-context Join of parallel persona branches (e.g. QA and Security) into one verdict
+ * @ai-invariant The merge depends only on branch verdicts and declaration order, never on which branch finished first
+ * @ai-connection Used by BMADOrchestrator.runParallel for `parallel` transitions of a workflow definition
+ */
+const { NonRetryableError } = require('./bmad-error');
+
+// Least to most severe; the join takes the most severe branch verdict
+const VERDICTS = ['PASS', 'CONCERNS', 'FAIL'];
+
+class ParallelJoin {
+  /**
+   * @ai-context A completed persona result without an explicit verdict passes
+   */
+  static verdictOf(result) {
+    return String((result && result.verdict) || 'PASS').toUpperCase();
+  }
+
+  /**
+   * @ai-context Serialise a side effect shared by concurrent branches (their commits to one branch
+   * head): each task starts once the previous one settled, whether it failed or not
+   */
+  static serial() {
+    let tail = Promise.resolve();
+    return (task) => {
+      const run = tail.then(() => task());
+      tail = run.catch(() => {});
+      return run;
+    };
+  }
+
+  /**
+   * @ai-context `branches` are { phase, persona, result } in the order the definition declares them
+   */
+  static merge(join, branches) {
+    const verdicts = branches.map(({ phase, persona, result }) => ({
+      phase,
+      persona,
+      verdict: ParallelJoin.verdictOf(result),
+      summary: (result && result.summary) || null,
+    }));
+    const verdict = verdicts.reduce(
+      (worst, branch) =>
+        VERDICTS.indexOf(branch.verdict) > VERDICTS.indexOf(worst) ? branch.verdict : worst,
+      VERDICTS[0]
+    );
+    return {
+      status: 'completed',
+      verdict,
+      verdicts,
+      artifacts: branches.flatMap(({ result }) => (result && result.artifacts) || []),
+      nextSteps: branches.flatMap(({ result }) => (result && result.nextSteps) || []),
+      summary: `${join}: ${verdict} (${verdicts.map((branch) => `${branch.persona} ${branch.verdict}`).join(', ')})`,
+    };
+  }
+
+  static failed(join, joined) {
+    const error = new NonRetryableError(
+      `${joined.summary}${joined.verdicts
+        .filter((branch) => branch.verdict === 'FAIL' && branch.summary)
+        .map((branch) => ` - ${branch.persona}: ${branch.summary}`)
+        .join('')}`,
+      'PARALLEL_JOIN_FAILED',
+      { operation: 'joinBranches', stepId: join, additionalContext: { verdicts: joined.verdicts } }
+    );
+    error.join = joined;
+    return error;
+  }
+}
+
+ParallelJoin.VERDICTS = VERDICTS;
+
+module.exports = ParallelJoin;
@@ -0,0 +1,118 @@
+/**
+ * @ai-context Standard execution contract between the Orchestrator and personas
+ * @ai-invariant Personas receive the prompt the Orchestrator determined and return a typed result
+ * @ai-connection Built in BMADOrchestrator.executePersona; consumed by personas/base-persona*.js
+ */
+/* global AbortController */
+const Joi = require('joi');
+const { RetryableError, NonRetryableError } = require('./bmad-error');
+const ParallelJoin = require('./parallel-join');
+
+const RESULT_STATUSES = ['completed', 'failed', 'blocked'];
+
+const resultSchema = Joi.object({
+  status: Joi.string().valid(...RESULT_STATUSES).required(),
+  artifacts: Joi.array()
+    .items(
+      Joi.object({
+        path: Joi.string().min(1).required(),
+        type: Joi.string().allow(null).default(null),
+      })
+    )
+    .default([]),
+  nextSteps: Joi.array()
+    .items(
+      Joi.object({
+        persona: Joi.string().allow(null).default(null),
+        hint: Joi.string().min(1).required(),
+      })
+    )
+    .default([]),
+  summary: Joi.string().allow('', null).default(null),
+  error: Joi.string().allow(null).default(null),
+  retryable: Joi.boolean().default(false),
+  // Review personas may report a verdict; a join of parallel branches merges them
+  verdict: Joi.string().uppercase().valid(...ParallelJoin.VERDICTS).allow(null).default(null),
+  output: Joi.any(),
+}).unknown(true);
+
+class PersonaExecutionContext {
+  constructor(fields = {}) {
+    this.issueNumber = fields.issueNumber ?? (fields.issue ? fields.issue.number : null);
+    this.issue = fields.issue || null;
+    this.persona = fields.persona || null;
+    this.phase = fields.phase || null;
+    this.prompt = fields.prompt || null;
+    this.source = fields.source || null;
+    this.previousOutput = fields.previousOutput || null;
+    this.feedback = fields.feedback || null;
+    // Contract report of the artifact this persona is asked to fix (ArtifactContracts.validate)
+    this.contract = fields.contract || null;
+    // Model call reporter ({ record(call) }) scoped to this execution (CostMeter.scope)
+    this.meter = fields.meter || null;
+    this.workflowId = fields.workflowId || (this.issueNumber ? `issue-${this.issueNumber}` : null);
+    this.signal = fields.signal || new AbortController().signal;
+    Object.freeze(this);
+  }
+
+  /**
+   * @ai-context Accept a context, a plain object or a bare issue number (legacy callers)
+   */
+  static from(value) {
+    if (value instanceof PersonaExecutionContext) return value;
+    if (value && typeof value === 'object') return new PersonaExecutionContext(value);
+    return new PersonaExecutionContext({ issueNumber: value ?? null });
+  }
+
+  get aborted() {
+    return this.signal.aborted;
+  }
+
+  throwIfAborted() {
+    if (this.signal.aborted) {
+      const reason = this.signal.reason;
+      throw new NonRetryableError(
+        `Execution of ${this.persona || 'persona'} aborted${reason && reason.message ? `: ${reason.message}` : ''}`,
+        'PERSONA_ABORTED',
+        { persona: this.persona, operation: 'executePersona', stepId: this.phase }
+      );
+    }
+  }
+}
+
+class PersonaResult {
+  static completed(fields = {}) {
+    return PersonaResult.create({ ...fields, status: 'completed' });
+  }
+
+  /**
+   * @ai-context Validate and normalise a persona result; invalid shapes are a contract violation
+   */
+  static create(result, persona = 'persona') {
+    const { error, value } = resultSchema.required().validate(result, { abortEarly: false });
+    if (error) {
+      throw new NonRetryableError(
+        `${persona} returned an invalid result: ${error.details.map((detail) => detail.message).join('; ')}`,
+        'PERSONA_RESULT_INVALID',
+        { persona, operation: 'executePersona' }
+      );
+    }
+    return value;
+  }
+
+  /**
+   * @ai-context Turn a failed or blocked result into the error the Orchestrator escalates
+   */
+  static toError(result, persona = 'persona') {
+    const message = `${persona} ${result.status}: ${result.error || result.summary || 'no details'}`;
+    const category = result.status === 'blocked' ? 'PERSONA_BLOCKED' : 'PERSONA_FAILED';
+    const metadata = { persona, operation: 'executePersona' };
+    return result.retryable
+      ? new RetryableError(message, category, metadata)
+      : new NonRetryableError(message, category, metadata);
+  }
+}
+
+PersonaResult.STATUSES = RESULT_STATUSES;
+
+module.exports = { PersonaExecutionContext, PersonaResult };
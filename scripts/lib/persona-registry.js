@@ -0,0 +1,225 @@
+/**
+ * @ai-context Registry of the personas the Orchestrator can activate, with their metadata
+ * @ai-invariant Every persona declares its role, phases and required/produced artifacts
+ * @ai-connection Built-ins live in scripts/bmad/personas.json; teams add personas via JSON,
+ * npm packages or local directories
+ */
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { NonRetryableError } = require('./bmad-error');
+
+const BUILTIN_REGISTRATIONS = require('../bmad/personas.json').personas;
+const BUILTIN_DIR = path.join(__dirname, '../../personas');
+const DEFAULT_PERSONA_FILE = '.github/bmad-personas.json';
+
+const artifactRef = Joi.alternatives().try(
+  Joi.string().min(1),
+  Joi.object({
+    type: Joi.string().min(1).required(),
+    phases: Joi.array().items(Joi.string().min(1)).default([]),
+  })
+);
+
+const metadataSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z][\w-]*$/).required(),
+  module: Joi.string().min(1),
+  role: Joi.string().min(1).required(),
+  description: Joi.string().allow(''),
+  phases: Joi.array().items(Joi.string().min(1)).min(1).required(),
+  requires: Joi.array().items(artifactRef).default([]),
+  produces: Joi.array().items(artifactRef).default([]),
+});
+
+class PersonaRegistry {
+  constructor(options = {}) {
+    this.artifactTypes = (options.artifactTypes || []).map((type) => type.toUpperCase());
+    this.personas = new Map();
+  }
+
+  /**
+   * @ai-context Built-in personas first, then the team file (same id replaces)
+   */
+  static load(options = {}) {
+    const registry = new PersonaRegistry(options);
+    BUILTIN_REGISTRATIONS.forEach((metadata) =>
+      registry.register({ ...metadata, module: path.join(BUILTIN_DIR, metadata.module) })
+    );
+    const file = options.file || process.env.BMAD_PERSONAS_FILE || DEFAULT_PERSONA_FILE;
+    registry.loadFile(file);
+    return registry;
+  }
+
+  /**
+   * @ai-context Read { personas: [...], directories: [...] }; modules resolve from the working directory
+   */
+  loadFile(file) {
+    const absolutePath = path.resolve(process.cwd(), file);
+    if (!fs.existsSync(absolutePath)) return this;
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(absolutePath, 'utf-8'));
+    } catch (error) {
+      throw PersonaRegistry.invalid([`${file} is not valid JSON (${error.message})`]);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw PersonaRegistry.invalid([`${file} must contain an object`]);
+    }
+    (parsed.directories || []).forEach((directory) => this.loadDirectory(directory));
+    (parsed.personas || []).forEach((metadata) => {
+      const modulePath = metadata && metadata.module;
+      this.register({
+        ...metadata,
+        module: modulePath ? PersonaRegistry.resolveModule(modulePath) : modulePath,
+      });
+    });
+    return this;
+  }
+
+  /**
+   * @ai-context Register every module of a directory that exports a persona class with static metadata
+   */
+  loadDirectory(directory) {
+    const absoluteDir = path.resolve(process.cwd(), directory);
+    if (!fs.existsSync(absoluteDir)) {
+      throw PersonaRegistry.invalid([`persona directory ${directory} does not exist`]);
+    }
+    fs.readdirSync(absoluteDir)
+      .filter((file) => file.endsWith('.js'))
+      .sort()
+      .forEach((file) => {
+        const modulePath = path.join(absoluteDir, file);
+        const PersonaClass = require(modulePath);
+        if (typeof PersonaClass !== 'function' || !PersonaClass.metadata) return;
+        this.register({ ...PersonaClass.metadata, module: modulePath }, PersonaClass);
+      });
+    return this;
+  }
+
+  /**
+   * @ai-context Local paths resolve from the working directory; anything else is a package name
+   */
+  static resolveModule(modulePath) {
+    if (modulePath.startsWith('.') || path.isAbsolute(modulePath)) {
+      return path.resolve(process.cwd(), modulePath);
+    }
+    try {
+      return require.resolve(modulePath, { paths: [process.cwd()] });
+    } catch (error) {
+      throw PersonaRegistry.invalid([`persona package ${modulePath} cannot be resolved`]);
+    }
+  }
+
+  /**
+   * @ai-context Validate and store a registration; a class may be given instead of a module path
+   */
+  register(metadata, PersonaClass = null) {
+    const { error, value } = metadataSchema.validate(metadata, { abortEarly: false });
+    const label = (metadata && metadata.id) || 'persona';
+    const errors = error ? error.details.map((detail) => `${label}: ${detail.message}`) : [];
+    if (!error && !value.module && !PersonaClass) {
+      errors.push(`${label}: "module" is required`);
+    }
+    if (!error && this.artifactTypes.length > 0) {
+      value.requires
+        .map(PersonaRegistry.normalizeRef)
+        .filter((ref) => !this.artifactTypes.includes(ref.type))
+        .forEach((ref) =>
+          errors.push(`${label}: required artifact ${ref.type} is not one of ${this.artifactTypes.join(', ')}`)
+        );
+    }
+    if (errors.length > 0) throw PersonaRegistry.invalid(errors);
+
+    const id = value.id.toLowerCase();
+    this.personas.set(id, {
+      ...value,
+      id,
+      role: value.role.toUpperCase(),
+      requires: value.requires.map(PersonaRegistry.normalizeRef),
+      produces: value.produces.map(PersonaRegistry.normalizeRef),
+      PersonaClass,
+    });
+    return this;
+  }
+
+  static normalizeRef(ref) {
+    return typeof ref === 'string'
+      ? { type: ref.toUpperCase(), phases: [] }
+      : { type: ref.type.toUpperCase(), phases: ref.phases || [] };
+  }
+
+  has(id) {
+    return this.personas.has(String(id).toLowerCase());
+  }
+
+  get(id) {
+    return this.personas.get(String(id).toLowerCase()) || null;
+  }
+
+  list() {
+    return Array.from(this.personas.values());
+  }
+
+  /**
+   * @ai-context Load the persona class lazily so unused personas never load their dependencies
+   */
+  resolve(id) {
+    const registration = this.get(id);
+    if (!registration) {
+      throw new NonRetryableError(
+        `Persona ${id} is not registered (known: ${Array.from(this.personas.keys()).join(', ')})`,
+        'PERSONA_NOT_REGISTERED',
+        { persona: id, operation: 'resolvePersona' }
+      );
+    }
+    if (!registration.PersonaClass) {
+      registration.PersonaClass = require(registration.module);
+    }
+    return registration.PersonaClass;
+  }
+
+  create(id, ...args) {
+    const PersonaClass = this.resolve(id);
+    return new PersonaClass(...args);
+  }
+
+  supportsPhase(id, phase) {
+    const registration = this.get(id);
+    return Boolean(registration && registration.phases.includes(phase));
+  }
+
+  requiredArtifacts(id, phase) {
+    return PersonaRegistry.forPhase(this.get(id), 'requires', phase);
+  }
+
+  producedArtifacts(id, phase) {
+    return PersonaRegistry.forPhase(this.get(id), 'produces', phase);
+  }
+
+  /**
+   * @ai-context Personas that declare they produce an artifact type
+   */
+  producersOf(type) {
+    const normalized = String(type).toUpperCase();
+    return this.list()
+      .filter((registration) => registration.produces.some((ref) => ref.type === normalized))
+      .map((registration) => registration.id);
+  }
+
+  static forPhase(registration, key, phase) {
+    if (!registration) return [];
+    return registration[key]
+      .filter((ref) => ref.phases.length === 0 || ref.phases.includes(phase))
+      .map((ref) => ref.type);
+  }
+
+  static invalid(errors) {
+    return new NonRetryableError(
+      `Invalid persona registry:\n- ${errors.join('\n- ')}`,
+      'PERSONA_REGISTRY_INVALID',
+      { operation: 'loadPersonaRegistry', additionalContext: { errors } }
+    );
+  }
+}
+
+module.exports = PersonaRegistry;
@@ -0,0 +1,135 @@
+/**
+ * @ai-context Prompt templates for persona output: a system prompt per role and `{{var.path}}`
+ * templates that declare the output format the provider's answer is parsed into
+ * @ai-invariant Rendering is deterministic: the same template and variables always give the same
+ * prompt, which is what keys the record/replay cassettes
+ * @ai-connection Defaults in scripts/bmad/prompts.json; teams override them in .github/bmad-prompts.json
+ * (or BMAD_PROMPTS_FILE); rendered by LLMProvider.generate
+ */
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { NonRetryableError } = require('./bmad-error');
+
+const DEFAULT_PROMPTS = path.join(__dirname, '..', 'bmad', 'prompts.json');
+const DEFAULT_PROMPTS_FILE = '.github/bmad-prompts.json';
+const OUTPUT_FORMATS = ['text', 'markdown', 'json', 'code'];
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const text = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string().allow('')));
+
+const templateSchema = Joi.object({
+  role: Joi.string().uppercase().allow(null).default(null),
+  system: text.allow(null).default(null),
+  prompt: text.required(),
+  output: Joi.object({
+    format: Joi.string()
+      .valid(...OUTPUT_FORMATS)
+      .default('text'),
+    // markdown: `##`/`###` sections the answer must contain
+    sections: Joi.array().items(Joi.string().min(1)).default([]),
+    // code: language of the fenced block to extract
+    language: Joi.string().allow(null).default(null),
+  }).default({ format: 'text', sections: [], language: null }),
+});
+
+const catalogSchema = Joi.object({
+  system: Joi.object().pattern(Joi.string(), text).default({}),
+  templates: Joi.object().pattern(Joi.string(), templateSchema).default({}),
+});
+
+const join = (value) => (Array.isArray(value) ? value.join('\n') : value);
+
+class PromptTemplates {
+  constructor(options = {}) {
+    const file = options.configFile || process.env.BMAD_PROMPTS_FILE || DEFAULT_PROMPTS_FILE;
+    const defaults = PromptTemplates.readConfig(DEFAULT_PROMPTS);
+    const config = options.config || PromptTemplates.readConfig(file);
+    const { error, value } = catalogSchema.validate(
+      {
+        system: { ...defaults.system, ...(config.system || {}) },
+        templates: { ...defaults.templates, ...(config.templates || {}) },
+      },
+      { abortEarly: false }
+    );
+    if (error) {
+      const errors = error.details.map((detail) => detail.message);
+      throw new NonRetryableError(
+        `Invalid prompt templates:\n- ${errors.join('\n- ')}`,
+        'PROMPT_TEMPLATE_INVALID',
+        {
+          operation: 'loadPromptTemplates',
+          additionalContext: { errors },
+        }
+      );
+    }
+    this.system = value.system;
+    this.templates = value.templates;
+  }
+
+  static readConfig(file) {
+    const absolutePath = path.resolve(process.cwd(), file);
+    if (!fs.existsSync(absolutePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(absolutePath, 'utf-8')) || {};
+    } catch (error) {
+      throw new NonRetryableError(
+        `Invalid prompt templates: ${file} is not valid JSON (${error.message})`,
+        'PROMPT_TEMPLATE_INVALID',
+        { operation: 'loadPromptTemplates' }
+      );
+    }
+  }
+
+  has(id) {
+    return Boolean(this.templates[id]);
+  }
+
+  /**
+   * @ai-context System prompt of a role, falling back to the default one
+   */
+  systemFor(role) {
+    const key = role ? String(role).toUpperCase() : null;
+    return join((key && this.system[key]) || this.system.default || '');
+  }
+
+  /**
+   * @ai-context Replace `{{a.b}}` with the variable at that path; objects render as JSON and a
+   * missing variable renders empty
+   */
+  static interpolate(template, variables = {}) {
+    return join(template).replace(PLACEHOLDER, (match, key) => {
+      const value = key
+        .split('.')
+        .reduce((current, part) => (current == null ? undefined : current[part]), variables);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+    });
+  }
+
+  /**
+   * @ai-context Rendered request of a template: `{ id, role, system, prompt, output }`
+   */
+  render(id, variables = {}) {
+    const template = this.templates[id];
+    if (!template) {
+      throw new NonRetryableError(`Unknown prompt template: ${id}`, 'PROMPT_TEMPLATE_INVALID', {
+        operation: 'renderPrompt',
+        additionalContext: { template: id, available: Object.keys(this.templates) },
+      });
+    }
+    return {
+      id,
+      role: template.role,
+      system: template.system
+        ? PromptTemplates.interpolate(template.system, variables)
+        : this.systemFor(template.role),
+      prompt: PromptTemplates.interpolate(template.prompt, variables),
+      output: template.output,
+    };
+  }
+}
+
+PromptTemplates.OUTPUT_FORMATS = OUTPUT_FORMATS;
+
+module.exports = PromptTemplates;
@@ -0,0 +1,261 @@
+/**
+ * @ai-context Release notes for one release: issues closed in the cycle, the personas that worked on
+ * it, the PRD/SPEC/QA/security reports of each issue and contributor stats, as markdown and JSON
+ * @ai-invariant Notes never block a release: when the issues API cannot be read, the issues the
+ * commits reference are listed instead
+ * @ai-connection Built by the Release Manager from a ReleaseVersioning plan; artifacts come from the
+ * per-issue run journals and ArtifactContracts paths. The markdown is the GitHub release body
+ * (release.yml reads docs/release/release-notes.md from the tag) and the local adapter's release offline
+ */
+const fs = require('fs');
+const path = require('path');
+const ArtifactContracts = require('./artifact-contracts');
+const GitHubAdapter = require('./github-adapter');
+const ReleaseVersioning = require('./release-versioning');
+const RunJournal = require('./run-journal');
+
+// Reports linked per issue: run-journal artifact types first, then the contract path on disk
+const ISSUES_PER_PAGE = 100;
+
+const ARTIFACT_KINDS = [
+  { kind: 'PRD', label: 'PRD', types: ['PRD'], contract: 'PRD' },
+  { kind: 'SPEC', label: 'SPEC', types: ['SPEC'], contract: 'SPEC' },
+  { kind: 'QA', label: 'QA report', types: ['QA_REPORT'] },
+  { kind: 'SECURITY', label: 'Security report', types: ['SECURITY_REPORT'] },
+];
+
+class ReleaseNotes {
+  constructor(options = {}) {
+    this.octokit = options.octokit || null;
+    this.owner = options.owner || process.env.GITHUB_OWNER || 'helton-godoy';
+    this.repo = options.repo || process.env.GITHUB_REPO || 'bmad-github-native-full-cycle';
+    this.cwd = options.cwd || process.cwd();
+    this.stateDir = options.stateDir || process.env.BMAD_STATE_DIR || '.github';
+    this.outputDir = options.outputDir || 'docs/release';
+    // github.com links online; repository-relative paths when the run is offline
+    this.repositoryUrl =
+      options.repositoryUrl !== undefined
+        ? options.repositoryUrl
+        : this.octokit && !GitHubAdapter.isLocal(this.octokit)
+          ? `https://github.com/${this.owner}/${this.repo}`
+          : null;
+  }
+
+  static issue(data) {
+    return {
+      number: data.number,
+      title: data.title || null,
+      url: data.html_url || null,
+      state: data.state || 'unknown',
+      labels: (data.labels || []).map((label) => (typeof label === 'string' ? label : label.name)),
+      closedAt: data.closed_at || null,
+    };
+  }
+
+  /**
+   * @ai-context Issues closed since the last tag, the issues the commits reference once closed, and
+   * the issues this run is closing; closed issues are read page by page until a short page
+   */
+  async closedIssues(plan, closing = []) {
+    const since = plan.since ? Date.parse(plan.since) : null;
+    const issues = new Map();
+    const params = { owner: this.owner, repo: this.repo };
+    let online = Boolean(this.octokit);
+
+    if (online) {
+      try {
+        for (let page = 1; ; page += 1) {
+          const { data } = await this.octokit.rest.issues.listForRepo({
+            ...params,
+            state: 'closed',
+            ...(plan.since && { since: plan.since }),
+            per_page: ISSUES_PER_PAGE,
+            page,
+          });
+          data
+            .filter((issue) => !issue.pull_request)
+            .filter((issue) => since === null || !issue.closed_at || Date.parse(issue.closed_at) >= since)
+            .forEach((issue) => issues.set(issue.number, ReleaseNotes.issue(issue)));
+          if (data.length < ISSUES_PER_PAGE) break;
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️ Issues fechadas indisponíveis (${error.message}); usando as referências dos commits`
+        );
+        online = false;
+      }
+    }
+
+    const referenced = new Set(plan.changes.flatMap((change) => change.issues || []));
+    const wanted = [...new Set([...closing, ...referenced])].filter((number) => !issues.has(number));
+    for (const number of wanted) {
+      if (!online) {
+        issues.set(number, { number, title: null, url: null, state: 'unknown', labels: [], closedAt: null });
+        continue;
+      }
+      try {
+        const { data } = await this.octokit.rest.issues.get({ ...params, issue_number: number });
+        if (data.state === 'closed' || closing.includes(number)) issues.set(number, ReleaseNotes.issue(data));
+      } catch (error) {
+        // A reference to an issue that does not exist is not part of the release
+      }
+    }
+    return [...issues.values()].sort((a, b) => a.number - b.number);
+  }
+
+  link(file, tag) {
+    return this.repositoryUrl ? `${this.repositoryUrl}/blob/${tag}/${file}` : file;
+  }
+
+  /**
+   * @ai-context Latest PRD/SPEC/QA/security artifact the workflow recorded for the issue
+   */
+  artifactsFor(issueNumber, tag) {
+    let recorded = [];
+    try {
+      recorded = RunJournal.forIssue(issueNumber, path.resolve(this.cwd, this.stateDir))
+        .entries()
+        .filter((entry) => entry.type === 'step')
+        .flatMap((entry) => entry.artifacts || [])
+        .reverse();
+    } catch (error) {
+      console.warn(`⚠️ Journal da issue #${issueNumber} ilegível: ${error.message}`);
+    }
+
+    return ARTIFACT_KINDS.flatMap(({ kind, label, types, contract }) => {
+      const artifact = recorded.find((candidate) => types.includes(candidate.type));
+      let file = artifact ? artifact.path : null;
+      if (!file && contract) {
+        const candidate = ArtifactContracts.pathFor(contract, issueNumber);
+        if (fs.existsSync(path.join(this.cwd, candidate))) file = candidate;
+      }
+      return file ? [{ kind, label, path: file, url: this.link(file, tag) }] : [];
+    });
+  }
+
+  /**
+   * @ai-context Commits per persona (with the steps they ran) and per author
+   */
+  static contributors(changes) {
+    const personas = new Map();
+    const authors = new Map();
+    changes.forEach((change) => {
+      if (change.persona) {
+        const entry = personas.get(change.persona) || {
+          persona: change.persona,
+          commits: 0,
+          steps: new Set(),
+        };
+        entry.commits += 1;
+        if (change.stepId) entry.steps.add(change.stepId);
+        personas.set(change.persona, entry);
+      }
+      const name = (change.author && change.author.name) || 'unknown';
+      const entry = authors.get(name) || { name, commits: 0, personas: new Set() };
+      entry.commits += 1;
+      if (change.persona) entry.personas.add(change.persona);
+      authors.set(name, entry);
+    });
+    const byCommits = (a, b) =>
+      b.commits - a.commits || String(a.persona || a.name).localeCompare(b.persona || b.name);
+    return {
+      personas: [...personas.values()]
+        .map((entry) => ({ ...entry, steps: [...entry.steps].sort() }))
+        .sort(byCommits),
+      contributors: [...authors.values()]
+        .map((entry) => ({ ...entry, personas: [...entry.personas].sort() }))
+        .sort(byCommits),
+    };
+  }
+
+  async build(plan, { closing = [], generatedAt = new Date().toISOString() } = {}) {
+    const issues = (await this.closedIssues(plan, closing)).map((issue) => ({
+      ...issue,
+      artifacts: this.artifactsFor(issue.number, plan.tag),
+    }));
+    const { personas, contributors } = ReleaseNotes.contributors(plan.changes);
+    return {
+      version: plan.next,
+      tag: plan.tag,
+      previousTag: plan.lastTag,
+      bump: plan.bump,
+      channel: plan.channel,
+      prerelease: Boolean(plan.channel),
+      generatedAt,
+      repository: this.repositoryUrl,
+      stats: {
+        commits: plan.changes.length,
+        issues: issues.length,
+        personas: personas.length,
+        contributors: contributors.length,
+      },
+      issues,
+      personas,
+      contributors,
+      changes: plan.changes.map(
+        ({ sha, author, group, scope, persona, stepId, description, issues: refs }) => ({
+          sha,
+          author: author ? author.name : null,
+          group,
+          scope,
+          persona,
+          stepId,
+          description,
+          issues: refs || [],
+        })
+      ),
+    };
+  }
+
+  static format(notes) {
+    const since = notes.previousTag ? ` since ${notes.previousTag}` : '';
+    const lines = [
+      `# ${notes.tag}`,
+      '',
+      `_${notes.bump} release${notes.prerelease ? ` (${notes.channel})` : ''} · ${notes.generatedAt.slice(0, 10)} · ${notes.stats.commits} commit(s)${since} by ${notes.stats.contributors} contributor(s)_`,
+      '',
+      `## Issues Closed (${notes.issues.length})`,
+      '',
+    ];
+    if (notes.issues.length === 0) lines.push('_No issues closed in this cycle._');
+    notes.issues.forEach((issue) => {
+      const title = issue.title ? `#${issue.number} ${issue.title}` : `#${issue.number}`;
+      const reports = issue.artifacts.map((artifact) => `[${artifact.label}](${artifact.url})`).join(' · ');
+      lines.push(`- ${issue.url ? `[${title}](${issue.url})` : title}${reports ? ` — ${reports}` : ''}`);
+    });
+
+    if (notes.personas.length > 0) {
+      lines.push('', '## Personas', '', '| Persona | Commits | Steps |', '| --- | --- | --- |');
+      notes.personas.forEach((entry) =>
+        lines.push(`| ${entry.persona} | ${entry.commits} | ${entry.steps.join(', ') || '—'} |`)
+      );
+    }
+
+    lines.push('', '## Contributors', '', '| Contributor | Commits | Personas |', '| --- | --- | --- |');
+    notes.contributors.forEach((entry) =>
+      lines.push(`| ${entry.name} | ${entry.commits} | ${entry.personas.join(', ') || '—'} |`)
+    );
+
+    // The changelog section without its `## [version] - date` heading
+    const changelog = ReleaseVersioning.changelogSection({ next: notes.version, changes: notes.changes })
+      .split('\n')
+      .slice(1)
+      .join('\n');
+    lines.push('', '## Changes', changelog.replace(/^### /gm, '#### ').trimEnd());
+    return `${lines.join('\n')}\n`;
+  }
+
+  files(notes) {
+    return [
+      { path: path.posix.join(this.outputDir, 'release-notes.md'), content: ReleaseNotes.format(notes) },
+      {
+        path: path.posix.join(this.outputDir, 'release-notes.json'),
+        content: `${JSON.stringify(notes, null, 2)}\n`,
+      },
+    ];
+  }
+}
+
+ReleaseNotes.ARTIFACT_KINDS = ARTIFACT_KINDS;
+
+module.exports = ReleaseNotes;
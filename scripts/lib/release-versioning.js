@@ -0,0 +1,448 @@
+/**
+ * @ai-context Works out the next semantic version from the commits since the last release tag and
+ * prepares the release: grouped CHANGELOG.md section, package.json bump, release commit and tag
+ * @ai-invariant Versions only move forward: a prerelease never goes back to an earlier channel, and
+ * package.json, package-lock.json and CHANGELOG.md are written before the tag exists and restored
+ * if the release commit or tag cannot be created
+ * @ai-connection Used by the Release Manager persona; reads both conventional commit messages and the
+ * `[PERSONA] [STEP-ID]` messages written by CommitHandler and BasePersona.microCommit
+ */
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { NonRetryableError } = require('./bmad-error');
+
+const BUMPS = ['patch', 'minor', 'major'];
+const CHANNELS = ['alpha', 'beta', 'rc'];
+
+// Conventional commit types: changelog group and the bump they imply (null: no bump on their own)
+const TYPES = {
+  feat: { title: 'Features', bump: 'minor' },
+  fix: { title: 'Bug Fixes', bump: 'patch' },
+  perf: { title: 'Performance', bump: 'patch' },
+  revert: { title: 'Reverts', bump: 'patch' },
+  docs: { title: 'Documentation', bump: null },
+  refactor: { title: 'Refactoring', bump: null },
+  test: { title: 'Tests', bump: null },
+  build: { title: 'Build and CI', bump: null },
+  ci: { title: 'Build and CI', bump: null },
+};
+const OTHER = 'Other Changes';
+const BREAKING = 'Breaking Changes';
+
+// Persona commits carry no type; the persona that wrote them decides it
+const PERSONA_TYPES = {
+  PM: 'docs',
+  ARCHITECT: 'docs',
+  DEVELOPER: 'feat',
+  QA: 'test',
+  SECURITY: 'fix',
+  DEVOPS: 'ci',
+  RECOVERY: 'revert',
+  RELEASE_MANAGER: 'chore',
+};
+
+const CONVENTIONAL = /^([a-z]+)(?:\(([^)]+)\))?(!)?: (.+)$/;
+const PERSONA_STEP = /^\[([A-Za-z_ ]+)\] \[STEP-([0-9A-Z]+)\] (.+)$/;
+// BasePersona.microCommit: `[developer-1700000000000] Developer: Implementation`
+const PERSONA_MICRO = /^\[([a-z_ ]+)-\d+\] (.+)$/;
+const BREAKING_NOTE = /^BREAKING[ -]CHANGE:/m;
+const RELEASE_COMMIT = /^chore\(release\):/;
+const ISSUE_REFERENCE = /(?:^|[\s(,])#(\d+)\b/g;
+
+class ReleaseVersioning {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.tagPrefix = options.tagPrefix || 'v';
+    this.remote = options.remote || 'origin';
+    this.channel = ReleaseVersioning.channel(
+      options.channel !== undefined ? options.channel : process.env.BMAD_RELEASE_CHANNEL
+    );
+    this.git =
+      options.git ||
+      ((args) =>
+        execFileSync('git', args, {
+          cwd: this.cwd,
+          encoding: 'utf8',
+          stdio: ['ignore', 'pipe', 'pipe'],
+        }).trim());
+  }
+
+  /**
+   * @ai-context Prerelease channel (alpha | beta | rc), or null for a stable release
+   */
+  static channel(value) {
+    const channel = String(value || '')
+      .trim()
+      .toLowerCase();
+    if (!channel || channel === 'stable' || channel === 'latest') return null;
+    if (!CHANNELS.includes(channel)) {
+      throw new NonRetryableError(
+        `Unknown release channel "${value}" (expected ${CHANNELS.join(', ')} or stable)`,
+        'RELEASE_CHANNEL_INVALID',
+        { persona: 'Release Manager', operation: 'planRelease' }
+      );
+    }
+    return channel;
+  }
+
+  static parse(version) {
+    const match = String(version || '').match(/^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/);
+    if (!match) {
+      throw new NonRetryableError(`"${version}" is not a semantic version`, 'RELEASE_VERSION_INVALID', {
+        persona: 'Release Manager',
+        operation: 'planRelease',
+      });
+    }
+    const [, major, minor, patch, tag] = match;
+    const prerelease = tag ? tag.match(/^([A-Za-z]+)\.?(\d+)?$/) : null;
+    return {
+      major: Number(major),
+      minor: Number(minor),
+      patch: Number(patch),
+      prerelease: tag
+        ? { channel: prerelease ? prerelease[1] : tag, number: Number((prerelease && prerelease[2]) || 0) }
+        : null,
+    };
+  }
+
+  static format({ major, minor, patch, prerelease }) {
+    const base = `${major}.${minor}.${patch}`;
+    return prerelease ? `${base}-${prerelease.channel}.${prerelease.number}` : base;
+  }
+
+  /**
+   * @ai-context One commit → type, bump, persona/step and the line shown in the changelog
+   */
+  static classify({ sha = '', author = null, subject = '', body = '' }) {
+    let type = null;
+    let scope = null;
+    let persona = null;
+    let stepId = null;
+    let description = subject.trim();
+    let breaking = BREAKING_NOTE.test(body);
+
+    const step = description.match(PERSONA_STEP);
+    const micro = !step && description.match(PERSONA_MICRO);
+    if (step || micro) {
+      persona = (step ? step[1] : micro[1]).trim().toUpperCase().replace(/[ -]+/g, '_');
+      stepId = step ? `STEP-${step[2]}` : null;
+      description = (step ? step[3] : micro[2]).trim();
+    }
+
+    // A conventional prefix wins over the persona default: `[DEVELOPER] [STEP-004] fix: ...` is a fix
+    const conventional = description.match(CONVENTIONAL);
+    if (conventional) {
+      type = conventional[1];
+      scope = conventional[2] || null;
+      breaking = breaking || Boolean(conventional[3]);
+      description = conventional[4].trim();
+    } else if (persona) {
+      type = PERSONA_TYPES[persona] || null;
+    }
+    if (BREAKING_NOTE.test(description)) breaking = true;
+
+    const known = TYPES[type];
+    const issues = [...`${subject}\n${body}`.matchAll(ISSUE_REFERENCE)].map((match) => Number(match[1]));
+    return {
+      sha,
+      author,
+      type,
+      scope,
+      persona,
+      stepId,
+      breaking,
+      description,
+      issues: [...new Set(issues)],
+      bump: breaking ? 'major' : known ? known.bump : null,
+      group: breaking ? BREAKING : known ? known.title : OTHER,
+    };
+  }
+
+  /**
+   * @ai-context Highest bump among the commits; commits that bump nothing on their own still ship as a
+   * patch, and no commits at all means there is nothing to release
+   */
+  static bumpType(changes) {
+    if (changes.length === 0) return null;
+    return changes.reduce(
+      (highest, change) =>
+        change.bump && BUMPS.indexOf(change.bump) > BUMPS.indexOf(highest) ? change.bump : highest,
+      'patch'
+    );
+  }
+
+  /**
+   * @ai-context Next version for a bump and channel. A prerelease whose base already covers the bump
+   * only increments its counter (1.3.0-beta.0 + fix → 1.3.0-beta.1); a later channel restarts at 0;
+   * a stable release of a prerelease drops the suffix (1.3.0-rc.2 → 1.3.0)
+   */
+  static increment(version, bump, channel = null) {
+    const current = typeof version === 'string' ? ReleaseVersioning.parse(version) : version;
+    const { prerelease } = current;
+    const covered =
+      prerelease &&
+      (bump === 'patch' ||
+        (bump === 'minor' && current.patch === 0) ||
+        (bump === 'major' && current.minor === 0 && current.patch === 0));
+
+    const next = { ...current, prerelease: null };
+    if (!covered) {
+      if (bump === 'major') Object.assign(next, { major: current.major + 1, minor: 0, patch: 0 });
+      else if (bump === 'minor') Object.assign(next, { minor: current.minor + 1, patch: 0 });
+      else next.patch = current.patch + 1;
+    }
+    if (!channel) return ReleaseVersioning.format(next);
+
+    if (covered && CHANNELS.indexOf(channel) < CHANNELS.indexOf(prerelease.channel)) {
+      throw new NonRetryableError(
+        `Cannot release ${channel} after ${ReleaseVersioning.format(current)}: channels only move forward (${CHANNELS.join(' → ')})`,
+        'RELEASE_CHANNEL_INVALID',
+        { persona: 'Release Manager', operation: 'planRelease' }
+      );
+    }
+    next.prerelease = {
+      channel,
+      number: covered && prerelease.channel === channel ? prerelease.number + 1 : 0,
+    };
+    return ReleaseVersioning.format(next);
+  }
+
+  lastTag() {
+    try {
+      return this.git(['describe', '--tags', '--abbrev=0', '--match', `${this.tagPrefix}[0-9]*`]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @ai-context Non-merge commits after `since` (every commit when there is no tag yet), oldest first
+   */
+  commits(since) {
+    let log;
+    try {
+      log = this.git([
+        'log',
+        '--no-merges',
+        '--reverse',
+        '--format=%H%x1f%an%x1f%ae%x1f%s%x1f%b%x1e',
+        since ? `${since}..HEAD` : 'HEAD',
+      ]);
+    } catch (error) {
+      return [];
+    }
+    return log
+      .split('\x1e')
+      .map((record) => record.trim())
+      .filter(Boolean)
+      .map((record) => {
+        const [sha, name, email, subject, body = ''] = record.split('\x1f');
+        return { sha, author: { name, email }, subject, body };
+      });
+  }
+
+  readPackage() {
+    const packagePath = path.join(this.cwd, 'package.json');
+    if (!fs.existsSync(packagePath)) {
+      throw new NonRetryableError(`No package.json in ${this.cwd}`, 'RELEASE_VERSION_INVALID', {
+        persona: 'Release Manager',
+        operation: 'planRelease',
+      });
+    }
+    return JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+  }
+
+  /**
+   * @ai-context The release to cut: package.json holds the current version, the commits since the
+   * last tag decide the bump
+   */
+  plan() {
+    const current = this.readPackage().version;
+    const lastTag = this.lastTag();
+    const since = lastTag ? this.git(['log', '-1', '--format=%cI', lastTag]) : null;
+    const changes = this.commits(lastTag)
+      .filter((commit) => !RELEASE_COMMIT.test(commit.subject))
+      .map((commit) => ReleaseVersioning.classify(commit));
+    const bump = ReleaseVersioning.bumpType(changes);
+    const next = bump ? ReleaseVersioning.increment(current, bump, this.channel) : null;
+    return {
+      current,
+      next,
+      bump,
+      channel: this.channel,
+      lastTag,
+      since,
+      tag: next ? `${this.tagPrefix}${next}` : null,
+      changes,
+    };
+  }
+
+  /**
+   * @ai-context `## [version] - date` section with one `###` heading per group, breaking changes first
+   */
+  static changelogSection(plan, date = new Date().toISOString().slice(0, 10)) {
+    const order = [BREAKING, ...new Set(Object.values(TYPES).map((type) => type.title)), OTHER];
+    const groups = new Map(order.map((title) => [title, []]));
+    plan.changes.forEach((change) => groups.get(change.group).push(change));
+
+    const lines = [`## [${plan.next}] - ${date}`];
+    groups.forEach((changes, title) => {
+      if (changes.length === 0) return;
+      lines.push('', `### ${title}`, '');
+      changes.forEach((change) => {
+        const prefix = [
+          change.scope ? `**${change.scope}**` : null,
+          change.persona ? `**${change.persona}**${change.stepId ? ` ${change.stepId}` : ''}` : null,
+        ]
+          .filter(Boolean)
+          .join(' ');
+        const sha = change.sha ? ` (${change.sha.slice(0, 7)})` : '';
+        lines.push(`- ${prefix ? `${prefix}: ` : ''}${change.description}${sha}`);
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * @ai-context CHANGELOG.md with the section on top; re-running a release replaces its own section
+   */
+  static updateChangelog(existing, section, version) {
+    const header = '# Changelog\n\nAll notable changes to this project are documented in this file.\n';
+    const text = existing && existing.trim() ? existing : header;
+    const heading = `## [${version}]`;
+    const start =
+      text.indexOf(`${heading} `) >= 0 ? text.indexOf(`${heading} `) : text.indexOf(`${heading}\n`);
+    if (start >= 0) {
+      const end = text.indexOf('\n## [', start + heading.length);
+      return `${text.slice(0, start)}${section}${end >= 0 ? `\n${text.slice(end + 1)}` : ''}`;
+    }
+    const first = text.indexOf('\n## [');
+    if (first < 0) return `${text.trimEnd()}\n\n${section}`;
+    return `${text.slice(0, first + 1)}${section}\n${text.slice(first + 1)}`;
+  }
+
+  /**
+   * @ai-context Write through a temporary file in the same directory so readers never see half a file
+   */
+  static writeAtomic(file, content) {
+    const temporary = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporary, content);
+    fs.renameSync(temporary, file);
+  }
+
+  /**
+   * @ai-context Files changed by the release (plus `extra` ones such as the release notes), with their
+   * current content so a failure can restore them
+   */
+  releaseFiles(plan, date, extra = []) {
+    const read = (name) => {
+      const file = path.join(this.cwd, name);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    };
+    const bumpVersion = (content, lock) => {
+      const json = JSON.parse(content);
+      json.version = plan.next;
+      if (lock && json.packages && json.packages['']) json.packages[''].version = plan.next;
+      return `${JSON.stringify(json, null, 2)}\n`;
+    };
+
+    const files = [];
+    const packageJson = read('package.json');
+    files.push({ path: 'package.json', original: packageJson, content: bumpVersion(packageJson, false) });
+    const lock = read('package-lock.json');
+    if (lock !== null)
+      files.push({ path: 'package-lock.json', original: lock, content: bumpVersion(lock, true) });
+    const changelog = read('CHANGELOG.md');
+    files.push({
+      path: 'CHANGELOG.md',
+      original: changelog,
+      content: ReleaseVersioning.updateChangelog(
+        changelog,
+        ReleaseVersioning.changelogSection(plan, date),
+        plan.next
+      ),
+    });
+    extra.forEach((file) =>
+      files.push({ path: file.path, original: read(file.path), content: file.content })
+    );
+    return files;
+  }
+
+  /**
+   * @ai-context Bump, commit `chore(release): vX`, tag it and push both. Everything up to the tag is
+   * undone on failure; a failed push leaves the local tag for a manual push.
+   * @ai-invariant A failed push is not retryable: a rerun would find the release already tagged and
+   * nothing left to release, so the error carries the push commands instead
+   */
+  release(plan, { push = true, date, files: extra = [] } = {}) {
+    const metadata = { persona: 'Release Manager', operation: 'release' };
+    if (!plan.next) {
+      throw new NonRetryableError(
+        `No commits since ${plan.lastTag || 'the first commit'}; nothing to release`,
+        'RELEASE_NOTHING_TO_RELEASE',
+        metadata
+      );
+    }
+    try {
+      this.git(['rev-parse', '-q', '--verify', `refs/tags/${plan.tag}`]);
+      throw new NonRetryableError(`Tag ${plan.tag} already exists`, 'RELEASE_TAG_EXISTS', metadata);
+    } catch (error) {
+      if (error.category === 'RELEASE_TAG_EXISTS') throw error;
+    }
+
+    const files = this.releaseFiles(plan, date, extra);
+    const head = this.git(['rev-parse', 'HEAD']);
+    try {
+      files.forEach((file) => ReleaseVersioning.writeAtomic(path.join(this.cwd, file.path), file.content));
+      this.git(['add', '--', ...files.map((file) => file.path)]);
+      this.git(['commit', '-m', `chore(release): ${plan.tag}`]);
+      this.git(['tag', '-a', plan.tag, '-m', `Release ${plan.tag}`]);
+    } catch (error) {
+      this.restore(head, files);
+      throw new NonRetryableError(
+        `Could not create release ${plan.tag}: ${error.message}`,
+        'RELEASE_FAILED',
+        metadata
+      );
+    }
+
+    const commit = this.git(['rev-parse', 'HEAD']);
+    if (push) {
+      try {
+        this.git(['push', this.remote, 'HEAD']);
+        this.git(['push', this.remote, plan.tag]);
+      } catch (error) {
+        const commands = [`git push ${this.remote} HEAD`, `git push ${this.remote} ${plan.tag}`];
+        throw new NonRetryableError(
+          `Release ${plan.tag} was committed and tagged locally but not pushed: ${error.message}\n` +
+            `Push it by hand once the remote is reachable:\n  ${commands.join('\n  ')}`,
+          'RELEASE_PUSH_FAILED',
+          { ...metadata, additionalContext: { tag: plan.tag, commit, commands } }
+        );
+      }
+    }
+    return { tag: plan.tag, commit, files: files.map((file) => file.path) };
+  }
+
+  restore(head, files) {
+    try {
+      if (this.git(['rev-parse', 'HEAD']) !== head) this.git(['reset', '-q', '--soft', head]);
+      this.git(['reset', '-q', '--', ...files.map((file) => file.path)]);
+    } catch (error) {
+      // The files are restored below even when the index cannot be
+    }
+    files.forEach((file) => {
+      const target = path.join(this.cwd, file.path);
+      if (file.original === null) fs.rmSync(target, { force: true });
+      else ReleaseVersioning.writeAtomic(target, file.original);
+    });
+  }
+}
+
+ReleaseVersioning.CHANNELS = CHANNELS;
+ReleaseVersioning.TYPES = TYPES;
+ReleaseVersioning.PERSONA_TYPES = PERSONA_TYPES;
+
+module.exports = ReleaseVersioning;
@@ -0,0 +1,367 @@
+/**
+ * @ai-context Rollback strategies of the Recovery persona: revert a range of failing commits, revert a
+ * merge against the parent that holds the last good commit, restore the last good handover snapshot
+ * of an issue, or hand over to a fix-forward issue
+ * @ai-invariant The real branch is only touched after the same change succeeded on a temporary
+ * worktree, and then only by fast-forwarding to the simulated commit; a failed simulation falls back
+ * to fix-forward instead of half-applying a revert
+ * @ai-connection Used by RecoveryPersona; snapshots come from the per-issue RunJournal written by
+ * BMADOrchestrator, and the decision is appended to that journal as a `recovery` entry
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const ContextManager = require('./context-manager');
+const HandoverState = require('./handover-state');
+const RunJournal = require('./run-journal');
+const StateCacheManager = require('./state-cache-manager');
+const { NonRetryableError } = require('./bmad-error');
+
+const STRATEGIES = ['revert-range', 'revert-merge', 'restore-handover', 'fix-forward'];
+const DEFAULT_VERIFY_TIMEOUT_MS = 10 * 60 * 1000;
+
+class RollbackStrategies {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.stateDir = options.stateDir || process.env.BMAD_STATE_DIR || '.github';
+    this.strategy = RollbackStrategies.strategy(
+      options.strategy !== undefined ? options.strategy : process.env.BMAD_RECOVERY_STRATEGY
+    );
+    this.verifyCommand = options.verifyCommand || process.env.BMAD_RECOVERY_VERIFY_COMMAND || null;
+    this.verifyTimeoutMs = options.verifyTimeoutMs || DEFAULT_VERIFY_TIMEOUT_MS;
+    this.contextManager = options.contextManager || new ContextManager();
+    this.git =
+      options.git ||
+      ((args, cwd = this.cwd) =>
+        execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim());
+    this.spawn = options.spawn || spawnSync;
+  }
+
+  /**
+   * @ai-context Strategy forced by BMAD_RECOVERY_STRATEGY, or `auto` to let decide() pick one
+   */
+  static strategy(value) {
+    const strategy = String(value || 'auto')
+      .trim()
+      .toLowerCase();
+    if (strategy === 'auto' || STRATEGIES.includes(strategy)) return strategy;
+    throw new NonRetryableError(
+      `Unknown recovery strategy "${value}" (expected auto, ${STRATEGIES.join(', ')})`,
+      'RECOVERY_STRATEGY_INVALID',
+      { persona: 'RECOVERY', operation: 'decideRollback' }
+    );
+  }
+
+  /**
+   * @ai-context Parents of a commit and, for a merge, the mainline parent: the one on HEAD's
+   * first-parent history (the branch being rolled back), else the first parent
+   */
+  commitInfo(sha) {
+    const [, ...parents] = this.git(['rev-list', '--parents', '-n', '1', sha]).split(' ');
+    const info = {
+      sha: this.git(['rev-parse', sha]),
+      subject: this.git(['log', '-1', '--format=%s', sha]),
+      parents,
+      mainline: null,
+    };
+    if (parents.length > 1) {
+      const history = this.firstParentHistory();
+      const index = parents.findIndex((parent) => history.has(parent));
+      info.mainline = index >= 0 ? index + 1 : 1;
+    }
+    return info;
+  }
+
+  /**
+   * @ai-context Commits on HEAD's `--first-parent` line, cached until HEAD moves
+   */
+  firstParentHistory() {
+    const head = this.git(['rev-parse', 'HEAD']);
+    if (!this.history || this.history.head !== head) {
+      this.history = { head, commits: new Set(this.git(['rev-list', '--first-parent', 'HEAD']).split('\n')) };
+    }
+    return this.history.commits;
+  }
+
+  /**
+   * @ai-context Handover recorded before the first step that did not complete after the last one that
+   * did: the workflow state right after its last good step
+   */
+  lastGoodSnapshot(issueNumber) {
+    if (issueNumber === null || issueNumber === undefined) return null;
+    const steps = RunJournal.forIssue(issueNumber, path.resolve(this.cwd, this.stateDir))
+      .entries()
+      .filter((entry) => entry.type === 'step' && entry.input && entry.input.handover);
+    const lastCompleted = steps.map((entry) => entry.status).lastIndexOf('completed');
+    const failed = steps[lastCompleted + 1];
+    if (!failed) return null;
+    return {
+      seq: failed.seq,
+      phase: failed.action ? failed.action.nextPhase : failed.input.handover.phase,
+      status: failed.status,
+      handover: failed.input.handover,
+    };
+  }
+
+  /**
+   * @ai-context Pick a strategy: failing commits are reverted (with their mainline when one is a merge),
+   * a failed workflow step without failing commits restores the handover, anything else is fixed forward
+   */
+  decide({ issueNumber = null, ci = {}, errorContext = null } = {}) {
+    const shas = ci.failedCommits || (ci.failedCommit ? [ci.failedCommit] : []);
+    let commits = [];
+    let unresolved = null;
+    try {
+      commits = shas.map((sha) => this.commitInfo(sha));
+    } catch (error) {
+      unresolved = `failing commit not found locally: ${error.message.split('\n')[0]}`;
+    }
+    let snapshot = null;
+    try {
+      snapshot = this.lastGoodSnapshot(issueNumber);
+    } catch (error) {
+      snapshot = null;
+    }
+
+    if (shas.length === 0 && !errorContext) return null;
+    const revert = commits.some((commit) => commit.mainline) ? 'revert-merge' : 'revert-range';
+    const base = { issueNumber, commits, snapshot, forced: this.strategy !== 'auto' };
+    const applicable = {
+      'revert-range': commits.length > 0 && !unresolved,
+      'revert-merge': commits.some((commit) => commit.mainline) && !unresolved,
+      'restore-handover': Boolean(snapshot),
+      'fix-forward': true,
+    };
+
+    if (base.forced) {
+      if (applicable[this.strategy]) {
+        return {
+          ...base,
+          strategy: this.strategy,
+          reason: `forced by BMAD_RECOVERY_STRATEGY=${this.strategy}`,
+        };
+      }
+      return {
+        ...base,
+        strategy: 'fix-forward',
+        reason: `${this.strategy} is not applicable (${unresolved || 'nothing to apply it to'})`,
+      };
+    }
+    if (unresolved) return { ...base, strategy: 'fix-forward', reason: unresolved };
+    if (commits.length > 0) {
+      const merges = commits.filter((commit) => commit.mainline).length;
+      return {
+        ...base,
+        strategy: revert,
+        reason: `${commits.length} commit(s) failing CI since ${ci.lastGoodCommit ? ci.lastGoodCommit.slice(0, 7) : 'the oldest checked commit'}${merges ? `, ${merges} of them merge(s)` : ''}`,
+      };
+    }
+    if (snapshot) {
+      return {
+        ...base,
+        strategy: 'restore-handover',
+        reason: `${errorContext.persona || 'A persona'} failed (${errorContext.errorMessage || 'no message'}); restoring the handover before "${snapshot.phase}"`,
+      };
+    }
+    return {
+      ...base,
+      strategy: 'fix-forward',
+      reason: `${errorContext.persona || 'A persona'} failed with no failing commit and no good handover snapshot`,
+    };
+  }
+
+  /**
+   * @ai-context Run the strategy on a detached worktree of HEAD (revert) or validate the snapshot
+   * (restore) and report whether it can be applied
+   */
+  simulate(decision, { message } = {}) {
+    if (decision.strategy === 'fix-forward') return { ok: true, skipped: true };
+    if (decision.strategy === 'restore-handover') {
+      const validation = HandoverState.validate(decision.snapshot.handover);
+      return validation.valid
+        ? { ok: true }
+        : {
+            ok: false,
+            error: `snapshot #${decision.snapshot.seq} is invalid: ${validation.errors.join('; ')}`,
+          };
+    }
+
+    const base = this.git(['rev-parse', 'HEAD']);
+    const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-recovery-'));
+    const simulation = { ok: false, base, commit: null, verify: null, error: null };
+    try {
+      this.git(['worktree', 'add', '--detach', worktree, base]);
+      // Newest first, so every revert applies on top of the code that introduced it
+      decision.commits.forEach((commit) => {
+        const mainline = commit.mainline ? ['-m', String(commit.mainline)] : [];
+        this.git(['revert', '--no-commit', ...mainline, commit.sha], worktree);
+      });
+      this.git(['commit', '-m', message || RollbackStrategies.message(decision)], worktree);
+      simulation.commit = this.git(['rev-parse', 'HEAD'], worktree);
+
+      if (this.verifyCommand) {
+        const child = this.spawn(this.verifyCommand, {
+          cwd: worktree,
+          shell: true,
+          encoding: 'utf8',
+          timeout: this.verifyTimeoutMs,
+        });
+        simulation.verify = { command: this.verifyCommand, exitCode: child.status };
+        if (child.status !== 0) {
+          throw new Error(
+            `${this.verifyCommand} exited with ${child.status === null ? 'a timeout' : child.status}`
+          );
+        }
+      }
+      simulation.ok = true;
+    } catch (error) {
+      simulation.error = error.message.split('\n')[0];
+    } finally {
+      try {
+        this.git(['worktree', 'remove', '--force', worktree]);
+      } catch (error) {
+        fs.rmSync(worktree, { recursive: true, force: true });
+        this.git(['worktree', 'prune']);
+      }
+    }
+    return simulation;
+  }
+
+  static message(decision) {
+    const shas = decision.commits.map((commit) => commit.sha.slice(0, 7));
+    return decision.commits.length === 1
+      ? `Revert ${shas[0]} failing CI`
+      : `Revert ${shas.length} commits failing CI (${shas[shas.length - 1]}..${shas[0]})`;
+  }
+
+  /**
+   * @ai-context Apply a simulated strategy to the real branch or workflow state; fix-forward applies
+   * nothing here, the persona opens the issue
+   */
+  async apply(decision, simulation) {
+    if (decision.strategy === 'fix-forward') return { applied: false };
+    if (decision.strategy === 'restore-handover') {
+      const { issueNumber, snapshot } = decision;
+      const handover = { ...snapshot.handover, updatedAt: new Date().toISOString() };
+      const file = path.join(this.cwd, HandoverState.pathFor(issueNumber));
+      this.contextManager.write(file, HandoverState.render(handover, this.contextManager.read(file)));
+      await StateCacheManager.forIssue(issueNumber, path.resolve(this.cwd, this.stateDir)).persistState(
+        'ORCHESTRATOR',
+        snapshot.phase,
+        { issueNumber, recovery: { restoredFrom: snapshot.seq } },
+        { workflowId: `issue-${issueNumber}`, status: 'running' }
+      );
+      return { applied: true, handover: HandoverState.pathFor(issueNumber), phase: snapshot.phase };
+    }
+
+    const head = this.git(['rev-parse', 'HEAD']);
+    if (head !== simulation.base) {
+      throw new NonRetryableError(
+        `HEAD moved from ${simulation.base.slice(0, 7)} to ${head.slice(0, 7)} after the simulation`,
+        'RECOVERY_BRANCH_MOVED',
+        { persona: 'RECOVERY', operation: 'applyRollback' }
+      );
+    }
+    this.git(['merge', '--ff-only', simulation.commit]);
+    return { applied: true, commit: simulation.commit };
+  }
+
+  /**
+   * @ai-context Decide (unless options.decision was already taken), simulate and apply; a failed simulation or apply is recorded and turns into
+   * fix-forward so the run always ends with a decision someone can act on
+   */
+  async recover(context, options = {}) {
+    const decision = options.decision || this.decide(context);
+    if (!decision) return null;
+    const record = { decision, simulation: null, outcome: null, fallback: null };
+
+    record.simulation = this.simulate(decision, options);
+    if (record.simulation.ok) {
+      try {
+        record.outcome = { status: 'applied', ...(await this.apply(decision, record.simulation)) };
+        if (decision.strategy === 'fix-forward') record.outcome.status = 'fix-forward';
+      } catch (error) {
+        record.outcome = { status: 'failed', error: error.message };
+      }
+    } else {
+      record.outcome = { status: 'simulation-failed', error: record.simulation.error };
+    }
+
+    if (
+      ['simulation-failed', 'failed'].includes(record.outcome.status) &&
+      decision.strategy !== 'fix-forward'
+    ) {
+      record.fallback = {
+        strategy: 'fix-forward',
+        reason: `${decision.strategy} ${record.outcome.status === 'failed' ? 'could not be applied' : 'failed on the worktree'}: ${record.outcome.error}`,
+      };
+    }
+    this.journal(record);
+    return record;
+  }
+
+  journal(record) {
+    if (record.decision.issueNumber === null || record.decision.issueNumber === undefined) return;
+    try {
+      RunJournal.forIssue(record.decision.issueNumber, path.resolve(this.cwd, this.stateDir)).append({
+        type: 'recovery',
+        issueNumber: record.decision.issueNumber,
+        strategy: record.decision.strategy,
+        reason: record.decision.reason,
+        commits: record.decision.commits.map((commit) => commit.sha),
+        snapshot: record.decision.snapshot ? record.decision.snapshot.seq : null,
+        outcome: record.outcome,
+        fallback: record.fallback,
+      });
+    } catch (error) {
+      console.warn(`⚠️ Falha ao gravar a recuperação no journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * @ai-context Decision and outcome section of the recovery report
+   */
+  static format(record) {
+    const { decision, simulation, outcome, fallback } = record;
+    const lines = [
+      '## Recovery Decision',
+      `- **Strategy**: ${decision.strategy}${decision.forced ? ' (forced)' : ''}`,
+      `- **Reason**: ${decision.reason}`,
+    ];
+    decision.commits.forEach((commit) =>
+      lines.push(
+        `- **Commit**: \`${commit.sha.slice(0, 7)}\` ${commit.subject}${commit.mainline ? ` (merge, mainline parent ${commit.mainline}: \`${commit.parents[commit.mainline - 1].slice(0, 7)}\`)` : ''}`
+      )
+    );
+    if (decision.snapshot) {
+      lines.push(
+        `- **Handover snapshot**: journal entry #${decision.snapshot.seq}, before "${decision.snapshot.phase}" (${decision.snapshot.status})`
+      );
+    }
+
+    lines.push('', '## Simulation');
+    if (simulation.skipped) lines.push('- Not needed for fix-forward');
+    else if (decision.strategy === 'restore-handover')
+      lines.push(`- Snapshot validation: ${simulation.ok ? 'passed' : simulation.error}`);
+    else {
+      lines.push(
+        `- Temporary worktree at \`${simulation.base.slice(0, 7)}\`: ${simulation.ok ? 'applied cleanly' : simulation.error}`
+      );
+      if (simulation.verify)
+        lines.push(`- \`${simulation.verify.command}\`: exit ${simulation.verify.exitCode}`);
+    }
+
+    lines.push('', '## Outcome', `- **Status**: ${outcome.status}`);
+    if (outcome.commit) lines.push(`- **Revert commit**: \`${outcome.commit.slice(0, 7)}\` (fast-forwarded)`);
+    if (outcome.handover)
+      lines.push(`- **Handover restored**: ${outcome.handover}, resuming at "${outcome.phase}"`);
+    if (outcome.error) lines.push(`- **Error**: ${outcome.error}`);
+    if (fallback) lines.push(`- **Fallback**: ${fallback.strategy} (${fallback.reason})`);
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+RollbackStrategies.STRATEGIES = STRATEGIES;
+
+module.exports = RollbackStrategies;
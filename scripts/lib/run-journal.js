@@ -0,0 +1,122 @@
+/**
+ * @ai-context Append-only journal of orchestration steps for one issue
+ * @ai-invariant Lines are only ever appended; replay reads the handover snapshot recorded before a phase
+ * @ai-connection Written by BMADOrchestrator.orchestrate and resumeSuspended, read by replayFromPhase and `bmad-cli history`
+ */
+const fs = require('fs');
+const path = require('path');
+const { NonRetryableError } = require('./bmad-error');
+
+const JOURNAL_DIR = 'runs';
+
+class RunJournal {
+  constructor(options = {}) {
+    this.file = options.file || path.join('.github', JOURNAL_DIR, 'run-journal.jsonl');
+  }
+
+  static forIssue(issueNumber, stateDir = '.github') {
+    return new RunJournal({ file: path.join(stateDir, JOURNAL_DIR, `issue-${issueNumber}.jsonl`) });
+  }
+
+  /**
+   * @ai-context One JSON line per step; `seq` keeps entries addressable after restarts
+   */
+  append(entry) {
+    const record = {
+      seq: this.entries().length + 1,
+      recordedAt: new Date().toISOString(),
+      ...entry,
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    return record;
+  }
+
+  entries() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs
+      .readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new NonRetryableError(
+            `Run journal ${this.file} line ${index + 1} is not valid JSON: ${error.message}`,
+            'RUN_JOURNAL_CORRUPT',
+            { operation: 'readRunJournal', additionalContext: { file: this.file, line: index + 1 } }
+          );
+        }
+      });
+  }
+
+  /**
+   * @ai-context Latest executed step that entered the phase, with the handover as it was before it
+   */
+  findPhase(phase) {
+    const wanted = String(phase || '').trim().toLowerCase();
+    const match = this.entries()
+      .filter((entry) => entry.type === 'step' && entry.input && entry.input.handover)
+      .filter((entry) => entry.status === 'completed' || entry.status === 'failed')
+      .filter((entry) => entry.action && String(entry.action.nextPhase).toLowerCase() === wanted)
+      .pop();
+    if (!match) {
+      const known = [
+        ...new Set(
+          this.entries()
+            .filter((entry) => entry.type === 'step' && entry.action)
+            .map((entry) => entry.action.nextPhase)
+        ),
+      ];
+      throw new NonRetryableError(
+        `No journaled step entered phase "${phase}" (journaled: ${known.join(', ') || 'none'})`,
+        'REPLAY_PHASE_NOT_FOUND',
+        { operation: 'replayFromPhase', additionalContext: { phase, known } }
+      );
+    }
+    return match;
+  }
+
+  static format(entries) {
+    return entries
+      .map((entry) => {
+        if (entry.type === 'replay') {
+          return `#${entry.seq} ${entry.recordedAt} ↩️ replay from "${entry.fromPhase}" (step #${entry.replayOf})`;
+        }
+        if (entry.type === 'resume') {
+          return [
+            `#${entry.seq} ${entry.recordedAt} ▶️ resume ${entry.status} at "${entry.fromStep}"`,
+            `by ${entry.actor}: ${entry.reason}${entry.forced ? ' (forced)' : ''}`,
+            entry.error && `error: ${entry.error}`,
+          ]
+            .filter(Boolean)
+            .join(' | ');
+        }
+        if (entry.type === 'recovery') {
+          return [
+            `#${entry.seq} ${entry.recordedAt} 🩹 recovery ${entry.strategy} ${entry.outcome.status}`,
+            entry.reason,
+            entry.fallback && `fallback: ${entry.fallback.strategy}`,
+          ]
+            .filter(Boolean)
+            .join(' | ');
+        }
+        const artifacts = (entry.artifacts || []).map((artifact) => artifact.path).join(', ');
+        return [
+          `#${entry.seq} ${entry.recordedAt} ${entry.status}`,
+          `${entry.input.phase} → ${entry.action.persona} (${entry.action.nextPhase})`,
+          entry.verdict && `join: ${entry.verdict}`,
+          artifacts && `artifacts: ${artifacts}`,
+          entry.error && `error: ${entry.error}`,
+        ]
+          .filter(Boolean)
+          .join(' | ');
+      })
+      .join('\n');
+  }
+}
+
+RunJournal.JOURNAL_DIR = JOURNAL_DIR;
+
+module.exports = RunJournal;
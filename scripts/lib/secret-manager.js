@@ -2,6 +2,9 @@
  * @ai-context Centralized Secret Manager for Secure Access and Masking
  * @ai-invariant Secrets must never be logged in plain text
  */
+// Key names that hold secrets; shared with the security scanner's hard-coded secret rules
+const SENSITIVE_KEY_PATTERNS = ['TOKEN', 'KEY', 'PASSWORD', 'SECRET'];
+
 class SecretManager {
   constructor() {
     this.secrets = new Map();
@@ -12,13 +15,7 @@ class SecretManager {
   loadSecrets() {
     // Load secrets from process.env that match sensitive key patterns
     Object.keys(process.env).forEach((key) => {
-      const upperKey = key.toUpperCase();
-      if (
-        upperKey.includes('TOKEN') ||
-        upperKey.includes('KEY') ||
-        upperKey.includes('PASSWORD') ||
-        upperKey.includes('SECRET')
-      ) {
+      if (SecretManager.isSensitiveKey(key)) {
         const val = process.env[key];
         if (val) {
           this.secrets.set(key, val);
@@ -28,6 +25,14 @@ class SecretManager {
     });
   }
 
+  /**
+   * @ai-context Whether a key name (env var, property, variable) denotes a secret
+   */
+  static isSensitiveKey(key) {
+    const upperKey = String(key || '').toUpperCase();
+    return SENSITIVE_KEY_PATTERNS.some((pattern) => upperKey.includes(pattern));
+  }
+
   /**
    * @ai-context Get a secret securely
    */
@@ -39,12 +44,7 @@ class SecretManager {
     const value = process.env[key];
     if (value) {
       // If found in env but not in map (dynamic secret), track it for masking
-      if (
-        key.includes('TOKEN') ||
-        key.includes('KEY') ||
-        key.includes('PASSWORD') ||
-        key.includes('SECRET')
-      ) {
+      if (SecretManager.isSensitiveKey(key)) {
         this.maskedValues.add(value);
       }
       return value;
@@ -83,4 +83,6 @@ class SecretManager {
   }
 }
 
+SecretManager.SENSITIVE_KEY_PATTERNS = SENSITIVE_KEY_PATTERNS;
+
 module.exports = SecretManager;
@@ -0,0 +1,450 @@
+/**
+ * @ai-context Offline static security analysis: line rules for hard-coded secrets, weak secret
+ * defaults, dynamic code execution and interpolated shell commands, plus `npm audit --json`
+ * @ai-invariant Scanning never needs the network except for npm audit, whose absence is reported as
+ * unavailable rather than as a clean result
+ * @ai-connection Run by the Security persona; findings go to SARIF (docs/security/security.sarif) and
+ * the security report, and BMAD_SECURITY_FAIL_ON decides when they block the phase
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const SecretManager = require('./secret-manager');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const SARIF_LEVELS = { low: 'note', medium: 'warning', high: 'error', critical: 'error' };
+// GitHub code scanning ranks results by this CVSS-like score
+const SECURITY_SEVERITY = { low: '3.0', medium: '5.5', high: '8.0', critical: '9.5' };
+const AUDIT_SEVERITIES = { info: 'low', low: 'low', moderate: 'medium', high: 'high', critical: 'critical' };
+const DEFAULT_DIRS = ['src', 'scripts', 'personas', 'bin'];
+const DEFAULT_OUTPUT_DIR = 'docs/security';
+const AUDIT_TIMEOUT_MS = 120000;
+const IGNORE_COMMENT = /bmad-security-ignore(?:\s+([\w-]+(?:\s*,\s*[\w-]+)*))?/;
+
+const RULES = [
+  {
+    id: 'BMAD-SEC001',
+    name: 'hardcoded-secret',
+    severity: 'critical',
+    owasp: 'A02 Cryptographic Failures',
+    description: 'A secret value is committed in source code',
+    remediation: 'Move committed secrets to the secret store (GitHub secrets, .env) and rotate them',
+  },
+  {
+    id: 'BMAD-SEC002',
+    name: 'weak-secret-default',
+    severity: 'high',
+    owasp: 'A02 Cryptographic Failures',
+    description: 'A secret falls back to a hard-coded default when its environment variable is unset',
+    remediation: 'Fail at startup when a secret variable is unset instead of falling back to a default',
+  },
+  {
+    id: 'BMAD-SEC003',
+    name: 'dynamic-code-execution',
+    severity: 'high',
+    owasp: 'A03 Injection',
+    description: 'Code is evaluated from a string (eval or the Function constructor)',
+    remediation: 'Replace eval and the Function constructor with explicit parsing or a dispatch table',
+  },
+  {
+    id: 'BMAD-SEC004',
+    name: 'shell-command-interpolation',
+    severity: 'medium',
+    owasp: 'A03 Injection',
+    description: 'A shell command is built from interpolated or concatenated values',
+    remediation:
+      'Pass arguments as an array (execFileSync/spawnSync without a shell) instead of a command string',
+  },
+  {
+    id: 'BMAD-SEC005',
+    name: 'vulnerable-dependency',
+    severity: 'high',
+    owasp: 'A06 Vulnerable and Outdated Components',
+    description: 'A dependency has a known vulnerability (npm audit)',
+    remediation: 'Upgrade the vulnerable dependencies (npm audit fix) or document why they are not reachable',
+  },
+];
+
+// Well-known credential formats, flagged wherever they appear
+const TOKEN_FORMATS = [
+  /\bghp_[A-Za-z0-9]{36}\b/,
+  /\bgithub_pat_[A-Za-z0-9_]{40,}\b/,
+  /\bAKIA[0-9A-Z]{16}\b/,
+  /\bsk-[A-Za-z0-9_-]{20,}\b/,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/,
+  /-----BEGIN (?:RSA |EC |OPENSSH |DSA )?PRIVATE KEY-----/,
+];
+const SECRET_ASSIGNMENT = /([A-Za-z_$][\w$]*)['"]?\s*[:=]\s*(['"`])([^'"`\s]{12,})\2/g;
+const ENV_DEFAULT = /process\.env\.([A-Za-z_]\w*)\s*(?:\|\||\?\?)\s*(['"`])([^'"`]+)\2/g;
+const DYNAMIC_CODE = /(?:^|[^\w$.])(eval|new\s+Function)\s*\(/g;
+const SHELL_INTERPOLATION = /\b(exec|execSync)\s*\(\s*(?:`[^`]*\$\{|(['"])[^'"]*\2\s*\+)/g;
+
+class SecurityScanner {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.dirs = options.dirs || DEFAULT_DIRS;
+    this.outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+    this.audit =
+      options.audit !== undefined
+        ? options.audit
+        : SecurityScanner.auditEnabled()
+          ? SecurityScanner.npmAudit
+          : null;
+  }
+
+  static auditEnabled(value = process.env.BMAD_SECURITY_AUDIT) {
+    return String(value || 'on').toLowerCase() !== 'off';
+  }
+
+  /**
+   * @ai-context Minimum severity that blocks the phase (BMAD_SECURITY_FAIL_ON), or null when
+   * findings never block
+   */
+  static failOn(value = process.env.BMAD_SECURITY_FAIL_ON) {
+    const severity = String(value || 'high').toLowerCase();
+    if (severity === 'off' || severity === 'none') return null;
+    return SEVERITIES.includes(severity) ? severity : 'high';
+  }
+
+  static rule(id) {
+    return RULES.find((rule) => rule.id === id);
+  }
+
+  /**
+   * @ai-context `npm audit --json` of the project; `{ available: false, reason }` when npm cannot
+   * answer (offline, no lockfile) or the persona's `signal` aborts it
+   */
+  static npmAudit(cwd, { signal } = {}) {
+    return new Promise((resolve) => {
+      execFile(
+        'npm',
+        ['audit', '--json'],
+        {
+          cwd,
+          encoding: 'utf8',
+          timeout: AUDIT_TIMEOUT_MS,
+          maxBuffer: 50 * 1024 * 1024,
+          ...(signal && { signal }),
+        },
+        // npm audit exits non-zero when it finds advisories, so the JSON is read regardless
+        (failure, stdout) => {
+          if (failure && failure.name === 'AbortError') {
+            resolve({ available: false, reason: 'npm audit aborted' });
+            return;
+          }
+          try {
+            const result = JSON.parse(stdout);
+            if (result.error) {
+              resolve({ available: false, reason: result.error.summary || 'npm audit failed' });
+              return;
+            }
+            resolve({ available: true, result });
+          } catch (error) {
+            resolve({
+              available: false,
+              reason: failure && typeof failure.code !== 'number' ? failure.message : 'npm audit returned no JSON',
+            });
+          }
+        }
+      );
+    });
+  }
+
+  static readFiles(cwd, dirs) {
+    const files = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) walk(file);
+        } else if (/\.(?:[cm]?js|ts)$/.test(entry.name)) {
+          files.push({
+            path: path.relative(cwd, file).split(path.sep).join('/'),
+            content: fs.readFileSync(file, 'utf8'),
+          });
+        }
+      });
+    };
+    dirs.forEach((dir) => walk(path.join(cwd, dir)));
+    return files;
+  }
+
+  /**
+   * @ai-context Findings of one source line; comment lines are skipped
+   */
+  static scanLine(line) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//') || trimmed.startsWith('*') || trimmed.startsWith('/*')) return [];
+    const findings = [];
+    const add = (ruleId, index, message) => findings.push({ ruleId, column: index + 1, message });
+
+    TOKEN_FORMATS.forEach((format) => {
+      const match = line.match(format);
+      if (match) add('BMAD-SEC001', match.index, 'Credential in a well-known token format');
+    });
+    for (const match of line.matchAll(SECRET_ASSIGNMENT)) {
+      const [, name, , value] = match;
+      // Env var names and interpolations are references, not values; real secrets mix letters and digits
+      if (!SecretManager.isSensitiveKey(name) || /^[A-Z0-9_]+$/.test(value) || value.includes('${')) continue;
+      const flagged = findings.some((finding) => finding.ruleId === 'BMAD-SEC001');
+      if (/[A-Za-z]/.test(value) && /\d/.test(value) && !flagged) {
+        add('BMAD-SEC001', match.index, `Hard-coded value assigned to "${name}"`);
+      }
+    }
+    for (const match of line.matchAll(ENV_DEFAULT)) {
+      if (SecretManager.isSensitiveKey(match[1])) {
+        add('BMAD-SEC002', match.index, `${match[1]} defaults to the hard-coded value "${match[3]}"`);
+      }
+    }
+    for (const match of line.matchAll(DYNAMIC_CODE)) {
+      add(
+        'BMAD-SEC003',
+        match.index + match[0].indexOf(match[1]),
+        `${match[1].replace(/\s+/, ' ')} executes code from a string`
+      );
+    }
+    for (const match of line.matchAll(SHELL_INTERPOLATION)) {
+      add('BMAD-SEC004', match.index, `${match[1]} runs a shell command built from interpolated values`);
+    }
+    return findings;
+  }
+
+  /**
+   * @ai-context Findings of a file, minus those suppressed by a `bmad-security-ignore [rule-id]`
+   * comment on the same or the previous line
+   */
+  static scanFile(file) {
+    const lines = file.content.split('\n');
+    const findings = [];
+    let suppressed = 0;
+    lines.forEach((line, index) => {
+      const ignores = [line, lines[index - 1] || '']
+        .map((text) => text.match(IGNORE_COMMENT))
+        .filter(Boolean)
+        .map((match) => (match[1] ? match[1].split(/\s*,\s*/) : null));
+      SecurityScanner.scanLine(line).forEach((finding) => {
+        if (ignores.some((ids) => ids === null || ids.includes(finding.ruleId))) {
+          suppressed += 1;
+          return;
+        }
+        const rule = SecurityScanner.rule(finding.ruleId);
+        findings.push({
+          ...finding,
+          rule: rule.name,
+          severity: rule.severity,
+          path: file.path,
+          line: index + 1,
+          snippet: line.trim().slice(0, 200),
+        });
+      });
+    });
+    return { findings, suppressed };
+  }
+
+  /**
+   * @ai-context One finding per vulnerable package of an npm audit (v7+) report
+   */
+  static auditFindings(auditResult, packageJson = '') {
+    const lines = packageJson.split('\n');
+    return Object.entries((auditResult && auditResult.vulnerabilities) || {}).map(([name, vulnerability]) => {
+      const titles = (vulnerability.via || [])
+        .filter((via) => typeof via === 'object')
+        .map((via) => via.title);
+      const line = lines.findIndex((text) => text.includes(`"${name}"`));
+      return {
+        ruleId: 'BMAD-SEC005',
+        rule: 'vulnerable-dependency',
+        severity: AUDIT_SEVERITIES[vulnerability.severity] || 'medium',
+        path: 'package.json',
+        line: line === -1 ? 1 : line + 1,
+        column: 1,
+        message: `${name}@${vulnerability.range || '*'}: ${titles.length > 0 ? titles.join('; ') : `via ${(vulnerability.via || []).join(', ')}`}${vulnerability.fixAvailable ? ' (fix available)' : ''}`,
+        snippet: null,
+      };
+    });
+  }
+
+  /**
+   * @ai-context Pure scan of already collected files and audit output; `collect` reads them
+   */
+  build({ files = [], audit = null } = {}) {
+    const findings = [];
+    let suppressed = 0;
+    files.forEach((file) => {
+      const result = SecurityScanner.scanFile(file);
+      findings.push(...result.findings);
+      suppressed += result.suppressed;
+    });
+    if (audit && audit.available) {
+      const packagePath = path.join(this.cwd, 'package.json');
+      const packageJson = fs.existsSync(packagePath) ? fs.readFileSync(packagePath, 'utf8') : '';
+      findings.push(...SecurityScanner.auditFindings(audit.result, packageJson));
+    }
+    findings.sort(
+      (a, b) =>
+        SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+        a.path.localeCompare(b.path) ||
+        a.line - b.line
+    );
+    const summary = Object.fromEntries(
+      SEVERITIES.map((severity) => [
+        severity,
+        findings.filter((finding) => finding.severity === severity).length,
+      ])
+    );
+    return {
+      generatedAt: new Date().toISOString(),
+      filesScanned: files.length,
+      findings,
+      suppressed,
+      audit: audit
+        ? { available: audit.available, reason: audit.reason || null }
+        : { available: false, reason: 'disabled (BMAD_SECURITY_AUDIT=off)' },
+      summary: { ...summary, total: findings.length },
+    };
+  }
+
+  async collect({ signal } = {}) {
+    return this.build({
+      files: SecurityScanner.readFiles(this.cwd, this.dirs),
+      audit: this.audit ? await this.audit(this.cwd, { signal }) : null,
+    });
+  }
+
+  /**
+   * @ai-context FAIL when a finding reaches the blocking severity, CONCERNS for any other finding
+   */
+  static evaluate(report, failOn = SecurityScanner.failOn()) {
+    const blocking =
+      failOn === null
+        ? []
+        : report.findings.filter(
+            (finding) => SEVERITIES.indexOf(finding.severity) >= SEVERITIES.indexOf(failOn)
+          );
+    const verdict = blocking.length > 0 ? 'FAIL' : report.findings.length > 0 ? 'CONCERNS' : 'PASS';
+    return { failOn, verdict, blocking: blocking.length, summary: SecurityScanner.summarize(report) };
+  }
+
+  static summarize(report) {
+    if (report.summary.total === 0) return `Security: no findings in ${report.filesScanned} file(s)`;
+    const counts = SEVERITIES.slice()
+      .reverse()
+      .filter((severity) => report.summary[severity] > 0)
+      .map((severity) => `${report.summary[severity]} ${severity}`);
+    return `Security: ${report.summary.total} finding(s) (${counts.join(', ')})`;
+  }
+
+  /**
+   * @ai-context Findings per OWASP Top 10 category covered by the rules
+   */
+  static owasp(report) {
+    const categories = Object.fromEntries(
+      [...new Set(RULES.map((rule) => rule.owasp))].map((category) => [category, 0])
+    );
+    report.findings.forEach((finding) => {
+      categories[SecurityScanner.rule(finding.ruleId).owasp] += 1;
+    });
+    return categories;
+  }
+
+  /**
+   * @ai-context Remediation of each rule with findings, most severe first
+   */
+  static recommendations(report) {
+    return [...new Set(report.findings.map((finding) => finding.ruleId))].map(
+      (ruleId) => SecurityScanner.rule(ruleId).remediation
+    );
+  }
+
+  static toSarif(report) {
+    const fingerprint = (finding) =>
+      crypto
+        .createHash('sha256')
+        .update(`${finding.ruleId}:${finding.path}:${finding.snippet || finding.message}`)
+        .digest('hex')
+        .slice(0, 32);
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'bmad-security',
+              rules: RULES.map((rule) => ({
+                id: rule.id,
+                name: rule.name,
+                shortDescription: { text: rule.description },
+                help: { text: rule.remediation },
+                defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+                properties: {
+                  tags: ['security', rule.owasp],
+                  'security-severity': SECURITY_SEVERITY[rule.severity],
+                },
+              })),
+            },
+          },
+          results: report.findings.map((finding) => ({
+            ruleId: finding.ruleId,
+            level: SARIF_LEVELS[finding.severity],
+            message: { text: finding.message },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: finding.path },
+                  region: { startLine: finding.line, startColumn: finding.column },
+                },
+              },
+            ],
+            partialFingerprints: { primaryLocationLineHash: fingerprint(finding) },
+            properties: { 'security-severity': SECURITY_SEVERITY[finding.severity] },
+          })),
+        },
+      ],
+    };
+  }
+
+  /**
+   * @ai-context Findings section of the security report
+   */
+  static format(report, maxFindings = 50) {
+    const lines = [
+      '## Static Analysis',
+      `- **Files scanned**: ${report.filesScanned}`,
+      `- **Findings**: ${report.summary.total} (critical ${report.summary.critical}, high ${report.summary.high}, medium ${report.summary.medium}, low ${report.summary.low})`,
+      `- **Suppressed**: ${report.suppressed}`,
+      `- **npm audit**: ${report.audit.available ? 'included' : `unavailable: ${report.audit.reason}`}`,
+    ];
+    if (report.findings.length > 0) {
+      lines.push('', '| Severity | Rule | Location | Finding |', '| --- | --- | --- | --- |');
+      report.findings.slice(0, maxFindings).forEach((finding) => {
+        lines.push(
+          `| ${finding.severity} | ${finding.ruleId} ${finding.rule} | \`${finding.path}:${finding.line}\` | ${finding.message.replace(/\|/g, '\\|')} |`
+        );
+      });
+      if (report.findings.length > maxFindings) {
+        lines.push('', `_…and ${report.findings.length - maxFindings} more in security.sarif_`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * @ai-context SARIF file of the scan, in the shape microCommit expects
+   */
+  files(report) {
+    return [
+      {
+        path: path.posix.join(this.outputDir, 'security.sarif'),
+        content: `${JSON.stringify(SecurityScanner.toSarif(report), null, 2)}\n`,
+      },
+    ];
+  }
+}
+
+SecurityScanner.RULES = RULES;
+SecurityScanner.SEVERITIES = SEVERITIES;
+
+module.exports = SecurityScanner;
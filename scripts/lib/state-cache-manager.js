@@ -27,6 +27,38 @@ class StateCacheManager {
     this.staleLockMs = options.staleLockMs ?? 30000;
   }
 
+  /**
+   * @ai-context State files of a single issue, shared by the Orchestrator and approval decisions
+   */
+  static forIssue(issueNumber, stateDir = '.github', options = {}) {
+    return new StateCacheManager({
+      ...options,
+      stateFile: path.join(stateDir, `workflow-state-${issueNumber}.json`),
+      backupFile: path.join(stateDir, `workflow-state-${issueNumber}.backup.json`),
+      lockFile: path.join(stateDir, `workflow-state-${issueNumber}.lock`),
+    });
+  }
+
+  /**
+   * @ai-context Issue whose state file holds `workflowId`; `issue-<n>` and a bare issue number resolve directly
+   */
+  static findIssue(workflowId, stateDir = '.github') {
+    const direct = String(workflowId).match(/^(?:issue-)?(\d+)$/);
+    if (direct) return parseInt(direct[1], 10);
+    if (!fs.existsSync(stateDir)) return null;
+    for (const file of fs.readdirSync(stateDir)) {
+      const match = file.match(/^workflow-state-(\d+)\.json$/);
+      if (!match) continue;
+      try {
+        const state = JSON.parse(fs.readFileSync(path.join(stateDir, file), 'utf8'));
+        if (state.workflowId === workflowId) return parseInt(match[1], 10);
+      } catch (error) {
+        // An unreadable state file cannot hold the workflow; restoreState reports it on use
+      }
+    }
+    return null;
+  }
+
   async persistState(persona, stepId, context = {}, metadata = {}) {
     const state = {
       workflowId: metadata.workflowId || context.workflowId || 'default',
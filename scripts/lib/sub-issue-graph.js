@@ -0,0 +1,241 @@
+/**
+ * @ai-context Dependency graph (blocks / blocked-by) of the child issues an AUDIT breakdown creates
+ * @ai-invariant The graph is acyclic, every blocker is a child of the same parent and a child never runs before its blockers completed
+ * @ai-connection Written by the Architect in AUDIT_MODE, run by IssueScheduler.scheduleGraph, read by the dashboard tasks
+ */
+const fs = require('fs');
+const path = require('path');
+const { NonRetryableError } = require('./bmad-error');
+
+const STATUSES = ['pending', 'running', 'completed', 'failed', 'blocked'];
+
+// Roadmap item of MASTER_PLAN.md: `- [ ] AUD-2: Title (blocked by AUD-1, AUD-3)`
+const PLAN_ITEM = /^\s*[-*]\s+(?:\[[ xX]\]\s+)?\**([A-Za-z]\w*-\d+)\**:\s*(.+?)\s*$/;
+const PLAN_BLOCKERS = /\s*\((?:blocked by|depends on)\s+([^)]*)\)\s*$/i;
+const BODY_BLOCKERS = /^\s*(?:\*\*)?(?:blocked by|depends on)(?:\*\*)?:?(?:\*\*)?\s*(.+)$/gim;
+
+class SubIssueGraph {
+  constructor(options = {}) {
+    this.parent = options.parent;
+    this.file = options.file || path.join('.github', `sub-issues-${options.parent}.json`);
+    this.createdAt = options.createdAt || new Date().toISOString();
+    this.children = new Map();
+    (options.children || []).forEach((child) => this.add(child.issueNumber, child));
+  }
+
+  static forParent(parent, stateDir = '.github') {
+    const file = path.join(stateDir, `sub-issues-${parent}.json`);
+    if (!fs.existsSync(file)) return new SubIssueGraph({ parent, file });
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new NonRetryableError(
+        `Sub-issue graph ${file} is not valid JSON: ${error.message}`,
+        'SUB_ISSUE_GRAPH_INVALID',
+        { operation: 'loadSubIssueGraph', additionalContext: { file } }
+      );
+    }
+    return new SubIssueGraph({ ...stored, parent, file });
+  }
+
+  /**
+   * @ai-context Every stored graph in `stateDir`, ordered by parent issue
+   */
+  static list(stateDir = '.github') {
+    if (!fs.existsSync(stateDir)) return [];
+    return fs
+      .readdirSync(stateDir)
+      .map((file) => file.match(/^sub-issues-(\d+)\.json$/))
+      .filter(Boolean)
+      .map((match) => parseInt(match[1], 10))
+      .sort((a, b) => a - b)
+      .map((parent) => SubIssueGraph.forParent(parent, stateDir));
+  }
+
+  /**
+   * @ai-context Roadmap items of MASTER_PLAN.md in document order; blockers reference other item keys
+   */
+  static parsePlan(markdown) {
+    return String(markdown || '')
+      .split('\n')
+      .map((line) => line.match(PLAN_ITEM))
+      .filter(Boolean)
+      .map(([, key, text]) => {
+        const blockers = text.match(PLAN_BLOCKERS);
+        return {
+          key: key.toUpperCase(),
+          title: blockers ? text.slice(0, blockers.index).trim() : text,
+          blockedBy: blockers
+            ? blockers[1].split(/[\s,]+/).filter(Boolean).map((blocker) => blocker.toUpperCase())
+            : [],
+        };
+      });
+  }
+
+  /**
+   * @ai-context Issue numbers named on `Blocked by: #12, #13` lines of an issue body
+   */
+  static parseBlockers(body) {
+    const blockers = [];
+    for (const [, list] of String(body || '').matchAll(BODY_BLOCKERS)) {
+      for (const [, number] of list.matchAll(/#(\d+)/g)) blockers.push(parseInt(number, 10));
+    }
+    return [...new Set(blockers)];
+  }
+
+  /**
+   * @ai-context Kahn's algorithm over `Map<id, blockedBy[]>`; ties keep insertion order so the result is stable
+   */
+  static sort(nodes, parent) {
+    const ids = [...nodes.keys()];
+    nodes.forEach((blockedBy, id) => {
+      const unknown = blockedBy.filter((blocker) => !nodes.has(blocker));
+      if (unknown.length > 0) {
+        throw SubIssueGraph.invalid(parent, `${id} is blocked by unknown sub-issue(s) ${unknown.join(', ')}`);
+      }
+      if (blockedBy.includes(id)) throw SubIssueGraph.invalid(parent, `${id} blocks itself`);
+    });
+
+    const remaining = new Map(ids.map((id) => [id, new Set(nodes.get(id))]));
+    const order = [];
+    while (remaining.size > 0) {
+      const ready = [...remaining.keys()].find((id) => remaining.get(id).size === 0);
+      if (ready === undefined) {
+        const cycle = [...remaining.keys()];
+        const error = SubIssueGraph.invalid(parent, `dependency cycle between ${cycle.join(', ')}`);
+        error.cycle = cycle;
+        throw error;
+      }
+      order.push(ready);
+      remaining.delete(ready);
+      remaining.forEach((blockers) => blockers.delete(ready));
+    }
+    return order;
+  }
+
+  static invalid(parent, reason) {
+    return new NonRetryableError(`Sub-issues of #${parent}: ${reason}`, 'SUB_ISSUE_GRAPH_INVALID', {
+      operation: 'validateSubIssueGraph',
+      additionalContext: { parent, reason },
+    });
+  }
+
+  add(issueNumber, child = {}) {
+    const status = child.status || 'pending';
+    if (!STATUSES.includes(status)) {
+      throw SubIssueGraph.invalid(this.parent, `#${issueNumber} has unknown status "${status}"`);
+    }
+    this.children.set(issueNumber, {
+      ...child,
+      issueNumber,
+      title: child.title || `Issue #${issueNumber}`,
+      blockedBy: [...new Set(child.blockedBy || [])],
+      status,
+    });
+    return this;
+  }
+
+  get(issueNumber) {
+    return this.children.get(issueNumber) || null;
+  }
+
+  /**
+   * @ai-context Children that list `issueNumber` as a blocker
+   */
+  blocks(issueNumber) {
+    return [...this.children.values()]
+      .filter((child) => child.blockedBy.includes(issueNumber))
+      .map((child) => child.issueNumber);
+  }
+
+  topologicalOrder() {
+    return SubIssueGraph.sort(
+      new Map([...this.children.values()].map((child) => [child.issueNumber, child.blockedBy])),
+      this.parent
+    );
+  }
+
+  validate() {
+    this.topologicalOrder();
+    return this;
+  }
+
+  setStatus(issueNumber, status, details = {}) {
+    const child = this.get(issueNumber);
+    if (!child) throw SubIssueGraph.invalid(this.parent, `#${issueNumber} is not a sub-issue`);
+    this.add(issueNumber, { ...child, ...details, status });
+    return this.get(issueNumber);
+  }
+
+  /**
+   * @ai-context Children that did not finish go back to pending so a re-run of the parent retries them
+   */
+  resetUnfinished() {
+    this.children.forEach((child) => {
+      if (child.status !== 'completed') {
+        this.add(child.issueNumber, { ...child, status: 'pending', reason: undefined });
+      }
+    });
+    return this;
+  }
+
+  /**
+   * @ai-context Parent status: completed once every child completed, blocked when a child failed or
+   * was blocked and nothing is left to run, running while children are in flight
+   */
+  rollup() {
+    const children = [...this.children.values()];
+    const counts = Object.fromEntries(
+      STATUSES.map((status) => [status, children.filter((child) => child.status === status).length])
+    );
+    let status = 'pending';
+    if (children.length > 0 && counts.completed === children.length) status = 'completed';
+    else if (counts.running > 0 || (counts.pending > 0 && counts.completed + counts.failed > 0)) status = 'running';
+    else if (counts.failed + counts.blocked > 0 && counts.pending === 0) status = 'blocked';
+    return { parent: this.parent, status, total: children.length, counts };
+  }
+
+  toJSON() {
+    return {
+      parent: this.parent,
+      createdAt: this.createdAt,
+      children: [...this.children.values()].map((child) => ({
+        ...child,
+        blocks: this.blocks(child.issueNumber),
+      })),
+      rollup: this.rollup(),
+    };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ ...this.toJSON(), updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tempFile, this.file);
+    return this;
+  }
+
+  /**
+   * @ai-context Markdown roll-up posted on the parent issue
+   */
+  format() {
+    const { status, total, counts } = this.rollup();
+    const lines = [
+      `## Sub-issues: ${status} (${counts.completed}/${total} completed)`,
+      '',
+      '| Issue | Status | Blocked by |',
+      '| --- | --- | --- |',
+    ];
+    this.children.forEach((child) => {
+      lines.push(
+        `| #${child.issueNumber} ${child.title} | ${child.status}${child.reason ? ` (${child.reason})` : ''} | ${child.blockedBy.map((blocker) => `#${blocker}`).join(', ') || '-'} |`
+      );
+    });
+    return lines.join('\n');
+  }
+}
+
+SubIssueGraph.STATUSES = STATUSES;
+
+module.exports = SubIssueGraph;
@@ -0,0 +1,272 @@
+/**
+ * @ai-context Requirements traceability: each PRD requirement ID traced to SPEC sections, code
+ * (`@ai-context` tags, commit messages) and the test names that cover it
+ * @ai-invariant Only the issue's own PRD defines requirements; an ID found elsewhere never adds one
+ * @ai-connection Built by the QA persona into TRACEABILITY.md and traceability.json; the QA gate
+ * fails on uncovered requirements when BMAD_TRACEABILITY_GATE=fail
+ */
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const ArtifactContracts = require('./artifact-contracts');
+
+const DEFAULT_OUTPUT_DIR = 'docs/testing';
+const GATE_MODES = ['off', 'warn', 'fail'];
+// A requirement is covered when it reaches every layer; code counts tags and commits alike
+const LAYERS = ['spec', 'code', 'tests'];
+const TEST_TITLE = /\b(?:describe|test|it)(?:\.\w+)?\(\s*(['"`])((?:\\.|(?!\1).)*)\1/g;
+
+class TraceabilityMatrix {
+  constructor(options = {}) {
+    this.issueNumber = options.issueNumber;
+    const ids = ArtifactContracts.DEFAULT_CONTRACTS.PRD.requirementIds;
+    this.pattern = options.pattern || ids.pattern;
+    this.requirementsSection = options.requirementsSection || ids.section;
+    this.codeDirs = options.codeDirs || ['scripts', 'personas', 'src'];
+    this.testDirs = options.testDirs || ['tests'];
+    this.outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+    this.readCommits = options.readCommits || TraceabilityMatrix.gitCommits;
+  }
+
+  /**
+   * @ai-context Gate mode of the QA check: off, warn (CONCERNS) or fail (blocks the workflow)
+   */
+  static gateMode(value = process.env.BMAD_TRACEABILITY_GATE) {
+    const mode = String(value || 'warn').toLowerCase();
+    return GATE_MODES.includes(mode) ? mode : 'warn';
+  }
+
+  static gitCommits() {
+    try {
+      return execSync('git log --max-count=1000 --format=%h%x1f%s%x1f%b%x1e', {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        maxBuffer: 10 * 1024 * 1024,
+      })
+        .split('\x1e')
+        .map((record) => record.trim())
+        .filter(Boolean)
+        .map((record) => {
+          const [sha, subject, body = ''] = record.split('\x1f');
+          return { sha, subject, body };
+        });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * @ai-context JavaScript files under `dirs`, as `{ path, content }`
+   */
+  static readFiles(dirs, filter = (file) => /\.[cm]?js$/.test(file)) {
+    const files = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) walk(file);
+        } else if (filter(file)) {
+          files.push({ path: file.split(path.sep).join('/'), content: fs.readFileSync(file, 'utf8') });
+        }
+      });
+    };
+    dirs.forEach(walk);
+    return files;
+  }
+
+  ids(text) {
+    return [...new Set(String(text || '').match(new RegExp(`\\b${this.pattern}\\b`, 'g')) || [])];
+  }
+
+  /**
+   * @ai-context Requirement IDs of the PRD with the text that follows them (`- REQ-1: Export CSV`)
+   */
+  requirements(prd) {
+    const scope = ArtifactContracts.section(prd, this.requirementsSection) || prd || '';
+    const titled = new RegExp(`\\b(${this.pattern})\\b\\s*[:\\-–]\\s*(.+)$`);
+    const requirements = new Map();
+    scope.split('\n').forEach((line) => {
+      const match = line.match(titled);
+      if (match && !requirements.has(match[1])) requirements.set(match[1], match[2].trim());
+      this.ids(line).forEach((id) => {
+        if (!requirements.has(id)) requirements.set(id, '');
+      });
+    });
+    return [...requirements].map(([id, title]) => ({ id, title }));
+  }
+
+  /**
+   * @ai-context Headings of the SPEC sections that cite each ID
+   */
+  specRefs(spec) {
+    const refs = new Map();
+    let heading = '(intro)';
+    String(spec || '').split('\n').forEach((line) => {
+      const match = line.match(/^#{1,6}\s+(.+?)\s*$/);
+      if (match) heading = match[1];
+      this.ids(line).forEach((id) => TraceabilityMatrix.push(refs, id, heading));
+    });
+    return refs;
+  }
+
+  codeRefs(files) {
+    const refs = new Map();
+    files.forEach((file) => {
+      file.content.split('\n').forEach((line, index) => {
+        if (!line.includes('@ai-context')) return;
+        this.ids(line).forEach((id) => TraceabilityMatrix.push(refs, id, `${file.path}:${index + 1}`));
+      });
+    });
+    return refs;
+  }
+
+  commitRefs(commits) {
+    const refs = new Map();
+    commits.forEach((commit) => {
+      this.ids(`${commit.subject}\n${commit.body}`).forEach((id) =>
+        TraceabilityMatrix.push(refs, id, `${commit.sha} ${commit.subject}`)
+      );
+    });
+    return refs;
+  }
+
+  testRefs(files) {
+    const refs = new Map();
+    files.forEach((file) => {
+      file.content.split('\n').forEach((line, index) => {
+        for (const [, , title] of line.matchAll(TEST_TITLE)) {
+          this.ids(title).forEach((id) =>
+            TraceabilityMatrix.push(refs, id, `${file.path}:${index + 1} › ${title}`)
+          );
+        }
+      });
+    });
+    return refs;
+  }
+
+  static push(refs, id, value) {
+    if (!refs.has(id)) refs.set(id, []);
+    if (!refs.get(id).includes(value)) refs.get(id).push(value);
+  }
+
+  /**
+   * @ai-context Pure build from already collected sources; `collect` reads them from disk and git
+   */
+  build({ prd = null, spec = null, codeFiles = [], testFiles = [], commits = [] } = {}) {
+    const specRefs = this.specRefs(spec);
+    const codeRefs = this.codeRefs(codeFiles);
+    const commitRefs = this.commitRefs(commits);
+    const testRefs = this.testRefs(testFiles);
+
+    const requirements = this.requirements(prd).map(({ id, title }) => {
+      const entry = {
+        id,
+        title,
+        spec: specRefs.get(id) || [],
+        code: codeRefs.get(id) || [],
+        commits: commitRefs.get(id) || [],
+        tests: testRefs.get(id) || [],
+      };
+      const present = {
+        spec: entry.spec.length > 0,
+        code: entry.code.length + entry.commits.length > 0,
+        tests: entry.tests.length > 0,
+      };
+      entry.missing = LAYERS.filter((layer) => !present[layer]);
+      entry.covered = entry.missing.length === 0;
+      return entry;
+    });
+    const gaps = requirements.filter((requirement) => !requirement.covered);
+
+    return {
+      issueNumber: this.issueNumber,
+      generatedAt: new Date().toISOString(),
+      prdFound: prd !== null && prd !== undefined,
+      specFound: spec !== null && spec !== undefined,
+      requirements,
+      gaps: gaps.map(({ id, missing }) => ({ id, missing })),
+      summary: {
+        total: requirements.length,
+        covered: requirements.length - gaps.length,
+        uncovered: gaps.length,
+      },
+    };
+  }
+
+  collect() {
+    const read = (type) => {
+      const file = ArtifactContracts.pathFor(type, this.issueNumber);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    };
+    return this.build({
+      prd: read('PRD'),
+      spec: read('SPEC'),
+      codeFiles: TraceabilityMatrix.readFiles(this.codeDirs),
+      testFiles: TraceabilityMatrix.readFiles(this.testDirs, (file) => /\.(?:test|spec)\.[cm]?js$/.test(file)),
+      commits: this.readCommits(),
+    });
+  }
+
+  /**
+   * @ai-context The gate passes without a PRD: there is nothing to trace yet
+   */
+  static evaluate(report, mode = TraceabilityMatrix.gateMode()) {
+    if (mode === 'off' || report.gaps.length === 0) {
+      return { mode, verdict: 'PASS', summary: TraceabilityMatrix.summarize(report) };
+    }
+    return {
+      mode,
+      verdict: mode === 'fail' ? 'FAIL' : 'CONCERNS',
+      summary: TraceabilityMatrix.summarize(report),
+    };
+  }
+
+  static summarize(report) {
+    const { total, covered } = report.summary;
+    if (report.gaps.length === 0) return `Traceability: ${covered}/${total} requirement(s) covered`;
+    return `Traceability: ${covered}/${total} requirement(s) covered; gaps: ${report.gaps
+      .map((gap) => `${gap.id} (${gap.missing.join(', ')})`)
+      .join(', ')}`;
+  }
+
+  static format(report) {
+    const cell = (values) => (values.length > 0 ? values.map((value) => `\`${value}\``).join('<br>') : '—');
+    const lines = [
+      `# Traceability Matrix — Issue #${report.issueNumber}`,
+      '',
+      `- **Requirements**: ${report.summary.total}`,
+      `- **Covered**: ${report.summary.covered}`,
+      `- **Uncovered**: ${report.summary.uncovered}`,
+      '',
+      '| Requirement | SPEC | Code | Tests | Status |',
+      '| --- | --- | --- | --- | --- |',
+    ];
+    report.requirements.forEach((requirement) => {
+      lines.push(
+        `| ${requirement.id}${requirement.title ? ` ${requirement.title}` : ''} | ${cell(requirement.spec)} | ${cell([
+          ...requirement.code,
+          ...requirement.commits,
+        ])} | ${cell(requirement.tests)} | ${requirement.covered ? '✅ covered' : `❌ missing ${requirement.missing.join(', ')}`} |`
+      );
+    });
+    if (!report.prdFound) lines.push('', `_No PRD found for issue #${report.issueNumber}._`);
+    lines.push('', `---`, `*Generated on ${report.generatedAt}*`, '');
+    return lines.join('\n');
+  }
+
+  /**
+   * @ai-context Files of the report, in the shape microCommit expects
+   */
+  files(report) {
+    return [
+      { path: path.posix.join(this.outputDir, 'TRACEABILITY.md'), content: TraceabilityMatrix.format(report) },
+      { path: path.posix.join(this.outputDir, 'traceability.json'), content: `${JSON.stringify(report, null, 2)}\n` },
+    ];
+  }
+}
+
+TraceabilityMatrix.GATE_MODES = GATE_MODES;
+TraceabilityMatrix.LAYERS = LAYERS;
+
+module.exports = TraceabilityMatrix;
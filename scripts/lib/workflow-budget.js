@@ -0,0 +1,270 @@
+/**
+ * @ai-context Step, time, retry, token and cost budgets for a workflow run and for each of its phases
+ * @ai-invariant A phase over its time budget is cancelled through the AbortSignal handed to the persona
+ * @ai-invariant Model usage is charged as personas report it (CostMeter); the call that overruns throws
+ * @ai-connection Configured by the `budgets` block of a workflow definition; enforced by BMADOrchestrator
+ *                (phases) and EnhancedBMADWorkflow (whole run)
+ */
+/* global AbortController, setTimeout, clearTimeout */
+const { NonRetryableError } = require('./bmad-error');
+
+const DEFAULT_MAX_STEPS = 50;
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_PHASE_RETRIES = 2;
+const BUDGET_KINDS = ['maxSteps', 'timeoutMs', 'maxRetries', 'maxTokens', 'maxCostUsd'];
+// Usage budgets: limit kind -> field of a metered model call
+const USAGE_KINDS = { maxTokens: 'tokens', maxCostUsd: 'costUsd' };
+// setTimeout overflows above 2^31-1 ms
+const MAX_TIMER_MS = 2147483647;
+
+const envInt = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : null;
+};
+
+const envNumber = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+class WorkflowBudget {
+  constructor(options = {}) {
+    this.maxSteps = options.maxSteps ?? envInt('BMAD_MAX_STEPS') ?? DEFAULT_MAX_STEPS;
+    this.timeoutMs = options.timeoutMs ?? envInt('BMAD_WORKFLOW_TIMEOUT_MS') ?? DEFAULT_TIMEOUT_MS;
+    // No token or cost limit unless configured
+    this.maxTokens = options.maxTokens ?? envInt('BMAD_MAX_TOKENS') ?? null;
+    this.maxCostUsd = options.maxCostUsd ?? envNumber('BMAD_MAX_COST_USD') ?? null;
+    this.phaseDefaults = {
+      maxSteps: null,
+      timeoutMs: envInt('BMAD_PHASE_TIMEOUT_MS'),
+      maxRetries: DEFAULT_PHASE_RETRIES,
+      maxTokens: null,
+      maxCostUsd: null,
+    };
+    this.phases = options.phases || {};
+    this.now = options.now || Date.now;
+    this.startedAt = this.now();
+    this.steps = 0;
+    this.phaseSteps = {};
+    this.spent = { tokens: 0, costUsd: 0 };
+    this.phaseSpent = {};
+    this.currentPhase = null;
+    this.configuredFor = null;
+  }
+
+  /**
+   * @ai-context Apply the budgets of the workflow serving the issue, once per run
+   */
+  configure(workflow) {
+    if (!workflow || this.configuredFor === workflow.id) return this;
+    const budgets = workflow.budgets || {};
+    if (budgets.maxSteps !== undefined) this.maxSteps = budgets.maxSteps;
+    if (budgets.timeoutMs !== undefined) this.timeoutMs = budgets.timeoutMs;
+    if (budgets.maxTokens !== undefined) this.maxTokens = budgets.maxTokens;
+    if (budgets.maxCostUsd !== undefined) this.maxCostUsd = budgets.maxCostUsd;
+    this.phases = { ...this.phases, ...budgets.phases };
+    this.configuredFor = workflow.id;
+    return this;
+  }
+
+  forPhase(phase) {
+    return { ...this.phaseDefaults, ...this.phases[phase] };
+  }
+
+  elapsedMs() {
+    return this.now() - this.startedAt;
+  }
+
+  /**
+   * @ai-context Whole-run budget; returns the overrun instead of throwing so the caller decides the status
+   */
+  checkWorkflow() {
+    const phase = this.currentPhase || 'WORKFLOW';
+    if (this.steps >= this.maxSteps) {
+      return { scope: 'workflow', phase, kind: 'maxSteps', limit: this.maxSteps, used: this.steps };
+    }
+    const elapsed = this.elapsedMs();
+    if (elapsed >= this.timeoutMs) {
+      return { scope: 'workflow', phase, kind: 'timeoutMs', limit: this.timeoutMs, used: elapsed };
+    }
+    return this.checkUsage(phase);
+  }
+
+  /**
+   * @ai-context Token and cost overrun of the phase, then of the whole run; spending exactly the limit is allowed
+   */
+  checkUsage(phase) {
+    const limits = this.forPhase(phase);
+    const spent = this.phaseSpent[phase] || { tokens: 0, costUsd: 0 };
+    for (const [kind, field] of Object.entries(USAGE_KINDS)) {
+      if (limits[kind] && spent[field] > limits[kind]) {
+        return { scope: 'phase', phase, kind, limit: limits[kind], used: spent[field] };
+      }
+    }
+    for (const [kind, field] of Object.entries(USAGE_KINDS)) {
+      if (this[kind] && this.spent[field] > this[kind]) {
+        return { scope: 'workflow', phase, kind, limit: this[kind], used: this.spent[field] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @ai-context Charge one metered model call to the phase and the run; throws BUDGET_EXCEEDED on overrun
+   */
+  chargeUsage(phase, call) {
+    const add = (spent) => ({
+      tokens: spent.tokens + (call.tokens || 0),
+      costUsd: WorkflowBudget.roundUsd(spent.costUsd + (call.costUsd || 0)),
+    });
+    this.spent = add(this.spent);
+    this.phaseSpent[phase] = add(this.phaseSpent[phase] || { tokens: 0, costUsd: 0 });
+    const overrun = this.checkUsage(phase);
+    if (overrun) throw WorkflowBudget.exceeded(overrun);
+    return this.spent;
+  }
+
+  static roundUsd(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+
+  recordStep() {
+    this.steps += 1;
+    return this.steps;
+  }
+
+  /**
+   * @ai-context Count an execution of the phase; throws BUDGET_EXCEEDED when its step budget is spent
+   */
+  beginPhase(phase) {
+    const { maxSteps } = this.forPhase(phase);
+    const used = this.phaseSteps[phase] || 0;
+    if (maxSteps && used >= maxSteps) {
+      throw WorkflowBudget.exceeded({ scope: 'phase', phase, kind: 'maxSteps', limit: maxSteps, used });
+    }
+    this.phaseSteps[phase] = used + 1;
+    this.currentPhase = phase;
+    return this.forPhase(phase);
+  }
+
+  /**
+   * @ai-context Run `operation(signal)` under the phase time budget (capped by what is left of the run)
+   * @ai-invariant On overrun the signal is aborted and the call rejects without waiting for the persona
+   */
+  async run(phase, operation, parentSignal = null) {
+    const phaseTimeout = this.forPhase(phase).timeoutMs;
+    const remaining = Math.max(0, this.timeoutMs - this.elapsedMs());
+    const useWorkflowLimit = !phaseTimeout || remaining < phaseTimeout;
+    const limit = useWorkflowLimit ? remaining : phaseTimeout;
+    const budget = useWorkflowLimit
+      ? { scope: 'workflow', phase, kind: 'timeoutMs', limit: this.timeoutMs }
+      : { scope: 'phase', phase, kind: 'timeoutMs', limit: phaseTimeout };
+
+    const controller = new AbortController();
+    const startedAt = this.now();
+    let timer = null;
+    let onParentAbort = null;
+    const aborted = new Promise((resolve, reject) => {
+      const abort = (reason) => {
+        controller.abort(reason);
+        reject(reason);
+      };
+      timer = setTimeout(
+        () => abort(WorkflowBudget.exceeded({ ...budget, used: this.now() - startedAt })),
+        Math.min(limit, MAX_TIMER_MS)
+      );
+      if (parentSignal) {
+        onParentAbort = () => abort(parentSignal.reason || new Error('Execution cancelled'));
+        if (parentSignal.aborted) onParentAbort();
+        else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+      }
+    });
+
+    try {
+      return await Promise.race([operation(controller.signal), aborted]);
+    } finally {
+      clearTimeout(timer);
+      if (parentSignal && onParentAbort) parentSignal.removeEventListener('abort', onParentAbort);
+    }
+  }
+
+  usage() {
+    return {
+      steps: this.steps,
+      elapsedMs: this.elapsedMs(),
+      phases: { ...this.phaseSteps },
+      tokens: this.spent.tokens,
+      costUsd: this.spent.costUsd,
+    };
+  }
+
+  /**
+   * @ai-context The error carries `budget` ({ scope, phase, kind, limit, used }) so state can record the overrun
+   */
+  static exceeded(budget, cause = null) {
+    const units = { timeoutMs: 'ms', maxRetries: ' retries', maxTokens: ' tokens', maxCostUsd: ' USD' };
+    const unit = units[budget.kind] || ' steps';
+    const scope = budget.scope === 'workflow' ? 'Workflow' : `Phase "${budget.phase}"`;
+    const error = new NonRetryableError(
+      `${scope} exceeded its ${budget.kind} budget (${budget.used}/${budget.limit}${unit})` +
+        (cause ? `: ${cause.message}` : ''),
+      'BUDGET_EXCEEDED',
+      {
+        stepId: budget.phase,
+        operation: 'enforceBudget',
+        additionalContext: { budget, cause: cause ? cause.message : null },
+      }
+    );
+    error.budget = budget;
+    return error;
+  }
+
+  /**
+   * @ai-context Validation for the `budgets` block of a workflow definition
+   */
+  static validate(budgets, phases) {
+    if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+      return ['budgets must be an object'];
+    }
+    const errors = [];
+    // Retries may be zero; steps, milliseconds and tokens must be positive; a cost is any positive amount
+    const checkLimits = (limits, at, kinds) =>
+      kinds.forEach((kind) => {
+        if (limits[kind] === undefined) return;
+        if (kind === 'maxCostUsd') {
+          if (typeof limits[kind] !== 'number' || !(limits[kind] > 0)) errors.push(`${at}.${kind} must be a number > 0`);
+          return;
+        }
+        const min = kind === 'maxRetries' ? 0 : 1;
+        if (!Number.isInteger(limits[kind]) || limits[kind] < min) {
+          errors.push(`${at}.${kind} must be an integer >= ${min}`);
+        }
+      });
+
+    checkLimits(budgets, 'budgets', ['maxSteps', 'timeoutMs', 'maxTokens', 'maxCostUsd']);
+    if (budgets.phases !== undefined) {
+      if (!budgets.phases || typeof budgets.phases !== 'object' || Array.isArray(budgets.phases)) {
+        errors.push('budgets.phases must be an object keyed by phase');
+        return errors;
+      }
+      Object.entries(budgets.phases).forEach(([phase, limits]) => {
+        const at = `budgets.phases["${phase}"]`;
+        if (!phases.has(phase)) errors.push(`${at} is not a declared state`);
+        if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+          errors.push(`${at} must be an object`);
+          return;
+        }
+        Object.keys(limits)
+          .filter((kind) => !BUDGET_KINDS.includes(kind))
+          .forEach((kind) => errors.push(`${at}.${kind} is not one of ${BUDGET_KINDS.join(', ')}`));
+        checkLimits(limits, at, BUDGET_KINDS);
+      });
+    }
+    return errors;
+  }
+}
+
+WorkflowBudget.DEFAULT_MAX_STEPS = DEFAULT_MAX_STEPS;
+WorkflowBudget.DEFAULT_TIMEOUT_MS = DEFAULT_TIMEOUT_MS;
+
+module.exports = WorkflowBudget;
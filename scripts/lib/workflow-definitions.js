@@ -0,0 +1,353 @@
+/**
+ * @ai-context Declarative workflow definitions for the BMAD Orchestrator
+ * @ai-invariant Every definition is validated before the orchestrator runs any persona
+ * @ai-connection Built-in flows live in scripts/bmad/workflows; teams override them via a JSON or
+ * YAML file
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { NonRetryableError } = require('./bmad-error');
+const WorkflowBudget = require('./workflow-budget');
+
+const BUILTIN_DEFINITIONS = [
+  require('../bmad/workflows/feature.json'),
+  require('../bmad/workflows/bug.json'),
+  require('../bmad/workflows/audit.json'),
+];
+// The first one that exists is the team file when none is configured
+const DEFAULT_WORKFLOW_FILES = [
+  '.github/bmad-workflows.json',
+  '.github/bmad-workflows.yml',
+  '.github/bmad-workflows.yaml',
+];
+const PHASE_MATCHES = ['exact', 'contains'];
+const EXHAUSTED_POLICIES = ['halt', 'fail'];
+const APPROVAL_POINTS = ['before', 'after'];
+// A REPRO guard runs the reproduction test: it must fail before the fix and pass after it
+const GUARD_EXPECTATIONS = ['fail', 'pass'];
+
+class WorkflowDefinitions {
+  constructor(definitions = [], options = {}) {
+    this.artifactTypes = (options.artifactTypes || []).map((type) => type.toUpperCase());
+    this.definitions = new Map();
+    const errors = [];
+    definitions.forEach((definition, index) => {
+      const result = WorkflowDefinitions.validate(definition, {
+        artifactTypes: this.artifactTypes,
+      });
+      const label = (definition && definition.id) || `#${index}`;
+      result.errors.forEach((error) => errors.push(`workflow ${label}: ${error}`));
+      if (result.valid) this.definitions.set(definition.id.toUpperCase(), definition);
+    });
+    if (errors.length > 0) {
+      throw new NonRetryableError(
+        `Invalid workflow definitions:\n- ${errors.join('\n- ')}`,
+        'WORKFLOW_DEFINITION_INVALID',
+        { operation: 'loadWorkflowDefinitions', additionalContext: { errors } }
+      );
+    }
+  }
+
+  /**
+   * @ai-context Load built-in definitions, then overlay the team file (same id replaces)
+   */
+  static load(options = {}) {
+    const file =
+      options.file ||
+      process.env.BMAD_WORKFLOWS_FILE ||
+      DEFAULT_WORKFLOW_FILES.find((candidate) => fs.existsSync(path.resolve(process.cwd(), candidate))) ||
+      DEFAULT_WORKFLOW_FILES[0];
+    const byId = new Map(
+      BUILTIN_DEFINITIONS.map((definition) => [definition.id.toUpperCase(), definition])
+    );
+    WorkflowDefinitions.readFile(file).forEach((definition, index) => {
+      const id = definition && typeof definition.id === 'string'
+        ? definition.id.toUpperCase()
+        : `${file}#${index}`;
+      byId.set(id, definition);
+    });
+    return new WorkflowDefinitions(Array.from(byId.values()), options);
+  }
+
+  /**
+   * @ai-context Read a workflow file ({ workflows: [...] } or a bare array); .yml/.yaml files are
+   * parsed as YAML, anything else as JSON
+   */
+  static readFile(file) {
+    const absolutePath = path.resolve(process.cwd(), file);
+    if (!fs.existsSync(absolutePath)) return [];
+    const format = /\.ya?ml$/i.test(file) ? 'YAML' : 'JSON';
+    let parsed;
+    try {
+      const content = fs.readFileSync(absolutePath, 'utf-8');
+      parsed = format === 'YAML' ? yaml.load(content, { filename: file }) : JSON.parse(content);
+    } catch (error) {
+      throw new NonRetryableError(
+        `Invalid workflow definitions: ${file} is not valid ${format} (${error.message})`,
+        'WORKFLOW_DEFINITION_INVALID',
+        { operation: 'loadWorkflowDefinitions' }
+      );
+    }
+    const workflows = Array.isArray(parsed) ? parsed : parsed && parsed.workflows;
+    if (!Array.isArray(workflows)) {
+      throw new NonRetryableError(
+        `Invalid workflow definitions: ${file} must contain a "workflows" array`,
+        'WORKFLOW_DEFINITION_INVALID',
+        { operation: 'loadWorkflowDefinitions' }
+      );
+    }
+    return workflows;
+  }
+
+  /**
+   * @ai-context Structural validation of a single definition
+   */
+  static validate(definition, options = {}) {
+    const errors = [];
+    const artifactTypes = options.artifactTypes || [];
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return { valid: false, errors: ['definition must be an object'] };
+    }
+    if (typeof definition.id !== 'string' || !definition.id.trim()) {
+      errors.push('id must be a non-empty string');
+    }
+    if (!Array.isArray(definition.issueTypes) ||
+      definition.issueTypes.some((type) => typeof type !== 'string')) {
+      errors.push('issueTypes must be an array of strings');
+    }
+    if (definition.maxRetries !== undefined &&
+      (!Number.isInteger(definition.maxRetries) || definition.maxRetries < 0)) {
+      errors.push('maxRetries must be a non-negative integer');
+    }
+
+    const phases = new Set();
+    // Join states have no persona: the orchestrator merges the verdicts of their branches
+    const joins = new Map();
+    if (!Array.isArray(definition.states) || definition.states.length === 0) {
+      errors.push('states must be a non-empty array');
+    } else {
+      definition.states.forEach((state, index) => {
+        if (!state || typeof state.phase !== 'string' || !state.phase.trim()) {
+          errors.push(`states[${index}].phase must be a non-empty string`);
+          return;
+        }
+        if (phases.has(state.phase)) {
+          errors.push(`states[${index}].phase "${state.phase}" is duplicated`);
+        }
+        phases.add(state.phase);
+        if (state.join !== undefined) {
+          joins.set(state.phase, state.join);
+        } else if (typeof state.persona !== 'string' || !state.persona.trim()) {
+          errors.push(`states[${index}].persona must be a non-empty string`);
+        }
+      });
+      joins.forEach((branches, phase) =>
+        errors.push(...WorkflowDefinitions.validateJoin(branches, phase, phases, joins))
+      );
+    }
+
+    if (!Array.isArray(definition.transitions) || definition.transitions.length === 0) {
+      errors.push('transitions must be a non-empty array');
+      return { valid: errors.length === 0, errors };
+    }
+    definition.transitions.forEach((transition, index) => {
+      const at = `transitions[${index}]`;
+      if (!transition || typeof transition.from !== 'string' || !transition.from.trim()) {
+        errors.push(`${at}.from must be a non-empty string`);
+        return;
+      }
+      if (transition.phase !== undefined && typeof transition.phase !== 'string') {
+        errors.push(`${at}.phase must be a string`);
+      }
+      if (transition.phaseMatch !== undefined && !PHASE_MATCHES.includes(transition.phaseMatch)) {
+        errors.push(`${at}.phaseMatch must be one of ${PHASE_MATCHES.join(', ')}`);
+      }
+      if (transition.end === true) return;
+      if (!phases.has(transition.to)) {
+        errors.push(`${at}.to "${transition.to}" is not a declared state`);
+      }
+      if (transition.parallel !== undefined || joins.has(transition.to)) {
+        errors.push(...WorkflowDefinitions.validateParallel(transition, at, joins));
+      } else if (typeof transition.prompt !== 'string' || !transition.prompt.trim()) {
+        errors.push(`${at}.prompt must be a non-empty string`);
+      }
+      if (transition.guard !== undefined) {
+        errors.push(...WorkflowDefinitions.validateGuard(transition.guard, at, artifactTypes));
+      } else if (transition.promptSection !== undefined) {
+        errors.push(`${at}.promptSection requires a guard artifact`);
+      }
+      if (transition.retry !== undefined) {
+        const retry = transition.retry;
+        if (transition.guard === undefined) {
+          errors.push(`${at}.retry requires a guard`);
+        }
+        if (!retry || !phases.has(retry.to)) {
+          errors.push(`${at}.retry.to "${retry && retry.to}" is not a declared state`);
+        }
+        if (!retry || typeof retry.prompt !== 'string' || !retry.prompt.trim()) {
+          errors.push(`${at}.retry.prompt must be a non-empty string`);
+        }
+        if (retry && retry.onExhausted !== undefined &&
+          !EXHAUSTED_POLICIES.includes(retry.onExhausted)) {
+          errors.push(`${at}.retry.onExhausted must be one of ${EXHAUSTED_POLICIES.join(', ')}`);
+        }
+      }
+    });
+    if (!definition.transitions.some((transition) => transition && transition.from === 'UNKNOWN')) {
+      errors.push('transitions must include an initial transition from UNKNOWN');
+    }
+    if (definition.approvals !== undefined) {
+      errors.push(...WorkflowDefinitions.validateApprovals(definition.approvals, phases));
+    }
+    if (definition.budgets !== undefined) {
+      errors.push(...WorkflowBudget.validate(definition.budgets, phases));
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  static validateGuard(guard, at, artifactTypes) {
+    if (!guard || typeof guard !== 'object') return [`${at}.guard must be an object`];
+    if (guard.expect !== undefined && !GUARD_EXPECTATIONS.includes(guard.expect)) {
+      return [`${at}.guard.expect must be one of ${GUARD_EXPECTATIONS.join(', ')}`];
+    }
+    // The reproduction run of an `expect` guard: command (`{test}` is the test file) and time limit
+    if (guard.command !== undefined && (typeof guard.command !== 'string' || !guard.command.trim())) {
+      return [`${at}.guard.command must be a non-empty string`];
+    }
+    if (guard.timeoutMs !== undefined && (!Number.isInteger(guard.timeoutMs) || guard.timeoutMs <= 0)) {
+      return [`${at}.guard.timeoutMs must be a positive integer`];
+    }
+    if ((guard.command !== undefined || guard.timeoutMs !== undefined) && guard.expect === undefined) {
+      return [`${at}.guard.command and timeoutMs require expect`];
+    }
+    if (typeof guard.path === 'string' && guard.path.trim()) return [];
+    if (typeof guard.artifact !== 'string' || !guard.artifact.trim()) {
+      return [`${at}.guard requires an artifact type or a path`];
+    }
+    if (artifactTypes.length > 0 && !artifactTypes.includes(guard.artifact.toUpperCase())) {
+      return [`${at}.guard.artifact "${guard.artifact}" must be one of ${artifactTypes.join(', ')}`];
+    }
+    return [];
+  }
+
+  /**
+   * @ai-context A join state lists at least two persona phases whose verdicts it waits for
+   */
+  static validateJoin(branches, phase, phases, joins) {
+    const at = `states["${phase}"].join`;
+    if (!Array.isArray(branches) || branches.length < 2) {
+      return [`${at} must list at least two phases`];
+    }
+    const errors = [];
+    branches.forEach((branch) => {
+      if (!phases.has(branch)) errors.push(`${at} "${branch}" is not a declared state`);
+      else if (joins.has(branch)) errors.push(`${at} "${branch}" is a join state`);
+    });
+    if (new Set(branches).size !== branches.length) errors.push(`${at} lists a phase twice`);
+    return errors;
+  }
+
+  /**
+   * @ai-context Fan-out: { "to": "<join state>", "parallel": [{ "to", "prompt", "source" }, ...] }
+   */
+  static validateParallel(transition, at, joins) {
+    if (!joins.has(transition.to)) {
+      return [`${at}.parallel requires "to" to be a join state`];
+    }
+    if (!Array.isArray(transition.parallel)) {
+      return [`${at}.to "${transition.to}" is a join state and requires parallel branches`];
+    }
+    const errors = [];
+    transition.parallel.forEach((branch, index) => {
+      if (!branch || typeof branch.prompt !== 'string' || !branch.prompt.trim()) {
+        errors.push(`${at}.parallel[${index}].prompt must be a non-empty string`);
+      }
+    });
+    const targets = transition.parallel.map((branch) => branch && branch.to);
+    const expected = joins.get(transition.to);
+    const sameBranches =
+      Array.isArray(expected) &&
+      targets.length === expected.length &&
+      expected.every((phase) => targets.includes(phase));
+    if (!sameBranches) {
+      errors.push(
+        `${at}.parallel must branch to exactly the phases joined by "${transition.to}" (${[].concat(expected).join(', ')})`
+      );
+    }
+    return errors;
+  }
+
+  /**
+   * @ai-context Human checkpoints: { "after": "<phase>" } or { "before": "<phase>" }, optional approvers
+   */
+  static validateApprovals(approvals, phases) {
+    if (!Array.isArray(approvals)) return ['approvals must be an array'];
+    const errors = [];
+    approvals.forEach((approval, index) => {
+      const at = `approvals[${index}]`;
+      const points = APPROVAL_POINTS.filter((point) => approval && approval[point] !== undefined);
+      if (points.length !== 1) {
+        errors.push(`${at} must set exactly one of ${APPROVAL_POINTS.join(', ')}`);
+        return;
+      }
+      const phase = approval[points[0]];
+      if (!phases.has(phase)) {
+        errors.push(`${at}.${points[0]} "${phase}" is not a declared state`);
+      }
+      if (approval.approvers !== undefined &&
+        (!Array.isArray(approval.approvers) ||
+          approval.approvers.some((login) => typeof login !== 'string'))) {
+        errors.push(`${at}.approvers must be an array of GitHub logins`);
+      }
+    });
+    return errors;
+  }
+
+  get(id) {
+    return this.definitions.get(String(id || '').toUpperCase()) || null;
+  }
+
+  list() {
+    return Array.from(this.definitions.values());
+  }
+
+  /**
+   * @ai-context Pick the definition serving an issue type, falling back to the default flow
+   */
+  resolve(issueType) {
+    const type = String(issueType || '').toUpperCase();
+    const definitions = this.list();
+    return (
+      definitions.find((definition) =>
+        definition.issueTypes.some((candidate) => candidate.toUpperCase() === type)
+      ) ||
+      definitions.find((definition) => definition.default === true) ||
+      null
+    );
+  }
+
+  /**
+   * @ai-context Find the first transition leaving the given persona/phase
+   */
+  static findTransition(definition, persona, phase) {
+    const from = String(persona || 'UNKNOWN').toUpperCase();
+    const currentPhase = String(phase || 'UNKNOWN');
+    return (
+      definition.transitions.find((transition) => {
+        if (transition.from.toUpperCase() !== from) return false;
+        if (transition.phase === undefined) return true;
+        return transition.phaseMatch === 'contains'
+          ? currentPhase.includes(transition.phase)
+          : currentPhase === transition.phase;
+      }) || null
+    );
+  }
+
+  static getState(definition, phase) {
+    return definition.states.find((state) => state.phase === phase) || null;
+  }
+}
+
+module.exports = WorkflowDefinitions;
@@ -1,7 +1,13 @@
 /* global setInterval, clearInterval */
 const express = require('express');
+const ApprovalGate = require('../../scripts/lib/approval-gate');
+const StateCacheManager = require('../../scripts/lib/state-cache-manager');
+const EventBus = require('../../scripts/lib/event-bus');
+const SubIssueGraph = require('../../scripts/lib/sub-issue-graph');
 const router = express.Router();
 
+const EVENT_POLL_MS = parseInt(process.env.BMAD_EVENT_POLL_MS, 10) || 1000;
+
 // In-memory stores for real-time data
 const agentStore = new Map();
 const taskStore = new Map();
@@ -104,11 +110,82 @@ const initializeStores = () => {
 // Initialize stores on load
 initializeStores();
 
+// Sub-issue status -> dashboard column
+const SUB_ISSUE_COLUMNS = {
+  pending: 'backlog',
+  running: 'development',
+  completed: 'done',
+  failed: 'blocked',
+  blocked: 'blocked'
+};
+
+// Children of AUDIT breakdowns become tasks whose dependencies are their blockers
+function syncSubIssueTasks() {
+  SubIssueGraph.list(process.env.BMAD_STATE_DIR || '.github').forEach(graph => {
+    graph.toJSON().children.forEach(child => {
+      const existing = taskStore.get(child.issueNumber);
+      taskStore.set(child.issueNumber, {
+        id: child.issueNumber,
+        description: `Sub-issue${child.key ? ` ${child.key}` : ''} of #${graph.parent}`,
+        persona: null,
+        priority: 'medium',
+        assignedAgent: null,
+        createdAt: graph.createdAt,
+        elapsedTime: 0,
+        artifacts: [],
+        workflowId: `issue-${child.issueNumber}`,
+        ...existing,
+        title: child.title,
+        status: SUB_ISSUE_COLUMNS[child.status],
+        updatedAt: child.finishedAt || child.startedAt || graph.createdAt,
+        dependencies: child.blockedBy,
+        blockers: child.blockedBy.filter(blocker => graph.get(blocker).status !== 'completed'),
+        parentIssue: graph.parent,
+        issueNumber: child.issueNumber
+      });
+    });
+  });
+}
+
 // SSE helper function
 function sendSSE(res, data) {
   res.write(`data: ${JSON.stringify(data)}\n\n`);
 }
 
+// Agent status follows the persona lifecycle events published by the orchestrator
+function applyEvent(event) {
+  const persona = event.payload && event.payload.persona;
+  const agent = persona && agentStore.get(`agent-${String(persona).toLowerCase()}`);
+  if (!agent) return null;
+
+  const { phase, attempt, status } = event.payload;
+  if (event.type === 'persona-started') {
+    agent.status = 'working';
+    agent.currentTaskId = event.issueNumber;
+    agent.lastAction = `Started ${phase} (attempt ${attempt})`;
+  } else if (event.type === 'persona-finished') {
+    agent.status = status === 'completed' ? 'idle' : 'blocked';
+    agent.currentTaskId = null;
+    agent.lastAction = `${status === 'completed' ? 'Finished' : 'Failed'} ${phase}`;
+    agent.activeTime += event.payload.durationMs;
+  } else {
+    return null;
+  }
+  agent.lastActionTime = event.timestamp;
+  return agent;
+}
+
+// Poll the shared JSONL event log from `cursor` (default: its current end)
+function followEvents(cursor, onEvent) {
+  const file = EventBus.logFile();
+  let position = cursor ?? EventBus.readLog(file).cursor;
+  return setInterval(() => {
+    const { events, cursor: next } = EventBus.readLog(file, { cursor: position });
+    position = next;
+    events.forEach(onEvent);
+  }, EVENT_POLL_MS);
+}
+
 /**
  * SSE Endpoint - Agent Status Stream
  * Emits agent status changes in real-time
@@ -130,6 +207,12 @@ router.get('/agents/status', (req, res) => {
     });
   });
 
+  // Agents picked up or released by the running workflows
+  const events = followEvents(null, (event) => {
+    const agent = applyEvent(event);
+    if (agent) sendSSE(res, { type: 'agent_update', agent });
+  });
+
   // Send real-time updates every 3 seconds
   const interval = setInterval(() => {
     agentStore.forEach(agent => {
@@ -145,6 +228,43 @@ router.get('/agents/status', (req, res) => {
   }, 3000);
 
   // Cleanup on connection close
+  req.on('close', () => {
+    clearInterval(interval);
+    clearInterval(events);
+    res.end();
+  });
+});
+
+/**
+ * Workflow events from the BMAD event log
+ * Query: issue, type (comma separated), cursor (lines already read)
+ */
+router.get('/events', (req, res) => {
+  const { events, cursor } = EventBus.readLog(EventBus.logFile(), {
+    cursor: parseInt(req.query.cursor, 10) || 0,
+    issueNumber: req.query.issue ? parseInt(req.query.issue, 10) : undefined,
+    types: req.query.type ? req.query.type.split(',') : undefined
+  });
+  res.json({ events, cursor });
+});
+
+/**
+ * SSE Endpoint - Workflow Event Stream
+ * Streams events as they are appended; `?cursor=0` replays the log first
+ */
+router.get('/events/stream', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  sendSSE(res, { type: 'connected', message: 'Workflow event stream connected' });
+
+  const cursor = req.query && req.query.cursor !== undefined ? parseInt(req.query.cursor, 10) || 0 : null;
+  const interval = followEvents(cursor, (event) => {
+    applyEvent(event);
+    sendSSE(res, { type: 'bmad_event', event });
+  });
+
   req.on('close', () => {
     clearInterval(interval);
     res.end();
@@ -264,6 +384,7 @@ router.get('/tasks/:id/logs', (req, res) => {
 
 // Get all tasks
 router.get('/tasks', (req, res) => {
+  syncSubIssueTasks();
   const tasks = Array.from(taskStore.values()).map(task => ({
     id: task.id,
     title: task.title,
@@ -279,7 +400,8 @@ router.get('/tasks', (req, res) => {
     artifacts: task.artifacts,
     blockers: task.blockers,
     workflowId: task.workflowId,
-    issueNumber: task.issueNumber
+    issueNumber: task.issueNumber,
+    parentIssue: task.parentIssue || null
   }));
 
   res.json(tasks);
@@ -288,6 +410,7 @@ router.get('/tasks', (req, res) => {
 // Get task by ID
 router.get('/tasks/:id', (req, res) => {
   const { id } = req.params;
+  syncSubIssueTasks();
   const task = taskStore.get(parseInt(id));
 
   if (!task) {
@@ -309,7 +432,8 @@ router.get('/tasks/:id', (req, res) => {
     artifacts: task.artifacts,
     blockers: task.blockers,
     workflowId: task.workflowId,
-    issueNumber: task.issueNumber
+    issueNumber: task.issueNumber,
+    parentIssue: task.parentIssue || null
   });
 });
 
@@ -336,15 +460,40 @@ router.post('/tasks/:id/move', (req, res) => {
 });
 
 // Intervene in workflow
-router.post('/tasks/:id/intervene', (req, res) => {
+router.post('/tasks/:id/intervene', async (req, res) => {
   const { id } = req.params;
-  const { action } = req.body; // 'pause' | 'resume' | 'retry'
+  const { action } = req.body; // 'pause' | 'resume' | 'retry' | 'approve' | 'reject'
 
   const task = taskStore.get(parseInt(id));
   if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
 
+  // Approval decisions go to the persisted workflow state the orchestrator is waiting on
+  if (action === 'approve' || action === 'reject') {
+    try {
+      const stateCache = StateCacheManager.forIssue(
+        task.issueNumber,
+        process.env.BMAD_STATE_DIR || '.github'
+      );
+      const approval = await ApprovalGate.recordDecision(stateCache, {
+        status: action === 'approve' ? 'approved' : 'rejected',
+        reviewer: req.body.reviewer,
+        feedback: req.body.feedback
+      });
+      return res.json({
+        success: true,
+        taskId: parseInt(id),
+        action,
+        approval,
+        message: `Checkpoint ${approval.checkpoint} ${approval.decision.status} for task #${id}`
+      });
+    } catch (error) {
+      const status = error.category === 'APPROVAL_NOT_PENDING' ? 409 : 500;
+      return res.status(status).json({ error: error.message });
+    }
+  }
+
   // Apply intervention
   if (action === 'pause') {
     task.status = 'blocked';
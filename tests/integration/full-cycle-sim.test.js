@@ -21,6 +21,8 @@ describe('Full Cycle Simulation', () => {
         // Setup PM with Simulated Octokit
         pm = new ProjectManager('fake-token');
         pm.octokit = simulator.getOctokitMock(); // Inject Simulator
+        // Keep the analysis out of the real working tree and git history
+        pm.microCommit = jest.fn().mockResolvedValue('pm-commit');
 
         // Mock ContextManager to avoid file I/O during sim
         ContextManager.mockImplementation(() => ({
@@ -65,6 +67,9 @@ describe('Full Cycle Simulation', () => {
         expect(planIssue).toBeDefined();
         expect(planIssue.body).toContain('Implement User Login'); // References original
         expect(planIssue.labels).toEqual(expect.arrayContaining([{ name: 'architecture' }]));
+        expect(pm.microCommit).toHaveBeenCalledWith('PM: Issue analysis completed', [
+            expect.objectContaining({ path: 'docs/planning/work-plan.md' })
+        ]);
     });
 
     test('Simulator should handle file operations', async () => {
@@ -8,6 +8,9 @@ jest.mock('../../scripts/bmad/bmad-orchestrator', () => {
         constructor(emitter) {
             this.eventEmitter = emitter;
         }
+        static forIssue(issueNumber, emitter) {
+            return new MockOrchestrator(emitter);
+        }
         async orchestrate() {
             // Simulate work
             if (this.eventEmitter) {
@@ -35,9 +35,41 @@ const mockFs = {
     mkdirSync: jest.fn()
 };
 
+// Planning artifacts that satisfy the default ArtifactContracts
+const validPrd = `# PRD
+
+## Requirements
+- REQ-1: Export reports as CSV
+- REQ-2: Schedule exports
+
+## Acceptance Criteria
+- WHEN a user requests an export THE system SHALL return a CSV file (REQ-1)
+- IF the report is empty THEN the system SHALL return only the header row (REQ-1)
+- WHEN a schedule is due THE system SHALL email the export (REQ-2)
+
+## Architect Prompt
+Design the export service.
+`;
+
+const validSpec = `# SPEC
+
+## Architecture
+Export service behind the reports API.
+
+## Implementation Plan
+1. CSV writer
+2. Scheduler
+
+## Traceability
+- REQ-1: CSV writer
+- REQ-2: Scheduler
+`;
+
 module.exports = {
     mockOctokit,
     mockContextManager,
     mockLogger,
-    mockFs
+    mockFs,
+    validPrd,
+    validSpec
 };
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ApprovalGate = require('../../scripts/lib/approval-gate');
+const StateCacheManager = require('../../scripts/lib/state-cache-manager');
+const WorkflowDefinitions = require('../../scripts/lib/workflow-definitions');
+const HandoverState = require('../../scripts/lib/handover-state');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const EnhancedBMADWorkflow = require('../../scripts/bmad/bmad-workflow-enhanced');
+const feature = require('../../scripts/bmad/workflows/feature.json');
+const { validPrd, validSpec } = require('../mocks/bmad-mocks');
+
+const ISSUE = 31;
+
+describe('Approval checkpoints in workflow definitions', () => {
+  test('must name exactly one declared phase', () => {
+    const { errors } = WorkflowDefinitions.validate({
+      ...feature,
+      approvals: [
+        { after: 'Architecture Design', approvers: ['octocat'] },
+        { before: 'Deploy' },
+        { before: 'Planning', after: 'Planning' },
+        { after: 'Planning', approvers: 'octocat' },
+      ],
+    });
+
+    expect(errors).toEqual([
+      'approvals[1].before "Deploy" is not a declared state',
+      'approvals[2] must set exactly one of before, after',
+      'approvals[3].approvers must be an array of GitHub logins',
+    ]);
+  });
+
+  test('match the transition leaving or entering the phase, never a retry', () => {
+    const gate = new ApprovalGate({
+      stateCacheManager: {},
+      approvals: ApprovalGate.parseCheckpoints('before:Release Management'),
+    });
+    const workflow = { ...feature, approvals: [{ after: 'Architecture Design' }] };
+
+    expect(
+      gate.checkpointFor(workflow, { phase: 'Architecture Design' }, { nextPhase: 'Implementation' })
+    ).toEqual({ id: 'FEATURE:after:Architecture Design', when: 'after', phase: 'Architecture Design', approvers: [] });
+    expect(
+      gate.checkpointFor(workflow, { phase: 'DevOps & Deployment' }, { nextPhase: 'Release Management' }).id
+    ).toBe('FEATURE:before:Release Management');
+    expect(
+      gate.checkpointFor(workflow, { phase: 'Architecture Design' }, { nextPhase: 'Architecture Design' })
+    ).toBeNull();
+    expect(() => ApprovalGate.parseCheckpoints('during:QA')).toThrow(
+      expect.objectContaining({ category: 'APPROVAL_CONFIG_INVALID' })
+    );
+  });
+});
+
+describe('BMADOrchestrator approval gates', () => {
+  let tmpDir;
+  let files;
+  let octokit;
+  let executed;
+  let issue;
+
+  const createOrchestrator = (eventEmitter = null) => {
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, eventEmitter, {
+      stateDir: tmpDir,
+      workflowDefinitions: new WorkflowDefinitions(
+        [{ ...feature, approvals: [{ after: 'Architecture Design', approvers: ['lead'] }] }],
+        { artifactTypes: ['PRD', 'SPEC', 'REPRO'] }
+      ),
+    });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => {
+        if (files.has(file)) return files.get(file);
+        if (!file.startsWith('docs/')) return null;
+        return file.includes('SPEC') ? validSpec : validPrd;
+      }),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    orchestrator.approvalGate = new ApprovalGate({
+      stateCacheManager: orchestrator.stateCacheManager,
+      octokit,
+    });
+    jest.spyOn(orchestrator, 'getIssueDetails').mockImplementation(async () => issue);
+    jest.spyOn(orchestrator, 'executePersona').mockImplementation(async (action) => {
+      executed.push(action);
+      return { status: 'completed', artifacts: [], nextSteps: [], summary: null };
+    });
+    return orchestrator;
+  };
+
+  const storedState = () =>
+    JSON.parse(fs.readFileSync(path.join(tmpDir, `workflow-state-${ISSUE}.json`), 'utf8'));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-approval-'));
+    files = new Map([
+      [
+        HandoverState.pathFor(ISSUE),
+        HandoverState.render({ ...HandoverState.initial(ISSUE), persona: 'ARCHITECT', phase: 'Architecture Design' }),
+      ],
+    ]);
+    octokit = {
+      rest: {
+        issues: {
+          createComment: jest.fn().mockResolvedValue({}),
+          listComments: jest.fn().mockResolvedValue({ data: [] }),
+          removeLabel: jest.fn().mockResolvedValue({}),
+        },
+      },
+    };
+    executed = [];
+    issue = { number: ISSUE, title: 'Export reports', labels: [{ name: 'enhancement' }] };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('pauses at the checkpoint and resumes after an API approval, even after a restart', async () => {
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(false);
+
+    expect(executed).toHaveLength(0);
+    expect(storedState()).toEqual(
+      expect.objectContaining({
+        status: 'awaiting-approval',
+        context: expect.objectContaining({
+          issueNumber: ISSUE,
+          approval: expect.objectContaining({ checkpoint: 'FEATURE:after:Architecture Design', status: 'pending' }),
+        }),
+      })
+    );
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('/approve');
+
+    // Still waiting: a second run does not ask again
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(false);
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+
+    await ApprovalGate.recordDecision(StateCacheManager.forIssue(ISSUE, tmpDir), {
+      status: 'approved',
+      reviewer: 'lead',
+    });
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(true);
+
+    expect(executed.map((action) => action.persona)).toEqual(['developer']);
+    expect(storedState()).toEqual(
+      expect.objectContaining({
+        status: 'running',
+        context: expect.objectContaining({
+          approval: expect.objectContaining({ status: 'approved', decision: expect.objectContaining({ via: 'api' }) }),
+        }),
+      })
+    );
+  });
+
+  test('a /reject comment sends the work back to the previous persona with the feedback', async () => {
+    const orchestrator = createOrchestrator();
+    await orchestrator.orchestrate(ISSUE);
+    const { requestedAt } = storedState().context.approval;
+    const later = new Date(Date.parse(requestedAt) + 1000).toISOString();
+    octokit.rest.issues.listComments.mockResolvedValue({
+      data: [
+        { body: '/reject looks fine to me', user: { login: 'random' }, created_at: later },
+        { body: '/reject Split the API layer from storage', user: { login: 'lead' }, created_at: later },
+      ],
+    });
+    const events = [];
+    orchestrator.eventEmitter = { emit: (name, payload) => events.push([name, payload]) };
+
+    await expect(orchestrator.orchestrate(ISSUE)).resolves.toBe(true);
+
+    expect(executed).toEqual([
+      expect.objectContaining({
+        persona: 'architect',
+        nextPhase: 'Architecture Design',
+        source: 'Approval Rejected',
+        feedback: {
+          reviewer: 'lead',
+          text: 'Split the API layer from storage',
+          checkpoint: 'FEATURE:after:Architecture Design',
+        },
+      }),
+    ]);
+    expect(executed[0].prompt).toContain('Design the system architecture based on the PRD.');
+    expect(executed[0].prompt).toContain('REJECTED at FEATURE:after:Architecture Design by lead');
+    expect(events).toContainEqual([
+      'approval-resolved',
+      expect.objectContaining({ status: 'rejected' }),
+    ]);
+
+    // The reworked design goes through the checkpoint again
+    octokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+    await expect(orchestrator.orchestrate(ISSUE)).resolves.toBe(false);
+    expect(storedState().context.approval.status).toBe('pending');
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(2);
+  });
+
+  test('dry runs show where the workflow would wait', async () => {
+    const plan = await createOrchestrator().orchestrate(ISSUE, { dryRun: true, maxSteps: 1 });
+
+    expect(plan.steps[0]).toEqual(
+      expect.objectContaining({ persona: 'developer', approval: 'FEATURE:after:Architecture Design' })
+    );
+    expect(BMADOrchestrator.formatPlan(plan)).toContain('approval required');
+    expect(fs.existsSync(path.join(tmpDir, `workflow-state-${ISSUE}.json`))).toBe(false);
+  });
+
+  test('an approval label is consumed when it decides the checkpoint', async () => {
+    await createOrchestrator().orchestrate(ISSUE);
+    issue.labels.push({ name: 'bmad:approved' });
+
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(true);
+
+    expect(executed.map((action) => action.persona)).toEqual(['developer']);
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: ISSUE, name: 'bmad:approved' })
+    );
+  });
+
+  test('the workflow runner parks at the checkpoint instead of completing and clearing the state', async () => {
+    const run = () => {
+      const workflow = new EnhancedBMADWorkflow();
+      workflow.logWorkflow = jest.fn();
+      workflow.generateWorkflowReport = jest.fn().mockResolvedValue();
+      workflow.createStateCache = () => StateCacheManager.forIssue(ISSUE, tmpDir);
+      workflow.createOrchestrator = (issueNumber, eventEmitter) => createOrchestrator(eventEmitter);
+      jest.spyOn(workflow, 'clearState');
+      return workflow.executeWorkflow(ISSUE).then(() => workflow);
+    };
+
+    let workflow = await run();
+    expect(executed).toHaveLength(0);
+    expect(workflow.clearState).not.toHaveBeenCalled();
+    const waiting = storedState();
+    expect(waiting).toEqual(
+      expect.objectContaining({
+        status: 'awaiting-approval',
+        workflowId: `issue-${ISSUE}`,
+        context: expect.objectContaining({
+          approval: expect.objectContaining({ checkpoint: 'FEATURE:after:Architecture Design', status: 'pending' }),
+          workflowState: expect.objectContaining({
+            status: 'awaiting-approval',
+            approval: 'FEATURE:after:Architecture Design',
+          }),
+        }),
+      })
+    );
+
+    // A rerun before the decision keeps waiting on the same request
+    workflow = await run();
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+    expect(storedState().context.workflowState.workflowId).toBe(waiting.context.workflowState.workflowId);
+    expect(storedState().context.approval.requestedAt).toBe(waiting.context.approval.requestedAt);
+
+    await ApprovalGate.recordDecision(StateCacheManager.forIssue(ISSUE, tmpDir), {
+      status: 'approved',
+      reviewer: 'lead',
+    });
+    workflow = await run();
+    expect(executed[0]).toEqual(expect.objectContaining({ persona: 'developer' }));
+    expect(workflow.clearState).toHaveBeenCalledWith(ISSUE, 'completed');
+  });
+
+  test('the intervene endpoint records decisions for a waiting workflow only', async () => {
+    process.env.BMAD_STATE_DIR = tmpDir;
+    jest.resetModules();
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../../src/routes/orchestration.routes'));
+    const taskIssue = 1;
+
+    const idle = await request(app).post('/api/tasks/1/intervene').send({ action: 'approve' });
+    expect(idle.status).toBe(409);
+
+    await StateCacheManager.forIssue(taskIssue, tmpDir).persistState(
+      'DEVELOPER',
+      'Implementation',
+      { issueNumber: taskIssue, approval: { checkpoint: 'FEATURE:after:Architecture Design', status: 'pending' } },
+      { workflowId: `issue-${taskIssue}`, status: 'awaiting-approval' }
+    );
+    const response = await request(app)
+      .post('/api/tasks/1/intervene')
+      .send({ action: 'reject', reviewer: 'lead', feedback: 'Needs caching' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.approval.decision).toEqual(
+      expect.objectContaining({ status: 'rejected', reviewer: 'lead', feedback: 'Needs caching', via: 'api' })
+    );
+    delete process.env.BMAD_STATE_DIR;
+  });
+});
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArtifactContracts = require('../../scripts/lib/artifact-contracts');
+const HandoverState = require('../../scripts/lib/handover-state');
+const WorkflowDefinitions = require('../../scripts/lib/workflow-definitions');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const feature = require('../../scripts/bmad/workflows/feature.json');
+const { validPrd, validSpec } = require('../mocks/bmad-mocks');
+
+const ISSUE = 17;
+const PRD_PATH = `docs/planning/PRD-${ISSUE}.md`;
+
+const weakPrd = `# PRD
+
+## Requirements
+- REQ-1: Export reports as CSV
+- REQ-2: Schedule exports
+
+## Acceptance Criteria
+- WHEN a user requests an export THE system SHALL return a CSV file (REQ-1)
+- Exports should be fast
+`;
+
+describe('ArtifactContracts', () => {
+  const contracts = new ArtifactContracts({ config: {} });
+  const codes = (report) => report.gaps.map((gap) => gap.code);
+
+  test('accepts a complete PRD and reports every gap of a weak one', () => {
+    expect(contracts.validate('prd', validPrd)).toEqual(
+      expect.objectContaining({ type: 'PRD', valid: true, gaps: [], requirementIds: ['REQ-1', 'REQ-2'] })
+    );
+
+    const report = contracts.validate('PRD', weakPrd, { path: PRD_PATH });
+    expect(report.valid).toBe(false);
+    expect(codes(report)).toEqual([
+      'SECTION_MISSING',
+      'CRITERIA_NOT_EARS',
+      'CRITERIA_TOO_FEW',
+      'REQUIREMENT_WITHOUT_CRITERIA',
+    ]);
+    expect(report.gaps).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ code: 'SECTION_MISSING', section: 'Architect Prompt' }),
+        expect.objectContaining({ code: 'CRITERIA_NOT_EARS', items: ['Exports should be fast'] }),
+        expect.objectContaining({ code: 'CRITERIA_TOO_FEW', expected: 3, found: 1 }),
+        expect.objectContaining({ code: 'REQUIREMENT_WITHOUT_CRITERIA', ids: ['REQ-2'] }),
+      ])
+    );
+    expect(ArtifactContracts.format(report)).toContain(
+      `CONTRACT GAPS in ${PRD_PATH} (4):\n- [SECTION_MISSING] missing section "## Architect Prompt"`
+    );
+  });
+
+  test('a SPEC must trace every PRD requirement', () => {
+    expect(contracts.validate('SPEC', validSpec, { related: { PRD: validPrd } }).valid).toBe(true);
+
+    const partial = validSpec.replace('- REQ-2: Scheduler\n', '');
+    expect(contracts.validate('SPEC', partial, { related: { PRD: validPrd } }).gaps).toEqual([
+      expect.objectContaining({ code: 'REQUIREMENT_UNTRACED', ids: ['REQ-2'] }),
+    ]);
+  });
+
+  test('teams override contracts per type and invalid overrides are rejected', () => {
+    const relaxed = new ArtifactContracts({
+      config: { contracts: { prd: { acceptanceCriteria: { section: 'Acceptance Criteria', min: 1, ears: false } } } },
+    });
+    expect(relaxed.validate('PRD', `${weakPrd}\n## Architect Prompt\nDesign it.\n`).valid).toBe(true);
+    expect(relaxed.has('SPEC')).toBe(true);
+
+    expect(() => new ArtifactContracts({ config: { contracts: { PRD: { sections: 'Requirements' } } } })).toThrow(
+      expect.objectContaining({ category: 'CONTRACT_CONFIG_INVALID' })
+    );
+  });
+});
+
+describe('BMADOrchestrator artifact contracts', () => {
+  const env = { ...process.env };
+  let tmpDir;
+  let files;
+
+  const createOrchestrator = (definition = feature) => {
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, null, {
+      stateDir: tmpDir,
+      workflowDefinitions: new WorkflowDefinitions([definition]),
+      artifactContracts: new ArtifactContracts({ config: {} }),
+    });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (files.has(file) ? files.get(file) : null)),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    jest
+      .spyOn(orchestrator, 'extractSection')
+      .mockImplementation((file, title) => ArtifactContracts.section(files.get(file), title));
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+      number: ISSUE,
+      title: 'Export reports',
+      labels: [{ name: 'enhancement' }],
+    });
+    return orchestrator;
+  };
+
+  const planned = (retryCount = 0) =>
+    HandoverState.render({ ...HandoverState.initial(ISSUE), persona: 'PM', phase: 'Planning', retryCount });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-contracts-'));
+    delete process.env.BMAD_EVENT_LOG;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('sends the contract report back to the PM and only moves on once the PRD satisfies it', async () => {
+    files = new Map([
+      [HandoverState.pathFor(ISSUE), planned()],
+      [PRD_PATH, weakPrd],
+    ]);
+    const orchestrator = createOrchestrator();
+    let received;
+    jest.spyOn(orchestrator.personaRegistry, 'create').mockReturnValue({
+      run: async (context) => {
+        received = context;
+        return { status: 'completed', artifacts: [] };
+      },
+    });
+
+    await expect(orchestrator.orchestrate(ISSUE)).resolves.toBe(true);
+
+    expect(received).toEqual(
+      expect.objectContaining({
+        persona: 'pm',
+        phase: 'Planning',
+        prompt: expect.stringContaining('- [CRITERIA_TOO_FEW] needs at least 3 EARS acceptance criterion(s)'),
+        contract: expect.objectContaining({ type: 'PRD', path: PRD_PATH, valid: false }),
+      })
+    );
+    expect(received.contract.gaps.map((gap) => gap.code)).toContain('REQUIREMENT_WITHOUT_CRITERIA');
+    expect(HandoverState.parse(files.get(HandoverState.pathFor(ISSUE))).state.retryCount).toBe(1);
+
+    files.set(PRD_PATH, validPrd);
+    const action = await orchestrator.determineNextAction(
+      { persona: 'PM', phase: 'Planning', retryCount: 1 },
+      { number: ISSUE },
+      'FEATURE'
+    );
+    expect(action).toEqual(expect.objectContaining({ persona: 'architect', prompt: 'Design the export service.' }));
+    expect(action).not.toHaveProperty('contract');
+    expect(orchestrator.validateRequirementsDocument(PRD_PATH, 'PRD')).toEqual({ valid: true });
+  });
+
+  test('a flow that fails on exhaustion reports the remaining gaps', async () => {
+    const strict = {
+      ...feature,
+      transitions: feature.transitions.map((transition) =>
+        transition.from === 'PM' ? { ...transition, retry: { ...transition.retry, onExhausted: 'fail' } } : transition
+      ),
+    };
+    files = new Map([[PRD_PATH, weakPrd]]);
+
+    await expect(
+      createOrchestrator(strict).determineNextAction(
+        { persona: 'PM', phase: 'Planning', retryCount: 3 },
+        { number: ISSUE },
+        'FEATURE'
+      )
+    ).rejects.toThrow(
+      expect.objectContaining({
+        category: 'ARTIFACT_CONTRACT_FAILED',
+        message: 'FEATURE flow blocked: PRD contract failed: 4 gap(s)',
+        contract: expect.objectContaining({ path: PRD_PATH }),
+      })
+    );
+    expect(createOrchestrator().validateRequirementsDocument(PRD_PATH, 'PRD')).toEqual(
+      expect.objectContaining({ valid: false, error: expect.stringContaining('missing section "## Architect Prompt"') })
+    );
+  });
+});
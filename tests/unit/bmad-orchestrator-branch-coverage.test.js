@@ -1,5 +1,6 @@
 const fs = require('fs');
 const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const { validSpec } = require('../mocks/bmad-mocks');
 
 describe('BMADOrchestrator branch coverage', () => {
   let orchestrator;
@@ -164,7 +165,7 @@ describe('BMADOrchestrator branch coverage', () => {
     ).resolves.toBeNull();
 
     jest.spyOn(orchestrator, 'getDynamicPath').mockReturnValue('spec.md');
-    orchestrator.contextManager.read.mockReturnValueOnce('spec');
+    orchestrator.contextManager.read.mockReturnValueOnce(validSpec);
     expect(
       await orchestrator.determineNextAction(
         { persona: 'ARCHITECT', phase: 'Architecture', retryCount: 0 },
@@ -0,0 +1,155 @@
+jest.mock('child_process', () => {
+  const actual = jest.requireActual('child_process');
+  return ['exec', 'execSync', 'execFile', 'execFileSync', 'spawn', 'spawnSync'].reduce(
+    (mocked, name) => ({ ...mocked, [name]: jest.fn(actual[name]) }),
+    { ...actual }
+  );
+});
+
+const fs = require('fs');
+const childProcess = require('child_process');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const EnhancedGatekeeper = require('../../scripts/lib/enhanced-gatekeeper');
+const HandoverState = require('../../scripts/lib/handover-state');
+
+describe('BMADOrchestrator dry run', () => {
+  let orchestrator;
+  let handover;
+
+  beforeEach(() => {
+    handover = null;
+    orchestrator = Object.create(BMADOrchestrator.prototype);
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (file === HandoverState.pathFor(4) ? handover : null)),
+      write: jest.fn(),
+    };
+    orchestrator.loopDetector = {
+      maxTransitions: 3,
+      detectLoop: jest.fn().mockReturnValue(false),
+      getTransitionCount: jest.fn().mockReturnValue(0),
+      recordTransition: jest.fn(),
+    };
+    orchestrator.gatekeeper = {
+      validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS', status: 'PASSED' }),
+    };
+    orchestrator.stateCacheManager = { persistState: jest.fn() };
+    orchestrator.eventEmitter = { emit: jest.fn() };
+    jest.spyOn(orchestrator, 'executePersona').mockResolvedValue();
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({ number: 4, title: 'New export' });
+    jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('lists the whole feature chain without running personas or writing state', async () => {
+    const plan = await orchestrator.orchestrate(4, { dryRun: true });
+
+    expect(plan.stopReason).toBe('complete');
+    expect(plan.steps.map((step) => [step.persona, step.nextPhase])).toEqual([
+      ['pm', 'Planning'],
+      ['architect', 'Architecture Design'],
+      ['developer', 'Implementation'],
+      ['qa', 'Quality Assurance'],
+      ['security', 'Security Review'],
+      ['devops', 'DevOps & Deployment'],
+      ['releasemanager', 'Release Management'],
+    ]);
+    expect(plan.steps[0]).toEqual(
+      expect.objectContaining({
+        source: 'System Init',
+        produces: { type: 'PRD', path: 'docs/planning/PRD-4.md' },
+      })
+    );
+    expect(plan.steps[1].verdicts).toEqual({
+      transition: {
+        allowed: true,
+        pending: 'PRD preconditions are checked once it exists',
+      },
+      loop: { blocked: false, count: 0, max: 3 },
+      gate: { gate: 'PASS', status: 'PASSED' },
+    });
+    expect(plan.steps[1].produces).toEqual({
+      type: 'SPEC',
+      path: 'docs/architecture/SPEC-4.md',
+    });
+    expect(orchestrator.gatekeeper.validatePhaseBoundary).toHaveBeenCalledWith(
+      'Planning',
+      expect.objectContaining({ issueNumber: 4, dryRun: true })
+    );
+
+    expect(orchestrator.executePersona).not.toHaveBeenCalled();
+    expect(orchestrator.contextManager.write).not.toHaveBeenCalled();
+    expect(orchestrator.loopDetector.recordTransition).not.toHaveBeenCalled();
+    expect(orchestrator.stateCacheManager.persistState).not.toHaveBeenCalled();
+    expect(orchestrator.eventEmitter.emit).toHaveBeenCalledWith('workflow-planned', plan);
+  });
+
+  test('starts from the stored handover and shows a pending retry', async () => {
+    handover = HandoverState.render({
+      ...HandoverState.initial(4),
+      persona: 'PM',
+      phase: 'Planning',
+      retryCount: 1,
+    });
+
+    const plan = await orchestrator.orchestrate(4, { dryRun: true, maxSteps: 2 });
+
+    expect(plan.startState).toEqual({ persona: 'PM', phase: 'Planning', retryCount: 1 });
+    expect(plan.steps[0]).toEqual(
+      expect.objectContaining({
+        persona: 'pm',
+        retry: true,
+        source: 'System Init',
+        produces: { type: 'PRD', path: 'docs/planning/PRD-4.md' },
+      })
+    );
+    expect(plan.steps[1].persona).toBe('architect');
+    expect(plan.stopReason).toBe('max-steps');
+  });
+
+  test('reports loop-detector and gatekeeper verdicts that would stop the run', async () => {
+    orchestrator.loopDetector.getTransitionCount.mockImplementation((from, to) =>
+      from === 'PM' && to === 'architect' ? 3 : 0
+    );
+    let plan = await orchestrator.orchestrate(4, { dryRun: true });
+    expect(plan.stopReason).toBe('transition-blocked');
+    expect(plan.steps[1].verdicts.loop).toEqual({ blocked: true, count: 3, max: 3 });
+    expect(plan.steps[1].verdicts.transition.allowed).toBe(false);
+
+    orchestrator.loopDetector.getTransitionCount.mockReturnValue(0);
+    orchestrator.gatekeeper.validatePhaseBoundary.mockResolvedValue({
+      gate: 'FAIL',
+      status: 'FAILED',
+    });
+    plan = await orchestrator.orchestrate(4, { dryRun: true });
+    expect(plan.stopReason).toBe('gate-blocked');
+    expect(plan.steps).toHaveLength(1);
+    expect(BMADOrchestrator.formatPlan(plan)).toContain('gate: FAIL');
+  });
+
+  test('the real gatekeeper defers its checks, so no process is spawned and nothing is written', async () => {
+    // Collaborators are built up front, as forIssue does before a dry run
+    orchestrator.gatekeeper = new EnhancedGatekeeper();
+    orchestrator.getApprovalGate();
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    const writes = ['writeFileSync', 'appendFileSync', 'renameSync', 'mkdirSync', 'rmSync'].map((name) =>
+      jest.spyOn(fs, name)
+    );
+
+    let plan;
+    try {
+      plan = await orchestrator.orchestrate(4, { dryRun: true });
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+
+    expect(plan.stopReason).toBe('complete');
+    expect(plan.steps[0].verdicts.gate).toEqual({ gate: 'DEFERRED', status: 'PASSED' });
+    ['exec', 'execSync', 'execFile', 'execFileSync', 'spawn', 'spawnSync'].forEach((name) =>
+      expect(childProcess[name]).not.toHaveBeenCalled()
+    );
+    writes.forEach((spy) => expect(spy).not.toHaveBeenCalled());
+    expect(orchestrator.contextManager.write).not.toHaveBeenCalled();
+  });
+});
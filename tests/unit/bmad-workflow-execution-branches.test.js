@@ -8,8 +8,11 @@ jest.mock('../../scripts/bmad/bmad-orchestrator', () => {
     constructor() {
       this.loopDetector = { clearHistory: mockClearHistory };
     }
-    orchestrate(issueNumber) {
-      return mockOrchestrate(issueNumber);
+    static forIssue() {
+      return new MockOrchestrator();
+    }
+    orchestrate(issueNumber, options) {
+      return mockOrchestrate(issueNumber, options);
     }
   };
 });
@@ -83,6 +86,32 @@ describe('EnhancedBMADWorkflow execution branches', () => {
     );
   });
 
+  test('leaves a suspended workflow alone until it is resumed', async () => {
+    const suspended = () => ({
+      workflowId: 'parked',
+      issueNumber: 7,
+      status: 'suspended',
+      budgetExceeded: { scope: 'workflow', kind: 'maxSteps' },
+      metrics: workflow.workflowMetrics,
+    });
+    workflow.loadState = jest.fn().mockResolvedValue(suspended());
+    await workflow.executeWorkflow(7);
+    expect(mockOrchestrate).not.toHaveBeenCalled();
+
+    const resume = { actor: 'maria', reason: 'limit raised', fromStep: 'Implementation' };
+    const resumeAction = { persona: 'qa', nextPhase: 'Quality Assurance' };
+    workflow.loadState = jest.fn().mockResolvedValue(suspended());
+    mockOrchestrate.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    await workflow.executeWorkflow(7, { resume, resumeAction });
+
+    expect(mockOrchestrate.mock.calls[0][1]).toEqual(expect.objectContaining({ resumeAction }));
+    expect(mockOrchestrate.mock.calls[1][1]).not.toHaveProperty('resumeAction');
+    expect(workflow.saveState).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'completed', resumes: [resume] })
+    );
+    expect(workflow.saveState.mock.calls[0][0]).not.toHaveProperty('budgetExceeded');
+  });
+
   test('records successful automated recovery and rethrows workflow error', async () => {
     workflow.loadState = jest.fn().mockResolvedValue(null);
     mockOrchestrate.mockRejectedValueOnce(new Error('workflow failed'));
@@ -104,4 +133,28 @@ describe('EnhancedBMADWorkflow execution branches', () => {
       expect.objectContaining({ status: 'recovery-failed' })
     );
   });
+
+  test('suspends through recovery when the run spends its step budget', async () => {
+    process.env.BMAD_MAX_STEPS = '2';
+    workflow.loadState = jest.fn().mockResolvedValue(null);
+    mockOrchestrate.mockResolvedValue(true);
+    mockEscalate.mockResolvedValue({ status: 'suspended' });
+    try {
+      await workflow.executeWorkflow(6);
+      expect(mockOrchestrate).toHaveBeenCalledTimes(2);
+    } finally {
+      delete process.env.BMAD_MAX_STEPS;
+      mockOrchestrate.mockReset();
+    }
+    expect(mockEscalate).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'BUDGET_EXCEEDED' }),
+      expect.objectContaining({
+        category: 'BUDGET_EXCEEDED',
+        context: expect.objectContaining({
+          budget: { scope: 'workflow', phase: 'WORKFLOW', kind: 'maxSteps', limit: 2, used: 2 },
+        }),
+      })
+    );
+    expect(workflow.clearState).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CostMeter = require('../../scripts/lib/cost-meter');
+const WorkflowBudget = require('../../scripts/lib/workflow-budget');
+const WorkflowDefinitions = require('../../scripts/lib/workflow-definitions');
+const HandoverState = require('../../scripts/lib/handover-state');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const EnhancedBMADWorkflow = require('../../scripts/bmad/bmad-workflow-enhanced');
+const feature = require('../../scripts/bmad/workflows/feature.json');
+
+const ISSUE = 19;
+
+describe('CostMeter', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-costs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('prices calls from the model table and rolls them up per phase, persona, model, workflow and issue', () => {
+    const prices = { 'model-a': { inputPer1M: 3, outputPer1M: 15 } };
+    const earlier = CostMeter.forIssue(ISSUE, { stateDir: tmpDir, workflowId: 'wf-1', prices });
+    earlier.record({ model: 'model-a', inputTokens: 1000, outputTokens: 0, persona: 'pm', phase: 'Planning' });
+
+    const meter = CostMeter.forIssue(ISSUE, { stateDir: tmpDir, workflowId: 'wf-2', prices });
+    const pm = meter.scope({ persona: 'pm', phase: 'Planning' });
+    const entry = pm.record({ model: 'model-a', inputTokens: 2000, outputTokens: 1000, latencyMs: 800 });
+    meter
+      .scope({ persona: 'architect', phase: 'Architecture Design' })
+      .record({ model: 'model-b', inputTokens: 500, outputTokens: 500, latencyMs: 200, costUsd: 0.01 });
+
+    expect(entry).toEqual(
+      expect.objectContaining({ issueNumber: ISSUE, workflowId: 'wf-2', tokens: 3000, costUsd: 0.021 })
+    );
+    const rollup = meter.rollup();
+    expect(rollup.issue).toEqual({
+      calls: 3,
+      inputTokens: 3500,
+      outputTokens: 1500,
+      tokens: 5000,
+      latencyMs: 1000,
+      costUsd: 0.034,
+    });
+    expect(rollup.workflow).toEqual(expect.objectContaining({ calls: 2, tokens: 4000, costUsd: 0.031 }));
+    expect(Object.keys(rollup.byWorkflow)).toEqual(['wf-1', 'wf-2']);
+    expect(rollup.byPhase.Planning).toEqual(expect.objectContaining({ calls: 1, costUsd: 0.021 }));
+    expect(rollup.byPersona.architect).toEqual(expect.objectContaining({ tokens: 1000, costUsd: 0.01 }));
+    expect(rollup.byModel['model-b'].latencyMs).toBe(200);
+    expect(CostMeter.format(rollup)).toContain('| Planning | 1 | 2000 | 1000 | 800ms | $0.0210 |');
+
+    expect(() => meter.record({ inputTokens: -1 })).toThrow(expect.objectContaining({ category: 'METERING_INVALID' }));
+  });
+
+  test('token and cost budgets are validated and charged per phase and per run', () => {
+    const { errors } = WorkflowDefinitions.validate({
+      ...feature,
+      budgets: { maxCostUsd: 0, maxTokens: 1.5, phases: { Planning: { maxCostUsd: '1' } } },
+    });
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        'budgets.maxCostUsd must be a number > 0',
+        'budgets.maxTokens must be an integer >= 1',
+        'budgets.phases["Planning"].maxCostUsd must be a number > 0',
+      ])
+    );
+
+    const budget = new WorkflowBudget().configure({
+      id: 'FEATURE',
+      budgets: { maxTokens: 5000, phases: { Planning: { maxCostUsd: 0.05 } } },
+    });
+    budget.chargeUsage('Planning', { tokens: 1000, costUsd: 0.05 });
+    expect(() => budget.chargeUsage('Planning', { tokens: 1000, costUsd: 0.01 })).toThrow(
+      expect.objectContaining({
+        category: 'BUDGET_EXCEEDED',
+        message: 'Phase "Planning" exceeded its maxCostUsd budget (0.06/0.05 USD)',
+      })
+    );
+    budget.chargeUsage('Implementation', { tokens: 3000, costUsd: 0 });
+    expect(budget.checkWorkflow()).toBeNull();
+    budget.chargeUsage('Implementation', { tokens: 0, costUsd: 0 });
+    expect(() => budget.chargeUsage('Implementation', { tokens: 1 })).toThrow(
+      expect.objectContaining({
+        budget: { scope: 'workflow', phase: 'Implementation', kind: 'maxTokens', limit: 5000, used: 5001 },
+      })
+    );
+    expect(budget.usage()).toEqual(expect.objectContaining({ tokens: 5001, costUsd: 0.06 }));
+  });
+});
+
+describe('Metered persona executions', () => {
+  let tmpDir;
+  let files;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-costs-'));
+    files = new Map([
+      [
+        HandoverState.pathFor(ISSUE),
+        HandoverState.render({ ...HandoverState.initial(ISSUE), persona: 'DEVELOPER', phase: 'Implementation' }),
+      ],
+    ]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('the call that overruns the cost budget stops the persona and suspends the workflow', async () => {
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, null, {
+      stateDir: tmpDir,
+      workflowDefinitions: new WorkflowDefinitions([{ ...feature, budgets: { maxCostUsd: 0.5 } }]),
+    });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (files.has(file) ? files.get(file) : null)),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+      number: ISSUE,
+      title: 'Export reports',
+      labels: [{ name: 'enhancement' }],
+    });
+    const calls = [];
+    jest.spyOn(orchestrator.personaRegistry, 'create').mockReturnValue({
+      run: async (context) => {
+        for (const costUsd of [0.3, 0.3, 0.3]) {
+          calls.push(context.meter.record({ model: 'model-a', inputTokens: 100, outputTokens: 50, costUsd }));
+        }
+        return { status: 'completed', artifacts: [] };
+      },
+    });
+
+    await expect(orchestrator.orchestrate(ISSUE)).rejects.toThrow(
+      expect.objectContaining({
+        category: 'BUDGET_EXCEEDED',
+        budget: { scope: 'workflow', phase: 'Quality Assurance', kind: 'maxCostUsd', limit: 0.5, used: 0.6 },
+      })
+    );
+
+    expect(calls).toHaveLength(1);
+    expect(orchestrator.costMeter.rollup().byPersona).toEqual({
+      qa: expect.objectContaining({ calls: 2, tokens: 300, costUsd: 0.6 }),
+    });
+    const state = JSON.parse(fs.readFileSync(path.join(tmpDir, `workflow-state-${ISSUE}.json`), 'utf8'));
+    expect(state).toEqual(
+      expect.objectContaining({
+        status: 'suspended',
+        context: expect.objectContaining({ budget: expect.objectContaining({ kind: 'maxCostUsd' }) }),
+      })
+    );
+  });
+
+  test('the workflow report carries the cost roll-up', async () => {
+    const cwd = process.cwd();
+    process.chdir(tmpDir);
+    try {
+      CostMeter.forIssue(ISSUE, { workflowId: 'wf-report' }).record({
+        model: 'model-a',
+        inputTokens: 10,
+        outputTokens: 5,
+        costUsd: 0.002,
+        persona: 'qa',
+        phase: 'Quality Assurance',
+      });
+      fs.mkdirSync('.github/reports', { recursive: true });
+      const workflow = Object.create(EnhancedBMADWorkflow.prototype);
+      workflow.workflowMetrics = { startTime: new Date(), phases: {}, errors: [], successes: [] };
+
+      await workflow.generateWorkflowReport('wf-report', ISSUE);
+
+      const report = JSON.parse(fs.readFileSync('.github/reports/workflow-wf-report.json', 'utf8'));
+      expect(report.costs.workflow).toEqual(expect.objectContaining({ calls: 1, tokens: 15, costUsd: 0.002 }));
+      expect(fs.readFileSync('.github/reports/workflow-wf-report.md', 'utf8')).toContain(
+        '| qa | 1 | 10 | 5 | 0ms | $0.0020 |'
+      );
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
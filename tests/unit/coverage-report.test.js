@@ -0,0 +1,212 @@
+/* global AbortController, setImmediate, setTimeout */
+const fs = require('fs');
+const os = require('os');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const path = require('path');
+const CoverageReport = require('../../scripts/lib/coverage-report');
+const HookOrchestrator = require('../../scripts/hooks/hook-orchestrator');
+const QA = require('../../personas/qa');
+
+const metrics = (lines, branches = lines) => ({
+  lines: { total: 100, covered: lines, skipped: 0, pct: lines },
+  statements: { total: 100, covered: lines, skipped: 0, pct: lines },
+  functions: { total: 10, covered: 10, skipped: 0, pct: 100 },
+  branches: { total: 100, covered: branches, skipped: 0, pct: branches },
+});
+
+describe('CoverageReport', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-coverage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Stands in for the test runner: writes the json-summary and prints Jest's summary on stderr
+  const child = ({ status = 0, stdout = '', stderr = '' }) => {
+    const process = Object.assign(new EventEmitter(), { stdout: new PassThrough(), stderr: new PassThrough() });
+    setImmediate(() => {
+      process.stdout.end(stdout);
+      process.stderr.end(stderr);
+      process.emit('close', status);
+    });
+    return process;
+  };
+  const runner = (summary, { status = 0, stderr = 'Tests:       4 passed, 4 total\n' } = {}) =>
+    jest.fn(() => {
+      fs.mkdirSync(path.join(tmpDir, 'coverage'), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, 'coverage', 'coverage-summary.json'), JSON.stringify(summary));
+      return child({ status, stderr });
+    });
+
+  test('runs the configured command and parses per-file coverage against the thresholds', async () => {
+    fs.writeFileSync(
+      path.join(tmpDir, 'package.json'),
+      JSON.stringify({ scripts: { test: 'jest', 'test:coverage': 'jest --coverage' } })
+    );
+    const spawn = runner({
+      total: metrics(82, 70),
+      [path.join(tmpDir, 'src/app.js')]: metrics(95),
+      [path.join(tmpDir, 'src/export.js')]: metrics(40, 20),
+    });
+    const report = new CoverageReport({ cwd: tmpDir, threshold: { lines: 80, branches: 75, functions: -1 }, spawn });
+
+    const result = await report.run();
+
+    expect(spawn).toHaveBeenCalledWith(
+      'npm run test:coverage -- --coverage --coverageReporters=json-summary --coverageReporters=text-summary',
+      expect.objectContaining({ cwd: tmpDir, shell: true, detached: true })
+    );
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: 'failed',
+        exitCode: 0,
+        tests: { total: 4, passed: 4, failed: 0, skipped: 0 },
+        failures: ['branches 70% < 75%'],
+      })
+    );
+    expect(result.coverage.files.map((file) => [file.path, file.lines.pct])).toEqual([
+      ['src/app.js', 95],
+      ['src/export.js', 40],
+    ]);
+    const markdown = CoverageReport.format(result);
+    expect(markdown).toContain('| branches | 70% (70/100) | 75% |');
+    expect(markdown).toContain('| functions | 100% (10/10) | ≤ 1 uncovered |');
+    expect(markdown).toContain('### Files below 80% line coverage (1)');
+    expect(markdown).toContain('| `src/export.js` | 40% | 20% | 100% |');
+    expect(JSON.parse(CoverageReport.files(result)[0].content)).not.toHaveProperty('output');
+  });
+
+  test('failing tests, a missing summary or no test script fail the run', async () => {
+    const failing = await new CoverageReport({
+      cwd: tmpDir,
+      command: 'npm test',
+      threshold: { lines: 80 },
+      spawn: runner({ total: metrics(90) }, { status: 1, stderr: 'Tests:       1 failed, 3 passed, 4 total\n' }),
+    }).run();
+    expect(failing.failures).toEqual(['1 test(s) failed']);
+    expect(CoverageReport.summarize(failing)).toBe('Tests failed: 1 test(s) failed');
+
+    const silent = await new CoverageReport({
+      cwd: tmpDir,
+      command: 'make test',
+      spawn: jest.fn(() => child({ status: 2, stdout: 'boom' })),
+    }).run();
+    expect(silent.failures).toEqual([`coverage summary not found at ${path.join('coverage', 'coverage-summary.json')}`]);
+
+    expect((await new CoverageReport({ cwd: tmpDir }).run()).failures[0]).toMatch(/no test command configured/);
+    expect(CoverageReport.testCommand({ scripts: { test: 'mocha' } })).toBe('npm test');
+  });
+
+  test('the test command runs asynchronously and stops on the abort signal or the timeout', async () => {
+    const controller = new AbortController();
+    // The runner's children share its process group, so stopping it leaves no process behind
+    const marker = path.join(tmpDir, 'still-running');
+    const command = `sleep 2 && touch ${marker}`;
+    const aborted = new CoverageReport({ cwd: tmpDir, command, timeoutMs: 20000 }).run({
+      signal: controller.signal,
+    });
+    controller.abort();
+    await expect(aborted).resolves.toEqual(
+      expect.objectContaining({ status: 'failed', failures: expect.arrayContaining(['test command aborted']) })
+    );
+
+    const slow = await new CoverageReport({ cwd: tmpDir, command, timeoutMs: 200 }).run();
+    expect(slow.failures).toContain('test command timed out after 200ms');
+    expect(slow.durationMs).toBeLessThan(2000);
+
+    await new Promise((resolve) => setTimeout(resolve, 2500));
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+
+  test('QA and the hooks read the same thresholds from package.json or jest.config.js', () => {
+    expect(HookOrchestrator.readCoverageThreshold(tmpDir)).toEqual({
+      branches: 80,
+      functions: 80,
+      lines: 80,
+      statements: 80,
+    });
+    fs.writeFileSync(
+      path.join(tmpDir, 'jest.config.js'),
+      'module.exports = { coverageThreshold: { global: { lines: 60 } } };'
+    );
+    expect(HookOrchestrator.readCoverageThreshold(tmpDir)).toEqual({ lines: 60 });
+    fs.writeFileSync(
+      path.join(tmpDir, 'package.json'),
+      JSON.stringify({ jest: { coverageThreshold: { global: { lines: 90, branches: 85 } } } })
+    );
+    expect(HookOrchestrator.readCoverageThreshold(tmpDir)).toEqual({ lines: 90, branches: 85 });
+  });
+});
+
+describe('QA test gate', () => {
+  const cwd = process.cwd();
+  let tmpDir;
+  let qa;
+  let written;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-qa-coverage-'));
+    process.chdir(tmpDir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(CoverageReport.prototype, 'run').mockResolvedValue({
+      status: 'failed',
+      command: 'npm test',
+      exitCode: 1,
+      durationMs: 12000,
+      tests: { total: 10, passed: 10, failed: 0, skipped: 0 },
+      coverage: CoverageReport.parseSummary({ total: metrics(60), 'src/app.js': metrics(60) }, tmpDir),
+      threshold: { lines: 80 },
+      failures: ['lines 60% < 80%'],
+      output: '',
+    });
+
+    qa = new QA('token');
+    written = new Map();
+    qa.octokit = {
+      rest: {
+        issues: {
+          get: jest.fn().mockResolvedValue({ data: { number: 21, title: 'Export reports' } }),
+          create: jest.fn().mockResolvedValue({ data: { number: 99 } }),
+        },
+        repos: {
+          getContent: jest.fn().mockRejectedValue(new Error('Not Found')),
+          createOrUpdateFileContents: jest.fn(async ({ path: file, content }) => {
+            written.set(file, Buffer.from(content, 'base64').toString('utf8'));
+          }),
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('coverage below the threshold blocks the phase instead of handing over to security', async () => {
+    const result = await qa.run({ issueNumber: 21, phase: 'Quality Assurance' });
+
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: 'blocked',
+        verdict: 'FAIL',
+        error: 'Tests failed: lines 60% < 80%',
+        nextSteps: [expect.objectContaining({ persona: 'developer' })],
+      })
+    );
+    expect(result.artifacts).toContainEqual({ path: 'docs/testing/coverage.json', type: 'COVERAGE' });
+    expect(JSON.parse(written.get('docs/testing/coverage.json')).coverage.files[0].path).toBe('src/app.js');
+    const report = written.get('docs/testing/qa-report.md');
+    expect(report).toContain('- ❌ lines 60% < 80%');
+    expect(report).toContain('❌ Blocked: failing tests or coverage below threshold');
+    expect(report).not.toContain('Ready for security review');
+    expect(qa.octokit.rest.issues.create).not.toHaveBeenCalled();
+  });
+});
@@ -53,7 +53,10 @@ describe('Critical module branch coverage', () => {
   });
 
   test('covers direct remediation success/failure and thrown registered remediation', async () => {
-    const stateCache = { persistState: jest.fn().mockResolvedValue({}) };
+    const stateCache = {
+      persistState: jest.fn().mockResolvedValue({}),
+      restoreState: jest.fn().mockResolvedValue(null),
+    };
     const manager = new ErrorRecoveryManager({
       maxRetries: 0,
       initialDelay: 0,
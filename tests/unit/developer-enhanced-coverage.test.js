@@ -91,7 +91,8 @@ describe('EnhancedDeveloper behavioral coverage', () => {
     expect(developer.updateHandover).toHaveBeenCalledWith(
       'QA',
       ['setup.js', 'login.js', 'login.test.js', 'README.md'],
-      'Implementation completed'
+      'Implementation completed',
+      42
     );
   });
 
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const EventBus = require('../../scripts/lib/event-bus');
+const HandoverState = require('../../scripts/lib/handover-state');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const HookOrchestrator = require('../../scripts/hooks/hook-orchestrator');
+
+const ISSUE = 21;
+
+describe('EventBus', () => {
+  const env = { ...process.env };
+  let tmpDir;
+  let logFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-events-'));
+    logFile = path.join(tmpDir, 'events', 'events.jsonl');
+    process.env.BMAD_EVENT_LOG = logFile;
+    delete process.env.BMAD_EVENT_WEBHOOK_URL;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('validates events and delivers them in-process and to the JSONL log', () => {
+    const bus = EventBus.fromEnv();
+    const envelopes = [];
+    const payloads = [];
+    const unsubscribe = bus.subscribe(['persona-started'], (event) => envelopes.push(event));
+    bus.on('persona-started', (payload) => payloads.push(payload));
+
+    const started = bus.publish('persona-started', { persona: 'qa', phase: 'Quality Assurance', attempt: 1 }, {
+      issueNumber: ISSUE,
+    });
+    bus.emit('phase-completed', { persona: 'qa', nextPhase: 'Quality Assurance' });
+    unsubscribe();
+    bus.publish('persona-started', { persona: 'security', phase: 'Security Review', attempt: 1 });
+
+    expect(envelopes).toEqual([started]);
+    expect(started).toEqual(
+      expect.objectContaining({ version: 1, type: 'persona-started', source: 'orchestrator', issueNumber: ISSUE })
+    );
+    expect(payloads).toHaveLength(2);
+    const warn = jest.spyOn(bus.logger, 'warn').mockImplementation(() => {});
+    expect(bus.publish('persona-finished', { persona: 'qa' })).toBeNull();
+    expect(bus.publish('persona-exploded', {})).toBeNull();
+    expect(warn.mock.calls.map(([message]) => message)).toEqual([
+      expect.stringContaining('Dropped invalid persona-finished event: payload.phase is required'),
+      expect.stringContaining('unknown event type "persona-exploded"'),
+    ]);
+    expect(envelopes).toEqual([started]);
+
+    const { events, cursor } = EventBus.readLog(logFile);
+    expect(events.map((event) => event.type)).toEqual(['persona-started', 'phase-completed', 'persona-started']);
+    bus.publish('workflow-idle', {}, { issueNumber: ISSUE });
+    expect(EventBus.readLog(logFile, { cursor, issueNumber: ISSUE }).events.map((event) => event.type)).toEqual([
+      'workflow-idle',
+    ]);
+  });
+
+  test('writes no log by default under NODE_ENV=test and never in a dry run', () => {
+    const stateDir = path.join(tmpDir, 'state');
+    delete process.env.BMAD_EVENT_LOG;
+    expect(EventBus.fromEnv({ stateDir }).sinks).toEqual([]);
+
+    process.env.NODE_ENV = 'production';
+    expect(EventBus.fromEnv({ stateDir, dryRun: true }).sinks).toEqual([]);
+    EventBus.fromEnv({ stateDir }).publish('workflow-idle', {});
+    expect(EventBus.readLog(EventBus.logFile(stateDir)).events).toHaveLength(1);
+
+    process.env.NODE_ENV = 'test';
+    process.env.BMAD_EVENT_LOG = logFile;
+    expect(EventBus.fromEnv({ stateDir }).sinks.map((sink) => sink.file)).toEqual([logFile]);
+  });
+
+  test('posts events to a local webhook without failing the run when it is down', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        received.push({ type: req.headers['x-bmad-event'], event: JSON.parse(body) });
+        res.statusCode = received.length > 1 ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    process.env.BMAD_EVENT_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/bmad`;
+
+    try {
+      const bus = EventBus.fromEnv({ source: 'workflow' });
+      const warn = jest.spyOn(bus.logger, 'warn').mockImplementation(() => {});
+      bus.publish('workflow-suspended', { phase: 'Implementation', category: 'BUDGET_EXCEEDED', reason: 'late' });
+      bus.publish('workflow-idle', {});
+      await bus.flush();
+
+      expect(received[0]).toEqual({
+        type: 'workflow-suspended',
+        event: expect.objectContaining({ source: 'workflow', payload: expect.objectContaining({ reason: 'late' }) }),
+      });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('webhook answered 500'));
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    expect(() => new EventBus.WebhookEventSink({ url: 'https://hooks.example.com/bmad' })).toThrow(
+      expect.objectContaining({ category: 'EVENT_WEBHOOK_INVALID' })
+    );
+  });
+});
+
+describe('Lifecycle events from a run', () => {
+  const env = { ...process.env };
+  let tmpDir;
+  let files;
+
+  const createOrchestrator = () => {
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, null, { stateDir: tmpDir });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (files.has(file) ? files.get(file) : null)),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+      number: ISSUE,
+      title: 'Export reports',
+      labels: [{ name: 'enhancement' }],
+    });
+    return orchestrator;
+  };
+
+  const logged = () => EventBus.readLog(EventBus.logFile(tmpDir)).events;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-run-events-'));
+    process.env.BMAD_EVENT_LOG = path.join(tmpDir, 'events', 'events.jsonl');
+    files = new Map([
+      [
+        HandoverState.pathFor(ISSUE),
+        HandoverState.render({ ...HandoverState.initial(ISSUE), persona: 'DEVELOPER', phase: 'Implementation' }),
+      ],
+    ]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('publishes persona, gate, recovery and suspension events to the shared log', async () => {
+    const qa = createOrchestrator();
+    jest.spyOn(qa, 'executePersona').mockResolvedValue({
+      status: 'completed',
+      artifacts: [{ path: 'docs/qa/QA_REPORT.md', type: 'QA_REPORT' }],
+    });
+    await qa.orchestrate(ISSUE);
+
+    const security = createOrchestrator();
+    jest.spyOn(security, 'executePersona').mockRejectedValue(new Error('scanner crashed'));
+    await expect(security.orchestrate(ISSUE)).rejects.toThrow('scanner crashed');
+
+    const events = logged();
+    expect(events.every((event) => event.issueNumber === ISSUE)).toBe(true);
+    expect(events.map((event) => event.type)).toEqual([
+      'state-loaded',
+      'issue-classified',
+      'action-determined',
+      'gate-passed',
+      'gate-passed',
+      'persona-started',
+      'persona-finished',
+      'phase-completed',
+      'state-loaded',
+      'issue-classified',
+      'action-determined',
+      'gate-passed',
+      'gate-passed',
+      'persona-started',
+      'persona-finished',
+      'recovery-escalated',
+      'workflow-suspended',
+    ]);
+    const byType = (type) => events.filter((event) => event.type === type).map((event) => event.payload);
+    expect(byType('persona-finished')).toEqual([
+      expect.objectContaining({ persona: 'qa', status: 'completed', artifacts: [expect.objectContaining({ type: 'QA_REPORT' })] }),
+      expect.objectContaining({ persona: 'security', status: 'failed', error: 'scanner crashed' }),
+    ]);
+    expect(byType('workflow-suspended')).toEqual([
+      expect.objectContaining({ phase: 'Security Review', reason: 'unregistered remediation category' }),
+    ]);
+    expect(byType('state-loaded')[0]).not.toHaveProperty('content');
+  });
+
+  test('the dashboard API and the pre-push hook read the same events', async () => {
+    process.env.BMAD_EVENT_LOG = EventBus.logFile(tmpDir);
+    const bus = EventBus.fromEnv();
+    bus.publish('persona-started', { persona: 'qa', phase: 'Quality Assurance', attempt: 1 }, { issueNumber: ISSUE });
+    bus.publish('workflow-suspended', { phase: 'Security Review', category: 'GATEKEEPER_FAILURE', reason: 'blocked' }, {
+      issueNumber: ISSUE,
+    });
+    bus.publish('persona-started', { persona: 'pm', phase: 'Planning', attempt: 1 }, { issueNumber: 22 });
+
+    jest.resetModules();
+    const app = express();
+    app.use('/api', require('../../src/routes/orchestration.routes'));
+    const { body } = await request(app).get(`/api/events?issue=${ISSUE}&type=workflow-suspended`);
+    expect(body).toEqual({
+      events: [expect.objectContaining({ type: 'workflow-suspended', issueNumber: ISSUE })],
+      cursor: 3,
+    });
+
+    const hooks = Object.create(HookOrchestrator.prototype);
+    hooks.logger = { warn: jest.fn() };
+    expect(hooks.readSuspendedWorkflows()).toEqual([
+      expect.objectContaining({ issueNumber: ISSUE, phase: 'Security Review', category: 'GATEKEEPER_FAILURE' }),
+    ]);
+    await hooks.sendBMADNotification('post-commit', { commitHash: 'abc123', persona: 'DEVELOPER' });
+    expect(EventBus.readLog(process.env.BMAD_EVENT_LOG, { types: ['commit-recorded'] }).events).toEqual([
+      expect.objectContaining({ source: 'hook:post-commit', payload: expect.objectContaining({ commitHash: 'abc123' }) }),
+    ]);
+  });
+});
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitHubAdapter = require('../../scripts/lib/github-adapter');
+const LocalGitHubAdapter = require('../../scripts/lib/local-github-adapter');
+const PersonaRegistry = require('../../scripts/lib/persona-registry');
+const WorkflowDefinitions = require('../../scripts/lib/workflow-definitions');
+const HandoverState = require('../../scripts/lib/handover-state');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const EnhancedBasePersona = require('../../personas/base-persona-enhanced');
+const { validPrd, validSpec } = require('../mocks/bmad-mocks');
+const feature = require('../../scripts/bmad/workflows/feature.json');
+
+const REPO = { owner: 'acme', repo: 'app' };
+
+describe('GitHubAdapter', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('uses Octokit with a token and the local adapter without one', () => {
+    delete process.env.BMAD_GITHUB_ADAPTER;
+
+    expect(GitHubAdapter.isLocal(GitHubAdapter.create({ token: 'abc' }))).toBe(false);
+    expect(GitHubAdapter.isLocal(GitHubAdapter.create({}))).toBe(true);
+
+    process.env.BMAD_GITHUB_ADAPTER = 'local';
+    expect(GitHubAdapter.isLocal(GitHubAdapter.create({ token: 'abc' }))).toBe(true);
+    expect(() => GitHubAdapter.create({ mode: 'octokit' })).toThrow(
+      expect.objectContaining({ category: 'GITHUB_TOKEN_MISSING' })
+    );
+    expect(() => GitHubAdapter.create({ mode: 'svn' })).toThrow(
+      expect.objectContaining({ category: 'GITHUB_ADAPTER_INVALID' })
+    );
+  });
+
+  test('both implementations expose the methods the framework calls', () => {
+    expect(GitHubAdapter.missingMethods(new LocalGitHubAdapter({ dir: os.tmpdir() }))).toEqual([]);
+    expect(GitHubAdapter.missingMethods({ rest: { issues: { get: () => {} } } })).toContain(
+      'repos.getContent'
+    );
+  });
+});
+
+describe('LocalGitHubAdapter', () => {
+  let tmpDir;
+  let github;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-github-'));
+    github = new LocalGitHubAdapter({ dir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('stores issues, labels and comments on disk', async () => {
+    const { data: created } = await github.rest.issues.create({
+      ...REPO,
+      title: 'Export reports',
+      labels: ['enhancement'],
+    });
+    await github.rest.issues.create({ ...REPO, title: 'Crash on start', labels: ['bug'] });
+    await github.rest.issues.addLabels({ ...REPO, issue_number: created.number, labels: ['bmad:approved'] });
+    await github.rest.issues.removeLabel({ ...REPO, issue_number: created.number, name: 'enhancement' });
+    await github.rest.issues.createComment({ ...REPO, issue_number: created.number, body: 'PRD ready' });
+    await github.rest.issues.update({ ...REPO, issue_number: 2, state: 'closed' });
+
+    // A fresh instance reads the same directory
+    const reopened = new LocalGitHubAdapter({ dir: tmpDir });
+    const { data: issue } = await reopened.rest.issues.get({ ...REPO, issue_number: 1 });
+    expect(issue).toEqual(
+      expect.objectContaining({ number: 1, title: 'Export reports', labels: [{ name: 'bmad:approved' }] })
+    );
+    expect((await reopened.rest.issues.listForRepo({ ...REPO })).data.map((i) => i.number)).toEqual([1]);
+    expect((await reopened.rest.issues.listForRepo({ ...REPO, state: 'all', labels: 'bug' })).data).toEqual([
+      expect.objectContaining({ number: 2, state: 'closed' }),
+    ]);
+    expect((await reopened.rest.issues.listComments({ ...REPO, issue_number: 1 })).data).toEqual([
+      expect.objectContaining({ id: 1, body: 'PRD ready', user: { login: 'bmad-local' } }),
+    ]);
+    await expect(reopened.rest.issues.get({ ...REPO, issue_number: 9 })).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('stores file contents, commits, statuses and releases', async () => {
+    await expect(github.rest.repos.getContent({ ...REPO, path: 'docs/PRD.md' })).rejects.toMatchObject({
+      status: 404,
+    });
+    await github.rest.repos.createOrUpdateFileContents({
+      ...REPO,
+      path: 'docs/PRD.md',
+      message: 'docs: add PRD',
+      content: Buffer.from('# PRD').toString('base64'),
+    });
+
+    const { data: file } = await github.rest.repos.getContent({ ...REPO, path: 'docs/PRD.md' });
+    expect(Buffer.from(file.content, 'base64').toString()).toBe('# PRD');
+    const { data: commits } = await github.rest.repos.listCommits({ ...REPO, per_page: 1 });
+    expect(commits[0].commit.message).toBe('docs: add PRD');
+
+    const sha = commits[0].sha;
+    expect((await github.rest.repos.getCombinedStatusForRef({ ...REPO, ref: sha })).data.state).toBe('success');
+    await github.rest.repos.createCommitStatus({ ...REPO, sha, state: 'failure', context: 'ci' });
+    expect((await github.rest.repos.getCombinedStatusForRef({ ...REPO, ref: sha })).data.state).toBe('failure');
+
+    await github.rest.repos.createRelease({ ...REPO, tag_name: 'v1.0.0' });
+    await github.rest.repos.createRelease({ ...REPO, tag_name: 'v1.1.0-beta.1', prerelease: true });
+    expect((await github.rest.repos.getLatestRelease(REPO)).data.tag_name).toBe('v1.0.0');
+    expect((await github.rest.repos.listReleases(REPO)).data.map((r) => r.tag_name)).toEqual([
+      'v1.1.0-beta.1',
+      'v1.0.0',
+    ]);
+    await expect(github.rest.repos.createRelease({ ...REPO, tag_name: 'v1.0.0' })).rejects.toMatchObject({
+      status: 422,
+    });
+    await expect(github.rest.repos.getContent({ ...REPO, path: '../../etc/passwd' })).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+});
+
+describe('Offline workflow run', () => {
+  const ISSUE = 1;
+  const env = { ...process.env };
+  let tmpDir;
+  let files;
+
+  class OfflinePersona {
+    async run(context) {
+      const artifact = context.persona === 'pm' ? 'docs/product/PRD.md' : 'docs/architecture/SPEC.md';
+      await this.octokit.rest.repos.createOrUpdateFileContents({
+        ...REPO,
+        path: artifact,
+        message: `[${context.persona.toUpperCase()}] ${context.phase}`,
+        content: Buffer.from(`# ${context.phase}`).toString('base64'),
+      });
+      await this.octokit.rest.issues.createComment({
+        ...REPO,
+        issue_number: context.issueNumber,
+        body: `${context.persona} finished ${context.phase}`,
+      });
+      return { status: 'completed', artifacts: [{ path: artifact, type: 'DOC' }] };
+    }
+  }
+
+  const createOrchestrator = () => {
+    const personaRegistry = PersonaRegistry.load({ artifactTypes: ['PRD', 'SPEC', 'REPRO'] });
+    ['pm', 'architect'].forEach((id) => {
+      const { PersonaClass, ...metadata } = personaRegistry.get(id);
+      personaRegistry.register(metadata, OfflinePersona);
+    });
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, null, {
+      stateDir: tmpDir,
+      personaRegistry,
+      workflowDefinitions: new WorkflowDefinitions([{ ...feature, approvals: [{ after: 'Planning' }] }], {
+        artifactTypes: ['PRD', 'SPEC', 'REPRO'],
+      }),
+    });
+    orchestrator.contextManager = {
+      read: jest.fn((file) =>
+        files.has(file)
+          ? files.get(file)
+          : file.startsWith('docs/')
+            ? file.includes('PRD')
+              ? validPrd
+              : validSpec
+            : null
+      ),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    jest.spyOn(orchestrator, 'extractSection').mockReturnValue('Export reports as CSV');
+    return orchestrator;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-offline-'));
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.BMAD_GITHUB_ADAPTER;
+    process.env.BMAD_LOCAL_GITHUB_DIR = path.join(tmpDir, 'github');
+    files = new Map();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('runs personas and approval checkpoints without a token or network', async () => {
+    const github = new LocalGitHubAdapter();
+    await github.rest.issues.create({ ...REPO, title: 'Export reports', labels: ['enhancement'] });
+
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(true);
+    expect(HandoverState.parse(files.get(HandoverState.pathFor(ISSUE))).state.phase).toBe('Planning');
+
+    // Leaving Planning waits for a reviewer; the request lands on the local issue
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(false);
+    const reviewer = new LocalGitHubAdapter({ user: 'lead' });
+    await reviewer.rest.issues.createComment({ ...REPO, issue_number: ISSUE, body: '/approve' });
+
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(true);
+    expect(HandoverState.parse(files.get(HandoverState.pathFor(ISSUE))).state.phase).toBe(
+      'Architecture Design'
+    );
+
+    const { data: comments } = await github.rest.issues.listComments({ ...REPO, issue_number: ISSUE });
+    expect(comments.map((comment) => comment.body.split('\n')[0])).toEqual([
+      'pm finished Planning',
+      '⏸️ **Aprovação necessária** (after Planning)',
+      '/approve',
+      'architect finished Architecture Design',
+    ]);
+    const { data: commits } = await github.rest.repos.listCommits(REPO);
+    expect(commits.map((commit) => commit.commit.message)).toEqual([
+      '[ARCHITECT] Architecture Design',
+      '[PM] Planning',
+    ]);
+  });
+
+  test('enhanced personas start without GITHUB_TOKEN on the local adapter', () => {
+    const persona = new EnhancedBasePersona('Offline', 'PM');
+
+    expect(GitHubAdapter.isLocal(persona.octokit)).toBe(true);
+    expect(persona.validatePrerequisites()).toBe(true);
+  });
+});
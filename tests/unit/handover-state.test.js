@@ -0,0 +1,141 @@
+const HandoverState = require('../../scripts/lib/handover-state');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+
+const LEGACY = `# BMAD Handover Protocol
+
+## Current State
+Current Phase
+
+**Architecture Design**
+
+Active Persona
+**[ARCHITECT]**
+
+Retry Count: 1
+Issue: #12
+Issue Type: FEATURE
+Classification: label: label "enhancement" (confidence 0.9)
+`;
+
+describe('HandoverState', () => {
+  test('migrates legacy markdown-only handovers', () => {
+    const { state, migrated } = HandoverState.parse(LEGACY);
+    expect(migrated).toBe(true);
+    expect(state).toEqual({
+      version: 1,
+      issueNumber: 12,
+      persona: 'ARCHITECT',
+      phase: 'Architecture Design',
+      retryCount: 1,
+      issueType: 'FEATURE',
+      classification: { reason: 'label: label "enhancement"', confidence: 0.9 },
+      lastResult: null,
+      updatedAt: null,
+    });
+
+    const result = HandoverState.migrate(LEGACY);
+    expect(result.content.startsWith('<!-- bmad-handover\n')).toBe(true);
+    expect(result.content.endsWith(`<!-- /bmad-handover -->\n\n${LEGACY}`)).toBe(true);
+    expect(HandoverState.parse(result.content)).toEqual({ state, migrated: false });
+    expect(HandoverState.migrate(result.content).content).toBe(result.content);
+  });
+
+  test('the JSON block wins over hand edits to the generated markdown', () => {
+    const content = HandoverState.render({
+      ...HandoverState.initial(7),
+      persona: 'QA',
+      phase: 'Quality Assurance',
+    }).replace('**[QA]**', '**[PM]** (edited by hand)');
+
+    expect(HandoverState.parse(content).state).toEqual(
+      expect.objectContaining({ persona: 'QA', phase: 'Quality Assurance', issueNumber: 7 })
+    );
+  });
+
+  test('reports every schema violation with a non-retryable error', () => {
+    const block = JSON.stringify({ version: 2, persona: '', phase: 'Planning', retryCount: -1 });
+    let error;
+    try {
+      HandoverState.parse(`<!-- bmad-handover\n${block}\n-->\n# BMAD Handover State\n`);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toEqual(
+      expect.objectContaining({ name: 'NonRetryableError', category: 'HANDOVER_STATE_INVALID' })
+    );
+    expect(error.message).toContain('"version" must be [1]');
+    expect(error.message).toContain('"issueNumber" is required');
+    expect(error.message).toContain('"persona" is not allowed to be empty');
+    expect(error.message).toContain('"retryCount" must be greater than or equal to 0');
+
+    expect(() => HandoverState.parse('<!-- bmad-handover\n{ broken\n-->\n')).toThrow(
+      'state block is not valid JSON'
+    );
+    expect(HandoverState.validate([])).toEqual({
+      valid: false,
+      errors: ['handover state must be an object'],
+    });
+  });
+
+  test('keeps the state block when a persona rewrites the narrative', () => {
+    const previous = HandoverState.render(HandoverState.initial(3));
+    const next = HandoverState.preserveBlock(previous, '# BMAD Handover State\n\n## Next Persona: QA\n');
+    expect(HandoverState.parse(next).state.issueNumber).toBe(3);
+    expect(next).toContain('## Next Persona: QA');
+    expect(HandoverState.preserveBlock('# legacy', '# new')).toBe('# new');
+  });
+
+  test('re-rendering replaces the state block and summary but keeps the narrative', () => {
+    const narrative = '# BMAD Handover State\n\n## Next Persona: QA\n\nCheck the export edge cases.\n';
+    const written = HandoverState.preserveBlock(HandoverState.render(HandoverState.initial(3)), narrative);
+
+    const qa = { ...HandoverState.initial(3), persona: 'QA', phase: 'Quality Assurance' };
+    const next = HandoverState.render(qa, written);
+    expect(HandoverState.parse(next).state).toEqual(expect.objectContaining({ persona: 'QA', retryCount: 0 }));
+    expect(next).toContain('Current Persona: **[QA]**');
+    expect(next).not.toContain('Current Persona: **[UNKNOWN]**');
+    expect(next.endsWith(`<!-- /bmad-handover -->\n\n${narrative}`)).toBe(true);
+    expect(HandoverState.render(HandoverState.initial(3), next)).toBe(
+      HandoverState.render(HandoverState.initial(3), written)
+    );
+
+    // Summaries rendered before the end marker existed are generated text, not narrative
+    const bare = HandoverState.render(HandoverState.initial(3));
+    const unmarked = bare.replace('<!-- /bmad-handover -->\n', '');
+    expect(HandoverState.render(HandoverState.initial(3), unmarked)).toBe(bare);
+  });
+
+  test('orchestrator writes the structured state and reads it back', () => {
+    const orchestrator = Object.create(BMADOrchestrator.prototype);
+    let content = LEGACY;
+    orchestrator.contextManager = {
+      read: jest.fn(() => content),
+      write: jest.fn((file, next) => {
+        content = next;
+      }),
+    };
+
+    orchestrator.updateHandoverState(
+      { persona: 'developer', nextPhase: 'Implementation', incrementRetry: true },
+      12
+    );
+
+    expect(content).toMatch(/^<!-- bmad-handover\n/);
+    expect(content).toContain(LEGACY);
+    expect(orchestrator.loadHandoverState()).toEqual(
+      expect.objectContaining({
+        persona: 'DEVELOPER',
+        phase: 'Implementation',
+        retryCount: 2,
+        issueNumber: 12,
+        issueType: 'FEATURE',
+        updatedAt: expect.any(String),
+      })
+    );
+
+    orchestrator.handleStateReset(13);
+    expect(HandoverState.parse(content).state).toEqual(
+      expect.objectContaining({ persona: 'UNKNOWN', phase: 'RESET', issueNumber: 13 })
+    );
+  });
+});
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const IssueClassifier = require('../../scripts/lib/issue-classifier');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+
+describe('IssueClassifier', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-classifier-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const classifier = (options = {}) =>
+    new IssueClassifier({ configFile: path.join(tmpDir, 'missing.json'), ...options });
+
+  test('labels outrank the title and report their evidence', () => {
+    const result = classifier().classify({
+      title: '[AUDIT] Review login',
+      labels: [{ name: 'type:bug' }, 'priority:high'],
+    });
+    expect(result).toEqual(
+      expect.objectContaining({
+        type: 'BUG',
+        confidence: 0.95,
+        classifier: 'label',
+        reason: 'label: label "type:bug"',
+      })
+    );
+    expect(result.candidates.map((candidate) => candidate.type)).toEqual(['BUG', 'AUDIT']);
+  });
+
+  test('recognises the bug report template sections and issue form fields', () => {
+    const body = '## Bug Description\nCrash\n\n## Steps to Reproduce\n1. Open app';
+    expect(classifier().classify({ title: 'Crash on start', body })).toEqual(
+      expect.objectContaining({ type: 'BUG', classifier: 'template', confidence: 0.8 })
+    );
+
+    const form = classifier({
+      rules: [
+        {
+          type: 'AUDIT',
+          classifier: 'template',
+          match: { fields: { 'Request Kind': ['Audit', 'Review'] } },
+          priority: 70,
+          confidence: 0.85,
+        },
+      ],
+    });
+    expect(form.classify({ title: 'Quarterly', body: '### Request Kind\n\nReview\n' })).toEqual(
+      expect.objectContaining({ type: 'AUDIT', reason: 'template: template field "Request Kind"' })
+    );
+    expect(form.classify({ title: 'Quarterly', body: '### Request Kind\n\nOther\n' }).type).toBe(
+      'FEATURE'
+    );
+  });
+
+  test('keeps the historical title behaviour and falls back to the default type', () => {
+    const instance = classifier();
+    expect(instance.classify({ title: '[AUDIT] fix bug' }).type).toBe('AUDIT');
+    expect(instance.classify({ title: 'fix: typo' }).type).toBe('BUG');
+    expect(instance.classify({ body: 'Observed a regression after deploy' })).toEqual(
+      expect.objectContaining({ type: 'BUG', confidence: 0.4 })
+    );
+    expect(instance.classify({})).toEqual(
+      expect.objectContaining({ type: 'FEATURE', confidence: 0, classifier: 'default' })
+    );
+  });
+
+  test('ignores matches below the configured minimum confidence', () => {
+    const instance = classifier({ minConfidence: 0.5 });
+    expect(instance.classify({ body: 'stack trace attached' }).type).toBe('FEATURE');
+  });
+
+  test('loads rules and plugin classifiers from the configuration file', () => {
+    const plugin = path.join(tmpDir, 'component-classifier.js');
+    fs.writeFileSync(
+      plugin,
+      "module.exports = (issue, rule) => ({ matched: (issue.body || '').includes(rule.match), confidence: 0.99, evidence: 'component' });"
+    );
+    const file = path.join(tmpDir, 'classification.json');
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        classifiers: { component: plugin },
+        rules: [{ type: 'hotfix', classifier: 'component', match: 'payments', priority: 200 }],
+      })
+    );
+
+    expect(new IssueClassifier({ configFile: file }).classify({
+      title: 'bug in checkout',
+      body: 'payments service',
+    })).toEqual(
+      expect.objectContaining({ type: 'HOTFIX', confidence: 0.99, reason: 'component: component' })
+    );
+  });
+
+  test('rejects unknown classifiers and malformed configuration', () => {
+    expect(() => classifier({ rules: [{ type: 'BUG', classifier: 'magic' }] })).toThrow(
+      expect.objectContaining({ category: 'CLASSIFIER_CONFIG_INVALID' })
+    );
+    expect(() => classifier({ rules: [{ type: 'BUG', classifier: 'label', confidence: 2 }] })).toThrow(
+      'confidence must be between 0 and 1'
+    );
+    const file = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(file, '{ nope');
+    expect(() => new IssueClassifier({ configFile: file })).toThrow('is not valid JSON');
+    expect(() => classifier().registerClassifier('x', 'not a function')).toThrow(
+      'must be a function'
+    );
+  });
+
+  test('orchestrator records and emits the classification', async () => {
+    const events = new EventEmitter();
+    const classified = jest.fn();
+    events.on('issue-classified', classified);
+    const orchestrator = new BMADOrchestrator(events, { issueClassifier: classifier() });
+    let handover = '';
+    orchestrator.contextManager = {
+      read: jest.fn(() => handover || null),
+      write: jest.fn((file, content) => {
+        handover = content;
+      }),
+    };
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+      number: 9,
+      title: 'Checkout crash',
+      labels: [{ name: 'bug' }],
+    });
+    jest.spyOn(orchestrator, 'validateTransition').mockResolvedValue({ allowed: true });
+    jest.spyOn(orchestrator, 'executePersona').mockResolvedValue();
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    orchestrator.stateCacheManager = { persistState: jest.fn().mockResolvedValue({}) };
+    orchestrator.loopDetector = { detectLoop: jest.fn(), recordTransition: jest.fn() };
+
+    await expect(orchestrator.orchestrate(9)).resolves.toBe(true);
+
+    expect(classified).toHaveBeenCalledWith({
+      issueNumber: 9,
+      type: 'BUG',
+      confidence: 0.95,
+      reason: 'label: label "bug"',
+    });
+    expect(orchestrator.loadHandoverState()).toEqual(
+      expect.objectContaining({
+        persona: 'QA',
+        phase: 'Reproduction',
+        issueType: 'BUG',
+        classification: { reason: 'label: label "bug"', confidence: 0.95 },
+      })
+    );
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IssueScheduler = require('../../scripts/lib/issue-scheduler');
+const HandoverState = require('../../scripts/lib/handover-state');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('IssueScheduler', () => {
+  test('never exceeds the concurrency limit and reports every issue', async () => {
+    let active = 0;
+    let peak = 0;
+    const scheduler = new IssueScheduler({
+      concurrency: 2,
+      runIssue: async (issueNumber) => {
+        active++;
+        peak = Math.max(peak, active);
+        await tick();
+        active--;
+        if (issueNumber === 3) throw new Error('boom');
+        return `done-${issueNumber}`;
+      },
+    });
+
+    const results = await scheduler.schedule([1, 2, 3, 4, 1]);
+
+    expect(peak).toBe(2);
+    expect(results.map(({ issueNumber, status }) => [issueNumber, status])).toEqual([
+      [1, 'fulfilled'],
+      [2, 'fulfilled'],
+      [3, 'rejected'],
+      [4, 'fulfilled'],
+    ]);
+    expect(results[2].error.message).toBe('boom');
+    expect(results[0]).toEqual(
+      expect.objectContaining({ value: 'done-1', startedAt: expect.any(String) })
+    );
+  });
+
+  test('joins a run that is already scheduled for the same issue', async () => {
+    const runIssue = jest.fn(async () => {
+      await tick();
+      return 'ok';
+    });
+    const scheduler = new IssueScheduler({ concurrency: 1, runIssue });
+
+    const [first, second] = await Promise.all([scheduler.enqueue(8), scheduler.enqueue(8)]);
+
+    expect(runIssue).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+  });
+
+  test('reads the limit from BMAD_MAX_CONCURRENT_ISSUES', () => {
+    process.env.BMAD_MAX_CONCURRENT_ISSUES = '5';
+    expect(new IssueScheduler().concurrency).toBe(5);
+    process.env.BMAD_MAX_CONCURRENT_ISSUES = 'zero';
+    expect(new IssueScheduler().concurrency).toBe(2);
+    delete process.env.BMAD_MAX_CONCURRENT_ISSUES;
+  });
+});
+
+describe('Concurrent orchestration of two interleaved issues', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-scheduler-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('keeps handover, loop history and workflow state apart per issue', async () => {
+    const files = new Map();
+    const contextManager = {
+      read: jest.fn((file) => files.get(file) ?? null),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    const trace = [];
+    const orchestrators = new Map();
+    const orchestratorFor = (issueNumber) => {
+      if (!orchestrators.has(issueNumber)) {
+        const orchestrator = BMADOrchestrator.forIssue(issueNumber, null, { stateDir: tmpDir });
+        orchestrator.contextManager = contextManager;
+        orchestrator.gatekeeper = {
+          validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }),
+        };
+        jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+          number: issueNumber,
+          title: `Feature ${issueNumber}`,
+        });
+        jest.spyOn(orchestrator, 'executePersona').mockImplementation(async (action) => {
+          trace.push(`start ${issueNumber} ${action.persona}`);
+          await tick();
+          trace.push(`end ${issueNumber} ${action.persona}`);
+        });
+        orchestrators.set(issueNumber, orchestrator);
+      }
+      return orchestrators.get(issueNumber);
+    };
+
+    const scheduler = new IssueScheduler({
+      concurrency: 2,
+      runIssue: async (issueNumber) => {
+        const orchestrator = orchestratorFor(issueNumber);
+        await orchestrator.orchestrate(issueNumber);
+        return orchestrator.orchestrate(issueNumber);
+      },
+    });
+
+    const results = await scheduler.schedule([101, 202]);
+
+    expect(results.every((result) => result.status === 'fulfilled')).toBe(true);
+    // Both issues were in flight at the same time
+    expect(trace.indexOf('start 202 pm')).toBeLessThan(trace.indexOf('end 101 pm'));
+
+    [101, 202].forEach((issueNumber) => {
+      const { state } = HandoverState.parse(files.get(HandoverState.pathFor(issueNumber)));
+      expect(state).toEqual(
+        expect.objectContaining({ issueNumber, persona: 'PM', phase: 'Planning', retryCount: 1 })
+      );
+
+      const history = JSON.parse(
+        fs.readFileSync(path.join(tmpDir, `transition-history-${issueNumber}.json`), 'utf8')
+      );
+      expect(history).toHaveLength(2);
+      expect(history.every((record) => record.workflowId === `issue-${issueNumber}`)).toBe(true);
+
+      const workflowState = JSON.parse(
+        fs.readFileSync(path.join(tmpDir, `workflow-state-${issueNumber}.json`), 'utf8')
+      );
+      expect(workflowState.context.issueNumber).toBe(issueNumber);
+    });
+    expect(files.has(HandoverState.LEGACY_FILE)).toBe(false);
+  });
+
+  test('adopts the shared legacy handover only for the issue it belongs to', () => {
+    const orchestrator = Object.create(BMADOrchestrator.prototype);
+    const legacy = HandoverState.render({ ...HandoverState.initial(7), persona: 'QA', phase: 'Quality Assurance' });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (file === HandoverState.LEGACY_FILE ? legacy : null)),
+    };
+
+    expect(orchestrator.loadHandoverState(7)).toEqual(
+      expect.objectContaining({ persona: 'QA', issueNumber: 7 })
+    );
+    expect(orchestrator.loadHandoverState(8)).toEqual(
+      expect.objectContaining({ persona: 'UNKNOWN', issueNumber: null })
+    );
+  });
+});
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Joi = require('joi');
+const LLMProvider = require('../../scripts/lib/llm-provider');
+const ReplayProvider = require('../../scripts/lib/llm-replay-provider');
+const OpenAICompatibleProvider = require('../../scripts/lib/llm-openai-provider');
+const PromptTemplates = require('../../scripts/lib/prompt-templates');
+const ExponentialBackoff = require('../../scripts/lib/exponential-backoff');
+const { RetryableError, NonRetryableError } = require('../../scripts/lib/bmad-error');
+const ProjectManager = require('../../personas/project-manager');
+
+const issue = { number: 20, title: 'Export reports', body: 'Users need CSV exports.' };
+const workPlan = [
+  '# Work Plan - Export reports',
+  '',
+  '## Issue Analysis',
+  'Reporting gap.',
+  '## Requirements',
+  '- REQ-1: CSV export',
+  '## Work Breakdown',
+  '1. Writer',
+  '## Success Criteria',
+  '- Export works',
+].join('\n');
+const noDelay = () =>
+  new ExponentialBackoff({
+    initialDelay: 0,
+    maxRetries: 2,
+    jitterFactor: 0,
+    shouldRetry: (error) => error.isRetryable !== false,
+  });
+
+class ScriptedProvider extends LLMProvider {
+  constructor(answers) {
+    super({ name: 'scripted', model: 'model-a', backoff: noDelay() });
+    this.complete = jest.fn(async () => {
+      const answer = answers.shift();
+      if (answer instanceof Error) throw answer;
+      return { text: answer, inputTokens: 100, outputTokens: 50 };
+    });
+  }
+}
+
+describe('PromptTemplates', () => {
+  test('renders role system prompts and {{var}} templates, with team overrides', () => {
+    const templates = new PromptTemplates({
+      config: {
+        system: { PM: 'Team PM.' },
+        templates: {
+          'pm.summary': { role: 'pm', prompt: ['#{{issue.number}}', '{{issue.title}}{{missing}}'] },
+        },
+      },
+    });
+
+    expect(templates.render('pm.summary', { issue })).toEqual({
+      id: 'pm.summary',
+      role: 'PM',
+      system: 'Team PM.',
+      prompt: '#20\nExport reports',
+      output: { format: 'text', sections: [], language: null },
+    });
+    expect(templates.render('architect.design', { issue }).system).toContain('BMAD Architect');
+    expect(templates.render('developer.app-js', { issue }).output).toEqual({
+      format: 'code',
+      sections: [],
+      language: 'javascript',
+    });
+    expect(() => templates.render('qa.unknown')).toThrow(
+      expect.objectContaining({ category: 'PROMPT_TEMPLATE_INVALID' })
+    );
+    expect(
+      () => new PromptTemplates({ config: { templates: { bad: { output: { format: 'yaml' } } } } })
+    ).toThrow(expect.objectContaining({ category: 'PROMPT_TEMPLATE_INVALID' }));
+  });
+});
+
+describe('LLMProvider', () => {
+  test('retries transient failures and malformed output, metering every attempt', async () => {
+    const provider = new ScriptedProvider([
+      new RetryableError('HTTP 503', 'LLM_UNAVAILABLE'),
+      '## Issue Analysis\nonly one section',
+      `\`\`\`markdown\n${workPlan}\n\`\`\``,
+    ]);
+    const meter = { record: jest.fn() };
+
+    const result = await provider.generate({ template: 'pm.work-plan', variables: { issue }, meter });
+
+    expect(result).toEqual(
+      expect.objectContaining({ template: 'pm.work-plan', output: `${workPlan}\n`, attempts: 3 })
+    );
+    expect(provider.complete).toHaveBeenCalledTimes(3);
+    expect(provider.complete.mock.calls[0][0]).toEqual(
+      expect.objectContaining({
+        model: 'model-a',
+        system: expect.stringContaining('Project Manager'),
+        prompt: expect.stringContaining('Users need CSV exports.'),
+      })
+    );
+    expect(meter.record).toHaveBeenCalledTimes(2);
+    expect(meter.record).toHaveBeenLastCalledWith(
+      expect.objectContaining({ model: 'model-a', inputTokens: 100, outputTokens: 50 })
+    );
+  });
+
+  test('parses JSON against a schema and code from its fence; non-retryable errors stop at once', async () => {
+    const json = new ScriptedProvider(['```json\n{"risks": ["scope"]}\n```']);
+    const schema = Joi.object({ risks: Joi.array().items(Joi.string()).required() });
+    await expect(
+      json.generate({ prompt: 'List risks', output: { format: 'json' }, schema })
+    ).resolves.toEqual(expect.objectContaining({ output: { risks: ['scope'] } }));
+    expect(
+      LLMProvider.parse('Here:\n```js\nmodule.exports = 1;\n```\n', { format: 'code', language: 'js' })
+    ).toBe('module.exports = 1;\n');
+    expect(() => LLMProvider.parse('{"risks": 1}', { format: 'json' }, { schema })).toThrow(
+      expect.objectContaining({ category: 'LLM_OUTPUT_INVALID' })
+    );
+
+    const budget = new ScriptedProvider([new NonRetryableError('over budget', 'BUDGET_EXCEEDED'), workPlan]);
+    await expect(budget.generate({ prompt: 'Plan' })).rejects.toThrow('over budget');
+    expect(budget.complete).toHaveBeenCalledTimes(1);
+    expect(LLMProvider.create({ provider: '' })).toBeNull();
+    expect(() => LLMProvider.create({ provider: 'magic' })).toThrow(
+      expect.objectContaining({ category: 'LLM_PROVIDER_INVALID' })
+    );
+  });
+});
+
+describe('ReplayProvider', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-llm-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('records answers once and replays them deterministically offline, streaming line by line', async () => {
+    const cassette = path.join(tmpDir, 'cassette.json');
+    const inner = new ScriptedProvider([workPlan]);
+    const recorder = LLMProvider.create({ provider: 'record', cassette, inner, backoff: noDelay() });
+
+    const recorded = await recorder.generate({ template: 'pm.work-plan', variables: { issue } });
+    const stored = JSON.parse(fs.readFileSync(cassette, 'utf8'));
+    expect(Object.values(stored.interactions)).toEqual([
+      expect.objectContaining({ model: 'model-a', text: workPlan, inputTokens: 100, outputTokens: 50 }),
+    ]);
+
+    const replay = new ReplayProvider({ cassette, model: 'model-a', backoff: noDelay() });
+    const tokens = [];
+    const replayed = await replay.generate({
+      template: 'pm.work-plan',
+      variables: { issue },
+      onToken: (token) => tokens.push(token),
+    });
+    expect(replayed.output).toBe(recorded.output);
+    expect(tokens.join('')).toBe(workPlan);
+    expect(tokens[0]).toBe('# Work Plan - Export reports\n');
+    expect(inner.complete).toHaveBeenCalledTimes(1);
+
+    const miss = replay.generate({
+      template: 'pm.work-plan',
+      variables: { issue: { ...issue, title: 'Other' } },
+    });
+    await expect(miss).rejects.toThrow(expect.objectContaining({ category: 'LLM_CASSETTE_MISS' }));
+  });
+
+  test('personas generate through the provider and fall back to their templates without one', async () => {
+    const cassette = path.join(tmpDir, 'cassette.json');
+    const recorder = new ReplayProvider({
+      mode: 'record',
+      cassette,
+      inner: new ScriptedProvider([workPlan]),
+    });
+    await recorder.generate({ template: 'pm.work-plan', variables: { issue } });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const pm = new ProjectManager('token');
+    pm.llmProvider = new ReplayProvider({ cassette, model: 'model-a' });
+    const meter = { record: jest.fn() };
+    pm.acceptContext({ issueNumber: 20, meter });
+
+    await expect(pm.generateOutput('pm.work-plan', { issue }, () => 'canned')).resolves.toBe(`${workPlan}\n`);
+    expect(meter.record).toHaveBeenCalledWith(
+      expect.objectContaining({ model: 'model-a', inputTokens: 100 })
+    );
+
+    pm.llmProvider = null;
+    await expect(pm.generateOutput('pm.work-plan', { issue }, () => 'canned')).resolves.toBe('canned');
+    jest.restoreAllMocks();
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const sse = (events) => ({
+    ok: true,
+    status: 200,
+    body: (async function* body() {
+      for (const event of events)
+        yield Buffer.from(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+    })(),
+  });
+
+  test('streams chat completion deltas with usage and only retries transient HTTP errors', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 503, text: async () => 'overloaded' })
+      .mockResolvedValueOnce(
+        sse([
+          { choices: [{ delta: { content: 'Hello' } }] },
+          { choices: [{ delta: { content: ' world' } }] },
+          { choices: [], usage: { prompt_tokens: 12, completion_tokens: 2 } },
+          '[DONE]',
+        ])
+      )
+      .mockResolvedValueOnce({ ok: false, status: 401, text: async () => 'bad key' });
+    const provider = new OpenAICompatibleProvider({
+      model: 'gpt-test',
+      apiKey: 'sk-test',
+      baseUrl: 'http://localhost:8080/v1/',
+      fetch,
+      backoff: noDelay(),
+    });
+    const tokens = [];
+
+    const result = await provider.generate({
+      prompt: 'Say hello',
+      role: 'developer',
+      onToken: (token) => tokens.push(token),
+    });
+
+    expect(result.output).toBe('Hello world');
+    expect(tokens).toEqual(['Hello', ' world']);
+    expect(result.usage).toEqual(
+      expect.objectContaining({ model: 'gpt-test', inputTokens: 12, outputTokens: 2 })
+    );
+    const [url, init] = fetch.mock.calls[1];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(init.headers.authorization).toBe('Bearer sk-test');
+    expect(JSON.parse(init.body)).toEqual(
+      expect.objectContaining({
+        stream: true,
+        messages: [expect.objectContaining({ role: 'system' }), { role: 'user', content: 'Say hello' }],
+      })
+    );
+
+    await expect(provider.generate({ prompt: 'Again' })).rejects.toThrow(
+      expect.objectContaining({ category: 'LLM_REQUEST_FAILED', status: 401 })
+    );
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+});
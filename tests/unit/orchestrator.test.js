@@ -1,7 +1,7 @@
 /**
  * @ai-context Unit Tests for BMAD Orchestrator
  */
-const { mockOctokit, mockContextManager, mockLogger } = require('../mocks/bmad-mocks');
+const { mockOctokit, mockContextManager, mockLogger, validPrd } = require('../mocks/bmad-mocks');
 
 // Mock dependencies BEFORE importing the class under test
 jest.mock('@octokit/rest', () => ({
@@ -54,6 +54,10 @@ describe('BMADOrchestrator', () => {
         orchestrator = new BMADOrchestrator(eventEmitter);
     });
 
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
     describe('orchestrate', () => {
         it('should handle initial state correctly', async () => {
             // Setup mocks
@@ -96,7 +100,9 @@ Current Phase
 Retry Count: 0
 Issue: #3
             `;
-            mockContextManager.read.mockReturnValue(stateContent);
+            mockContextManager.read.mockImplementation((filePath) =>
+                filePath.includes('PRD') ? validPrd : stateContent
+            );
 
             mockOctokit.rest.issues.get.mockResolvedValue({
                 data: { title: 'Feature', number: 3 }
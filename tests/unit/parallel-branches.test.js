@@ -0,0 +1,289 @@
+/* global setTimeout */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventBus = require('../../scripts/lib/event-bus');
+const HandoverState = require('../../scripts/lib/handover-state');
+const ParallelJoin = require('../../scripts/lib/parallel-join');
+const WorkflowDefinitions = require('../../scripts/lib/workflow-definitions');
+const { NonRetryableError } = require('../../scripts/lib/bmad-error');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const feature = require('../../scripts/bmad/workflows/feature.json');
+
+const ISSUE = 15;
+const JOIN = 'Review Verdicts';
+
+// FEATURE with QA and Security reviewing the implementation at the same time
+const parallelFeature = (branches = ['Quality Assurance', 'Security Review']) => ({
+  ...feature,
+  states: [...feature.states, { phase: JOIN, join: branches }],
+  transitions: [
+    ...feature.transitions.filter((transition) => !['DEVELOPER', 'QA', 'SECURITY'].includes(transition.from)),
+    {
+      from: 'DEVELOPER',
+      to: JOIN,
+      source: 'Implementation',
+      parallel: [
+        { to: 'Quality Assurance', prompt: 'Verify the implementation.' },
+        { to: 'Security Review', prompt: 'Review the code and dependencies.' },
+      ],
+    },
+    {
+      from: 'ORCHESTRATOR',
+      phase: JOIN,
+      to: 'DevOps & Deployment',
+      prompt: 'Prepare the deployment pipeline and infrastructure.',
+      source: JOIN,
+    },
+  ],
+});
+
+describe('Parallel branches in workflow definitions', () => {
+  test('accepts a fan-out to a join state and rejects malformed ones', () => {
+    expect(WorkflowDefinitions.validate(parallelFeature())).toEqual({ valid: true, errors: [] });
+
+    const mismatched = parallelFeature(['Quality Assurance', 'DevOps & Deployment']);
+    expect(WorkflowDefinitions.validate(mismatched).errors).toEqual([
+      expect.stringContaining('parallel must branch to exactly the phases joined by "Review Verdicts"'),
+    ]);
+
+    const broken = parallelFeature(['Quality Assurance']);
+    broken.transitions.push({ from: 'PM', phase: 'Rework', to: JOIN, prompt: 'Join.' });
+    expect(WorkflowDefinitions.validate(broken).errors).toEqual(
+      expect.arrayContaining([
+        'states["Review Verdicts"].join must list at least two phases',
+        expect.stringContaining('is a join state and requires parallel branches'),
+      ])
+    );
+  });
+
+  test('merges verdicts the same way whatever order the branches finished in', () => {
+    const qa = { phase: 'Quality Assurance', persona: 'qa', result: { verdict: 'CONCERNS', artifacts: [{ path: 'qa.md' }] } };
+    const security = { phase: 'Security Review', persona: 'security', result: { artifacts: [{ path: 'sec.md' }] } };
+
+    const joined = ParallelJoin.merge(JOIN, [qa, security]);
+    expect(joined).toEqual(
+      expect.objectContaining({
+        verdict: 'CONCERNS',
+        summary: 'Review Verdicts: CONCERNS (qa CONCERNS, security PASS)',
+        artifacts: [{ path: 'qa.md' }, { path: 'sec.md' }],
+      })
+    );
+    expect(ParallelJoin.merge(JOIN, [qa, { ...security, result: { verdict: 'FAIL' } }]).verdict).toBe('FAIL');
+  });
+});
+
+describe('BMADOrchestrator parallel fan-out', () => {
+  const env = { ...process.env };
+  let tmpDir;
+  let files;
+
+  const createOrchestrator = (executePersona) => {
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, null, {
+      stateDir: tmpDir,
+      workflowDefinitions: new WorkflowDefinitions([parallelFeature()]),
+    });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (files.has(file) ? files.get(file) : null)),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+      number: ISSUE,
+      title: 'Export reports',
+      labels: [{ name: 'enhancement' }],
+    });
+    jest.spyOn(orchestrator, 'executePersona').mockImplementation(executePersona);
+    return orchestrator;
+  };
+
+  const handover = () => HandoverState.parse(files.get(HandoverState.pathFor(ISSUE))).state;
+  const events = () => EventBus.readLog(EventBus.logFile(tmpDir)).events;
+  const review = (delays, outcomes = {}) => async (action) => {
+    await new Promise((resolve) => setTimeout(resolve, delays[action.persona] || 0));
+    if (outcomes[action.persona] instanceof Error) throw outcomes[action.persona];
+    return {
+      status: 'completed',
+      artifacts: [{ path: `docs/${action.persona}.md`, type: null }],
+      nextSteps: [],
+      summary: `${action.persona} reviewed`,
+      verdict: outcomes[action.persona] || 'PASS',
+    };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-parallel-'));
+    process.env.BMAD_EVENT_LOG = path.join(tmpDir, 'events', 'events.jsonl');
+    files = new Map([
+      [
+        HandoverState.pathFor(ISSUE),
+        HandoverState.render({ ...HandoverState.initial(ISSUE), persona: 'DEVELOPER', phase: 'Implementation' }),
+      ],
+    ]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('runs QA and Security at once and joins their verdicts in declaration order', async () => {
+    const orchestrator = createOrchestrator(review({ qa: 30, security: 5 }, { qa: 'CONCERNS' }));
+    const persist = jest.spyOn(orchestrator.stateCacheManager, 'persistState');
+
+    await expect(orchestrator.orchestrate(ISSUE)).resolves.toBe(true);
+
+    const lifecycle = events()
+      .filter((event) => event.type.startsWith('persona-'))
+      .map((event) => `${event.type}:${event.payload.persona}`);
+    expect(lifecycle).toEqual([
+      'persona-started:qa',
+      'persona-started:security',
+      'persona-finished:security',
+      'persona-finished:qa',
+    ]);
+    expect(events().find((event) => event.type === 'branches-joined').payload).toEqual(
+      expect.objectContaining({
+        phase: JOIN,
+        verdict: 'CONCERNS',
+        verdicts: [
+          expect.objectContaining({ persona: 'qa', verdict: 'CONCERNS' }),
+          expect.objectContaining({ persona: 'security', verdict: 'PASS' }),
+        ],
+      })
+    );
+    expect(persist).toHaveBeenCalledWith(
+      'ORCHESTRATOR',
+      JOIN,
+      expect.objectContaining({ activePersonas: ['QA', 'SECURITY'] }),
+      expect.objectContaining({ status: 'running' })
+    );
+    expect(handover()).toEqual(
+      expect.objectContaining({
+        persona: 'ORCHESTRATOR',
+        phase: JOIN,
+        lastResult: expect.objectContaining({
+          summary: 'Review Verdicts: CONCERNS (qa CONCERNS, security PASS)',
+          artifacts: [
+            { path: 'docs/qa.md', type: null },
+            { path: 'docs/security.md', type: null },
+          ],
+        }),
+      })
+    );
+    expect(handover()).not.toHaveProperty('branches');
+    expect(orchestrator.loopDetector.getTransitionCount('DEVELOPER', 'QA')).toBe(1);
+    expect(orchestrator.loopDetector.getTransitionCount('DEVELOPER', 'SECURITY')).toBe(1);
+
+    const next = createOrchestrator(review({}));
+    await next.orchestrate(ISSUE);
+    expect(next.executePersona).toHaveBeenCalledWith(
+      expect.objectContaining({ persona: 'devops', nextPhase: 'DevOps & Deployment' }),
+      ISSUE,
+      expect.any(Object)
+    );
+  });
+
+  test('branch commits take turns on a lock shared by the fan-out', async () => {
+    const log = [];
+    const commit = (persona, file, delay) => async () => {
+      log.push(`start:${persona}:${file}`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      log.push(`end:${persona}:${file}`);
+    };
+    const orchestrator = createOrchestrator(async (action, issueNumber, runtime) => {
+      const delay = action.persona === 'qa' ? 20 : 5;
+      await Promise.all([
+        runtime.commitLock(commit(action.persona, 'report', delay)),
+        runtime.commitLock(commit(action.persona, 'handover', delay)),
+      ]);
+      return { status: 'completed', artifacts: [], nextSteps: [], verdict: 'PASS' };
+    });
+
+    await orchestrator.orchestrate(ISSUE);
+
+    const [qa, security] = orchestrator.executePersona.mock.calls.map(([, , runtime]) => runtime.commitLock);
+    expect(qa).toBe(security);
+    expect(log).toEqual([
+      'start:qa:report',
+      'end:qa:report',
+      'start:qa:handover',
+      'end:qa:handover',
+      'start:security:report',
+      'end:security:report',
+      'start:security:handover',
+      'end:security:handover',
+    ]);
+  });
+
+  test('keeps the finished branch when the other fails and only reruns the missing one', async () => {
+    const failing = createOrchestrator(
+      review({}, { security: new NonRetryableError('scanner crashed', 'PERSONA_FAILED') })
+    );
+    await expect(failing.orchestrate(ISSUE)).rejects.toThrow('scanner crashed');
+
+    expect(handover()).toEqual(
+      expect.objectContaining({
+        persona: 'DEVELOPER',
+        branches: { 'Quality Assurance': expect.objectContaining({ persona: 'qa', verdict: 'PASS' }) },
+      })
+    );
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, `workflow-state-${ISSUE}.json`), 'utf8'));
+    expect(stored).toEqual(
+      expect.objectContaining({
+        status: 'suspended',
+        persona: 'security',
+        stepId: JOIN,
+        context: expect.objectContaining({
+          failedBranches: [{ phase: 'Security Review', persona: 'security', error: 'scanner crashed' }],
+        }),
+      })
+    );
+
+    const retry = createOrchestrator(review({}));
+    await expect(retry.orchestrate(ISSUE)).resolves.toBe(true);
+    expect(retry.executePersona).toHaveBeenCalledTimes(1);
+    expect(retry.executePersona).toHaveBeenCalledWith(
+      expect.objectContaining({ persona: 'security' }),
+      ISSUE,
+      expect.any(Object)
+    );
+    expect(handover().phase).toBe(JOIN);
+  });
+
+  test('a failing verdict suspends the join and clears the branches for a fresh review', async () => {
+    const orchestrator = createOrchestrator(review({}, { security: 'FAIL' }));
+
+    await expect(orchestrator.orchestrate(ISSUE)).rejects.toThrow(
+      expect.objectContaining({
+        category: 'PARALLEL_JOIN_FAILED',
+        message: 'Review Verdicts: FAIL (qa PASS, security FAIL) - security: security reviewed',
+      })
+    );
+    expect(handover()).toEqual(expect.objectContaining({ persona: 'DEVELOPER', phase: 'Implementation' }));
+    expect(handover()).not.toHaveProperty('branches');
+    expect(events().map((event) => event.type)).toEqual(
+      expect.arrayContaining(['branches-joined', 'workflow-suspended'])
+    );
+  });
+
+  test('dry run shows the fan-out as one step with its branches', async () => {
+    const orchestrator = createOrchestrator(review({}));
+    const plan = await orchestrator.orchestrate(ISSUE, { dryRun: true, maxSteps: 2 });
+
+    expect(plan.steps[0]).toEqual(
+      expect.objectContaining({
+        persona: 'orchestrator',
+        nextPhase: JOIN,
+        parallel: [
+          { persona: 'qa', nextPhase: 'Quality Assurance' },
+          { persona: 'security', nextPhase: 'Security Review' },
+        ],
+      })
+    );
+    expect(plan.steps[1]).toEqual(expect.objectContaining({ persona: 'devops' }));
+    expect(BMADOrchestrator.formatPlan(plan)).toContain('parallel: qa (Quality Assurance) + security (Security Review)');
+  });
+});
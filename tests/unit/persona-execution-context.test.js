@@ -0,0 +1,292 @@
+/* global AbortController, setTimeout */
+const mockRun = jest.fn();
+jest.mock('../../personas/project-manager', () =>
+  jest.fn().mockImplementation(() => ({ run: mockRun }))
+);
+
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const fs = require('fs');
+const BasePersona = require('../../personas/base-persona');
+const EnhancedBasePersona = require('../../personas/base-persona-enhanced');
+const HandoverState = require('../../scripts/lib/handover-state');
+const DevOps = require('../../personas/devops');
+const ParallelJoin = require('../../scripts/lib/parallel-join');
+const {
+  PersonaExecutionContext,
+  PersonaResult,
+} = require('../../scripts/lib/persona-execution-context');
+
+describe('PersonaExecutionContext', () => {
+  test('normalises a bare issue number from legacy callers', () => {
+    const context = PersonaExecutionContext.from(5);
+
+    expect(context).toEqual(
+      expect.objectContaining({ issueNumber: 5, workflowId: 'issue-5', prompt: null })
+    );
+    expect(context.aborted).toBe(false);
+    expect(Object.isFrozen(context)).toBe(true);
+    expect(PersonaExecutionContext.from(context)).toBe(context);
+  });
+
+  test('refuses to run once the signal is aborted', () => {
+    const controller = new AbortController();
+    const context = PersonaExecutionContext.from({ issueNumber: 5, persona: 'qa', signal: controller.signal });
+    controller.abort(new Error('phase budget exceeded'));
+
+    expect(() => context.throwIfAborted()).toThrow(
+      expect.objectContaining({ category: 'PERSONA_ABORTED', message: expect.stringContaining('phase budget exceeded') })
+    );
+  });
+});
+
+describe('PersonaResult', () => {
+  test('fills defaults and rejects malformed results', () => {
+    expect(PersonaResult.completed({ artifacts: [{ path: 'docs/planning/PRD-5.md' }] })).toEqual(
+      expect.objectContaining({
+        status: 'completed',
+        artifacts: [{ path: 'docs/planning/PRD-5.md', type: null }],
+        nextSteps: [],
+        retryable: false,
+      })
+    );
+    expect(() => PersonaResult.create({ status: 'done' }, 'pm')).toThrow(
+      expect.objectContaining({ category: 'PERSONA_RESULT_INVALID' })
+    );
+    expect(() => PersonaResult.create(undefined, 'pm')).toThrow(/pm returned an invalid result/);
+  });
+
+  test('maps failed and blocked results to escalation errors', () => {
+    const failed = PersonaResult.toError({ status: 'failed', error: 'timeout', retryable: true }, 'qa');
+    expect(failed.name).toBe('RetryableError');
+    expect(failed.category).toBe('PERSONA_FAILED');
+
+    const blocked = PersonaResult.toError({ status: 'blocked', summary: 'waiting on SPEC' }, 'qa');
+    expect(blocked.name).toBe('NonRetryableError');
+    expect(blocked.message).toBe('qa blocked: waiting on SPEC');
+  });
+});
+
+describe('BasePersona.run', () => {
+  class EchoPersona extends BasePersona {
+    async execute(contextOrIssue) {
+      this.acceptContext(contextOrIssue);
+      return { document: this.withInstructions('# Doc\n') };
+    }
+
+    buildResult(output, context) {
+      return {
+        status: 'completed',
+        artifacts: [{ path: `docs/doc-${context.issueNumber}.md`, type: 'DOC' }],
+        nextSteps: [{ persona: 'architect', hint: 'Design it' }],
+        output,
+      };
+    }
+  }
+
+  test('hands the prompt to the persona and returns a typed result', async () => {
+    const persona = new EchoPersona('Echo', 'ECHO', 'token');
+    jest.spyOn(persona, 'log').mockImplementation(() => {});
+
+    const result = await persona.run({ issueNumber: 9, prompt: 'Write the PRD', source: 'System Init' });
+
+    expect(result.artifacts).toEqual([{ path: 'docs/doc-9.md', type: 'DOC' }]);
+    expect(result.output.document).toContain('## Orchestrator Instructions');
+    expect(result.output.document).toContain('Write the PRD');
+  });
+});
+
+describe('BasePersona abort signal', () => {
+  test('GitHub calls carry the signal and an abort stops the persona before its next step', async () => {
+    const controller = new AbortController();
+    const persona = new DevOps('token');
+    jest.spyOn(persona, 'log').mockImplementation(() => {});
+    jest.spyOn(persona, 'updateActiveContext').mockImplementation(() => {});
+    persona.octokit = {
+      rest: {
+        issues: {
+          get: jest.fn().mockResolvedValue({ data: { number: 5, title: 'Deploy' } }),
+          create: jest.fn(),
+        },
+        repos: { getContent: jest.fn().mockRejectedValue(new Error('Not Found')), createOrUpdateFileContents: jest.fn() },
+      },
+    };
+    jest.spyOn(persona, 'setupMonitoring').mockImplementation(async () => {
+      controller.abort(new Error('phase budget exceeded'));
+      return {};
+    });
+
+    await expect(persona.run({ issueNumber: 5, persona: 'devops', signal: controller.signal })).rejects.toEqual(
+      expect.objectContaining({ category: 'PERSONA_ABORTED', message: expect.stringContaining('phase budget exceeded') })
+    );
+    expect(persona.octokit.rest.issues.get).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: 5, request: { signal: controller.signal } })
+    );
+    expect(persona.octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+    expect(persona.octokit.rest.issues.create).not.toHaveBeenCalled();
+  });
+
+  test('commands run with the signal and are killed on abort', async () => {
+    const controller = new AbortController();
+    const persona = new DevOps('token');
+    jest.spyOn(persona, 'log').mockImplementation(() => {});
+    persona.acceptContext({ issueNumber: 5, signal: controller.signal });
+
+    await expect(persona.execCommand('echo ready')).resolves.toBe('ready');
+    const running = persona.execCommand('exec sleep 5');
+    controller.abort();
+    await expect(running).rejects.toEqual(expect.objectContaining({ name: 'AbortError' }));
+    await expect(persona.execCommand('echo late')).rejects.toEqual(
+      expect.objectContaining({ category: 'PERSONA_ABORTED' })
+    );
+  });
+});
+
+describe('BMADOrchestrator.executePersona', () => {
+  let orchestrator;
+  const action = { persona: 'pm', nextPhase: 'Planning', prompt: 'Plan issue 5', source: 'System Init' };
+
+  beforeEach(() => {
+    mockRun.mockReset();
+    orchestrator = Object.create(BMADOrchestrator.prototype);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('passes the determined prompt, issue and previous output', async () => {
+    mockRun.mockResolvedValue({ status: 'completed', artifacts: [{ path: 'docs/planning/PRD-5.md', type: 'PRD' }] });
+    const previousOutput = { persona: 'recovery', status: 'completed', artifacts: [], nextSteps: [] };
+
+    const result = await orchestrator.executePersona(action, 5, {
+      issue: { number: 5, title: 'Export' },
+      previousOutput,
+    });
+
+    const [context] = mockRun.mock.calls[0];
+    expect(context).toBeInstanceOf(PersonaExecutionContext);
+    expect(context).toEqual(
+      expect.objectContaining({
+        issueNumber: 5,
+        persona: 'pm',
+        phase: 'Planning',
+        prompt: 'Plan issue 5',
+        source: 'System Init',
+        previousOutput,
+        workflowId: 'issue-5',
+      })
+    );
+    expect(context.issue.title).toBe('Export');
+    expect(result.artifacts).toEqual([{ path: 'docs/planning/PRD-5.md', type: 'PRD' }]);
+  });
+
+  test('rejects invalid, failed and aborted executions', async () => {
+    mockRun.mockResolvedValueOnce({ artifacts: [] });
+    await expect(orchestrator.executePersona(action, 5)).rejects.toMatchObject({
+      category: 'PERSONA_RESULT_INVALID',
+    });
+
+    mockRun.mockResolvedValueOnce({ status: 'failed', error: 'GitHub unavailable', retryable: true });
+    await expect(orchestrator.executePersona(action, 5)).rejects.toMatchObject({
+      name: 'RetryableError',
+      category: 'PERSONA_FAILED',
+    });
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      orchestrator.executePersona(action, 5, { signal: controller.signal })
+    ).rejects.toMatchObject({ category: 'PERSONA_ABORTED' });
+    expect(mockRun).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('BasePersona commit lock', () => {
+  test('personas sharing a commit lock never write to the branch head at the same time', async () => {
+    let writing = 0;
+    let overlap = 0;
+    const octokit = {
+      rest: {
+        repos: {
+          getContent: jest.fn().mockRejectedValue(new Error('Not Found')),
+          createOrUpdateFileContents: jest.fn(async () => {
+            writing += 1;
+            overlap = Math.max(overlap, writing);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            writing -= 1;
+          }),
+        },
+      },
+    };
+    const commitLock = ParallelJoin.serial();
+    const personas = ['QA', 'SECURITY'].map((role) => {
+      const persona = new BasePersona(role, role, 'token');
+      Object.assign(persona, { octokit, commitLock });
+      return persona;
+    });
+
+    await Promise.all(
+      personas.map((persona) =>
+        persona.microCommit('review', [
+          { path: `docs/${persona.role}.md`, content: 'report' },
+          { path: `docs/${persona.role}-handover.md`, content: 'handover' },
+        ])
+      )
+    );
+
+    expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(4);
+    expect(overlap).toBe(1);
+  });
+});
+
+describe('Persona handover per issue', () => {
+  test('two issues running at once each read and write their own handover', async () => {
+    const files = new Map([
+      [HandoverState.pathFor(41), HandoverState.render(HandoverState.initial(41))],
+      [HandoverState.pathFor(42), HandoverState.render(HandoverState.initial(42))],
+      [HandoverState.LEGACY_FILE, '# Shared legacy handover'],
+    ]);
+    const contextManager = {
+      read: jest.fn((file) => files.get(file) || null),
+      write: jest.fn((file, content) => files.set(file, content)),
+      computeHash: jest.fn(),
+    };
+    class HandoverPersona extends EnhancedBasePersona {
+      async execute(contextOrIssue) {
+        this.acceptContext(contextOrIssue);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        this.updateHandover('QA', [`docs/${this.executionContext.issueNumber}.md`], 'Implementation completed');
+        return this.context.handoverState;
+      }
+    }
+    const personas = [41, 42].map(() => {
+      const persona = new HandoverPersona('Dev', 'DEVELOPER', 'token');
+      persona.contextManager = contextManager;
+      jest.spyOn(persona, 'log').mockImplementation(() => {});
+      return persona;
+    });
+
+    const read = await Promise.all([41, 42].map((issueNumber, i) => personas[i].execute({ issueNumber })));
+
+    expect(read.map((content) => HandoverState.parse(content).state.issueNumber)).toEqual([41, 42]);
+    for (const issueNumber of [41, 42]) {
+      const content = files.get(HandoverState.pathFor(issueNumber));
+      expect(HandoverState.parse(content).state.issueNumber).toBe(issueNumber);
+      expect(content).toContain(`docs/${issueNumber}.md`);
+      expect(content).not.toContain(`docs/${83 - issueNumber}.md`);
+    }
+    expect(files.get(HandoverState.LEGACY_FILE)).toBe('# Shared legacy handover');
+  });
+
+  test('BasePersona loads the handover of the issue it accepted', () => {
+    const persona = new BasePersona('QA', 'QA', 'token');
+    const readFileSync = fs.readFileSync;
+    jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...rest) =>
+      file === HandoverState.pathFor(7) ? '# Issue 7 handover' : readFileSync(file, ...rest)
+    );
+
+    persona.acceptContext({ issueNumber: 7 });
+
+    fs.readFileSync.mockRestore();
+    expect(persona.context.handoverState).toBe('# Issue 7 handover');
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PersonaRegistry = require('../../scripts/lib/persona-registry');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+
+const ARTIFACT_TYPES = ['PRD', 'SPEC', 'REPRO'];
+
+const writeFile = (file, content) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+};
+
+const personaModule = (metadata) => `
+class DocsPersona {
+  constructor(token) { this.token = token; }
+  async run() { return { status: 'completed' }; }
+}
+${metadata ? `DocsPersona.metadata = ${JSON.stringify(metadata)};` : ''}
+module.exports = DocsPersona;
+`;
+
+describe('PersonaRegistry', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-personas-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('registers the built-in personas with their metadata', () => {
+    const registry = PersonaRegistry.load({ artifactTypes: ARTIFACT_TYPES });
+
+    expect(registry.list().map((persona) => persona.id)).toEqual([
+      'pm',
+      'architect',
+      'developer',
+      'qa',
+      'security',
+      'devops',
+      'releasemanager',
+    ]);
+    expect(registry.get('DEVELOPER').module).toBe(
+      path.join(__dirname, '../../personas/developer-enhanced')
+    );
+    expect(registry.requiredArtifacts('developer', 'Implementation')).toEqual(['SPEC']);
+    expect(registry.requiredArtifacts('developer', 'Bug Fix')).toEqual(['REPRO']);
+    expect(registry.supportsPhase('qa', 'Reproduction')).toBe(true);
+    expect(registry.producersOf('prd')).toEqual(['pm']);
+  });
+
+  test('adds personas from packages and local directories declared by the team', () => {
+    writeFile(
+      path.join(tmpDir, 'node_modules/bmad-docs-persona/package.json'),
+      JSON.stringify({ name: 'bmad-docs-persona', main: 'index.js' })
+    );
+    writeFile(path.join(tmpDir, 'node_modules/bmad-docs-persona/index.js'), personaModule());
+    writeFile(
+      path.join(tmpDir, 'personas/reviewer.js'),
+      personaModule({ id: 'reviewer', role: 'Reviewer', phases: ['Code Review'], requires: ['SPEC'] })
+    );
+    writeFile(path.join(tmpDir, 'personas/helpers.js'), 'module.exports = { format: () => null };');
+    writeFile(
+      path.join(tmpDir, '.github/bmad-personas.json'),
+      JSON.stringify({
+        directories: ['personas'],
+        personas: [
+          { id: 'docs', module: 'bmad-docs-persona', role: 'TECH_WRITER', phases: ['Documentation'] },
+          { id: 'qa', module: './personas/reviewer.js', role: 'QA', phases: ['Quality Assurance'] },
+        ],
+      })
+    );
+
+    const registry = PersonaRegistry.load({ artifactTypes: ARTIFACT_TYPES });
+
+    expect(registry.get('docs')).toEqual(
+      expect.objectContaining({
+        role: 'TECH_WRITER',
+        module: path.join(tmpDir, 'node_modules/bmad-docs-persona/index.js'),
+      })
+    );
+    expect(registry.create('docs', 'token').token).toBe('token');
+    expect(registry.get('reviewer')).toEqual(
+      expect.objectContaining({ role: 'REVIEWER', requires: [{ type: 'SPEC', phases: [] }] })
+    );
+    expect(registry.has('helpers')).toBe(false);
+    // Same id replaces the built-in registration
+    expect(registry.get('qa').phases).toEqual(['Quality Assurance']);
+  });
+
+  test('rejects incomplete metadata and unknown artifact types', () => {
+    const registry = new PersonaRegistry({ artifactTypes: ARTIFACT_TYPES });
+
+    expect(() => registry.register({ id: 'docs', role: 'WRITER', module: './docs.js' })).toThrow(
+      expect.objectContaining({ category: 'PERSONA_REGISTRY_INVALID', message: expect.stringContaining('"phases" is required') })
+    );
+    expect(() =>
+      registry.register({ id: 'docs', role: 'WRITER', phases: ['Docs'], requires: ['ADR'] })
+    ).toThrow(/"module" is required[\s\S]*required artifact ADR is not one of PRD, SPEC, REPRO/);
+    expect(() => registry.resolve('ghost')).toThrow(
+      expect.objectContaining({ category: 'PERSONA_NOT_REGISTERED' })
+    );
+  });
+});
+
+describe('BMADOrchestrator persona metadata checks', () => {
+  let orchestrator;
+  let files;
+
+  beforeEach(() => {
+    files = new Map();
+    orchestrator = Object.create(BMADOrchestrator.prototype);
+    orchestrator.personaRegistry = PersonaRegistry.load({ artifactTypes: ARTIFACT_TYPES });
+    orchestrator.contextManager = { read: jest.fn((file) => files.get(file) ?? null) };
+    orchestrator.loopDetector = { detectLoop: jest.fn().mockReturnValue(false) };
+    jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('rejects unknown personas and phases they do not serve', async () => {
+    await expect(
+      orchestrator.validateTransition({ persona: 'PM' }, { persona: 'translator', nextPhase: 'Planning' }, 3)
+    ).resolves.toEqual(expect.objectContaining({ allowed: false, category: 'PERSONA_NOT_REGISTERED' }));
+
+    const result = await orchestrator.validateTransition(
+      { persona: 'QA' },
+      { persona: 'security', nextPhase: 'Bug Fix' },
+      3
+    );
+    expect(result).toEqual(expect.objectContaining({ allowed: false, category: 'PERSONA_PHASE_UNSUPPORTED' }));
+    expect(result.error).toContain('supports: Security Review');
+  });
+
+  test('requires the artifacts the persona declares for the phase', async () => {
+    const action = { persona: 'developer', nextPhase: 'Implementation' };
+
+    const missing = await orchestrator.validateTransition({ persona: 'ARCHITECT' }, action, 3);
+    expect(missing).toEqual(expect.objectContaining({ allowed: false, category: 'PERSONA_PRECONDITION' }));
+    expect(missing.error).toBe(
+      'persona developer requires SPEC (docs/architecture/SPEC-3.md) for Implementation, produced by architect'
+    );
+
+    files.set('docs/architecture/SPEC-3.md', '# Spec');
+    await expect(orchestrator.validateTransition({ persona: 'ARCHITECT' }, action, 3)).resolves.toEqual({
+      allowed: true,
+    });
+  });
+
+  test('activates registered persona classes', async () => {
+    const run = jest.fn().mockResolvedValue({ status: 'completed' });
+    orchestrator.personaRegistry.register(
+      { id: 'docs', role: 'TECH_WRITER', phases: ['Documentation'] },
+      jest.fn().mockImplementation(() => ({ run }))
+    );
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(
+      orchestrator.executePersona({ persona: 'docs', nextPhase: 'Documentation', prompt: 'Write docs' }, 3)
+    ).resolves.toEqual(expect.objectContaining({ status: 'completed' }));
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ persona: 'docs', prompt: 'Write docs' }));
+  });
+});
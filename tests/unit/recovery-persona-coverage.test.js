@@ -6,6 +6,13 @@ jest.mock('../../personas/base-persona-enhanced', () => {
       this.commit = jest.fn();
       this.createIssue = jest.fn();
       this.updateActiveContext = jest.fn();
+      this.acceptContext = jest.fn((issueNumber) => ({ issueNumber }));
+      this.throwIfAborted = jest.fn();
+      this.getNextStepId = jest.fn(() => '042');
+      this.role = 'RECOVERY';
+      this.commitHandler = {
+        formatCommitMessage: jest.fn((persona, stepId, text) => `[${persona}] [STEP-${stepId}] ${text}`),
+      };
       this.octokit = {
         rest: {
           repos: {
@@ -23,8 +30,22 @@ const RecoveryPersona = require('../../personas/recovery');
 describe('RecoveryPersona behavioral coverage', () => {
   let recovery;
 
+  const record = (strategy, outcome, fallback = null) => ({
+    decision: {
+      strategy,
+      reason: 'test',
+      forced: false,
+      snapshot: null,
+      commits: [{ sha: 'abcdef1234', subject: 'bad', parents: ['0123456789'], mainline: null }],
+    },
+    simulation: { ok: outcome.status === 'applied', base: '0123456789', error: outcome.error },
+    outcome,
+    fallback,
+  });
+
   beforeEach(() => {
     recovery = new RecoveryPersona('token');
+    recovery.rollbackStrategies = { decide: jest.fn(), recover: jest.fn() };
   });
 
   test('executes no-op and failed-CI recovery paths with context logging', async () => {
@@ -39,11 +60,15 @@ describe('RecoveryPersona behavioral coverage', () => {
       commitMessage: 'bad',
       statuses: [],
     });
-    jest.spyOn(recovery, 'rollbackFailedCommit').mockResolvedValue();
+    const applied = record('revert-range', { status: 'applied', applied: true, commit: 'fedcba9876' });
+    jest.spyOn(recovery, 'rollback').mockResolvedValue(applied);
     jest.spyOn(recovery, 'createRecoveryIssue').mockResolvedValue();
-    await recovery.execute(2);
-    expect(recovery.rollbackFailedCommit).toHaveBeenCalledWith('abcdef1234');
-    expect(recovery.updateActiveContext).toHaveBeenCalled();
+    await expect(recovery.execute(2)).resolves.toEqual(expect.objectContaining({ recovery: applied }));
+    expect(recovery.rollback).toHaveBeenCalledWith(2, expect.objectContaining({ failed: true }), null);
+    expect(recovery.createRecoveryIssue).toHaveBeenCalledWith(2, expect.any(Object), applied);
+    expect(recovery.updateActiveContext).toHaveBeenCalledWith(
+      'Recovery executed for issue #2: revert-range → applied'
+    );
   });
 
   test('propagates execution errors', async () => {
@@ -71,23 +96,72 @@ describe('RecoveryPersona behavioral coverage', () => {
     );
   });
 
-  test('rolls back, commits, reports failures and creates issue body', async () => {
-    await recovery.rollbackFailedCommit('abcdef1234');
-    expect(recovery.execCommand).toHaveBeenCalledWith('git revert abcdef1234 --no-edit');
-    expect(recovery.commit).toHaveBeenCalled();
+  test('walks back the failing commits to the last good one', async () => {
+    recovery.octokit.rest.repos.listCommits.mockResolvedValue({
+      data: ['c3', 'c2', 'c1'].map((sha) => ({ sha, commit: { message: `message ${sha}` } })),
+    });
+    recovery.octokit.rest.repos.getCombinedStatusForRef
+      .mockResolvedValueOnce({ data: { state: 'failure', statuses: [{ context: 'ci' }] } })
+      .mockResolvedValueOnce({ data: { state: 'error', statuses: [] } })
+      .mockResolvedValueOnce({ data: { state: 'success', statuses: [] } });
+
+    expect(await recovery.checkCIStatus()).toEqual({
+      failed: true,
+      failedCommit: 'c3',
+      failedCommits: ['c3', 'c2'],
+      lastGoodCommit: 'c1',
+      commitMessage: 'message c3',
+      statuses: [{ context: 'ci' }],
+    });
+    expect(recovery.octokit.rest.repos.getCombinedStatusForRef).toHaveBeenCalledTimes(3);
+  });
+
+  test('rolls back with a persona commit message and skips when nothing failed', async () => {
+    const ciStatus = { failed: true, failedCommit: 'abcdef1234', failedCommits: ['abcdef1234'] };
+    const applied = record('revert-range', { status: 'applied', applied: true, commit: 'fedcba9876' });
+    recovery.rollbackStrategies.decide.mockReturnValueOnce(applied.decision).mockReturnValueOnce(null);
+    recovery.rollbackStrategies.recover.mockResolvedValue(applied);
 
-    recovery.execCommand.mockRejectedValueOnce(new Error('revert'));
-    await expect(recovery.rollbackFailedCommit('abcdef1234')).rejects.toThrow('revert');
+    await expect(recovery.rollback(3, ciStatus)).resolves.toBe(applied);
+    expect(recovery.rollbackStrategies.recover).toHaveBeenCalledWith(
+      { issueNumber: 3, ci: ciStatus, errorContext: null },
+      { message: '[RECOVERY] [STEP-042] Revert abcdef1 failing CI', decision: applied.decision }
+    );
+    await expect(recovery.rollback(3, { failed: false })).resolves.toBeNull();
+    expect(recovery.rollbackStrategies.recover).toHaveBeenCalledTimes(1);
+  });
 
-    await recovery.createRecoveryIssue(8, {
+  test('writes the decision and outcome into the recovery issue', async () => {
+    const ciStatus = {
+      failed: true,
       failedCommit: 'abcdef1234',
       commitMessage: 'bad',
       statuses: [{ context: 'unit', state: 'failure' }],
-    });
-    expect(recovery.createIssue).toHaveBeenCalledWith(
-      expect.stringContaining('#8'),
-      expect.stringContaining('unit'),
-      ['recovery', 'bug', 'ci-failure']
+    };
+    await recovery.createRecoveryIssue(
+      8,
+      ciStatus,
+      record('revert-range', { status: 'applied', applied: true, commit: 'fedcba9876' })
+    );
+    const [title, body, labels] = recovery.createIssue.mock.calls[0];
+    expect(title).toBe('[Recovery] CI Failure - Issue #8');
+    expect(body).toContain('- **unit**: failure');
+    expect(body).toContain('## Recovery Decision\n- **Strategy**: revert-range');
+    expect(body).toContain('- **Revert commit**: `fedcba9` (fast-forwarded)');
+    expect(labels).toEqual(['recovery', 'bug', 'ci-failure']);
+
+    await recovery.createRecoveryIssue(
+      8,
+      ciStatus,
+      record(
+        'revert-range',
+        { status: 'simulation-failed', error: 'could not revert abcdef1' },
+        { strategy: 'fix-forward', reason: 'revert-range failed on the worktree' }
+      )
     );
+    const [, fallbackBody, fallbackLabels] = recovery.createIssue.mock.calls[1];
+    expect(fallbackBody).toContain('- **Fallback**: fix-forward (revert-range failed on the worktree)');
+    expect(fallbackBody).toContain('Fix forward on a new commit');
+    expect(fallbackLabels).toEqual(['recovery', 'bug', 'ci-failure', 'fix-forward']);
   });
 });
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const LocalGitHubAdapter = require('../../scripts/lib/local-github-adapter');
+const ReleaseNotes = require('../../scripts/lib/release-notes');
+const ReleaseVersioning = require('../../scripts/lib/release-versioning');
+const RunJournal = require('../../scripts/lib/run-journal');
+
+describe('ReleaseNotes', () => {
+  let tmpDir;
+  let github;
+  const run = (args) => execFileSync('git', args, { cwd: tmpDir, encoding: 'utf8' }).trim();
+  const commit = (subject, author = 'Ana Dev <ana@example.com>') => {
+    fs.appendFileSync(path.join(tmpDir, 'log.txt'), `${subject}\n`);
+    run(['add', '-A']);
+    run(['commit', '-q', '--author', author, '-m', subject]);
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-release-notes-'));
+    run(['init', '-q']);
+    run(['config', 'user.email', 'release@example.com']);
+    run(['config', 'user.name', 'Release Test']);
+    run(['config', 'commit.gpgsign', 'false']);
+    run(['config', 'core.hooksPath', '/dev/null']);
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), '{ "name": "app", "version": "1.2.3" }\n');
+    commit('chore: initial commit');
+    run(['tag', 'v1.2.3']);
+
+    github = new LocalGitHubAdapter({ dir: path.join(tmpDir, '.bmad/github') });
+    await github.rest.issues.create({ title: 'Export reports' });
+    await github.rest.issues.create({ title: 'Dark mode' });
+    await github.rest.issues.create({ title: 'Release 1.3' });
+    await github.rest.issues.update({ issue_number: 1, state: 'closed' });
+
+    commit('feat(export): add CSV export (#1)');
+    commit('[DEVELOPER] [STEP-004] Developer: Implementation completed');
+    commit('[QA] [STEP-005] QA: Quality validation completed', 'Bot <bot@example.com>');
+    commit('fix: round totals, refs #2');
+
+    fs.mkdirSync(path.join(tmpDir, 'docs/planning'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'docs/planning/PRD-1.md'), '# PRD\n');
+    const journal = RunJournal.forIssue(1, path.join(tmpDir, '.github'));
+    journal.append({
+      type: 'step',
+      artifacts: [{ path: 'docs/testing/qa-report.md', type: 'QA_REPORT' }],
+    });
+    journal.append({
+      type: 'step',
+      artifacts: [
+        { path: 'docs/security/security-report.md', type: 'SECURITY_REPORT' },
+        { path: 'docs/security/security.sarif', type: 'SARIF' },
+      ],
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const plan = () => new ReleaseVersioning({ cwd: tmpDir, channel: '' }).plan();
+
+  test('lists closed issues with their reports, personas and contributors', async () => {
+    const builder = new ReleaseNotes({ octokit: github, cwd: tmpDir });
+    const notes = await builder.build(plan(), { closing: [3], generatedAt: '2026-10-19T10:00:00.000Z' });
+
+    expect(notes).toEqual(
+      expect.objectContaining({
+        version: '1.3.0',
+        tag: 'v1.3.0',
+        previousTag: 'v1.2.3',
+        repository: null,
+        stats: { commits: 4, issues: 2, personas: 2, contributors: 2 },
+      })
+    );
+    expect(
+      notes.issues.map((issue) => [issue.number, issue.state, issue.artifacts.map((a) => a.kind)])
+    ).toEqual([
+      [1, 'closed', ['PRD', 'QA', 'SECURITY']],
+      [3, 'open', []],
+    ]);
+    expect(notes.personas).toEqual([
+      { persona: 'DEVELOPER', commits: 1, steps: ['STEP-004'] },
+      { persona: 'QA', commits: 1, steps: ['STEP-005'] },
+    ]);
+    expect(notes.contributors).toEqual([
+      { name: 'Ana Dev', commits: 3, personas: ['DEVELOPER'] },
+      { name: 'Bot', commits: 1, personas: ['QA'] },
+    ]);
+
+    const markdown = ReleaseNotes.format(notes);
+    expect(markdown).toContain('_minor release · 2026-10-19 · 4 commit(s) since v1.2.3 by 2 contributor(s)_');
+    expect(markdown).toContain(
+      '- #1 Export reports — [PRD](docs/planning/PRD-1.md) · [QA report](docs/testing/qa-report.md) · [Security report](docs/security/security-report.md)'
+    );
+    expect(markdown).toContain('- #3 Release 1.3\n');
+    expect(markdown).toContain('| DEVELOPER | 1 | STEP-004 |');
+    expect(markdown).toContain('| Ana Dev | 3 | DEVELOPER |');
+    expect(markdown).toMatch(
+      /## Changes\n\n#### Features\n\n- \*\*export\*\*: add CSV export \(#1\) \([0-9a-f]{7}\)/
+    );
+    expect(builder.files(notes).map((file) => file.path)).toEqual([
+      'docs/release/release-notes.md',
+      'docs/release/release-notes.json',
+    ]);
+  });
+
+  test('reads closed issues page by page until a short page', async () => {
+    const closed = (number) => ({ number, title: `Issue ${number}`, state: 'closed', labels: [] });
+    const pages = [Array.from({ length: 100 }, (_, index) => closed(index + 100)), [closed(1)]];
+    const octokit = {
+      rest: {
+        issues: {
+          listForRepo: jest.fn(async ({ page }) => ({ data: pages[page - 1] || [] })),
+          get: jest.fn().mockResolvedValue({ data: { number: 2, state: 'open' } }),
+        },
+      },
+    };
+    const builder = new ReleaseNotes({ octokit, cwd: tmpDir, owner: 'acme', repo: 'app' });
+
+    const notes = await builder.build(plan());
+
+    const requested = octokit.rest.issues.listForRepo.mock.calls.map(([params]) => [params.page, params.per_page]);
+    expect(requested).toEqual([
+      [1, 100],
+      [2, 100],
+    ]);
+    expect(notes.issues).toHaveLength(101);
+    expect(notes.issues[0]).toEqual(expect.objectContaining({ number: 1, title: 'Issue 1' }));
+    expect(octokit.rest.issues.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('without the issues API the commit references are listed and links point at the tag', async () => {
+    const octokit = {
+      rest: {
+        issues: {
+          listForRepo: jest.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.github.com')),
+          get: jest.fn(),
+        },
+      },
+    };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const builder = new ReleaseNotes({ octokit, cwd: tmpDir, owner: 'acme', repo: 'app' });
+
+    const notes = await builder.build(plan());
+
+    expect(notes.issues.map((issue) => [issue.number, issue.state])).toEqual([
+      [1, 'unknown'],
+      [2, 'unknown'],
+    ]);
+    expect(octokit.rest.issues.get).not.toHaveBeenCalled();
+    expect(notes.issues[0].artifacts[0].url).toBe(
+      'https://github.com/acme/app/blob/v1.3.0/docs/planning/PRD-1.md'
+    );
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('ENOTFOUND'));
+    jest.restoreAllMocks();
+  });
+});
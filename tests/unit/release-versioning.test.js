@@ -0,0 +1,232 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ReleaseVersioning = require('../../scripts/lib/release-versioning');
+const ReleaseManager = require('../../personas/release-manager');
+
+describe('ReleaseVersioning', () => {
+  test('conventional and persona commit messages map to a bump and a changelog group', () => {
+    const classify = (subject, body) => {
+      const change = ReleaseVersioning.classify({ subject, body });
+      return [change.bump, change.group, change.persona, change.stepId, change.description];
+    };
+
+    expect(classify('feat(export): add CSV export')).toEqual([
+      'minor',
+      'Features',
+      null,
+      null,
+      'add CSV export',
+    ]);
+    expect(classify('fix!: drop the v1 token format')).toEqual([
+      'major',
+      'Breaking Changes',
+      null,
+      null,
+      'drop the v1 token format',
+    ]);
+    expect(classify('refactor: split the parser', 'BREAKING CHANGE: parse() is async')[0]).toBe('major');
+    expect(classify('[DEVELOPER] [STEP-004] Developer: Implementation completed')).toEqual([
+      'minor',
+      'Features',
+      'DEVELOPER',
+      'STEP-004',
+      'Developer: Implementation completed',
+    ]);
+    expect(classify('[SECURITY] [STEP-006] fix: escape report fields')[0]).toBe('patch');
+    expect(classify('[release manager-1700000000000] Release Manager: Release tag pushed')).toEqual([
+      null,
+      'Other Changes',
+      'RELEASE_MANAGER',
+      null,
+      'Release Manager: Release tag pushed',
+    ]);
+    expect(classify('Update readme')).toEqual([null, 'Other Changes', null, null, 'Update readme']);
+    expect(ReleaseVersioning.bumpType([ReleaseVersioning.classify({ subject: 'docs: typo' })])).toBe('patch');
+    expect(ReleaseVersioning.bumpType([])).toBeNull();
+  });
+
+  test('stable and prerelease increments only move forward', () => {
+    const { increment } = ReleaseVersioning;
+
+    expect(increment('1.2.3', 'patch')).toBe('1.2.4');
+    expect(increment('1.2.3', 'minor')).toBe('1.3.0');
+    expect(increment('1.2.3', 'major')).toBe('2.0.0');
+    expect(increment('1.2.3', 'minor', 'beta')).toBe('1.3.0-beta.0');
+    expect(increment('1.3.0-beta.0', 'patch', 'beta')).toBe('1.3.0-beta.1');
+    expect(increment('1.3.0-beta.1', 'minor', 'rc')).toBe('1.3.0-rc.0');
+    expect(increment('1.3.0-rc.0', 'major', 'rc')).toBe('2.0.0-rc.0');
+    expect(increment('1.3.0-rc.2', 'minor')).toBe('1.3.0');
+    expect(() => increment('1.3.0-rc.0', 'patch', 'alpha')).toThrow(/channels only move forward/);
+    expect(() => ReleaseVersioning.channel('nightly')).toThrow(/Unknown release channel/);
+    expect(() => ReleaseVersioning.parse('1.2')).toThrow(/not a semantic version/);
+  });
+});
+
+describe('ReleaseVersioning on a repository', () => {
+  let tmpDir;
+  let remote;
+  const run = (args, cwd = tmpDir) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+  const commit = (subject, body) => {
+    fs.appendFileSync(path.join(tmpDir, 'log.txt'), `${subject}\n`);
+    run(['add', '-A']);
+    run(['commit', '-q', '-m', subject, ...(body ? ['-m', body] : [])]);
+  };
+  const readJson = (file) => JSON.parse(fs.readFileSync(path.join(tmpDir, file), 'utf8'));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-release-'));
+    remote = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-release-remote-'));
+    run(['init', '-q', '--bare'], remote);
+    run(['init', '-q']);
+    run(['config', 'user.email', 'release@example.com']);
+    run(['config', 'user.name', 'Release Test']);
+    run(['config', 'commit.gpgsign', 'false']);
+    run(['config', 'core.hooksPath', '/dev/null']);
+    run(['remote', 'add', 'origin', remote]);
+    fs.writeFileSync(
+      path.join(tmpDir, 'package.json'),
+      `${JSON.stringify({ name: 'app', version: '1.2.3' }, null, 2)}\n`
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, 'package-lock.json'),
+      `${JSON.stringify({ name: 'app', version: '1.2.3', packages: { '': { name: 'app', version: '1.2.3' } } }, null, 2)}\n`
+    );
+    commit('chore: initial commit');
+    run(['tag', 'v1.2.3']);
+    commit('feat(export): add CSV export');
+    commit('[DEVELOPER] [STEP-004] fix: handle empty rows');
+    commit('[PM] [STEP-001] PM: Issue analysis completed');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.rmSync(remote, { recursive: true, force: true });
+  });
+
+  test('bumps, writes a grouped changelog, commits, tags and pushes the release', () => {
+    const versioning = new ReleaseVersioning({ cwd: tmpDir, channel: '' });
+    const plan = versioning.plan();
+
+    expect(plan).toEqual(
+      expect.objectContaining({ current: '1.2.3', next: '1.3.0', bump: 'minor', lastTag: 'v1.2.3' })
+    );
+    const result = versioning.release(plan, { date: '2026-10-19' });
+
+    expect(result.tag).toBe('v1.3.0');
+    expect(readJson('package.json').version).toBe('1.3.0');
+    expect(readJson('package-lock.json').packages[''].version).toBe('1.3.0');
+    const changelog = fs.readFileSync(path.join(tmpDir, 'CHANGELOG.md'), 'utf8');
+    expect(changelog).toMatch(
+      /## \[1\.3\.0\] - 2026-10-19\n\n### Features\n\n- \*\*export\*\*: add CSV export \([0-9a-f]{7}\)\n\n### Bug Fixes\n\n- \*\*DEVELOPER\*\* STEP-004: handle empty rows \([0-9a-f]{7}\)\n\n### Documentation\n\n- \*\*PM\*\* STEP-001: PM: Issue analysis completed/
+    );
+    expect(run(['log', '-1', '--format=%s'])).toBe('chore(release): v1.3.0');
+    expect(run(['rev-parse', 'v1.3.0^{commit}'])).toBe(result.commit);
+    expect(run(['rev-parse', 'v1.3.0^{commit}'], remote)).toBe(result.commit);
+
+    // The release commit is not a change of the next release
+    const next = versioning.plan();
+    expect(next).toEqual(expect.objectContaining({ lastTag: 'v1.3.0', next: null, changes: [] }));
+    expect(() => versioning.release(next)).toThrow(/nothing to release/);
+
+    commit('fix: round totals');
+    versioning.release(versioning.plan(), { push: false, date: '2026-10-20' });
+    const updated = fs.readFileSync(path.join(tmpDir, 'CHANGELOG.md'), 'utf8');
+    expect(updated.indexOf('## [1.3.1] - 2026-10-20')).toBeLessThan(
+      updated.indexOf('## [1.3.0] - 2026-10-19')
+    );
+  });
+
+  test('a failed push keeps the local release and says how to push it by hand', () => {
+    const versioning = new ReleaseVersioning({ cwd: tmpDir, channel: '', remote: 'missing' });
+
+    let error;
+    try {
+      versioning.release(versioning.plan(), { date: '2026-10-19' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toEqual(
+      expect.objectContaining({
+        name: 'NonRetryableError',
+        category: 'RELEASE_PUSH_FAILED',
+        message: expect.stringContaining('git push missing HEAD\n  git push missing v1.3.0'),
+      })
+    );
+    expect(run(['log', '-1', '--format=%s'])).toBe('chore(release): v1.3.0');
+    expect(run(['rev-parse', 'v1.3.0^{commit}'])).toBe(run(['rev-parse', 'HEAD']));
+    expect(run(['tag', '--list', 'v1.3.0'], remote)).toBe('');
+  });
+
+  test('prerelease channels and a failed tag leave the repository as it was', () => {
+    commit('refactor: make export async', 'BREAKING CHANGE: exportReport() returns a promise');
+    const head = run(['rev-parse', 'HEAD']);
+    const git = (args) => {
+      if (args[0] === 'tag') throw new Error('tag refused');
+      return run(args);
+    };
+    const versioning = new ReleaseVersioning({ cwd: tmpDir, channel: 'beta', git });
+    const plan = versioning.plan();
+
+    expect(plan).toEqual(
+      expect.objectContaining({ next: '2.0.0-beta.0', bump: 'major', tag: 'v2.0.0-beta.0' })
+    );
+    expect(() => versioning.release(plan)).toThrow(/Could not create release v2.0.0-beta.0: tag refused/);
+    expect(run(['rev-parse', 'HEAD'])).toBe(head);
+    expect(run(['status', '--porcelain'])).toBe('');
+    expect(readJson('package.json').version).toBe('1.2.3');
+    expect(fs.existsSync(path.join(tmpDir, 'CHANGELOG.md'))).toBe(false);
+  });
+
+  test('the Release Manager tags the computed version and reports the changelog', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const written = new Map();
+    const releaseManager = new ReleaseManager('token');
+    releaseManager.versioning = new ReleaseVersioning({ cwd: tmpDir, channel: 'rc' });
+    releaseManager.updateActiveContext = jest.fn();
+    releaseManager.octokit = {
+      rest: {
+        issues: {
+          get: jest.fn().mockResolvedValue({ data: { number: 23, title: 'Release' } }),
+          createComment: jest.fn().mockResolvedValue({}),
+          update: jest.fn().mockResolvedValue({}),
+          listForRepo: jest.fn().mockResolvedValue({ data: [] }),
+        },
+        repos: {
+          createRelease: jest.fn().mockResolvedValue({ data: {} }),
+          getContent: jest.fn().mockRejectedValue(new Error('Not Found')),
+          createOrUpdateFileContents: jest.fn(async ({ path: file, content }) => {
+            written.set(file, Buffer.from(content, 'base64').toString('utf8'));
+          }),
+        },
+      },
+    };
+
+    try {
+      await releaseManager.run({ issueNumber: 23, phase: 'Release' });
+    } finally {
+      jest.restoreAllMocks();
+    }
+
+    expect(run(['tag', '--list', 'v1.3.0-rc.0'], remote)).toBe('v1.3.0-rc.0');
+    const report = written.get('docs/release/release-report.md');
+    expect(report).toContain('- **Type**: minor (rc)');
+    expect(report).toContain('- **Commits since v1.2.3**: 3');
+    expect(report).toContain('- **Tag**: v1.3.0-rc.0');
+    expect(report).toContain('### Features');
+    expect(report).toContain('- **Personas**: DEVELOPER, PM');
+    expect(releaseManager.octokit.rest.repos.createRelease).toHaveBeenCalledWith(
+      expect.objectContaining({
+        tag_name: 'v1.3.0-rc.0',
+        prerelease: true,
+        body: expect.stringContaining('## Issues Closed (1)'),
+      })
+    );
+    const notes = JSON.parse(run(['show', 'v1.3.0-rc.0:docs/release/release-notes.json']));
+    expect(notes.issues.map((issue) => issue.number)).toEqual([23]);
+    expect(releaseManager.octokit.rest.issues.createComment.mock.calls[0][0].body).toContain(
+      '**Tag**: v1.3.0-rc.0'
+    );
+  });
+});
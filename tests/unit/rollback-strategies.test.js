@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const HandoverState = require('../../scripts/lib/handover-state');
+const RollbackStrategies = require('../../scripts/lib/rollback-strategies');
+const RunJournal = require('../../scripts/lib/run-journal');
+
+describe('RollbackStrategies', () => {
+  let tmpDir;
+  const run = (args) => execFileSync('git', args, { cwd: tmpDir, encoding: 'utf8' }).trim();
+  const commit = (file, content, subject) => {
+    fs.writeFileSync(path.join(tmpDir, file), content);
+    run(['add', '-A']);
+    run(['commit', '-q', '-m', subject]);
+    return run(['rev-parse', 'HEAD']);
+  };
+  const read = (file) => fs.readFileSync(path.join(tmpDir, file), 'utf8');
+  const worktrees = () => run(['worktree', 'list', '--porcelain']).match(/^worktree /gm).length;
+  const strategies = (options = {}) =>
+    new RollbackStrategies({ cwd: tmpDir, stateDir: '.github', strategy: 'auto', ...options });
+  const journal = (issueNumber) => RunJournal.forIssue(issueNumber, path.join(tmpDir, '.github'));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-rollback-'));
+    run(['init', '-q', '-b', 'main']);
+    run(['config', 'user.email', 'recovery@example.com']);
+    run(['config', 'user.name', 'Recovery Test']);
+    run(['config', 'commit.gpgsign', 'false']);
+    run(['config', 'core.hooksPath', '/dev/null']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('reverts the failing range on a worktree first, then fast-forwards the branch', async () => {
+    const good = commit('app.js', 'v1\n', 'feat: first version');
+    const second = commit('app.js', 'v2\n', 'feat: second version');
+    const third = commit('util.js', 'broken\n', 'feat: add util');
+    const rollback = strategies({ verifyCommand: 'test ! -f util.js && grep -q v1 app.js' });
+
+    const record = await rollback.recover(
+      { issueNumber: 7, ci: { failedCommits: [third, second], lastGoodCommit: good } },
+      { message: '[RECOVERY] [STEP-100] Revert 2 commits failing CI' }
+    );
+
+    expect(record.decision).toEqual(
+      expect.objectContaining({
+        strategy: 'revert-range',
+        reason: `2 commit(s) failing CI since ${good.slice(0, 7)}`,
+      })
+    );
+    expect(record.simulation).toEqual(
+      expect.objectContaining({ ok: true, base: third, verify: { command: expect.any(String), exitCode: 0 } })
+    );
+    expect(record.outcome).toEqual({ status: 'applied', applied: true, commit: record.simulation.commit });
+    expect(run(['rev-parse', 'HEAD'])).toBe(record.simulation.commit);
+    expect(run(['log', '-1', '--format=%s'])).toBe('[RECOVERY] [STEP-100] Revert 2 commits failing CI');
+    expect(read('app.js')).toBe('v1\n');
+    expect(fs.existsSync(path.join(tmpDir, 'util.js'))).toBe(false);
+    expect(worktrees()).toBe(1);
+    expect(journal(7).entries().pop()).toEqual(
+      expect.objectContaining({ type: 'recovery', strategy: 'revert-range', commits: [third, second] })
+    );
+    expect(RunJournal.format(journal(7).entries())).toContain('🩹 recovery revert-range applied');
+  });
+
+  test('reverts a merge against its mainline even when the merged feature tip was green', async () => {
+    commit('app.js', 'v1\n', 'feat: first version');
+    run(['checkout', '-q', '-b', 'feature']);
+    const featureTip = commit('feature.js', 'feature\n', 'feat: feature work');
+    run(['checkout', '-q', 'main']);
+    const mainTip = commit('app.js', 'v2\n', 'fix: main work');
+    run(['merge', '-q', '--no-ff', '-m', 'Merge feature', 'feature']);
+    const merge = run(['rev-parse', 'HEAD']);
+    const rollback = strategies();
+
+    const decision = rollback.decide({ ci: { failedCommits: [merge], lastGoodCommit: featureTip } });
+    expect(decision.strategy).toBe('revert-merge');
+    expect(decision.commits[0]).toEqual(expect.objectContaining({ sha: merge, mainline: 1 }));
+    expect(
+      RollbackStrategies.format({
+        decision,
+        simulation: { ok: true, base: merge },
+        outcome: { status: 'applied' },
+      })
+    ).toContain(`(merge, mainline parent 1: \`${mainTip.slice(0, 7)}\`)`);
+
+    const record = await rollback.recover({}, { decision });
+    expect(record.outcome.status).toBe('applied');
+    expect(fs.existsSync(path.join(tmpDir, 'feature.js'))).toBe(false);
+    expect(read('app.js')).toBe('v2\n');
+  });
+
+  test('a merge off the first-parent line is reverted against the parent that is on it', async () => {
+    commit('app.js', 'v1\n', 'feat: first version');
+    run(['checkout', '-q', '-b', 'feature']);
+    commit('feature.js', 'feature\n', 'feat: feature work');
+    run(['checkout', '-q', 'main']);
+    const mainTip = commit('app.js', 'v2\n', 'fix: main work');
+    run(['checkout', '-q', 'feature']);
+    run(['merge', '-q', '--no-ff', '-m', 'Merge main into feature', 'main']);
+    const sync = run(['rev-parse', 'HEAD']);
+    run(['checkout', '-q', 'main']);
+    run(['merge', '-q', '--no-ff', '-m', 'Merge feature', 'feature']);
+
+    const decision = strategies().decide({ ci: { failedCommits: [sync] } });
+    expect(decision.commits[0]).toEqual(
+      expect.objectContaining({ sha: sync, mainline: 2, parents: [expect.any(String), mainTip] })
+    );
+
+    const record = await strategies().recover({}, { decision });
+    expect(record.outcome.status).toBe('applied');
+    expect(fs.existsSync(path.join(tmpDir, 'feature.js'))).toBe(false);
+    expect(read('app.js')).toBe('v2\n');
+  });
+
+  test('a failed simulation falls back to fix-forward without touching the branch', async () => {
+    const good = commit('app.js', 'v1\n', 'feat: first version');
+    const bad = commit('app.js', 'v2\n', 'feat: second version');
+    commit('app.js', 'v3\n', 'feat: third version');
+    const head = run(['rev-parse', 'HEAD']);
+
+    const conflict = await strategies().recover({ ci: { failedCommits: [bad], lastGoodCommit: good } });
+    expect(conflict.simulation.ok).toBe(false);
+    expect(conflict.outcome).toEqual({
+      status: 'simulation-failed',
+      error: expect.stringContaining('Command failed'),
+    });
+    expect(conflict.fallback).toEqual(
+      expect.objectContaining({
+        strategy: 'fix-forward',
+        reason: expect.stringContaining('revert-range failed on the worktree'),
+      })
+    );
+
+    const verify = await strategies({ verifyCommand: 'exit 3' }).recover({ ci: { failedCommits: [head] } });
+    expect(verify.outcome).toEqual({ status: 'simulation-failed', error: 'exit 3 exited with 3' });
+    expect(RollbackStrategies.format(verify)).toContain('- **Fallback**: fix-forward');
+
+    expect(run(['rev-parse', 'HEAD'])).toBe(head);
+    expect(run(['status', '--porcelain'])).toBe('');
+    expect(worktrees()).toBe(1);
+  });
+
+  test('restores the handover recorded before the failed step', async () => {
+    commit('app.js', 'v1\n', 'feat: first version');
+    const handover = (persona, phase) => ({ ...HandoverState.initial(5), persona, phase });
+    journal(5).append({
+      type: 'step',
+      status: 'completed',
+      input: { phase: 'Planning', handover: handover('PM', 'Planning') },
+      action: { persona: 'ARCHITECT', nextPhase: 'Architecture' },
+    });
+    journal(5).append({
+      type: 'step',
+      status: 'failed',
+      input: { phase: 'Architecture', handover: handover('ARCHITECT', 'Architecture') },
+      action: { persona: 'DEVELOPER', nextPhase: 'Implementation' },
+    });
+    const contextManager = { read: jest.fn(() => null), write: jest.fn() };
+
+    const record = await strategies({ contextManager }).recover({
+      issueNumber: 5,
+      ci: { failed: false },
+      errorContext: { persona: 'DEVELOPER', errorMessage: 'tests failed' },
+    });
+
+    expect(record.decision).toEqual(
+      expect.objectContaining({
+        strategy: 'restore-handover',
+        reason: 'DEVELOPER failed (tests failed); restoring the handover before "Implementation"',
+      })
+    );
+    expect(record.outcome).toEqual({
+      status: 'applied',
+      applied: true,
+      handover: '.github/handovers/BMAD_HANDOVER-5.md',
+      phase: 'Implementation',
+    });
+    const [file, content] = contextManager.write.mock.calls[0];
+    expect(file).toBe(path.join(tmpDir, '.github/handovers/BMAD_HANDOVER-5.md'));
+    expect(HandoverState.parse(content).state).toEqual(expect.objectContaining({ persona: 'ARCHITECT' }));
+    const state = JSON.parse(read('.github/workflow-state-5.json'));
+    expect(state).toEqual(expect.objectContaining({ stepId: 'Implementation', status: 'running' }));
+    expect(RollbackStrategies.format(record)).toContain(
+      '- **Handover snapshot**: journal entry #2, before "Implementation" (failed)'
+    );
+  });
+
+  test('forced strategies fall back to fix-forward when they do not apply', () => {
+    const head = commit('app.js', 'v1\n', 'feat: first version');
+
+    expect(() => RollbackStrategies.strategy('reset-hard')).toThrow(/Unknown recovery strategy/);
+    expect(strategies().decide({ ci: { failed: false } })).toBeNull();
+    expect(strategies({ strategy: 'revert-merge' }).decide({ ci: { failedCommits: [head] } })).toEqual(
+      expect.objectContaining({
+        strategy: 'fix-forward',
+        forced: true,
+        reason: 'revert-merge is not applicable (nothing to apply it to)',
+      })
+    );
+    expect(strategies().decide({ ci: { failedCommits: ['0'.repeat(40)] } })).toEqual(
+      expect.objectContaining({
+        strategy: 'fix-forward',
+        reason: expect.stringContaining('not found locally'),
+      })
+    );
+  });
+});
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunJournal = require('../../scripts/lib/run-journal');
+const HandoverState = require('../../scripts/lib/handover-state');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+
+const ISSUE = 42;
+
+describe('RunJournal', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-journal-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('appends numbered lines and reports corrupt ones', () => {
+    const journal = RunJournal.forIssue(ISSUE, tmpDir);
+    journal.append({ type: 'step', status: 'completed' });
+    journal.append({ type: 'step', status: 'failed' });
+
+    expect(journal.file).toBe(path.join(tmpDir, 'runs', `issue-${ISSUE}.jsonl`));
+    expect(journal.entries().map((entry) => [entry.seq, entry.status])).toEqual([
+      [1, 'completed'],
+      [2, 'failed'],
+    ]);
+
+    fs.appendFileSync(journal.file, '{"truncated":\n');
+    expect(() => journal.entries()).toThrow(expect.objectContaining({ category: 'RUN_JOURNAL_CORRUPT' }));
+  });
+});
+
+describe('BMADOrchestrator run journal and replay', () => {
+  let tmpDir;
+  let files;
+  let executed;
+  let failPhase;
+
+  const developerResult = {
+    persona: 'developer',
+    status: 'completed',
+    artifacts: [{ path: 'src/export.js', type: 'SOURCE' }],
+    nextSteps: [],
+    summary: 'CSV export implemented',
+  };
+
+  const createOrchestrator = () => {
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, null, { stateDir: tmpDir });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (files.has(file) ? files.get(file) : null)),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    orchestrator.errorRecoveryManager = {
+      escalateToRecovery: jest.fn().mockResolvedValue({ status: 'suspended' }),
+      retryOperation: jest.fn(),
+    };
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+      number: ISSUE,
+      title: 'Export reports',
+      labels: [{ name: 'enhancement' }],
+    });
+    jest.spyOn(orchestrator, 'executePersona').mockImplementation(async (action, issueNumber, runtime) => {
+      executed.push({ persona: action.persona, previousOutput: runtime.previousOutput });
+      if (action.nextPhase === failPhase) throw new Error(`${action.persona} crashed`);
+      return {
+        status: 'completed',
+        artifacts: [{ path: `docs/${action.persona}-${ISSUE}.md`, type: 'DOC' }],
+        nextSteps: [],
+        summary: `${action.nextPhase} done`,
+      };
+    });
+    return orchestrator;
+  };
+
+  const handover = () => HandoverState.parse(files.get(HandoverState.pathFor(ISSUE))).state;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-replay-'));
+    files = new Map([
+      [
+        HandoverState.pathFor(ISSUE),
+        HandoverState.render({
+          ...HandoverState.initial(ISSUE),
+          persona: 'DEVELOPER',
+          phase: 'Implementation',
+          lastResult: developerResult,
+        }),
+      ],
+    ]);
+    executed = [];
+    failPhase = 'Security Review';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('journals inputs, action, gates and artifacts of every step, including failures', async () => {
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(true);
+    await expect(createOrchestrator().orchestrate(ISSUE)).rejects.toThrow('security crashed');
+
+    const [qa, security] = RunJournal.forIssue(ISSUE, tmpDir).entries();
+    expect(qa).toEqual(
+      expect.objectContaining({
+        seq: 1,
+        type: 'step',
+        status: 'completed',
+        input: expect.objectContaining({
+          phase: 'Implementation',
+          persona: 'DEVELOPER',
+          issueType: 'FEATURE',
+          handover: expect.objectContaining({ lastResult: developerResult }),
+        }),
+        action: expect.objectContaining({ persona: 'qa', nextPhase: 'Quality Assurance', workflow: 'FEATURE' }),
+        gates: { transition: { allowed: true }, gatekeeper: { gate: 'PASS' } },
+        artifacts: [{ path: `docs/qa-${ISSUE}.md`, type: 'DOC' }],
+      })
+    );
+    expect(security).toEqual(
+      expect.objectContaining({
+        seq: 2,
+        status: 'failed',
+        action: expect.objectContaining({ persona: 'security', nextPhase: 'Security Review' }),
+        error: 'security crashed',
+      })
+    );
+  });
+
+  test('replay restores handover and state to before the phase and continues from there', async () => {
+    await createOrchestrator().orchestrate(ISSUE);
+    await createOrchestrator().orchestrate(ISSUE).catch(() => null);
+    expect(handover().phase).toBe('Quality Assurance');
+    failPhase = null;
+    executed = [];
+
+    const orchestrator = createOrchestrator();
+    const { entry } = await orchestrator.replayFromPhase(ISSUE, 'quality assurance');
+
+    expect(entry.seq).toBe(1);
+    expect(handover()).toEqual(
+      expect.objectContaining({ persona: 'DEVELOPER', phase: 'Implementation', lastResult: developerResult })
+    );
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, `workflow-state-${ISSUE}.json`), 'utf8'));
+    expect(stored).toEqual(
+      expect.objectContaining({
+        status: 'running',
+        stepId: 'Quality Assurance',
+        context: expect.objectContaining({ replay: { fromPhase: 'Quality Assurance', replayOf: 1 } }),
+      })
+    );
+
+    await expect(orchestrator.orchestrate(ISSUE)).resolves.toBe(true);
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(true);
+
+    expect(executed).toEqual([
+      { persona: 'qa', previousOutput: developerResult },
+      expect.objectContaining({ persona: 'security' }),
+    ]);
+    expect(
+      RunJournal.forIssue(ISSUE, tmpDir)
+        .entries()
+        .map((journaled) => [journaled.type, journaled.status || journaled.fromPhase])
+    ).toEqual([
+      ['step', 'completed'],
+      ['step', 'failed'],
+      ['replay', 'Quality Assurance'],
+      ['step', 'completed'],
+      ['step', 'completed'],
+    ]);
+  });
+
+  test('replay refuses phases that never ran', async () => {
+    await createOrchestrator().orchestrate(ISSUE);
+
+    await expect(createOrchestrator().replayFromPhase(ISSUE, 'Release Management')).rejects.toThrow(
+      expect.objectContaining({
+        category: 'REPLAY_PHASE_NOT_FOUND',
+        message: expect.stringContaining('journaled: Quality Assurance'),
+      })
+    );
+    expect(handover().phase).toBe('Quality Assurance');
+  });
+});
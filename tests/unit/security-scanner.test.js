@@ -0,0 +1,221 @@
+/* global AbortController */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityScanner = require('../../scripts/lib/security-scanner');
+const Security = require('../../personas/security');
+
+// Built at runtime so no credential-shaped literal lives in the repository
+const githubToken = `ghp_${'a1B2'.repeat(9)}`;
+
+const files = [
+  {
+    path: 'src/config.js',
+    content: [
+      `const client = new Client('${githubToken}');`,
+      "const apiKey = 'k3y-9f8e7d6c5b4a';",
+      "const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-me';",
+      "const tokenHeader = 'GITHUB_TOKEN';",
+      "const PORT = process.env.PORT || '3000';",
+    ].join('\n'),
+  },
+  {
+    path: 'scripts/tasks.js',
+    content: [
+      '// eval(userInput) in a comment is not code',
+      'const value = eval(expression);',
+      'execSync(`git log ${branch}`);',
+      "execSync('npx eslint ' + files.join(' '));",
+      "execSync('npm test', { stdio: 'pipe' });",
+      '// bmad-security-ignore BMAD-SEC004',
+      'execSync(`git checkout ${sha}`);',
+    ].join('\n'),
+  },
+];
+
+const audit = {
+  available: true,
+  result: {
+    vulnerabilities: {
+      lodash: {
+        severity: 'moderate',
+        range: '<4.17.21',
+        via: [{ title: 'Prototype Pollution in lodash' }],
+        fixAvailable: true,
+      },
+    },
+  },
+};
+
+describe('SecurityScanner', () => {
+  const scanner = new SecurityScanner({ cwd: os.tmpdir(), audit: null });
+
+  test('flags secrets, weak secret defaults, eval, interpolated shell commands and audit advisories', () => {
+    const report = scanner.build({ files, audit });
+
+    expect(report.findings.map((finding) => [finding.severity, finding.ruleId, `${finding.path}:${finding.line}`])).toEqual([
+      ['critical', 'BMAD-SEC001', 'src/config.js:1'],
+      ['critical', 'BMAD-SEC001', 'src/config.js:2'],
+      ['high', 'BMAD-SEC003', 'scripts/tasks.js:2'],
+      ['high', 'BMAD-SEC002', 'src/config.js:3'],
+      ['medium', 'BMAD-SEC005', 'package.json:1'],
+      ['medium', 'BMAD-SEC004', 'scripts/tasks.js:3'],
+      ['medium', 'BMAD-SEC004', 'scripts/tasks.js:4'],
+    ]);
+    expect(report.findings[3].message).toBe('JWT_SECRET defaults to the hard-coded value "default-secret-change-me"');
+    expect(report.findings[4].message).toBe('lodash@<4.17.21: Prototype Pollution in lodash (fix available)');
+    expect(report.suppressed).toBe(1);
+    expect(report.summary).toEqual({ low: 0, medium: 3, high: 2, critical: 2, total: 7 });
+    expect(SecurityScanner.owasp(report)).toEqual({
+      'A02 Cryptographic Failures': 3,
+      'A03 Injection': 3,
+      'A06 Vulnerable and Outdated Components': 1,
+    });
+  });
+
+  test('the gate blocks at the configured severity and the SARIF log carries every finding', () => {
+    const report = scanner.build({ files: [files[1]] });
+
+    expect(SecurityScanner.evaluate(report, SecurityScanner.failOn(undefined))).toEqual(
+      expect.objectContaining({ failOn: 'high', verdict: 'FAIL', blocking: 1 })
+    );
+    expect(SecurityScanner.evaluate(report, SecurityScanner.failOn('critical')).verdict).toBe('CONCERNS');
+    expect(SecurityScanner.evaluate(report, SecurityScanner.failOn('off')).verdict).toBe('CONCERNS');
+    expect(SecurityScanner.evaluate(scanner.build({}), 'low')).toEqual(
+      expect.objectContaining({ verdict: 'PASS', summary: 'Security: no findings in 0 file(s)' })
+    );
+    expect(report.audit).toEqual({ available: false, reason: 'disabled (BMAD_SECURITY_AUDIT=off)' });
+
+    const sarif = SecurityScanner.toSarif(report);
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs[0].tool.driver.rules.map((rule) => rule.id)).toEqual(SecurityScanner.RULES.map((rule) => rule.id));
+    expect(sarif.runs[0].results[0]).toEqual(
+      expect.objectContaining({
+        ruleId: 'BMAD-SEC003',
+        level: 'error',
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: 'scripts/tasks.js' },
+              region: { startLine: 2, startColumn: 15 },
+            },
+          },
+        ],
+      })
+    );
+    expect(sarif.runs[0].results[1].level).toBe('warning');
+  });
+
+  test('npm audit runs asynchronously and stops with the persona abort signal', async () => {
+    const controller = new AbortController();
+    const runAudit = jest.fn().mockResolvedValue(audit);
+    const report = await new SecurityScanner({ cwd: os.tmpdir(), dirs: [], audit: runAudit }).collect({
+      signal: controller.signal,
+    });
+    expect(runAudit).toHaveBeenCalledWith(os.tmpdir(), { signal: controller.signal });
+    expect(report.audit).toEqual({ available: true, reason: null });
+
+    controller.abort();
+    const started = Date.now();
+    await expect(SecurityScanner.npmAudit(os.tmpdir(), { signal: controller.signal })).resolves.toEqual({
+      available: false,
+      reason: 'npm audit aborted',
+    });
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+});
+
+describe('Security persona', () => {
+  const cwd = process.cwd();
+  const env = { ...process.env };
+  let tmpDir;
+  let security;
+  let written;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-security-'));
+    process.chdir(tmpDir);
+    fs.mkdirSync('src/utils', { recursive: true });
+    fs.writeFileSync(
+      'src/utils/jwt.util.js',
+      "const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-me';\nmodule.exports = { JWT_SECRET };\n"
+    );
+    process.env.BMAD_SECURITY_AUDIT = 'off';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    security = new Security('token');
+    written = new Map();
+    security.octokit = {
+      rest: {
+        issues: {
+          get: jest.fn().mockResolvedValue({ data: { number: 22, title: 'Security Review: Export reports' } }),
+          create: jest.fn().mockResolvedValue({ data: { number: 99 } }),
+        },
+        repos: {
+          getContent: jest.fn().mockRejectedValue(new Error('Not Found')),
+          createOrUpdateFileContents: jest.fn(async ({ path: file, content }) => {
+            written.set(file, Buffer.from(content, 'base64').toString('utf8'));
+          }),
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('a weak JWT default requests changes and writes the SARIF log', async () => {
+    const result = await security.run({ issueNumber: 22, phase: 'Security Review' });
+
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: 'blocked',
+        verdict: 'FAIL',
+        error: 'Security: 1 finding(s) (1 high)',
+        artifacts: [
+          { path: 'docs/security/security-report.md', type: 'SECURITY_REPORT' },
+          { path: 'docs/security/security.sarif', type: 'SARIF' },
+        ],
+      })
+    );
+    expect(JSON.parse(written.get('docs/security/security.sarif')).runs[0].results[0].locations[0]).toEqual({
+      physicalLocation: { artifactLocation: { uri: 'src/utils/jwt.util.js' }, region: { startLine: 1, startColumn: 20 } },
+    });
+    const report = written.get('docs/security/security-report.md');
+    expect(report).toContain('| high | BMAD-SEC002 weak-secret-default | `src/utils/jwt.util.js:1` |');
+    expect(report).toContain('- **OWASP A02 Cryptographic Failures**: 1 finding(s)');
+    expect(report).toContain('1. Fail at startup when a secret variable is unset instead of falling back to a default');
+    expect(report).toContain('❌ Changes requested: 1 finding(s) at or above high severity');
+    expect(security.octokit.rest.issues.create).not.toHaveBeenCalled();
+  });
+
+  test('an execution aborted during the scan stops before writing the report', async () => {
+    const controller = new AbortController();
+    const collect = SecurityScanner.prototype.collect;
+    jest.spyOn(SecurityScanner.prototype, 'collect').mockImplementation(async function (options) {
+      controller.abort(new Error('workflow budget exceeded'));
+      return collect.call(this, options);
+    });
+
+    await expect(
+      security.run({ issueNumber: 22, phase: 'Security Review', signal: controller.signal })
+    ).rejects.toEqual(expect.objectContaining({ category: 'PERSONA_ABORTED' }));
+    expect(SecurityScanner.prototype.collect).toHaveBeenCalledWith({ signal: controller.signal });
+    expect(written.size).toBe(0);
+  });
+
+  test('findings below the blocking severity approve with concerns and hand over to DevOps', async () => {
+    process.env.BMAD_SECURITY_FAIL_ON = 'critical';
+
+    const result = await security.run({ issueNumber: 22, phase: 'Security Review' });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'completed', verdict: 'CONCERNS' }));
+    expect(written.get('docs/security/security-report.md')).toContain('⚠️ Approved with concerns');
+    expect(security.octokit.rest.issues.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const EventBus = require('../../scripts/lib/event-bus');
+const IssueScheduler = require('../../scripts/lib/issue-scheduler');
+const SubIssueGraph = require('../../scripts/lib/sub-issue-graph');
+const Architect = require('../../personas/architect');
+const EnhancedBMADWorkflow = require('../../scripts/bmad/bmad-workflow-enhanced');
+
+const PARENT = 40;
+
+const PLAN = `# Master Plan
+
+## Roadmap
+- [ ] AUD-1: Harden input validation
+- [ ] AUD-3: Document the export API (blocked by AUD-1, AUD-2)
+- [x] **AUD-2**: Add export API (blocked by AUD-1)
+- Not a roadmap item
+`;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('SubIssueGraph', () => {
+  test('parses roadmap items and orders them blockers first', () => {
+    const items = SubIssueGraph.parsePlan(PLAN);
+    expect(items).toEqual([
+      { key: 'AUD-1', title: 'Harden input validation', blockedBy: [] },
+      { key: 'AUD-3', title: 'Document the export API', blockedBy: ['AUD-1', 'AUD-2'] },
+      { key: 'AUD-2', title: 'Add export API', blockedBy: ['AUD-1'] },
+    ]);
+    expect(SubIssueGraph.sort(new Map(items.map((item) => [item.key, item.blockedBy])), PARENT)).toEqual([
+      'AUD-1',
+      'AUD-2',
+      'AUD-3',
+    ]);
+    expect(SubIssueGraph.parseBlockers('Intro\n**Blocked by:** #12, #13\nDepends on #12')).toEqual([12, 13]);
+  });
+
+  test('rejects cycles and unknown blockers', () => {
+    const graph = new SubIssueGraph({ parent: PARENT })
+      .add(41, { blockedBy: [43] })
+      .add(42, { blockedBy: [41] })
+      .add(43, { blockedBy: [42] })
+      .add(44);
+    expect(() => graph.validate()).toThrow(
+      expect.objectContaining({
+        category: 'SUB_ISSUE_GRAPH_INVALID',
+        message: 'Sub-issues of #40: dependency cycle between 41, 42, 43',
+        cycle: [41, 42, 43],
+      })
+    );
+    expect(() => new SubIssueGraph({ parent: PARENT }).add(41, { blockedBy: [99] }).validate()).toThrow(
+      '41 is blocked by unknown sub-issue(s) 99'
+    );
+  });
+});
+
+describe('IssueScheduler.scheduleGraph', () => {
+  const graph = () =>
+    new SubIssueGraph({ parent: PARENT })
+      .add(41)
+      .add(42, { blockedBy: [41] })
+      .add(43, { blockedBy: [41] })
+      .add(44, { blockedBy: [42, 43] })
+      .add(45);
+
+  test('starts a child only after its blockers completed and blocks the dependents of a failure', async () => {
+    const started = [];
+    const scheduler = new IssueScheduler({
+      concurrency: 3,
+      runIssue: async (issueNumber) => {
+        started.push(issueNumber);
+        await tick();
+        if (issueNumber === 43) throw new Error('tests failed');
+        return `done-${issueNumber}`;
+      },
+    });
+    const subIssues = graph();
+    const updates = [];
+
+    const results = await scheduler.scheduleGraph(subIssues, {
+      onUpdate: (child, current) => updates.push(`${child.issueNumber}:${child.status}:${current.rollup().status}`),
+    });
+
+    expect(started).toEqual([41, 45, 42, 43]);
+    expect(results.map(({ issueNumber, status }) => [issueNumber, status])).toEqual([
+      [41, 'fulfilled'],
+      [42, 'fulfilled'],
+      [43, 'rejected'],
+      [44, 'blocked'],
+      [45, 'fulfilled'],
+    ]);
+    expect(subIssues.get(44)).toEqual(expect.objectContaining({ status: 'blocked', reason: 'blocked by #43 (failed)' }));
+    expect(updates).toEqual(expect.arrayContaining(['41:running:running', '44:blocked:blocked']));
+    expect(subIssues.rollup()).toEqual({
+      parent: PARENT,
+      status: 'blocked',
+      total: 5,
+      counts: { pending: 0, running: 0, completed: 3, failed: 1, blocked: 1 },
+    });
+  });
+
+  test('a re-run skips completed children and retries the rest', async () => {
+    const subIssues = graph();
+    [41, 42, 45].forEach((issueNumber) => subIssues.setStatus(issueNumber, 'completed'));
+    subIssues.setStatus(43, 'failed', { reason: 'tests failed' });
+    subIssues.setStatus(44, 'blocked', { reason: 'blocked by #43 (failed)' });
+    const runIssue = jest.fn(async () => 'ok');
+
+    const results = await new IssueScheduler({ runIssue }).scheduleGraph(subIssues.resetUnfinished());
+
+    expect(runIssue.mock.calls.map(([issueNumber]) => issueNumber)).toEqual([43, 44]);
+    expect(results[0]).toEqual({ issueNumber: 41, status: 'completed', skipped: true });
+    expect(subIssues.rollup().status).toBe('completed');
+    expect(subIssues.get(43)).not.toHaveProperty('reason', 'tests failed');
+  });
+});
+
+describe('AUDIT sub-issues end to end', () => {
+  const cwd = process.cwd();
+  const env = { ...process.env };
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-sub-issues-'));
+    process.chdir(tmpDir);
+    fs.mkdirSync('docs/planning', { recursive: true });
+    fs.writeFileSync('docs/planning/MASTER_PLAN.md', PLAN);
+    process.env.BMAD_EVENT_LOG = path.join(tmpDir, 'events.jsonl');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('the Architect creates blockers first and a retried breakdown does not duplicate issues', async () => {
+    const architect = new Architect();
+    let next = 41;
+    const create = jest.fn(async () => ({ data: { number: next++ } }));
+    architect.octokit = { rest: { issues: { create } } };
+
+    const result = await architect.run({ issueNumber: PARENT, phase: 'Audit Breakdown', prompt: 'AUDIT_MODE' });
+
+    expect(create.mock.calls.map(([issue]) => issue.title)).toEqual([
+      '[Architect] AUD-1: Harden input validation',
+      '[Architect] AUD-2: Add export API',
+      '[Architect] AUD-3: Document the export API',
+    ]);
+    expect(create.mock.calls[2][0].body).toContain('Blocked by: #41, #42');
+    expect(result.artifacts).toEqual([{ path: path.join('.github', `sub-issues-${PARENT}.json`), type: 'SUB_ISSUE_GRAPH' }]);
+
+    const stored = SubIssueGraph.forParent(PARENT).toJSON();
+    expect(stored.children.map(({ issueNumber, key, blockedBy, blocks }) => ({ issueNumber, key, blockedBy, blocks }))).toEqual([
+      { issueNumber: 41, key: 'AUD-1', blockedBy: [], blocks: [42, 43] },
+      { issueNumber: 42, key: 'AUD-2', blockedBy: [41], blocks: [43] },
+      { issueNumber: 43, key: 'AUD-3', blockedBy: [41, 42], blocks: [] },
+    ]);
+
+    await architect.run({ issueNumber: PARENT, phase: 'Audit Breakdown' });
+    expect(create).toHaveBeenCalledTimes(3);
+
+    fs.writeFileSync('docs/planning/MASTER_PLAN.md', '- [ ] AUD-1: A (blocked by AUD-2)\n- [ ] AUD-2: B (blocked by AUD-1)\n');
+    await expect(architect.run({ issueNumber: 50, phase: 'Audit Breakdown' })).rejects.toThrow(
+      expect.objectContaining({ category: 'SUB_ISSUE_GRAPH_INVALID' })
+    );
+    expect(create).toHaveBeenCalledTimes(3);
+  });
+
+  test('the parent runs its children, rolls their status up and the dashboard shows the dependencies', async () => {
+    new SubIssueGraph({ parent: PARENT })
+      .add(41, { key: 'AUD-1', title: 'Harden input validation' })
+      .add(42, { key: 'AUD-2', title: 'Add export API', blockedBy: [41] })
+      .save();
+    const workflow = Object.create(EnhancedBMADWorkflow.prototype);
+    workflow.eventBus = EventBus.fromEnv({ source: 'workflow' });
+    workflow.github = { rest: { issues: { createComment: jest.fn().mockResolvedValue({}) } } };
+    workflow.saveState = jest.fn();
+    workflow.logWorkflow = jest.fn();
+    workflow.runSubIssue = jest.fn(async (issueNumber) => {
+      if (issueNumber === 42) throw new Error('Issue #42 ended suspended');
+    });
+    const state = { issueNumber: PARENT, status: 'running' };
+
+    const rollup = await workflow.runSubIssues(SubIssueGraph.forParent(PARENT), state);
+
+    expect(rollup).toEqual(expect.objectContaining({ status: 'blocked', counts: expect.objectContaining({ completed: 1, failed: 1 }) }));
+    expect(state).toEqual(expect.objectContaining({ status: 'blocked', subIssues: rollup }));
+    expect(workflow.saveState).toHaveBeenCalledWith(state);
+    expect(workflow.github.rest.issues.createComment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        issue_number: PARENT,
+        body: expect.stringContaining('| #42 Add export API | failed (Issue #42 ended suspended) | #41 |'),
+      })
+    );
+    const events = EventBus.readLog(process.env.BMAD_EVENT_LOG).events;
+    expect(events.map((event) => event.type)).toEqual([
+      'sub-issues-scheduled',
+      'sub-issue-updated',
+      'sub-issue-updated',
+      'sub-issue-updated',
+      'sub-issue-updated',
+    ]);
+    expect(events[0].payload).toEqual({ parent: PARENT, order: [41, 42] });
+
+    jest.resetModules();
+    const app = express();
+    app.use('/api', require('../../src/routes/orchestration.routes'));
+    const { body } = await request(app).get('/api/tasks/42');
+    expect(body).toEqual(
+      expect.objectContaining({
+        title: 'Add export API',
+        status: 'blocked',
+        dependencies: [41],
+        blockers: [],
+        parentIssue: PARENT,
+        issueNumber: 42,
+      })
+    );
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TraceabilityMatrix = require('../../scripts/lib/traceability-matrix');
+const QA = require('../../personas/qa');
+const { validPrd, validSpec } = require('../mocks/bmad-mocks');
+
+const ISSUE = 18;
+
+const codeFiles = [
+  {
+    path: 'scripts/lib/csv-export.js',
+    content: "/**\n * @ai-context CSV writer for report exports (REQ-1)\n */\nconst REQ = 'REQ-2';\n",
+  },
+];
+const testFiles = [
+  {
+    path: 'tests/unit/csv-export.test.js',
+    content: "describe('CSV export', () => {\n  test('REQ-1 writes one row per record', () => {});\n});\n",
+  },
+];
+
+describe('TraceabilityMatrix', () => {
+  const matrix = new TraceabilityMatrix({ issueNumber: ISSUE });
+
+  test('traces PRD requirements through SPEC, @ai-context tags, commits and test names', () => {
+    const report = matrix.build({
+      prd: validPrd,
+      spec: validSpec,
+      codeFiles,
+      testFiles,
+      commits: [{ sha: 'abc123', subject: 'Schedule report exports', body: 'Implements REQ-2' }],
+    });
+
+    expect(report.requirements).toEqual([
+      expect.objectContaining({
+        id: 'REQ-1',
+        title: 'Export reports as CSV',
+        spec: ['Traceability'],
+        code: ['scripts/lib/csv-export.js:2'],
+        commits: [],
+        tests: ['tests/unit/csv-export.test.js:2 › REQ-1 writes one row per record'],
+        covered: true,
+      }),
+      // A plain code reference is not a trace: only @ai-context tags and commit messages count
+      expect.objectContaining({
+        id: 'REQ-2',
+        code: [],
+        commits: ['abc123 Schedule report exports'],
+        missing: ['tests'],
+        covered: false,
+      }),
+    ]);
+    expect(report.gaps).toEqual([{ id: 'REQ-2', missing: ['tests'] }]);
+    expect(report.summary).toEqual({ total: 2, covered: 1, uncovered: 1 });
+    expect(TraceabilityMatrix.summarize(report)).toBe(
+      'Traceability: 1/2 requirement(s) covered; gaps: REQ-2 (tests)'
+    );
+    expect(TraceabilityMatrix.format(report)).toContain(
+      '| REQ-2 Schedule exports | `Traceability` | `abc123 Schedule report exports` | — | ❌ missing tests |'
+    );
+  });
+
+  test('the gate warns by default, fails on gaps when asked and passes without requirements', () => {
+    const report = matrix.build({ prd: validPrd });
+
+    expect(report.gaps).toEqual([
+      { id: 'REQ-1', missing: ['spec', 'code', 'tests'] },
+      { id: 'REQ-2', missing: ['spec', 'code', 'tests'] },
+    ]);
+    expect(TraceabilityMatrix.evaluate(report, TraceabilityMatrix.gateMode(undefined)).verdict).toBe('CONCERNS');
+    expect(TraceabilityMatrix.evaluate(report, TraceabilityMatrix.gateMode('FAIL')).verdict).toBe('FAIL');
+    expect(TraceabilityMatrix.evaluate(report, 'off').verdict).toBe('PASS');
+    expect(TraceabilityMatrix.evaluate(matrix.build({}), 'fail')).toEqual(
+      expect.objectContaining({ verdict: 'PASS', summary: 'Traceability: 0/0 requirement(s) covered' })
+    );
+  });
+});
+
+describe('QA traceability gate', () => {
+  const cwd = process.cwd();
+  const env = { ...process.env };
+  let tmpDir;
+  let qa;
+  let written;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-traceability-'));
+    process.chdir(tmpDir);
+    write(`docs/planning/PRD-${ISSUE}.md`, validPrd);
+    write(`docs/architecture/SPEC-${ISSUE}.md`, validSpec);
+    write(codeFiles[0].path, codeFiles[0].content);
+    write(testFiles[0].path, testFiles[0].content);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(TraceabilityMatrix, 'gitCommits').mockReturnValue([]);
+
+    qa = new QA('token');
+    written = new Map();
+    qa.octokit = {
+      rest: {
+        issues: {
+          get: jest.fn().mockResolvedValue({ data: { number: ISSUE, title: 'Export reports' } }),
+          create: jest.fn().mockResolvedValue({ data: { number: 99 } }),
+        },
+        repos: {
+          getContent: jest.fn().mockRejectedValue(new Error('Not Found')),
+          createOrUpdateFileContents: jest.fn(async ({ path: file, content }) => {
+            written.set(file, Buffer.from(content, 'base64').toString('utf8'));
+          }),
+        },
+      },
+    };
+    jest.spyOn(qa, 'runTests').mockResolvedValue({
+      status: 'passed',
+      command: 'npm test',
+      durationMs: 1000,
+      tests: { total: 3, passed: 3, failed: 0, skipped: 0 },
+      coverage: null,
+      threshold: {},
+      failures: [],
+    });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('writes TRACEABILITY.md and the JSON report and blocks the workflow on gaps in fail mode', async () => {
+    process.env.BMAD_TRACEABILITY_GATE = 'fail';
+
+    const result = await qa.run({ issueNumber: ISSUE, phase: 'Quality Assurance' });
+
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: 'blocked',
+        verdict: 'FAIL',
+        error: 'Traceability: 1/2 requirement(s) covered; gaps: REQ-2 (code, tests)',
+        artifacts: [
+          { path: 'docs/testing/qa-report.md', type: 'QA_REPORT' },
+          { path: 'docs/testing/TRACEABILITY.md', type: 'TRACEABILITY' },
+          { path: 'docs/testing/traceability.json', type: 'TRACEABILITY' },
+        ],
+      })
+    );
+    expect(JSON.parse(written.get('docs/testing/traceability.json')).gaps).toEqual([
+      { id: 'REQ-2', missing: ['code', 'tests'] },
+    ]);
+    expect(written.get('docs/testing/TRACEABILITY.md')).toContain(`# Traceability Matrix — Issue #${ISSUE}`);
+    expect(written.get('docs/testing/qa-report.md')).toContain('❌ Blocked: requirements without coverage');
+    expect(qa.octokit.rest.issues.create).not.toHaveBeenCalled();
+  });
+
+  test('warn mode reports the gaps as concerns and hands over to security', async () => {
+    delete process.env.BMAD_TRACEABILITY_GATE;
+
+    const result = await qa.run({ issueNumber: ISSUE, phase: 'Quality Assurance' });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'completed', verdict: 'CONCERNS' }));
+    expect(result.nextSteps).toEqual([expect.objectContaining({ persona: 'security' })]);
+    expect(qa.octokit.rest.issues.create).toHaveBeenCalledTimes(1);
+  });
+});
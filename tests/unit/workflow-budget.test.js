@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowBudget = require('../../scripts/lib/workflow-budget');
+const WorkflowDefinitions = require('../../scripts/lib/workflow-definitions');
+const HandoverState = require('../../scripts/lib/handover-state');
+const { RetryableError } = require('../../scripts/lib/bmad-error');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const feature = require('../../scripts/bmad/workflows/feature.json');
+
+const ISSUE = 7;
+
+describe('WorkflowBudget', () => {
+  test('definitions reject malformed budgets', () => {
+    const { errors } = WorkflowDefinitions.validate({
+      ...feature,
+      budgets: {
+        maxSteps: 0,
+        phases: {
+          'Quality Assurance': { timeoutMs: 1.5, maxRetries: -1, tokens: 10 },
+          Deploy: { maxSteps: 2 },
+        },
+      },
+    });
+
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        'budgets.maxSteps must be an integer >= 1',
+        'budgets.phases["Quality Assurance"].timeoutMs must be an integer >= 1',
+        'budgets.phases["Quality Assurance"].maxRetries must be an integer >= 0',
+        expect.stringContaining('budgets.phases["Quality Assurance"].tokens is not one of'),
+        'budgets.phases["Deploy"] is not a declared state',
+      ])
+    );
+  });
+
+  test('the workflow definition overrides the run limits once', () => {
+    let now = 0;
+    const budget = new WorkflowBudget({ maxSteps: 50, now: () => now });
+    budget.configure({ id: 'FEATURE', budgets: { maxSteps: 2, phases: { Planning: { maxSteps: 1 } } } });
+
+    budget.recordStep();
+    budget.beginPhase('Planning');
+    expect(budget.checkWorkflow()).toBeNull();
+    expect(() => budget.beginPhase('Planning')).toThrow(
+      expect.objectContaining({
+        category: 'BUDGET_EXCEEDED',
+        budget: { scope: 'phase', phase: 'Planning', kind: 'maxSteps', limit: 1, used: 1 },
+      })
+    );
+
+    budget.recordStep();
+    now = 10;
+    expect(budget.checkWorkflow()).toEqual({
+      scope: 'workflow',
+      phase: 'Planning',
+      kind: 'maxSteps',
+      limit: 2,
+      used: 2,
+    });
+  });
+});
+
+describe('BMADOrchestrator phase budgets', () => {
+  let tmpDir;
+  let files;
+
+  const createOrchestrator = (phases) => {
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, null, {
+      stateDir: tmpDir,
+      workflowDefinitions: new WorkflowDefinitions([{ ...feature, budgets: { phases } }]),
+    });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (files.has(file) ? files.get(file) : null)),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn().mockResolvedValue({ gate: 'PASS' }) };
+    jest.spyOn(orchestrator.errorRecoveryManager, 'escalateToRecovery');
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+      number: ISSUE,
+      title: 'Export reports',
+      labels: [{ name: 'enhancement' }],
+    });
+    return orchestrator;
+  };
+
+  const storedState = () =>
+    JSON.parse(fs.readFileSync(path.join(tmpDir, `workflow-state-${ISSUE}.json`), 'utf8'));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-budget-'));
+    files = new Map([
+      [
+        HandoverState.pathFor(ISSUE),
+        HandoverState.render({ ...HandoverState.initial(ISSUE), persona: 'DEVELOPER', phase: 'Implementation' }),
+      ],
+    ]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('aborts a persona over its phase time budget and suspends naming the phase', async () => {
+    const orchestrator = createOrchestrator({ 'Quality Assurance': { timeoutMs: 20 } });
+    let received = null;
+    jest.spyOn(orchestrator, 'executePersona').mockImplementation((action, issueNumber, runtime) => {
+      received = runtime.signal;
+      return new Promise(() => {});
+    });
+
+    await expect(orchestrator.orchestrate(ISSUE)).rejects.toThrow(
+      expect.objectContaining({ category: 'BUDGET_EXCEEDED', recoveryHandled: true })
+    );
+
+    expect(received.aborted).toBe(true);
+    expect(received.reason.budget).toEqual(
+      expect.objectContaining({ scope: 'phase', phase: 'Quality Assurance', kind: 'timeoutMs', limit: 20 })
+    );
+    expect(storedState()).toEqual(
+      expect.objectContaining({
+        status: 'suspended',
+        stepId: 'Quality Assurance',
+        context: expect.objectContaining({
+          budget: expect.objectContaining({ phase: 'Quality Assurance', kind: 'timeoutMs' }),
+        }),
+      })
+    );
+  });
+
+  test('stops retrying once the phase retry budget is spent', async () => {
+    const orchestrator = createOrchestrator({ 'Quality Assurance': { maxRetries: 1 } });
+    jest.spyOn(orchestrator.errorRecoveryManager, 'retryOperation').mockImplementation(async (operation, attempts) => {
+      for (let attempt = 1; attempt < attempts; attempt++) await operation(attempt).catch(() => null);
+      return operation(attempts);
+    });
+    const executePersona = jest
+      .spyOn(orchestrator, 'executePersona')
+      .mockRejectedValue(new RetryableError('runner unavailable', 'NETWORK'));
+
+    await expect(orchestrator.orchestrate(ISSUE)).rejects.toThrow(
+      'Phase "Quality Assurance" exceeded its maxRetries budget (1/1 retries): runner unavailable'
+    );
+    expect(executePersona).toHaveBeenCalledTimes(2);
+    expect(orchestrator.errorRecoveryManager.escalateToRecovery).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'BUDGET_EXCEEDED' }),
+      expect.objectContaining({
+        stepId: 'Quality Assurance',
+        context: expect.objectContaining({
+          budget: { scope: 'phase', phase: 'Quality Assurance', kind: 'maxRetries', limit: 1, used: 1 },
+        }),
+      })
+    );
+  });
+
+  test('refuses to run a phase again once its step budget is spent', async () => {
+    const budget = new WorkflowBudget();
+    const executePersona = jest.fn().mockResolvedValue({ status: 'completed', artifacts: [] });
+    const run = async () => {
+      const orchestrator = createOrchestrator({ 'Quality Assurance': { maxSteps: 1 } });
+      orchestrator.executePersona = executePersona;
+      await orchestrator.orchestrate(ISSUE, { budget });
+      // Loop back so Quality Assurance is chosen again
+      files.set(
+        HandoverState.pathFor(ISSUE),
+        HandoverState.render({ ...HandoverState.initial(ISSUE), persona: 'DEVELOPER', phase: 'Implementation' })
+      );
+    };
+
+    await run();
+    await expect(run()).rejects.toThrow(
+      expect.objectContaining({
+        budget: { scope: 'phase', phase: 'Quality Assurance', kind: 'maxSteps', limit: 1, used: 1 },
+      })
+    );
+    expect(executePersona).toHaveBeenCalledTimes(1);
+    expect(storedState().context.budget.phase).toBe('Quality Assurance');
+  });
+});
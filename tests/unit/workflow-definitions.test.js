@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowDefinitions = require('../../scripts/lib/workflow-definitions');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+
+const minimal = (overrides = {}) => ({
+  id: 'HOTFIX',
+  issueTypes: ['HOTFIX'],
+  states: [
+    { phase: 'Implementation', persona: 'developer' },
+    { phase: 'Release Management', persona: 'releasemanager' },
+  ],
+  transitions: [
+    { from: 'UNKNOWN', to: 'Implementation', prompt: 'Fix it.', source: 'Hotfix' },
+    { from: 'DEVELOPER', to: 'Release Management', prompt: 'Ship it.', source: 'Fix' },
+    { from: 'RELEASEMANAGER', end: true },
+  ],
+  ...overrides,
+});
+
+describe('WorkflowDefinitions', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-workflows-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const writeFile = (content) => {
+    const file = path.join(tmpDir, 'workflows.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  test('ships FEATURE, BUG and AUDIT as valid built-in definitions', () => {
+    const definitions = WorkflowDefinitions.load({
+      file: path.join(tmpDir, 'missing.json'),
+      artifactTypes: ['PRD', 'SPEC', 'REPRO'],
+    });
+    expect(definitions.list().map((definition) => definition.id).sort()).toEqual([
+      'AUDIT',
+      'BUG',
+      'FEATURE',
+    ]);
+    expect(definitions.resolve('BUG').id).toBe('BUG');
+    expect(definitions.resolve('AUDIT').id).toBe('AUDIT');
+    expect(definitions.resolve('feature').id).toBe('FEATURE');
+    expect(definitions.resolve('SOMETHING-ELSE').id).toBe('FEATURE');
+  });
+
+  test('reports every structural problem of a definition', () => {
+    const result = WorkflowDefinitions.validate(
+      minimal({
+        maxRetries: -1,
+        transitions: [
+          { from: 'DEVELOPER', to: 'Nowhere', prompt: '' },
+          { from: 'QA', to: 'Implementation', prompt: 'x', guard: { artifact: 'ADR' } },
+          { from: 'QA', to: 'Implementation', prompt: 'x', retry: { to: 'Implementation' } },
+          { from: 'QA', phase: 'x', phaseMatch: 'regex', end: true },
+          { from: 'QA', to: 'Implementation', prompt: 'x', guard: { artifact: 'PRD', expect: 'green' } },
+          { from: 'QA', to: 'Implementation', prompt: 'x', guard: { artifact: 'PRD', expect: 'fail', timeoutMs: 0 } },
+          { from: 'QA', to: 'Implementation', prompt: 'x', guard: { artifact: 'PRD', command: 'npm test' } },
+        ],
+      }),
+      { artifactTypes: ['PRD', 'SPEC'] }
+    );
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(
+      expect.arrayContaining([
+        'maxRetries must be a non-negative integer',
+        'transitions[0].to "Nowhere" is not a declared state',
+        'transitions[0].prompt must be a non-empty string',
+        'transitions[1].guard.artifact "ADR" must be one of PRD, SPEC',
+        'transitions[2].retry requires a guard',
+        'transitions[2].retry.prompt must be a non-empty string',
+        'transitions[3].phaseMatch must be one of exact, contains',
+        'transitions[4].guard.expect must be one of fail, pass',
+        'transitions[5].guard.timeoutMs must be a positive integer',
+        'transitions[6].guard.command and timeoutMs require expect',
+        'transitions must include an initial transition from UNKNOWN',
+      ])
+    );
+  });
+
+  test('rejects invalid definitions with a non-retryable error', () => {
+    expect(() => new WorkflowDefinitions([minimal({ states: [] })])).toThrow(
+      expect.objectContaining({
+        name: 'NonRetryableError',
+        category: 'WORKFLOW_DEFINITION_INVALID',
+      })
+    );
+    expect(() => WorkflowDefinitions.load({ file: writeFile('not json') })).toThrow(
+      'is not valid JSON'
+    );
+    expect(() => WorkflowDefinitions.load({ file: writeFile({ flows: [] }) })).toThrow(
+      'must contain a "workflows" array'
+    );
+  });
+
+  test('team files add new flows and replace built-ins with the same id', () => {
+    const reordered = {
+      ...require('../../scripts/bmad/workflows/feature.json'),
+      transitions: [
+        { from: 'UNKNOWN', to: 'Implementation', prompt: 'Start coding.', source: 'Team' },
+        { from: 'DEVELOPER', to: 'Release Management', prompt: 'Release.', source: 'Team' },
+        { from: 'RELEASEMANAGER', end: true },
+      ],
+    };
+    const definitions = WorkflowDefinitions.load({
+      file: writeFile({ workflows: [reordered, minimal()] }),
+    });
+    expect(definitions.get('HOTFIX')).toEqual(expect.objectContaining({ id: 'HOTFIX' }));
+    expect(definitions.get('FEATURE').transitions).toHaveLength(3);
+  });
+
+  test('team files may be written in YAML', () => {
+    const cwd = process.cwd();
+    fs.mkdirSync(path.join(tmpDir, '.github'));
+    fs.writeFileSync(
+      path.join(tmpDir, '.github', 'bmad-workflows.yml'),
+      `workflows:
+  - id: HOTFIX
+    issueTypes: [HOTFIX]
+    states:
+      - { phase: Implementation, persona: developer }
+      - { phase: Release Management, persona: releasemanager }
+    transitions:
+      - { from: UNKNOWN, to: Implementation, prompt: Fix it. }
+      - { from: DEVELOPER, to: Release Management, prompt: Ship it. }
+      - { from: RELEASEMANAGER, end: true }
+`
+    );
+    try {
+      process.chdir(tmpDir);
+      expect(WorkflowDefinitions.load().get('HOTFIX').transitions[1]).toEqual(
+        expect.objectContaining({ to: 'Release Management', prompt: 'Ship it.' })
+      );
+    } finally {
+      process.chdir(cwd);
+    }
+
+    const broken = path.join(tmpDir, 'workflows.yaml');
+    fs.writeFileSync(broken, 'workflows: [\n');
+    expect(() => WorkflowDefinitions.load({ file: broken })).toThrow('is not valid YAML');
+  });
+
+  test('matches transitions by persona and exact or contained phase', () => {
+    const feature = require('../../scripts/bmad/workflows/feature.json');
+    const audit = require('../../scripts/bmad/workflows/audit.json');
+    expect(WorkflowDefinitions.findTransition(feature, 'pm', 'Sprint Planning').to).toBe(
+      'Architecture Design'
+    );
+    expect(WorkflowDefinitions.findTransition(feature, 'PM', 'Design')).toBeNull();
+    expect(WorkflowDefinitions.findTransition(audit, 'PM', 'UNKNOWN').to).toBe('Audit Planning');
+    expect(WorkflowDefinitions.findTransition(audit, 'ARCHITECT', 'Audit Breakdown').end).toBe(
+      true
+    );
+  });
+
+  test('orchestrator refuses to start with an invalid team definition', () => {
+    const file = writeFile([minimal({ transitions: [{ from: 'DEVELOPER', end: true }] })]);
+    expect(() => new BMADOrchestrator(null, { workflowFile: file })).toThrow(
+      'transitions must include an initial transition from UNKNOWN'
+    );
+  });
+
+  test('orchestrator follows a custom definition instead of the built-in chain', async () => {
+    const orchestrator = new BMADOrchestrator(null, {
+      workflowDefinitions: new WorkflowDefinitions([minimal()]),
+    });
+    const state = { persona: 'UNKNOWN', phase: 'UNKNOWN', retryCount: 0 };
+    await expect(
+      orchestrator.determineNextAction(state, { number: 1 }, 'HOTFIX')
+    ).resolves.toEqual(
+      expect.objectContaining({ persona: 'developer', nextPhase: 'Implementation', workflow: 'HOTFIX' })
+    );
+    await expect(
+      orchestrator.determineNextAction(
+        { persona: 'RELEASEMANAGER', phase: 'Release Management', retryCount: 0 },
+        { number: 1 },
+        'HOTFIX'
+      )
+    ).resolves.toBeNull();
+  });
+});
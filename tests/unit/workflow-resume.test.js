@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventBus = require('../../scripts/lib/event-bus');
+const HandoverState = require('../../scripts/lib/handover-state');
+const RunJournal = require('../../scripts/lib/run-journal');
+const StateCacheManager = require('../../scripts/lib/state-cache-manager');
+const BMADOrchestrator = require('../../scripts/bmad/bmad-orchestrator');
+const EnhancedBMADWorkflow = require('../../scripts/bmad/bmad-workflow-enhanced');
+
+const ISSUE = 31;
+
+describe('Resuming a suspended workflow', () => {
+  const env = { ...process.env };
+  let tmpDir;
+  let files;
+  let gate;
+
+  const createOrchestrator = (eventEmitter = null, options = {}) => {
+    const orchestrator = BMADOrchestrator.forIssue(ISSUE, eventEmitter, { stateDir: tmpDir, ...options });
+    orchestrator.contextManager = {
+      read: jest.fn((file) => (files.has(file) ? files.get(file) : null)),
+      write: jest.fn((file, content) => files.set(file, content)),
+    };
+    orchestrator.gatekeeper = { validatePhaseBoundary: jest.fn(async () => ({ gate })) };
+    jest.spyOn(orchestrator, 'getIssueDetails').mockResolvedValue({
+      number: ISSUE,
+      title: 'Export reports',
+      labels: [{ name: 'enhancement' }],
+    });
+    return orchestrator;
+  };
+
+  const storedState = () =>
+    JSON.parse(fs.readFileSync(path.join(tmpDir, `workflow-state-${ISSUE}.json`), 'utf8'));
+  const journal = () => RunJournal.forIssue(ISSUE, tmpDir).entries();
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmad-resume-'));
+    process.env.BMAD_EVENT_LOG = path.join(tmpDir, 'events', 'events.jsonl');
+    process.env.BMAD_ACTOR = 'ops-bot';
+    gate = 'FAIL';
+    files = new Map([
+      [
+        HandoverState.pathFor(ISSUE),
+        HandoverState.render({ ...HandoverState.initial(ISSUE), persona: 'DEVELOPER', phase: 'Implementation' }),
+      ],
+    ]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('re-checks the blocking gate, audits every attempt and continues from the suspended step', async () => {
+    await expect(createOrchestrator().orchestrate(ISSUE)).resolves.toBe(false);
+    expect(storedState()).toEqual(
+      expect.objectContaining({
+        status: 'suspended',
+        stepId: 'Quality Assurance',
+        context: expect.objectContaining({
+          suspension: expect.objectContaining({
+            category: 'GATEKEEPER_FAILURE',
+            reason: 'unregistered remediation category',
+          }),
+        }),
+      })
+    );
+
+    await expect(
+      createOrchestrator().resumeSuspended(ISSUE, { actor: 'maria', reason: 'retry now' })
+    ).rejects.toThrow(
+      expect.objectContaining({
+        category: 'RESUME_BLOCKED',
+        message: expect.stringContaining('Gatekeeper blocked phase Quality Assurance'),
+      })
+    );
+    expect(storedState().status).toBe('suspended');
+
+    gate = 'PASS';
+    const orchestrator = createOrchestrator();
+    const { action, resume } = await orchestrator.resumeSuspended(ISSUE, { reason: 'QA environment fixed' });
+    expect(resume).toEqual(
+      expect.objectContaining({
+        actor: 'ops-bot',
+        reason: 'QA environment fixed',
+        category: 'GATEKEEPER_FAILURE',
+        fromStep: 'Quality Assurance',
+        forced: false,
+      })
+    );
+    expect(storedState()).toEqual(
+      expect.objectContaining({
+        status: 'running',
+        stepId: 'Quality Assurance',
+        context: expect.objectContaining({ resumes: [resume] }),
+      })
+    );
+    expect(journal().filter((entry) => entry.type === 'resume')).toEqual([
+      expect.objectContaining({ status: 'blocked', actor: 'maria', reason: 'retry now' }),
+      expect.objectContaining({ status: 'resumed', actor: 'ops-bot', reason: 'QA environment fixed' }),
+    ]);
+    expect(RunJournal.format(journal())).toContain('▶️ resume resumed at "Quality Assurance" | by ops-bot');
+    expect(
+      EventBus.readLog(EventBus.logFile(tmpDir), { types: ['workflow-resumed'] }).events.map((event) => event.payload)
+    ).toEqual([expect.objectContaining({ phase: 'Quality Assurance', actor: 'ops-bot' })]);
+
+    const determineNextAction = jest.spyOn(orchestrator, 'determineNextAction');
+    jest.spyOn(orchestrator, 'executePersona').mockResolvedValue({ status: 'completed', artifacts: [] });
+    await expect(orchestrator.orchestrate(ISSUE, { resumeAction: action })).resolves.toBe(true);
+    expect(determineNextAction).not.toHaveBeenCalled();
+    expect(orchestrator.executePersona).toHaveBeenCalledWith(
+      expect.objectContaining({ persona: action.persona, nextPhase: 'Quality Assurance' }),
+      ISSUE,
+      expect.any(Object)
+    );
+  });
+
+  test('the workflow runner keeps a suspension and a resume continues the same run', async () => {
+    const executed = [];
+    const createWorkflow = () => {
+      const workflow = new EnhancedBMADWorkflow();
+      workflow.logWorkflow = jest.fn();
+      workflow.generateWorkflowReport = jest.fn().mockResolvedValue();
+      workflow.createStateCache = () => StateCacheManager.forIssue(ISSUE, tmpDir);
+      // The runner's own state cache and ErrorRecoveryManager reach the real orchestrator
+      workflow.createOrchestrator = (issueNumber, eventEmitter, options) => {
+        const orchestrator = createOrchestrator(eventEmitter, options);
+        orchestrator.gatekeeper.validatePhaseBoundary.mockImplementation(async (phase) => ({
+          gate: phase === 'Quality Assurance' ? gate : 'FAIL',
+        }));
+        jest.spyOn(orchestrator, 'executePersona').mockImplementation(async (action) => {
+          executed.push(action.nextPhase);
+          return { status: 'completed', artifacts: [], nextSteps: [], summary: null };
+        });
+        return orchestrator;
+      };
+      jest.spyOn(workflow, 'clearState');
+      return workflow;
+    };
+
+    const first = createWorkflow();
+    await first.executeWorkflow(ISSUE);
+    const suspended = storedState();
+    const { workflowId } = suspended.context.workflowState;
+    expect(first.clearState).not.toHaveBeenCalled();
+    expect(suspended).toEqual(
+      expect.objectContaining({
+        status: 'suspended',
+        workflowId,
+        stepId: 'Quality Assurance',
+        context: expect.objectContaining({
+          suspension: expect.objectContaining({ category: 'GATEKEEPER_FAILURE' }),
+          workflowState: expect.objectContaining({ status: 'suspended', issueNumber: ISSUE }),
+        }),
+      })
+    );
+    expect(workflowId).toMatch(/^bmad-/);
+    expect(StateCacheManager.findIssue(workflowId, tmpDir)).toBe(ISSUE);
+    expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('cycle completed'));
+
+    // Running again before `bmad resume` leaves the suspension alone
+    await createWorkflow().executeWorkflow(ISSUE);
+    expect(storedState()).toEqual(suspended);
+
+    gate = 'PASS';
+    jest.spyOn(StateCacheManager, 'findIssue').mockReturnValue(ISSUE);
+    const resumed = createWorkflow();
+    await resumed.resumeWorkflow(workflowId, { actor: 'maria', reason: 'QA environment fixed' });
+
+    expect(executed[0]).toBe('Quality Assurance');
+    expect(resumed.clearState).not.toHaveBeenCalled();
+    expect(storedState()).toEqual(
+      expect.objectContaining({
+        status: 'suspended',
+        workflowId,
+        stepId: 'Security Review',
+        context: expect.objectContaining({
+          workflowState: expect.objectContaining({
+            workflowId,
+            resumes: [expect.objectContaining({ actor: 'maria', fromStep: 'Quality Assurance' })],
+          }),
+        }),
+      })
+    );
+  });
+
+  test('refuses workflows that are not suspended or resumes without a reason', async () => {
+    await expect(createOrchestrator().resumeSuspended(ISSUE, { reason: 'why not' })).rejects.toThrow(
+      expect.objectContaining({ category: 'WORKFLOW_NOT_SUSPENDED' })
+    );
+
+    await createOrchestrator().orchestrate(ISSUE);
+    await expect(createOrchestrator().resumeSuspended(ISSUE, { reason: '  ' })).rejects.toThrow(
+      expect.objectContaining({ category: 'RESUME_INVALID' })
+    );
+    const forced = await createOrchestrator().resumeSuspended(ISSUE, { reason: 'gate waived', force: true });
+    expect(forced.resume).toEqual(
+      expect.objectContaining({
+        forced: true,
+        checks: expect.arrayContaining([expect.objectContaining({ check: 'gatekeeper', passed: false })]),
+      })
+    );
+    expect(storedState().status).toBe('running');
+  });
+
+  test('finds the issue behind a workflow id', async () => {
+    await StateCacheManager.forIssue(ISSUE, tmpDir).persistState('QA', 'Quality Assurance', {}, {
+      workflowId: 'bmad-1700000000000-abcde',
+      status: 'suspended',
+    });
+
+    expect(StateCacheManager.findIssue('bmad-1700000000000-abcde', tmpDir)).toBe(ISSUE);
+    expect(StateCacheManager.findIssue(`issue-${ISSUE}`, tmpDir)).toBe(ISSUE);
+    expect(StateCacheManager.findIssue('bmad-unknown', tmpDir)).toBeNull();
+  });
+});